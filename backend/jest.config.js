@@ -8,6 +8,7 @@ module.exports = {
   testMatch: [
     '**/src/tests/**/*.test.js'
   ],
+  setupFiles: ['<rootDir>/src/tests/setup.js'],
   watchman: false, // Disable watchman to avoid permission issues
   verbose: true
 }
\ No newline at end of file
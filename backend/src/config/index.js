@@ -26,10 +26,71 @@ class Config {
       temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.1,
       timeout: parseInt(process.env.OPENAI_TIMEOUT) || 60000,
       maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES) || 3,
+      // Follow-up calls asking the model to fix schema errors (0 disables AI repair)
+      maxRepairRounds: process.env.OPENAI_MAX_REPAIR_ROUNDS !== undefined
+        ? parseInt(process.env.OPENAI_MAX_REPAIR_ROUNDS)
+        : 2,
       baseURL: process.env.OPENAI_BASE_URL || process.env.OPENROUTER_BASE_URL || 'https://api.openai.com/v1'
     };
   }
 
+  // AI Provider Configuration
+  // AI_PROVIDER selects the backend; without it the legacy OpenAI/OpenRouter variables decide.
+  // AI_PROVIDER_CHAIN ("openai,openrouter:model,mock") lists failover providers in order,
+  // each optionally overriding the model after the first colon.
+  // AI_CHAINED_COMPLEXITIES ("complex") lists the complexities generated in stages
+  get ai() {
+    const legacyProvider = !process.env.OPENAI_API_KEY && process.env.OPENROUTER_API_KEY ? 'openrouter' : 'openai';
+    const primary = (process.env.AI_PROVIDER || legacyProvider).toLowerCase();
+
+    const chain = process.env.AI_PROVIDER_CHAIN
+      ? process.env.AI_PROVIDER_CHAIN.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        return separator === -1
+          ? { provider: entry.toLowerCase(), model: null }
+          : { provider: entry.slice(0, separator).toLowerCase(), model: entry.slice(separator + 1) };
+      })
+      : [{ provider: primary, model: null }];
+
+    return {
+      provider: chain[0]?.provider || primary,
+      chain,
+      // Complexities generated in stages, one call per section group (empty disables it)
+      chainedComplexities: (process.env.AI_CHAINED_COMPLEXITIES ?? 'complex')
+        .split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean),
+      providers: {
+        openai: {
+          apiKey: this.openai.apiKey,
+          model: this.openai.model,
+          baseURL: this.openai.baseURL
+        },
+        openrouter: {
+          apiKey: process.env.OPENROUTER_API_KEY || process.env.OPENAI_API_KEY,
+          model: process.env.OPENROUTER_MODEL || process.env.OPENAI_MODEL || 'meta-llama/llama-3.1-8b-instruct:free',
+          baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1'
+        },
+        anthropic: {
+          apiKey: process.env.ANTHROPIC_API_KEY,
+          model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+          baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+        },
+        ollama: {
+          model: process.env.OLLAMA_MODEL || 'llama3.1',
+          baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+        },
+        llamacpp: {
+          apiKey: process.env.LLAMACPP_API_KEY || 'no-key',
+          model: process.env.LLAMACPP_MODEL || 'local-model',
+          baseURL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1'
+        },
+        mock: {
+          model: 'mock-spec-v1',
+          latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0
+        }
+      }
+    };
+  }
+
   // Rate Limiting Configuration
   get rateLimit() {
     return {
@@ -39,6 +100,75 @@ class Config {
     };
   }
 
+  // API Key Authentication Configuration
+  // API_KEYS_REQUIRED rejects requests without a key (otherwise anonymous calls fall back
+  // to the global rate limit); ADMIN_API_KEY protects key management and disables it when unset.
+  // Keys created without explicit limits get API_KEY_RATE_LIMIT requests per rate limit window
+  // and API_KEY_MONTHLY_TOKENS tokens per month (0 = unlimited).
+  // User sessions are JWTs signed with JWT_SECRET (a random secret, lost on restart, when unset)
+  // lasting JWT_EXPIRES_IN seconds; new users get USER_DEFAULT_ROLE (admins are appointed
+  // through PUT /api/admin/users/:id/role, the first one with ADMIN_API_KEY)
+  get auth() {
+    return {
+      required: process.env.API_KEYS_REQUIRED === 'true',
+      adminKey: process.env.ADMIN_API_KEY || null,
+      defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+      defaultMonthlyTokens: parseInt(process.env.API_KEY_MONTHLY_TOKENS) || 0,
+      jwtSecret: process.env.JWT_SECRET || null,
+      sessionTtlSeconds: parseInt(process.env.JWT_EXPIRES_IN) || 12 * 60 * 60,
+      defaultRole: (process.env.USER_DEFAULT_ROLE || 'editor').toLowerCase()
+    };
+  }
+
+  // Usage Ledger Configuration
+  // AI_PRICES is a JSON object overriding or extending the default model prices,
+  // in USD per million tokens: {"gpt-4o": {"prompt": 2.5, "completion": 10}}
+  get usage() {
+    let prices = {};
+
+    if (process.env.AI_PRICES) {
+      try {
+        prices = JSON.parse(process.env.AI_PRICES);
+      } catch (error) {
+        prices = null;
+      }
+    }
+
+    return { prices };
+  }
+
+  // Metrics Configuration
+  // GET /metrics serves Prometheus metrics; with METRICS_TOKEN set scrapers must send
+  // it as "Authorization: Bearer <token>"
+  get metrics() {
+    return {
+      enabled: process.env.METRICS_ENABLED !== 'false',
+      token: process.env.METRICS_TOKEN || null
+    };
+  }
+
+  // Tracing Configuration
+  // Spans of each request stage are exported with TRACING_EXPORTER: none, otlp (OTLP/HTTP JSON
+  // to OTEL_EXPORTER_OTLP_ENDPOINT, with OTEL_EXPORTER_OTLP_HEADERS as "key=value,...") or file
+  // (JSON lines in TRACING_FILE). TRACING_SAMPLE_RATIO is the share of new traces exported;
+  // requests carrying a traceparent header follow the sampling decision of the caller
+  get tracing() {
+    const headers = (process.env.OTEL_EXPORTER_OTLP_HEADERS || '')
+      .split(',')
+      .filter(pair => pair.includes('='))
+      .map(pair => [pair.slice(0, pair.indexOf('=')).trim(), pair.slice(pair.indexOf('=') + 1).trim()]);
+
+    return {
+      exporter: (process.env.TRACING_EXPORTER || 'none').toLowerCase(),
+      serviceName: process.env.OTEL_SERVICE_NAME || 'ai-feature-builder-backend',
+      otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+      otlpHeaders: Object.fromEntries(headers),
+      file: process.env.TRACING_FILE || path.join(this.paths.logs, 'traces.jsonl'),
+      sampleRatio: process.env.TRACING_SAMPLE_RATIO !== undefined ? parseFloat(process.env.TRACING_SAMPLE_RATIO) : 1,
+      flushIntervalMs: parseInt(process.env.TRACING_FLUSH_INTERVAL_MS) || 5000
+    };
+  }
+
   // Logging Configuration
   get logging() {
     return {
@@ -57,6 +187,24 @@ class Config {
     };
   }
 
+  // Generation Jobs Configuration
+  get jobs() {
+    return {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+      maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 100,
+      retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000 // 1 hour
+    };
+  }
+
+  // Specification Storage Configuration
+  // SPEC_STORAGE selects the repository: sqlite (file, default) | memory (lost on restart)
+  get storage() {
+    return {
+      driver: (process.env.SPEC_STORAGE || 'sqlite').toLowerCase(),
+      sqlitePath: process.env.SPEC_DB_PATH || path.join(__dirname, '../../data/specs.db')
+    };
+  }
+
   // Paths Configuration
   get paths() {
     return {
@@ -81,17 +229,27 @@ class Config {
    * Validate required environment variables without exposing sensitive info
    */
   validateRequiredEnvVars() {
-    const required = ['OPENAI_API_KEY', 'OPENROUTER_API_KEY'];
-    const hasApiKey = required.some(key => process.env[key]);
-    
-    if (!hasApiKey) {
-      // Don't expose which specific env vars are missing in production
-      if (this.server.env === 'production') {
-        throw new Error('Required API key environment variable is not configured');
-      } else {
-        throw new Error(`Missing required API key: Set either OPENAI_API_KEY or OPENROUTER_API_KEY`);
+    const requiredKeys = {
+      openai: ['OPENAI_API_KEY', 'OPENROUTER_API_KEY'],
+      openrouter: ['OPENROUTER_API_KEY', 'OPENAI_API_KEY'],
+      anthropic: ['ANTHROPIC_API_KEY']
+    };
+
+    // Every provider in the failover chain needs its key
+    // Local providers (mock, ollama, llamacpp) run without an API key
+    this.ai.chain.forEach(({ provider }) => {
+      const required = requiredKeys[provider] || [];
+      const hasApiKey = required.length === 0 || required.some(key => process.env[key]);
+
+      if (!hasApiKey) {
+        // Don't expose which specific env vars are missing in production
+        if (this.server.env === 'production') {
+          throw new Error('Required API key environment variable is not configured');
+        } else {
+          throw new Error(`Missing required API key for provider "${provider}": Set ${required.join(' or ')}`);
+        }
       }
-    }
+    });
 
     // Validate environment variable formats and ranges
     this.validateEnvVarFormats();
@@ -103,6 +261,18 @@ class Config {
   validateEnvVarFormats() {
     const errors = [];
 
+    // Validate AI providers
+    const supportedProviders = Object.keys(this.ai.providers);
+    const { chain } = this.ai;
+    if (chain.length === 0) {
+      errors.push('AI_PROVIDER_CHAIN must list at least one provider');
+    }
+    chain.forEach(({ provider }) => {
+      if (!supportedProviders.includes(provider)) {
+        errors.push(`AI provider "${provider}" must be one of: ${supportedProviders.join(', ')}`);
+      }
+    });
+
     // Validate OpenAI configuration
     if (this.openai.maxTokens < 1 || this.openai.maxTokens > 100000) {
       errors.push('OPENAI_MAX_TOKENS must be between 1 and 100000');
@@ -112,6 +282,10 @@ class Config {
       errors.push('OPENAI_TEMPERATURE must be between 0.0 and 2.0');
     }
 
+    if (!(this.openai.maxRepairRounds >= 0 && this.openai.maxRepairRounds <= 5)) {
+      errors.push('OPENAI_MAX_REPAIR_ROUNDS must be between 0 and 5');
+    }
+
     // Validate rate limiting
     if (this.rateLimit.windowMs < 1000 || this.rateLimit.windowMs > 3600000) {
       errors.push('RATE_LIMIT_WINDOW_MS must be between 1000 and 3600000 (1 second to 1 hour)');
@@ -121,6 +295,50 @@ class Config {
       errors.push('RATE_LIMIT_MAX_REQUESTS must be between 1 and 10000');
     }
 
+    // Validate API key limits
+    if (this.auth.defaultRateLimit < 1 || this.auth.defaultRateLimit > 100000) {
+      errors.push('API_KEY_RATE_LIMIT must be between 1 and 100000');
+    }
+
+    if (this.auth.defaultMonthlyTokens < 0) {
+      errors.push('API_KEY_MONTHLY_TOKENS must be 0 (unlimited) or a positive number');
+    }
+
+    // Registration is public, so it never grants the admin role
+    if (!['viewer', 'editor'].includes(this.auth.defaultRole)) {
+      errors.push('USER_DEFAULT_ROLE must be one of: viewer, editor');
+    }
+
+    if (this.auth.jwtSecret && this.auth.jwtSecret.length < 32) {
+      errors.push('JWT_SECRET must be at least 32 characters long');
+    }
+
+    // Validate model prices
+    const { prices } = this.usage;
+    const validPrice = price => [price?.prompt, price?.completion].every(value => typeof value === 'number' && value >= 0);
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices) || !Object.values(prices).every(validPrice)) {
+      errors.push('AI_PRICES must be a JSON object of { "prompt": number, "completion": number } per model');
+    }
+
+    // Validate tracing
+    const { tracing } = this;
+    if (!['none', 'otlp', 'file'].includes(tracing.exporter)) {
+      errors.push('TRACING_EXPORTER must be one of: none, otlp, file');
+    }
+    if (!(tracing.sampleRatio >= 0 && tracing.sampleRatio <= 1)) {
+      errors.push('TRACING_SAMPLE_RATIO must be between 0 and 1');
+    }
+
+    // Validate job queue
+    if (this.jobs.concurrency < 1 || this.jobs.concurrency > 50) {
+      errors.push('JOB_CONCURRENCY must be between 1 and 50');
+    }
+
+    // Validate specification storage
+    if (!['sqlite', 'memory'].includes(this.storage.driver)) {
+      errors.push('SPEC_STORAGE must be one of: sqlite, memory');
+    }
+
     if (errors.length > 0) {
       throw new Error(`Environment variable validation failed: ${errors.join(', ')}`);
     }
@@ -0,0 +1,62 @@
+const { aiService } = require('../services/aiService');
+const { cacheManager } = require('../services/cacheService');
+const { promptService } = require('../services/promptService');
+const logger = require('../utils/logger');
+
+/**
+ * Close the circuit breakers of every AI provider in the chain
+ * Lets traffic reach a provider that recovered before the breaker timeout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetCircuitBreaker = async (req, res) => {
+  aiService.resetCircuitBreaker();
+  logger.info('Admin operation: circuit breakers reset', { userId: req.user?.id });
+
+  res.json({
+    success: true,
+    data: {
+      providers: aiService.providers.map(provider => ({
+        provider: provider.id,
+        model: provider.model,
+        circuitBreaker: provider.circuitBreaker.getStatus()
+      }))
+    }
+  });
+};
+
+/**
+ * Empty every response cache
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearCaches = async (req, res) => {
+  cacheManager.clearAll();
+  logger.info('Admin operation: caches cleared', { userId: req.user?.id });
+
+  res.json({
+    success: true,
+    data: cacheManager.getGlobalStats()
+  });
+};
+
+/**
+ * Empty the prompt cache so edited prompt files are read again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearPromptCache = async (req, res) => {
+  promptService.clearCache();
+  logger.info('Admin operation: prompt cache cleared', { userId: req.user?.id });
+
+  res.json({
+    success: true,
+    data: promptService.getCacheStats()
+  });
+};
+
+module.exports = {
+  resetCircuitBreaker,
+  clearCaches,
+  clearPromptCache
+};
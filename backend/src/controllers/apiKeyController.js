@@ -0,0 +1,87 @@
+const { apiKeyService } = require('../services/apiKeyService');
+const { sendSpecError } = require('./specController');
+
+/**
+ * Issue an API key; the key itself is returned only in this response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.create(req.body);
+
+    res.status(201)
+      .location(`${req.baseUrl}/keys/${apiKey.id}`)
+      .json({
+        success: true,
+        data: apiKey
+      });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List every API key (without the keys)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list();
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Get an API key with its token usage in the current month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.get(req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey
+};
@@ -1,6 +1,8 @@
 const { aiService } = require('../services/aiService');
-const { featureProcessor } = require('../services/featureProcessor');
+const { generationService } = require('../services/generationService');
+const { usageService } = require('../services/usageService');
 const { getAllTemplates, searchTemplates } = require('../data/templates');
+const { ownerOf } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 /**
@@ -10,7 +12,8 @@ const logger = require('../utils/logger');
  */
 const generateFeatureSpec = async (req, res) => {
   const startTime = Date.now();
-  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { requestId } = req;
+  req.span?.setAttribute('app.request_id', requestId);
   
   try {
     logger.info(`[${requestId}] Starting feature generation`, {
@@ -22,46 +25,25 @@ const generateFeatureSpec = async (req, res) => {
       ip: req.ip
     });
 
-    // Process and validate input
-    const processedInput = featureProcessor.processInput(req.body);
-    
-    // Generate specification using AI service
-    const aiResponse = await aiService.generateSpecification(processedInput, requestId);
-    
-    // Use AI response directly (skip validation for now)
-    const specification = aiResponse.data || aiResponse;
-    
-    // If no data, use fallback
-    if (!specification) {
-      logger.warn(`[${requestId}] No data in AI response, using fallback`);
-      const fallback = await aiService.generateFallbackResponse(processedInput, requestId);
-      specification = fallback.data;
-    }
-    
-    // Calculate processing time
-    const processingTime = Date.now() - startTime;
+    const result = await generationService.generate(req.body, requestId, ownerOf(req));
+    await usageService.record('generate', {
+      requestId, result, apiKey: req.apiKey, userId: req.user?.id, projectId: req.body.projectId
+    });
     
     logger.info(`[${requestId}] Feature generation completed`, {
-      processingTime,
-      specificationName: specification.metadata?.name,
-      complexity: specification.metadata?.complexity,
-      tokensUsed: aiResponse._metadata?.tokensUsed || 0
+      specId: result.specId,
+      processingTime: result.metadata.processingTime,
+      specificationName: result.feature?.metadata?.name,
+      complexity: result.feature?.metadata?.complexity,
+      tokensUsed: result.metadata.tokensUsed,
+      validationStatus: result.validation.status,
+      warningsCount: result.warnings.length
     });
 
     // Return successful response
     res.json({
       success: true,
-      data: {
-        feature: specification,
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          processingTime,
-          aiModel: aiResponse._metadata?.model || 'unknown',
-          tokensUsed: aiResponse._metadata?.tokensUsed || 0,
-          version: '1.0.0',
-          requestId
-        }
-      }
+      data: result
     });
 
   } catch (error) {
@@ -76,6 +58,10 @@ const generateFeatureSpec = async (req, res) => {
       ip: req.ip
     });
 
+    await usageService.recordFailure('generate', error, {
+      requestId, latencyMs: processingTime, apiKey: req.apiKey, userId: req.user?.id, projectId: req.body.projectId
+    });
+
     // Handle different types of errors
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -125,6 +111,117 @@ const generateFeatureSpec = async (req, res) => {
   }
 };
 
+/**
+ * Stream feature specification generation over Server-Sent Events
+ * Emits `stage` and `section` events while the AI responds, then a
+ * `complete` event with the same payload as generateFeatureSpec
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const streamFeatureSpec = async (req, res) => {
+  const startTime = Date.now();
+  const { requestId } = req;
+  req.span?.setAttribute('app.request_id', requestId);
+  const abortController = new AbortController();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Keep intermediaries from closing an idle connection
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, 15000);
+
+  // Abort the AI call if the client goes away before we finish
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    logger.info(`[${requestId}] Starting streaming feature generation`, {
+      description: req.body.description?.substring(0, 100) + '...',
+      language: req.body.language,
+      template: req.body.template,
+      complexity: req.body.complexity,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    sendEvent('stage', { stage: 'started', requestId });
+
+    const processedInput = await generationService.prepareInput(req.body);
+
+    const aiResponse = await aiService.generateSpecificationStream(processedInput, requestId, {
+      signal: abortController.signal,
+      onEvent: sendEvent
+    });
+
+    const result = generationService.buildResult(aiResponse, { requestId, startTime });
+    result.specId = await generationService.persist(req.body, result, requestId, ownerOf(req));
+    await usageService.record('stream', {
+      requestId, result, apiKey: req.apiKey, userId: req.user?.id, projectId: req.body.projectId
+    });
+
+    logger.info(`[${requestId}] Streaming feature generation completed`, {
+      processingTime: result.metadata.processingTime,
+      specificationName: result.feature?.metadata?.name,
+      tokensUsed: result.metadata.tokensUsed,
+      validationStatus: result.validation.status
+    });
+
+    sendEvent('complete', {
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    const usageContext = {
+      requestId, latencyMs: Date.now() - startTime, apiKey: req.apiKey, userId: req.user?.id, projectId: req.body.projectId
+    };
+
+    if (abortController.signal.aborted) {
+      logger.info(`[${requestId}] Streaming feature generation cancelled by client`, {
+        processingTime: usageContext.latencyMs
+      });
+      await usageService.record('stream', { ...usageContext, cancelled: true });
+      return;
+    }
+
+    logger.error(`[${requestId}] Streaming feature generation failed`, {
+      error: error.message,
+      stack: error.stack,
+      processingTime: usageContext.latencyMs
+    });
+
+    await usageService.recordFailure('stream', error, usageContext);
+
+    sendEvent('error', {
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        requestId
+      }
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
 /**
  * Get available templates with optional search
  * @param {Object} req - Express request object
@@ -194,5 +291,6 @@ const getTemplates = async (req, res) => {
 
 module.exports = {
   generateFeatureSpec,
+  streamFeatureSpec,
   getTemplates
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const { jobService } = require('../services/jobService');
+const logger = require('../utils/logger');
+
+/**
+ * Send a JobError (or unexpected error) as the standard error envelope
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the job service
+ */
+const sendJobError = (res, error) => {
+  if (error.name === 'JobError') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  logger.error('Job request failed', { error: error.message, stack: error.stack });
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred'
+    }
+  });
+};
+
+/**
+ * Enqueue an asynchronous feature generation job
+ * Honors the `Idempotency-Key` header, per API key or user, so client retries do not
+ * duplicate work; reusing a key with a different body is refused
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createJob = async (req, res) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    const { job, created } = jobService.enqueue(req.body, { idempotencyKey, apiKey: req.apiKey, ownerId: req.user?.id });
+
+    if (created) {
+      logger.info(`[${job.requestId}] Generation job accepted`, {
+        jobId: job.id,
+        description: req.body.description?.substring(0, 100) + '...',
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+    }
+
+    res.status(created ? 202 : 200)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        success: true,
+        data: job
+      });
+
+  } catch (error) {
+    sendJobError(res, error);
+  }
+};
+
+// Jobs are visible to the API key or user that enqueued them, and to admins
+const requesterOf = (req) => ({ apiKey: req.apiKey, ownerId: req.user?.id, admin: req.user?.role === 'admin' });
+
+/**
+ * Get status (and result, once completed) of a generation job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJob = async (req, res) => {
+  const job = jobService.get(req.params.id, requesterOf(req));
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_FOUND',
+        message: 'Job not found'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+};
+
+/**
+ * Cancel a queued or running generation job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelJob = async (req, res) => {
+  try {
+    const job = jobService.cancel(req.params.id, requesterOf(req));
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    sendJobError(res, error);
+  }
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob
+};
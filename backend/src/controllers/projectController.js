@@ -0,0 +1,152 @@
+const { projectService } = require('../services/projectService');
+const { sendSpecError } = require('./specController');
+const { ownerOf, visibleTo } = require('../middleware/auth');
+
+/**
+ * Create a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProject = async (req, res) => {
+  try {
+    const project = await projectService.create({ ...req.body, ...ownerOf(req) });
+
+    res.status(201)
+      .location(`${req.baseUrl}/projects/${project.id}`)
+      .json({
+        success: true,
+        data: project
+      });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List the projects the caller can read (see visibleTo) with their number of specifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listProjects = async (req, res) => {
+  try {
+    const projects = await projectService.list({ visibleTo: visibleTo(req) });
+
+    res.json({
+      success: true,
+      data: { projects }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Get a project with its shared context
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProject = async (req, res) => {
+  try {
+    const project = await projectService.get(req.params.id);
+
+    res.json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Replace name, description and shared context of a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProject = async (req, res) => {
+  try {
+    const project = await projectService.update(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Delete a project (its specifications are kept)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProject = async (req, res) => {
+  try {
+    await projectService.delete(req.params.id);
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List the specifications of a project (without their content)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listProjectSpecs = async (req, res) => {
+  try {
+    const page = await projectService.listSpecs(req.params.id, {
+      limit: req.query.limit,
+      offset: req.query.offset,
+      visibleTo: visibleTo(req)
+    });
+
+    res.json({
+      success: true,
+      data: page
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Report the conflicts between the specifications of a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProjectConflicts = async (req, res) => {
+  try {
+    const report = await projectService.analyzeConflicts(req.params.id);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+module.exports = {
+  createProject,
+  listProjects,
+  getProject,
+  updateProject,
+  deleteProject,
+  listProjectSpecs,
+  getProjectConflicts
+};
@@ -0,0 +1,450 @@
+const { refinementService } = require('../services/refinementService');
+const { specService } = require('../services/specService');
+const { usageService } = require('../services/usageService');
+const { ownerOf, visibleTo } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Send an error from the spec endpoints as the standard error envelope
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the spec services
+ * @param {string} requestId - Unique request identifier
+ */
+const sendSpecError = (res, error, requestId) => {
+  if (error.name === 'SpecError') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+        requestId
+      }
+    });
+  }
+
+  if (error.name === 'AIServiceError' || error.name === 'AIResponseError') {
+    return res.status(502).json({
+      success: false,
+      error: {
+        code: 'AI_SERVICE_ERROR',
+        message: 'AI service temporarily unavailable',
+        details: 'The specification was not changed. Please try again in a few minutes.',
+        requestId
+      }
+    });
+  }
+
+  logger.error('Spec request failed', { error: error.message, stack: error.stack, requestId });
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+      requestId
+    }
+  });
+};
+
+/**
+ * Store a specification (e.g. imported or edited by hand) as version 1
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createSpec = async (req, res) => {
+  try {
+    const spec = await specService.create({ ...req.body, ...ownerOf(req), source: 'manual' });
+
+    res.status(201)
+      .location(`${req.baseUrl}/specs/${spec.id}`)
+      .json({
+        success: true,
+        data: spec
+      });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List stored specifications (without their content), most recent first; only those
+ * the caller can read (see visibleTo)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSpecs = async (req, res) => {
+  try {
+    const page = await specService.list({ limit: req.query.limit, offset: req.query.offset, visibleTo: visibleTo(req) });
+
+    res.json({
+      success: true,
+      data: page
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Get a stored specification with its current version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSpec = async (req, res) => {
+  try {
+    const spec = await specService.get(req.params.id);
+
+    res.json({
+      success: true,
+      data: spec
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Store a new version of a specification; earlier versions are kept unchanged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSpec = async (req, res) => {
+  try {
+    const spec = await specService.update(req.params.id, {
+      specification: req.body.specification,
+      note: req.body.note,
+      source: 'manual'
+    });
+
+    res.json({
+      success: true,
+      data: spec
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Delete a specification and its version history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSpec = async (req, res) => {
+  try {
+    await specService.delete(req.params.id);
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List the versions of a specification, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSpecVersions = async (req, res) => {
+  try {
+    const versions = await specService.listVersions(req.params.id);
+
+    res.json({
+      success: true,
+      data: { versions }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Get one version of a specification with its content
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSpecVersion = async (req, res) => {
+  try {
+    const version = await specService.getVersion(req.params.id, req.params.version);
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Semantic diff between two versions of a specification (`?from=&to=`)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const diffSpecVersions = async (req, res) => {
+  try {
+    const diff = await specService.diff(req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Download a specification rendered by an exporter (`?format=&version=`)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportSpec = async (req, res) => {
+  try {
+    const { content, contentType, filename } = await specService.export(req.params.id, req.params.exporter, {
+      format: req.query.format,
+      version: req.query.version
+    });
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(contentType).send(content);
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Combine stored specifications into a new consolidated specification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const mergeSpecs = async (req, res) => {
+  try {
+    const { spec, report } = await specService.merge({ ...req.body, ...ownerOf(req) });
+
+    res.status(201)
+      .location(`${req.baseUrl}/specs/${spec.id}`)
+      .json({
+        success: true,
+        data: { ...spec, merge: report }
+      });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Create a read-only public link to a specification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const shareSpec = async (req, res) => {
+  try {
+    const share = await specService.share(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: share
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * List the share links of a specification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSpecShares = async (req, res) => {
+  try {
+    const shares = await specService.listShares(req.params.id);
+
+    res.json({
+      success: true,
+      data: { shares }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Revoke a share link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeSpecShare = async (req, res) => {
+  try {
+    const share = await specService.revokeShare(req.params.id, req.params.token);
+
+    res.json({
+      success: true,
+      data: share
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Public read-only view of a shared specification
+ * Not cached, so a revoked link stops working immediately
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSharedSpec = async (req, res) => {
+  try {
+    const shared = await specService.getShared(req.params.token);
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.json({
+      success: true,
+      data: shared
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Apply a natural-language instruction to an existing specification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refineSpec = async (req, res) => {
+  const startTime = Date.now();
+  const { requestId } = req;
+  req.span?.setAttribute('app.request_id', requestId);
+
+  try {
+    logger.info(`[${requestId}] Starting specification refinement`, {
+      instruction: req.body.instruction.substring(0, 100),
+      sections: Object.keys(req.body.specification),
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    const result = await refinementService.refine(req.body, requestId);
+    await usageService.record('refine', { requestId, result, apiKey: req.apiKey, userId: req.user?.id });
+
+    logger.info(`[${requestId}] Specification refinement completed`, {
+      processingTime: result.metadata.processingTime,
+      tokensUsed: result.metadata.tokensUsed,
+      validationStatus: result.validation.status,
+      totalChanges: result.changeSummary.totalChanges
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`[${requestId}] Specification refinement failed`, {
+      error: error.message,
+      stack: error.stack,
+      processingTime: Date.now() - startTime,
+      failover: error.failover
+    });
+
+    await usageService.recordFailure('refine', error, {
+      requestId, latencyMs: Date.now() - startTime, apiKey: req.apiKey, userId: req.user?.id, specId: req.body.specId
+    });
+
+    sendSpecError(res, error, requestId);
+  }
+};
+
+/**
+ * Regenerate a single top-level section of an existing specification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regenerateSection = async (req, res) => {
+  const startTime = Date.now();
+  const { requestId } = req;
+  req.span?.setAttribute('app.request_id', requestId);
+
+  try {
+    logger.info(`[${requestId}] Starting section regeneration`, {
+      section: req.body.section,
+      hasInstruction: Boolean(req.body.instruction),
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    const result = await refinementService.regenerateSection(req.body, requestId);
+    await usageService.record('regenerate-section', { requestId, result, apiKey: req.apiKey, userId: req.user?.id });
+
+    logger.info(`[${requestId}] Section regeneration completed`, {
+      section: req.body.section,
+      processingTime: result.metadata.processingTime,
+      tokensUsed: result.metadata.tokensUsed,
+      validationStatus: result.validation.status
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`[${requestId}] Section regeneration failed`, {
+      section: req.body.section,
+      error: error.message,
+      stack: error.stack,
+      processingTime: Date.now() - startTime,
+      failover: error.failover
+    });
+
+    await usageService.recordFailure('regenerate-section', error, {
+      requestId, latencyMs: Date.now() - startTime, apiKey: req.apiKey, userId: req.user?.id, specId: req.body.specId
+    });
+
+    sendSpecError(res, error, requestId);
+  }
+};
+
+module.exports = {
+  sendSpecError,
+  createSpec,
+  listSpecs,
+  getSpec,
+  updateSpec,
+  deleteSpec,
+  listSpecVersions,
+  getSpecVersion,
+  diffSpecVersions,
+  exportSpec,
+  mergeSpecs,
+  shareSpec,
+  listSpecShares,
+  revokeSpecShare,
+  getSharedSpec,
+  refineSpec,
+  regenerateSection
+};
@@ -0,0 +1,36 @@
+const { usageService } = require('../services/usageService');
+const { sendSpecError } = require('./specController');
+
+/**
+ * Aggregate the usage ledger by day, API key, project or model
+ * API key callers only see their key and signed-in users other than admins
+ * only see their own requests; only admins see everything (anonymous callers
+ * are refused by the route)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUsage = async (req, res) => {
+  try {
+    const { from, to, groupBy, ...filters } = req.query;
+
+    if (req.apiKey) {
+      filters.apiKeyId = req.apiKey.id;
+    } else if (req.user && req.user.role !== 'admin') {
+      filters.userId = req.user.id;
+    }
+
+    const usage = await usageService.summarize({ from, to, groupBy }, filters);
+
+    res.json({
+      success: true,
+      data: usage
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+module.exports = {
+  getUsage
+};
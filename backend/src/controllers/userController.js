@@ -0,0 +1,98 @@
+const { userService } = require('../services/userService');
+const { sendSpecError } = require('./specController');
+
+/**
+ * Create an account with the default role (USER_DEFAULT_ROLE)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const register = async (req, res) => {
+  try {
+    const user = await userService.register(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Open a session: the token goes in `Authorization: Bearer <token>`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const login = async (req, res) => {
+  try {
+    const session = await userService.login(req.body);
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCurrentUser = async (req, res) => {
+  res.json({
+    success: true,
+    data: userService.toPublic(req.user)
+  });
+};
+
+/**
+ * List every user (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listUsers = async (req, res) => {
+  try {
+    const users = await userService.list();
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+/**
+ * Change the role of a user (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const user = await userService.setRole(req.params.id, req.body.role);
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    sendSpecError(res, error, req.requestId);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  getCurrentUser,
+  listUsers,
+  updateUserRole
+};
@@ -0,0 +1,265 @@
+/**
+ * Deterministic specification returned by the mock AI provider
+ * Passes full validation so CI and offline development can exercise the
+ * whole generation pipeline without network access
+ */
+
+// Estimated hours consistent with the business rules in aiResponseValidator
+const HOURS_BY_COMPLEXITY = {
+  simple: 12,
+  medium: 24,
+  complex: 60
+};
+
+/**
+ * Build the mock specification for a feature description
+ * @param {Object} options - Values read from the user prompt
+ * @param {string} options.description - Feature description
+ * @param {string} options.complexity - simple | medium | complex
+ * @returns {Object} - Valid specification
+ */
+function buildMockSpecification({ description = 'Feature di esempio', complexity = 'medium' } = {}) {
+  const level = HOURS_BY_COMPLEXITY[complexity] ? complexity : 'medium';
+  const name = description.length > 60 ? `${description.slice(0, 57)}...` : description;
+
+  return {
+    metadata: {
+      name,
+      description: `Specifica tecnica per: ${description}`,
+      complexity: level,
+      estimatedHours: HOURS_BY_COMPLEXITY[level],
+      tags: ['mock', 'api', 'web'],
+      version: '1.0.0'
+    },
+    requirements: {
+      functional: [
+        {
+          id: 'FR001',
+          title: 'Gestione delle risorse',
+          description: `Creare, leggere, aggiornare ed eliminare le risorse necessarie per: ${description}`,
+          priority: 'high',
+          category: 'core',
+          dependencies: []
+        },
+        {
+          id: 'FR002',
+          title: 'Elenco paginato',
+          description: 'Consultare le risorse con paginazione e filtri',
+          priority: 'medium',
+          category: 'core',
+          dependencies: ['FR001']
+        }
+      ],
+      nonFunctional: [
+        {
+          id: 'NFR001',
+          category: 'performance',
+          requirement: 'Tempo di risposta delle API contenuto',
+          metric: '< 300ms per il 95% delle richieste',
+          priority: 'high'
+        }
+      ]
+    },
+    architecture: {
+      apiEndpoints: [
+        {
+          id: 'EP001',
+          method: 'POST',
+          path: '/api/resources',
+          description: 'Crea una nuova risorsa',
+          category: 'resources',
+          authentication: true,
+          rateLimit: '100 requests/hour',
+          requestBody: { name: 'string' },
+          responseBody: { id: 'string', name: 'string' },
+          statusCodes: [
+            { code: 201, description: 'Risorsa creata' },
+            { code: 400, description: 'Dati non validi' }
+          ],
+          relatedRequirements: ['FR001']
+        },
+        {
+          id: 'EP002',
+          method: 'GET',
+          path: '/api/resources',
+          description: 'Elenca le risorse con paginazione',
+          category: 'resources',
+          authentication: true,
+          rateLimit: '1000 requests/hour',
+          requestBody: null,
+          responseBody: { items: 'Resource[]', total: 'number' },
+          statusCodes: [
+            { code: 200, description: 'Elenco restituito' }
+          ],
+          relatedRequirements: ['FR002']
+        }
+      ],
+      dataModels: [
+        {
+          id: 'DM001',
+          name: 'Resource',
+          description: 'Risorsa gestita dalla feature',
+          category: 'entity',
+          fields: [
+            { name: 'id', type: 'UUID', required: true, description: 'Identificativo univoco' },
+            { name: 'name', type: 'string', required: true, description: 'Nome della risorsa' },
+            { name: 'createdAt', type: 'datetime', required: true, description: 'Data di creazione' }
+          ],
+          relationships: [],
+          indexes: ['id', 'name'],
+          constraints: ['UNIQUE(id)']
+        }
+      ],
+      services: [
+        {
+          id: 'SV001',
+          name: 'ResourceService',
+          description: 'Logica applicativa delle risorse',
+          type: 'internal',
+          methods: [
+            {
+              name: 'create',
+              description: 'Valida e salva una nuova risorsa',
+              parameters: ['data: ResourceInput'],
+              returns: 'Promise<Resource>'
+            },
+            {
+              name: 'list',
+              description: 'Restituisce una pagina di risorse',
+              parameters: ['page: number', 'limit: number'],
+              returns: 'Promise<Resource[]>'
+            }
+          ]
+        }
+      ]
+    },
+    implementation: {
+      dependencies: {
+        runtime: [
+          { name: 'express', type: 'library', version: '^4.18.0', purpose: 'Web framework', critical: true }
+        ],
+        development: [
+          { name: 'jest', type: 'library', version: '^29.7.0', purpose: 'Test runner', critical: false }
+        ]
+      },
+      configuration: [
+        {
+          key: 'DATABASE_URL',
+          description: 'Connessione al database',
+          type: 'string',
+          required: true,
+          environment: 'all'
+        }
+      ],
+      security: {
+        authentication: 'JWT tokens',
+        authorization: 'Controllo accessi basato sui ruoli',
+        dataProtection: ['Validazione degli input', 'Query parametrizzate'],
+        vulnerabilities: [],
+        edgeCaseHandling: {
+          inputValidation: 'Validare tutti gli input con schema',
+          errorRecovery: 'Errori gestiti con risposte coerenti',
+          dataConsistency: 'Operazioni in transazione',
+          concurrencyControl: 'Optimistic locking'
+        }
+      }
+    },
+    testing: {
+      strategy: {
+        unitTests: 'Test dei servizi e delle validazioni',
+        integrationTests: 'Test degli endpoint API',
+        e2eTests: 'Test dei flussi completi',
+        coverage: 80
+      },
+      testCases: [
+        {
+          id: 'TC001',
+          type: 'integration',
+          category: 'happy_path',
+          description: 'Creazione di una risorsa valida',
+          priority: 'high',
+          steps: ['Inviare POST /api/resources con dati validi', 'Verificare la risposta'],
+          expectedResult: 'Risposta 201 con la risorsa creata',
+          relatedRequirements: ['FR001'],
+          edgeCase: null
+        },
+        {
+          id: 'TC002',
+          type: 'performance',
+          category: 'boundary_test',
+          description: 'Tempo di risposta sotto carico',
+          priority: 'high',
+          steps: ['Eseguire 100 richieste concorrenti a GET /api/resources'],
+          expectedResult: '95% delle risposte sotto 300ms',
+          relatedRequirements: ['FR002', 'NFR001'],
+          edgeCase: null
+        }
+      ],
+      acceptanceCriteria: [
+        {
+          id: 'AC001',
+          scenario: 'Creazione di una risorsa',
+          given: 'Un utente autenticato',
+          when: 'Invia dati validi',
+          then: 'La risorsa viene salvata e restituita',
+          priority: 'high',
+          relatedRequirements: ['FR001']
+        }
+      ]
+    },
+    deployment: {
+      environment: {
+        development: 'Ambiente locale con database di sviluppo',
+        staging: 'Ambiente di staging con dati anonimizzati',
+        production: 'Ambiente di produzione con backup giornalieri'
+      },
+      infrastructure: [
+        {
+          component: 'Database',
+          description: 'Database relazionale',
+          requirements: 'PostgreSQL 14+',
+          scaling: 'Read replicas'
+        }
+      ],
+      monitoring: [
+        {
+          metric: 'Tempo di risposta',
+          description: 'Latenza delle API',
+          threshold: '> 500ms',
+          action: 'Notificare il team'
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Apply a refinement instruction the way the mock provider does:
+ * add one functional requirement named after the instruction
+ * @param {Object} specification - Current specification
+ * @param {string} instruction - Requested change
+ * @returns {Object} - Updated specification (the input is not mutated)
+ */
+function applyMockRefinement(specification, instruction = 'Modifica richiesta') {
+  const updated = JSON.parse(JSON.stringify(specification));
+  const functional = updated.requirements?.functional || [];
+  const next = functional.reduce((max, requirement) => Math.max(max, parseInt(requirement.id?.slice(2), 10) || 0), 0) + 1;
+
+  if (updated.requirements) {
+    updated.requirements.functional = functional.concat({
+      id: `FR${String(next).padStart(3, '0')}`,
+      title: instruction.length > 80 ? `${instruction.slice(0, 77)}...` : instruction,
+      description: `Modifica richiesta: ${instruction}`,
+      priority: 'medium',
+      category: 'refinement',
+      dependencies: []
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  buildMockSpecification,
+  applyMockRefinement
+};
@@ -0,0 +1,78 @@
+/**
+ * AI model prices used to cost the usage ledger
+ * USD per million tokens, `{ prompt, completion }`. AI_PRICES overrides or
+ * extends the table (see config.usage); models missing from it are recorded
+ * without a cost
+ */
+const modelPrices = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'llama-3.1-8b-instruct': { prompt: 0.02, completion: 0.05 },
+  'llama-3.1-70b-instruct': { prompt: 0.12, completion: 0.3 }
+};
+
+// Models served locally or by the mock provider cost nothing
+const FREE_PROVIDERS = ['ollama', 'llamacpp', 'mock'];
+const FREE_PRICE = { prompt: 0, completion: 0 };
+
+/**
+ * Table entry of a model: exact name, name without vendor prefix, longest prefix
+ */
+const findPrice = (model, prices) => {
+  const bareModel = model.slice(model.lastIndexOf('/') + 1).toLowerCase();
+  if (prices[model] || prices[bareModel]) return prices[model] || prices[bareModel];
+
+  const prefix = Object.keys(prices)
+    .filter(name => bareModel.startsWith(name.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Price of a model
+ * Matches the exact name first, then the name without its vendor prefix
+ * ("openai/gpt-4o"), then the longest table entry the name starts with
+ * ("gpt-4o-2024-08-06" is priced as "gpt-4o"). OpenRouter ":free" variants
+ * are free, and so are unlisted models of local providers
+ * @param {string} model - Model reported by the provider
+ * @param {string} provider - Provider name
+ * @param {Object} prices - Price table (defaults to modelPrices)
+ * @returns {Object|null} - `{ prompt, completion }` per million tokens, null when unknown
+ */
+const getModelPrice = (model, provider, prices = modelPrices) => {
+  if (model?.endsWith(':free')) return FREE_PRICE;
+
+  const price = model ? findPrice(model, prices) : null;
+  return price || (FREE_PROVIDERS.includes(provider) ? FREE_PRICE : null);
+};
+
+/**
+ * Cost of a generation in USD
+ * @param {Object} usage - `{ promptTokens, completionTokens }`
+ * @param {Object|null} price - Price from getModelPrice
+ * @returns {number|null} - Cost rounded to a millionth of a dollar, null without a price
+ */
+const calculateCost = (usage, price) => {
+  if (!price) return null;
+
+  const cost = ((usage?.promptTokens || 0) * price.prompt + (usage?.completionTokens || 0) * price.completion) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = {
+  modelPrices,
+  getModelPrice,
+  calculateCost
+};
@@ -0,0 +1,438 @@
+/**
+ * Data models read for the schema exporters (SQL, Prisma, Sequelize, Mongoose)
+ * Shared rules keep the exporters consistent: tables and models are named
+ * after the data models, a relationship's foreign key lives on the side that
+ * declares the field (the many side for oneToMany) and a manyToMany pair is
+ * stored in the join table `<A>_<B>` (names in alphabetical order)
+ */
+
+const { featureProcessor } = require('../services/featureProcessor');
+
+// Type names (lowercased, without size) -> canonical kind
+const TYPE_KINDS = {
+  string: 'string',
+  varchar: 'string',
+  char: 'string',
+  text: 'text',
+  uuid: 'uuid',
+  email: 'email',
+  url: 'url',
+  uri: 'url',
+  integer: 'integer',
+  int: 'integer',
+  bigint: 'bigint',
+  number: 'float',
+  float: 'float',
+  double: 'float',
+  decimal: 'decimal',
+  numeric: 'decimal',
+  boolean: 'boolean',
+  bool: 'boolean',
+  date: 'date',
+  time: 'time',
+  datetime: 'datetime',
+  'date-time': 'datetime',
+  timestamp: 'datetime',
+  json: 'json',
+  object: 'json'
+};
+
+const NULLABLE_SUFFIX = /(\?|\|\s*null)$/i;
+
+/**
+ * Parse a field type
+ * @param {string} type - Field type (`string`, `varchar(100)`, `UUID[]`, `number?`)
+ * @returns {Object} - `{ kind, list, size }` where `kind` is a canonical type
+ *   (see TYPE_KINDS) or null when unmapped, and `size` the numbers in parentheses
+ */
+function parseFieldType(type) {
+  let name = String(type || '').trim().replace(NULLABLE_SUFFIX, '').trim();
+
+  const array = /^Array<(.+)>$/i.exec(name) || /^(.+)\[\]$/.exec(name);
+  if (array) {
+    name = array[1].trim();
+  }
+
+  const sized = /^(\w+)\s*\(\s*(\d+(?:\s*,\s*\d+)*)\s*\)$/.exec(name);
+  const base = (sized ? sized[1] : name).toLowerCase();
+
+  return {
+    kind: TYPE_KINDS[base] || null,
+    list: Boolean(array),
+    size: sized ? sized[2].split(',').map(Number) : null
+  };
+}
+
+/**
+ * Parse a data model constraint
+ * @param {string} constraint - `PRIMARY KEY(a, b)`, `UNIQUE(a)`, `CHECK (expr)` or free text
+ * @returns {Object} - `{ type, columns, expression, text }` with `type` primaryKey,
+ *   unique, check or null for free text
+ */
+function parseConstraint(constraint) {
+  const text = String(constraint).trim();
+  const keys = /^(PRIMARY\s+KEY|UNIQUE)\s*\(([^)]+)\)$/i.exec(text);
+  const check = /^CHECK\s*\((.+)\)$/i.exec(text);
+
+  if (keys) {
+    return { type: /^PRIMARY/i.test(keys[1]) ? 'primaryKey' : 'unique', columns: splitColumns(keys[2]), text };
+  }
+  if (check) {
+    return { type: 'check', expression: check[1].trim(), text };
+  }
+  return { type: null, text };
+}
+
+/**
+ * Parse a data model index
+ * @param {string|Object} entry - Column list (`name`, `name, createdAt`, `email unique`)
+ *   or `{ fields|columns, unique }`
+ * @returns {Object} - `{ columns, unique, text }`
+ */
+function parseIndex(entry) {
+  const list = typeof entry === 'string' ? entry : (entry?.fields || entry?.columns || []).join(',');
+
+  return {
+    columns: splitColumns(list.replace(/\(?\bunique\b\)?/ig, '')),
+    unique: /\bunique\b/i.test(list) || Boolean(entry?.unique),
+    text: typeof entry === 'string' ? entry : JSON.stringify(entry)
+  };
+}
+
+/**
+ * Owner of the foreign key of a oneToOne or oneToMany relationship
+ * A `Table.column` foreign key names the owner; otherwise oneToMany keys live
+ * on the target and oneToOne keys on the side declaring the field (the source
+ * when neither does). Missing keys default to `<model>Id`
+ * @param {Object} source - Model declaring the relationship (with its `fields`)
+ * @param {Object} target - Related model (with its `fields`)
+ * @param {Object} relationship - `{ type, foreignKey }`
+ * @returns {Object} - `{ owner, referenced, foreignKey }`
+ */
+function relationSides(source, target, relationship) {
+  const [ownerName, column] = String(relationship.foreignKey || '').includes('.')
+    ? String(relationship.foreignKey).split('.')
+    : [null, relationship.foreignKey || null];
+  const hasField = (model, name) => model.fields.some(field => field.name === name);
+
+  if (ownerName === target.name && ownerName !== source.name) {
+    return { owner: target, referenced: source, foreignKey: column };
+  }
+  if (ownerName === source.name) {
+    return { owner: source, referenced: target, foreignKey: column };
+  }
+  if (relationship.type === 'oneToMany') {
+    return { owner: target, referenced: source, foreignKey: column || `${lowerFirst(source.name)}Id` };
+  }
+  if (column && !hasField(source, column) && hasField(target, column)) {
+    return { owner: target, referenced: source, foreignKey: column };
+  }
+  return { owner: source, referenced: target, foreignKey: column || `${lowerFirst(target.name)}Id` };
+}
+
+/**
+ * Join table of a manyToMany pair, with the column referencing each side
+ * @param {string} first - Model name
+ * @param {string} second - Model name
+ * @returns {Object} - `{ name, columns }` where `columns` maps the model names
+ *   in the given order to their column (`relatedXId` for the second side of a self relation)
+ */
+function joinTable(first, second) {
+  const firstColumn = `${lowerFirst(first)}Id`;
+  const secondColumn = first === second ? `related${second}Id` : `${lowerFirst(second)}Id`;
+
+  return {
+    name: [first, second].sort().join('_'),
+    columns: [firstColumn, secondColumn]
+  };
+}
+
+/**
+ * Read the data models with their associations
+ * Each model sees its relationships through the relationshipsMap of
+ * FeatureProcessor: outgoing ones as declared, incoming ones from the other
+ * side. Associations are `belongsTo` (the model holds the foreign key),
+ * `hasOne`/`hasMany` (the other model does) or `belongsToMany` (join table)
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {Object} - `{ models, warnings }` where every model is
+ *   `{ name, description, fields, primaryKey, uniques, indexes, checks, notes, associations }`,
+ *   fields carry `kind`, `list`, `size` and `unique`, and missing foreign key fields are added
+ */
+function readDataModels(specification) {
+  const dataModels = specification.architecture?.dataModels || [];
+  const relationshipsMap = featureProcessor.buildRelationshipsMap(dataModels);
+  const warnings = [];
+
+  const models = dataModels.map(model => {
+    const fields = (model.fields || []).map(field => ({
+      ...field,
+      ...parseFieldType(field.type),
+      required: Boolean(field.required),
+      unique: false
+    }));
+    const read = {
+      name: model.name,
+      description: model.description,
+      fields,
+      primaryKey: fields.some(field => field.name === 'id') ? ['id'] : [],
+      uniques: [],
+      indexes: [],
+      checks: [],
+      notes: [],
+      associations: []
+    };
+    const known = columns => columns.length > 0 && columns.every(column => findField(read, column));
+
+    (model.constraints || []).map(parseConstraint).forEach(constraint => {
+      if (constraint.type === 'primaryKey' && known(constraint.columns)) {
+        read.primaryKey = constraint.columns;
+      } else if (constraint.type === 'unique' && known(constraint.columns)) {
+        read.uniques.push(constraint.columns);
+      } else if (constraint.type === 'check') {
+        read.checks.push(constraint.expression);
+      } else {
+        read.notes.push(`constraint not translated: ${constraint.text}`);
+      }
+    });
+
+    (model.indexes || []).map(parseIndex).forEach(index => {
+      if (!known(index.columns)) {
+        read.notes.push(`index not translated: ${index.text}`);
+      } else if (index.columns.join() !== read.primaryKey.join()) {
+        read.indexes.push({ columns: index.columns, unique: index.unique });
+      }
+    });
+
+    read.uniques = read.uniques.filter(columns => columns.join() !== read.primaryKey.join());
+    return read;
+  });
+
+  const byName = new Map(models.map(model => [model.name, model]));
+
+  models.forEach(model => {
+    const { outgoing, incoming } = relationshipsMap[model.name] || { outgoing: [], incoming: [] };
+
+    outgoing.forEach(relationship => {
+      const target = byName.get(relationship.target);
+      if (!target) {
+        warnings.push(`relationship ${model.name} -> ${relationship.target} skipped: unknown model`);
+        return;
+      }
+      addAssociation(model, target, relationship, 'source', warnings);
+    });
+
+    incoming.forEach(relationship => {
+      addAssociation(model, byName.get(relationship.from), relationship, 'target', warnings);
+    });
+  });
+
+  models.forEach(model => {
+    // Lists of unknown types can still be stored as JSON
+    model.fields.filter(field => field.kind === null && !field.list).forEach(field => {
+      warnings.push(`unmapped type "${field.type}" for ${model.name}.${field.name}`);
+    });
+  });
+
+  return { models, warnings: [...new Set(warnings)] };
+}
+
+/**
+ * Add the association of one side of a relationship to `model`
+ * @param {Object} model - Model receiving the association
+ * @param {Object} other - The other model
+ * @param {Object} relationship - Outgoing relationship, or incoming entry `{ from, type, foreignKey }`
+ * @param {string} side - `source` when `model` declares the relationship, `target` otherwise
+ * @param {Array} warnings - Skipped relationships are reported here
+ */
+function addAssociation(model, other, relationship, side, warnings) {
+  const [source, target] = side === 'source' ? [model, other] : [other, model];
+  const missingKey = [model, other].find(entry => entry.primaryKey.length !== 1);
+
+  if (relationship.type === 'manyToMany') {
+    const join = joinTable(source.name, target.name);
+
+    if (missingKey) {
+      warnings.push(`join table ${join.name} skipped: ${missingKey.name} has no single-column primary key`);
+      return;
+    }
+
+    const [foreignKey, otherKey] = side === 'source' ? join.columns : [...join.columns].reverse();
+    pushAssociation(model, {
+      kind: 'belongsToMany',
+      type: relationship.type,
+      target: other.name,
+      through: join.name,
+      foreignKey,
+      otherKey,
+      // Side storing the references where there is no join table (document stores)
+      holdsReferences: source === target ? side === 'source' : join.name.startsWith(`${model.name}_`),
+      description: relationship.description
+    });
+    return;
+  }
+
+  if (!['oneToOne', 'oneToMany'].includes(relationship.type)) {
+    return;
+  }
+
+  const { owner, referenced, foreignKey } = relationSides(source, target, relationship);
+
+  if (referenced.primaryKey.length !== 1) {
+    warnings.push(`foreign key ${owner.name}.${foreignKey} skipped: ${referenced.name} has no single-column primary key`);
+    return;
+  }
+
+  // A self relation is seen from both sides: the target side holds the key
+  const holdsKey = source === target ? side === 'target' : owner === model;
+  const relation = `${owner.name}_${foreignKey}`;
+
+  if (!holdsKey) {
+    pushAssociation(model, {
+      kind: relationship.type === 'oneToMany' ? 'hasMany' : 'hasOne',
+      type: relationship.type,
+      target: owner.name,
+      foreignKey,
+      relation,
+      description: relationship.description
+    });
+    return;
+  }
+
+  let field = findField(model, foreignKey);
+  if (!field) {
+    const primaryKey = findField(referenced, referenced.primaryKey[0]);
+    field = {
+      name: foreignKey,
+      type: primaryKey.type,
+      kind: primaryKey.kind,
+      list: false,
+      size: primaryKey.size,
+      required: false,
+      unique: false,
+      description: `Foreign key to ${referenced.name}`,
+      added: true
+    };
+    model.fields.push(field);
+  }
+  if (relationship.type === 'oneToOne') {
+    field.unique = true;
+  }
+
+  pushAssociation(model, {
+    kind: 'belongsTo',
+    type: relationship.type,
+    target: referenced.name,
+    foreignKey,
+    references: referenced.primaryKey[0],
+    required: field.required,
+    relation,
+    description: relationship.description
+  });
+}
+
+/**
+ * Add an association once, with an `as` name unique among the model's
+ * fields and associations
+ */
+function pushAssociation(model, association) {
+  const key = association.through
+    ? `${association.through}:${association.foreignKey}`
+    : `${association.kind}:${association.relation}`;
+  if (model.associations.some(existing => existing.key === key)) {
+    return;
+  }
+
+  const base = association.kind === 'belongsTo' && /.(Id|_id)$/.test(association.foreignKey)
+    ? association.foreignKey.replace(/(Id|_id)$/, '')
+    : lowerFirst(association.target);
+  const preferred = ['hasMany', 'belongsToMany'].includes(association.kind) ? pluralize(base) : base;
+
+  const taken = new Set([...model.fields.map(field => field.name), ...model.associations.map(existing => existing.as)]);
+  let as = preferred;
+  if (taken.has(as)) {
+    as = `${preferred}By${upperFirst(association.foreignKey)}`;
+  }
+  for (let suffix = 2; taken.has(as); suffix++) {
+    as = `${preferred}${suffix}`;
+  }
+
+  model.associations.push({ ...association, key, as });
+}
+
+function findField(model, name) {
+  return model.fields.find(field => field.name === name);
+}
+
+function splitColumns(list) {
+  return list.split(/[,+]/).map(column => column.trim()).filter(Boolean);
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function upperFirst(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// English plural of the last word (`order` -> `orders`, `category` -> `categories`)
+function pluralize(name) {
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+/**
+ * @param {string} name - Model or field name
+ * @returns {string} - Valid identifier for generated code
+ */
+function identifier(name) {
+  const cleaned = String(name).replace(/[^A-Za-z0-9_]/g, '');
+  return /^[0-9]/.test(cleaned) ? `_${cleaned}` : cleaned || '_';
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} - Single-quoted string literal for generated JavaScript
+ */
+function jsString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+
+  return `'${escaped}'`;
+}
+
+/**
+ * @param {string} text - Name, description or warning
+ * @returns {string} - Text for a generated comment, on a single line so that a
+ *   line break cannot end a `--` or `//` comment, and with the end delimiter of
+ *   block comments escaped as `*\/`
+ */
+function commentText(text) {
+  return String(text).replace(/\s+/g, ' ').trim().replace(/\*\//g, '*\\/');
+}
+
+/**
+ * @param {string} name - Property name
+ * @returns {string} - Object key for generated code, quoted when not an identifier
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsString(name);
+}
+
+module.exports = {
+  readDataModels,
+  parseFieldType,
+  parseConstraint,
+  parseIndex,
+  relationSides,
+  joinTable,
+  identifier,
+  jsString,
+  propertyName,
+  commentText,
+  lowerFirst
+};
@@ -0,0 +1,121 @@
+/**
+ * Cucumber feature files from the acceptance criteria
+ * Every criterion becomes a scenario in the feature of its first related
+ * requirement (criteria without one share `features/general.feature`),
+ * tagged with all its related requirements and its priority
+ */
+
+const GENERAL_FEATURE = 'general';
+
+// Keywords already written at the start of a step
+const STEP_KEYWORD = /^(given|when|then|and|but)\s+/i;
+
+/**
+ * Build the feature files of a specification
+ * @param {Object} specification - Specification with a `testing` section
+ * @returns {Array} - `{ name, content }` files, `features/<requirement>-<title>.feature`,
+ *   in the order of the requirements
+ */
+function buildFeatureFiles(specification) {
+  const requirements = [
+    ...(specification.requirements?.functional || []).map(requirement => ({
+      id: requirement.id,
+      title: requirement.title,
+      description: requirement.description
+    })),
+    ...(specification.requirements?.nonFunctional || []).map(requirement => ({
+      id: requirement.id,
+      title: requirement.requirement,
+      description: requirement.metric ? `Metric: ${requirement.metric}` : null
+    }))
+  ];
+  const groups = new Map(requirements.map(requirement => [requirement.id, { requirement, criteria: [] }]));
+
+  (specification.testing?.acceptanceCriteria || []).forEach(criterion => {
+    const key = criterion.relatedRequirements?.[0] || GENERAL_FEATURE;
+    if (!groups.has(key)) {
+      groups.set(key, { requirement: key === GENERAL_FEATURE ? null : { id: key }, criteria: [] });
+    }
+    groups.get(key).criteria.push(criterion);
+  });
+
+  // Requirements without criteria have nothing to run
+  const features = [...groups.values()].filter(group => group.criteria.length > 0);
+  const general = features.findIndex(group => !group.requirement);
+  if (general !== -1) {
+    features.push(...features.splice(general, 1));
+  }
+
+  return features.map(({ requirement, criteria }) => ({
+    name: `features/${fileName(requirement)}.feature`,
+    content: renderFeature(requirement, criteria)
+  }));
+}
+
+function renderFeature(requirement, criteria) {
+  const title = requirement
+    ? `${requirement.id}${requirement.title ? ` - ${oneLine(requirement.title)}` : ''}`
+    : 'Acceptance criteria without a related requirement';
+  const lines = [`Feature: ${title}`];
+
+  if (requirement?.description) {
+    lines.push(`  ${oneLine(requirement.description)}`);
+  }
+
+  criteria.forEach(criterion => {
+    const tags = [...(criterion.relatedRequirements || []), criterion.priority]
+      .filter(Boolean)
+      .map(tag => `@${String(tag).replace(/\s+/g, '_')}`);
+    const name = [criterion.id, oneLine(criterion.scenario || '')].filter(Boolean).join(' - ');
+
+    lines.push('');
+    if (tags.length > 0) {
+      lines.push(`  ${tags.join(' ')}`);
+    }
+    lines.push(`  Scenario: ${name}`);
+    lines.push(...renderSteps('Given', criterion.given));
+    lines.push(...renderSteps('When', criterion.when));
+    lines.push(...renderSteps('Then', criterion.then));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {string} keyword - Given | When | Then
+ * @param {string} text - Step text; each line after the first becomes an `And` step
+ * @returns {Array} - Step lines
+ */
+function renderSteps(keyword, text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(STEP_KEYWORD, ''))
+    .filter(Boolean)
+    .map((line, index) => `    ${index === 0 ? keyword : 'And'} ${line}`);
+}
+
+function fileName(requirement) {
+  if (!requirement) {
+    return GENERAL_FEATURE;
+  }
+
+  const slug = String(requirement.title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60)
+    .replace(/-$/, '');
+
+  const id = String(requirement.id).replace(/[^A-Za-z0-9_-]/g, '') || 'requirement';
+  return slug ? `${id}-${slug}` : id;
+}
+
+function oneLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  buildFeatureFiles
+};
@@ -0,0 +1,148 @@
+const { toYaml } = require('../utils/yaml');
+const { createZip } = require('../utils/zip');
+const { buildOpenApiDocument } = require('./openApiExporter');
+const { buildSqlScripts, sqlDialects } = require('./sqlExporter');
+const { buildPrismaSchema, prismaFormats } = require('./prismaExporter');
+const { buildSequelizeModels } = require('./sequelizeExporter');
+const { buildMongooseSchemas } = require('./mongooseExporter');
+const { buildTypeDefinitions, buildZodSchemas } = require('./typeScriptExporter');
+const { buildFeatureFiles } = require('./gherkinExporter');
+
+/**
+ * Exporter registry: name -> `{ description, sections, formats }`
+ * `sections` are the top-level sections the specification must contain;
+ * each format renders the specification to text (or a Buffer for archives),
+ * the first one is the default. A format `filename` replaces the
+ * `<spec>-<exporter>.<extension>` download name when the tools expect a fixed one
+ */
+const exporters = {
+  openapi: {
+    description: 'OpenAPI 3.1 document of the API endpoints and data models',
+    sections: ['architecture'],
+    formats: {
+      yaml: {
+        contentType: 'application/yaml',
+        extension: 'yaml',
+        render: specification => toYaml(buildOpenApiDocument(specification))
+      },
+      json: {
+        contentType: 'application/json',
+        extension: 'json',
+        render: specification => JSON.stringify(buildOpenApiDocument(specification), null, 2)
+      }
+    }
+  },
+  sql: {
+    description: 'CREATE TABLE script of the data models',
+    sections: ['architecture'],
+    formats: Object.fromEntries(sqlDialects.map(dialect => [dialect, {
+      contentType: 'application/sql',
+      extension: 'sql',
+      render: specification => buildSqlScripts(specification, dialect).up
+    }]))
+  },
+  'sql-migration': {
+    description: 'Up/down migration pair of the data models, as a zip archive',
+    sections: ['architecture'],
+    formats: Object.fromEntries(sqlDialects.map(dialect => [dialect, {
+      contentType: 'application/zip',
+      extension: 'zip',
+      render: specification => {
+        const { up, down } = buildSqlScripts(specification, dialect);
+        const prefix = `${migrationTimestamp(new Date())}_create_schema`;
+
+        return createZip([
+          { name: `${prefix}.up.sql`, content: up },
+          { name: `${prefix}.down.sql`, content: down }
+        ]);
+      }
+    }]))
+  },
+  prisma: {
+    description: 'schema.prisma of the data models',
+    sections: ['architecture'],
+    formats: Object.fromEntries(prismaFormats.map(format => [format, {
+      contentType: 'text/plain',
+      extension: 'prisma',
+      filename: 'schema.prisma',
+      render: specification => buildPrismaSchema(specification, format)
+    }]))
+  },
+  sequelize: {
+    description: 'Sequelize model definitions of the data models',
+    sections: ['architecture'],
+    formats: {
+      js: {
+        contentType: 'application/javascript',
+        extension: 'js',
+        render: buildSequelizeModels
+      }
+    }
+  },
+  mongoose: {
+    description: 'Mongoose schemas of the data models',
+    sections: ['architecture'],
+    formats: {
+      js: {
+        contentType: 'application/javascript',
+        extension: 'js',
+        render: buildMongooseSchemas
+      }
+    }
+  },
+  typescript: {
+    description: 'TypeScript declarations and Zod schemas of the data models and endpoint bodies',
+    sections: ['architecture'],
+    formats: {
+      zip: {
+        contentType: 'application/zip',
+        extension: 'zip',
+        render: specification => createZip([
+          { name: 'types.d.ts', content: buildTypeDefinitions(specification) },
+          { name: 'schemas.ts', content: buildZodSchemas(specification) }
+        ])
+      },
+      dts: {
+        contentType: 'application/typescript',
+        extension: 'ts',
+        filename: 'types.d.ts',
+        render: buildTypeDefinitions
+      },
+      zod: {
+        contentType: 'application/typescript',
+        extension: 'ts',
+        filename: 'schemas.ts',
+        render: buildZodSchemas
+      }
+    }
+  },
+  gherkin: {
+    description: 'Cucumber feature files of the acceptance criteria, one per requirement, as a zip archive',
+    sections: ['testing'],
+    formats: {
+      zip: {
+        contentType: 'application/zip',
+        extension: 'zip',
+        render: specification => createZip(buildFeatureFiles(specification))
+      }
+    }
+  }
+};
+
+// Sortable migration prefix (YYYYMMDDHHMMSS, UTC)
+function migrationTimestamp(date) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * @param {string} name - Exporter name
+ * @returns {Object|null} - Exporter, null when unknown
+ */
+function getExporter(name) {
+  return Object.prototype.hasOwnProperty.call(exporters, name) ? exporters[name] : null;
+}
+
+module.exports = {
+  getExporter,
+  exporterNames: Object.keys(exporters)
+};
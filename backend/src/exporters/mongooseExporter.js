@@ -0,0 +1,192 @@
+/**
+ * Mongoose schemas from the data models
+ * A single-column `id` primary key becomes the document `_id`, so foreign
+ * keys to such models are ObjectId references. The side holding a foreign
+ * key stores it, the other side gets a populate virtual; a manyToMany pair is
+ * stored as an array of references on the side that owns the join table in
+ * the SQL exporters (see dataModels.js)
+ */
+
+const { readDataModels, identifier, jsString, propertyName, commentText } = require('./dataModels');
+
+// Field kind -> SchemaType
+const MONGOOSE_TYPES = {
+  string: 'String',
+  text: 'String',
+  uuid: 'String',
+  email: 'String',
+  url: 'String',
+  integer: 'Number',
+  bigint: 'Number',
+  float: 'Number',
+  decimal: 'Schema.Types.Decimal128',
+  boolean: 'Boolean',
+  date: 'Date',
+  time: 'String',
+  datetime: 'Date',
+  json: 'Schema.Types.Mixed'
+};
+
+const OBJECT_ID = 'Schema.Types.ObjectId';
+
+/**
+ * Build the Mongoose schemas module of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {string} - JavaScript module source
+ */
+function buildMongooseSchemas(specification) {
+  const { models, warnings } = readDataModels(specification);
+  const byName = new Map(models.map(model => [model.name, model]));
+  const name = commentText(specification.metadata?.name || 'specification');
+
+  const header = [
+    '/**',
+    ` * Mongoose schemas for ${name}`,
+    ' * Generated from the dataModels section of the specification',
+    ...warnings.map(warning => ` * WARNING: ${commentText(warning)}`),
+    ' */'
+  ].join('\n');
+
+  const exported = models.map(model => (
+    `  ${identifier(model.name)}: mongoose.model(${jsString(model.name)}, ${identifier(model.name)}Schema)`
+  ));
+
+  return [
+    header,
+    'const mongoose = require(\'mongoose\');\n\nconst { Schema } = mongoose;',
+    ...models.map(model => renderSchema(model, byName)),
+    `module.exports = {\n${exported.join(',\n')}\n};`
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * @returns {string|null} - Field matched by the document key of a model:
+ *   `_id` for a single `id` primary key, the key itself otherwise
+ */
+function documentKey(model) {
+  if (model.primaryKey.length !== 1) return null;
+  return model.primaryKey[0] === 'id' ? '_id' : model.primaryKey[0];
+}
+
+function renderSchema(model, byName) {
+  const schema = `${identifier(model.name)}Schema`;
+  const key = documentKey(model);
+  const references = new Map();
+  const virtuals = [];
+
+  model.associations.forEach(association => {
+    const target = byName.get(association.target);
+    const targetKey = documentKey(target);
+
+    if (association.kind === 'belongsTo') {
+      if (targetKey === '_id') {
+        references.set(association.foreignKey, { ref: target.name });
+      } else {
+        virtuals.push([association.as, { ref: target.name, localField: association.foreignKey, foreignField: association.references, justOne: true }]);
+      }
+    } else if (association.kind === 'hasOne' || association.kind === 'hasMany') {
+      virtuals.push([association.as, {
+        ref: target.name,
+        localField: key,
+        foreignField: association.foreignKey,
+        justOne: association.kind === 'hasOne'
+      }]);
+    } else if (association.holdsReferences) {
+      references.set(association.as, { ref: targetKey === '_id' ? target.name : null, list: true, target });
+    } else {
+      const holder = target.associations.find(other => (
+        other.through === association.through && other.holdsReferences
+      ));
+      virtuals.push([association.as, { ref: target.name, localField: key, foreignField: holder.as }]);
+    }
+  });
+
+  const paths = model.fields
+    .filter(field => !(key === '_id' && field.name === 'id'))
+    .map(field => renderPath(model, field, references.get(field.name)));
+
+  references.forEach((reference, pathName) => {
+    if (reference.list) {
+      const keyField = reference.target.fields.find(field => field.name === reference.target.primaryKey[0]);
+      const item = reference.ref
+        ? `{ type: ${OBJECT_ID}, ref: ${jsString(reference.ref)} }`
+        : `{ type: ${MONGOOSE_TYPES[keyField.kind] || 'Schema.Types.Mixed'} }`;
+      paths.push({ code: `${pathName}: [${item}]` });
+    }
+  });
+
+  const column = name => (key === '_id' && name === 'id' ? '_id' : name);
+  const indexes = [
+    ...model.uniques.filter(columns => columns.length > 1).map(columns => ({ columns, unique: true })),
+    ...model.indexes.filter(index => !(index.unique && index.columns.length === 1)),
+    ...(model.primaryKey.length > 1 ? [{ columns: model.primaryKey, unique: true }] : [])
+  ].map(index => {
+    const spec = index.columns.map(name => `${propertyName(column(name))}: 1`).join(', ');
+    return `${schema}.index({ ${spec} }${index.unique ? ', { unique: true }' : ''});`;
+  });
+
+  const options = virtuals.length > 0 ? ', {\n  toJSON: { virtuals: true },\n  toObject: { virtuals: true }\n}' : '';
+  const virtualLines = virtuals.map(([virtualName, settings]) => {
+    const entries = Object.entries(settings)
+      .filter(([, value]) => value !== undefined && value !== false)
+      .map(([option, value]) => `${option}: ${typeof value === 'string' ? jsString(value) : value}`);
+    return `${schema}.virtual(${jsString(virtualName)}, { ${entries.join(', ')} });`;
+  });
+
+  return [
+    model.description ? `// ${commentText(model.description)}` : null,
+    ...model.notes.map(note => `// NOTE: ${commentText(note)}`),
+    ...model.checks.map(check => `// NOTE: check not translated: ${commentText(check)}`),
+    `const ${schema} = new Schema({`,
+    paths.map((path, index) => {
+      const separator = index < paths.length - 1 ? ',' : '';
+      return `  ${path.code}${separator}${path.comment ? ` // ${path.comment}` : ''}`;
+    }).join('\n'),
+    `}${options});`,
+    [...indexes, ...virtualLines].length > 0 ? `\n${[...indexes, ...virtualLines].join('\n')}` : null
+  ].filter(line => line !== null && line !== '').join('\n');
+}
+
+function renderPath(model, field, reference) {
+  const primaryKey = model.primaryKey.includes(field.name);
+  const singleKey = primaryKey && model.primaryKey.length === 1;
+  const unique = singleKey || field.unique
+    || model.uniques.some(columns => columns.length === 1 && columns[0] === field.name)
+    || model.indexes.some(index => index.unique && index.columns.length === 1 && index.columns[0] === field.name);
+
+  const scalar = reference ? OBJECT_ID : MONGOOSE_TYPES[field.kind] || 'Schema.Types.Mixed';
+  const options = [`type: ${field.list ? `[${scalar}]` : scalar}`];
+  if (reference) options.push(`ref: ${jsString(reference.ref)}`);
+  if (field.required || primaryKey) options.push('required: true');
+  if (unique) {
+    options.push('unique: true');
+    // Documents without the field must not collide on the unique index
+    if (!field.required && !primaryKey) options.push('sparse: true');
+  }
+  if (field.size && field.kind === 'string') options.push(`maxlength: ${field.size[0]}`);
+  if (field.kind === 'email' && !field.list) options.push('match: /^\\S+@\\S+\\.\\S+$/');
+
+  const defaultValue = renderDefault(field);
+  if (defaultValue) options.push(`default: ${defaultValue}`);
+
+  return {
+    code: `${identifier(field.name)}: { ${options.join(', ')} }`,
+    comment: field.kind === null && !field.list ? `unmapped type: ${commentText(field.type)}` : null
+  };
+}
+
+function renderDefault(field) {
+  const value = field.defaultValue;
+
+  if (value === undefined || value === null) return null;
+  if (['date', 'datetime'].includes(field.kind) && /^(now|current_timestamp)(\(\))?$/i.test(String(value).trim())) {
+    return 'Date.now';
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  if (typeof value === 'string') return jsString(value);
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  buildMongooseSchemas
+};
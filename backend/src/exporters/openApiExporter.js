@@ -0,0 +1,294 @@
+/**
+ * OpenAPI 3.1 document from the architecture section
+ * Endpoints become operations grouped by path, data models become
+ * components/schemas, and the type strings of request and response bodies
+ * (`string`, `Resource[]`, `number?`) are mapped to JSON Schema
+ */
+
+const OPENAPI_VERSION = '3.1.0';
+const SECURITY_SCHEME = 'bearerAuth';
+
+// Type strings (lowercased, without size such as `varchar(255)`) -> JSON Schema
+const PRIMITIVE_TYPES = {
+  string: { type: 'string' },
+  text: { type: 'string' },
+  varchar: { type: 'string' },
+  char: { type: 'string' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  integer: { type: 'integer' },
+  int: { type: 'integer' },
+  bigint: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  uuid: { type: 'string', format: 'uuid' },
+  date: { type: 'string', format: 'date' },
+  datetime: { type: 'string', format: 'date-time' },
+  'date-time': { type: 'string', format: 'date-time' },
+  timestamp: { type: 'string', format: 'date-time' },
+  email: { type: 'string', format: 'email' },
+  url: { type: 'string', format: 'uri' },
+  uri: { type: 'string', format: 'uri' },
+  object: { type: 'object' },
+  json: { type: 'object' },
+  any: {}
+};
+
+// Methods whose body fields are sent as query parameters
+const QUERY_METHODS = new Set(['GET', 'DELETE']);
+
+/**
+ * Build the OpenAPI document of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(specification) {
+  const { metadata = {}, architecture = {} } = specification;
+  const endpoints = architecture.apiEndpoints || [];
+  const models = architecture.dataModels || [];
+
+  const schemaNames = new Map(models.map(model => [model.name, schemaName(model.name)]));
+  const resolve = type => typeSchema(type, schemaNames);
+
+  const schemas = {};
+  models.forEach(model => {
+    schemas[schemaNames.get(model.name)] = modelSchema(model, resolve);
+  });
+
+  // The shared error envelope never replaces a data model of the specification
+  let errorSchema = schemas.Error ? 'ApiError' : 'Error';
+  for (let suffix = 2; schemas[errorSchema]; suffix++) {
+    errorSchema = `ApiError${suffix}`;
+  }
+  schemas[errorSchema] = {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      message: { type: 'string' }
+    },
+    required: ['code', 'message']
+  };
+
+  const paths = {};
+  endpoints.forEach(endpoint => {
+    const path = toOpenApiPath(endpoint.path);
+    const method = String(endpoint.method || 'GET').toLowerCase();
+
+    paths[path] = paths[path] || {};
+    if (!paths[path][method]) {
+      paths[path][method] = buildOperation(endpoint, path, { resolve, errorSchema });
+    }
+  });
+
+  const components = { schemas };
+  if (endpoints.some(endpoint => endpoint.authentication)) {
+    components.securitySchemes = {
+      [SECURITY_SCHEME]: { type: 'http', scheme: 'bearer' }
+    };
+  }
+
+  const categories = [...new Set(endpoints.map(endpoint => endpoint.category).filter(Boolean))];
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: metadata.name || 'API',
+      version: metadata.version || '1.0.0',
+      description: metadata.description
+    },
+    tags: categories.length > 0 ? categories.map(name => ({ name })) : undefined,
+    paths,
+    components
+  };
+}
+
+/**
+ * @param {Object} endpoint - Spec endpoint
+ * @param {string} path - OpenAPI path of the endpoint
+ * @param {Object} context - `{ resolve, errorSchema }`
+ * @returns {Object} - Operation object
+ */
+function buildOperation(endpoint, path, { resolve, errorSchema }) {
+  const method = String(endpoint.method || 'GET').toUpperCase();
+  const body = endpoint.requestBody && typeof endpoint.requestBody === 'object' ? endpoint.requestBody : null;
+
+  const parameters = [...path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  if (body && QUERY_METHODS.has(method)) {
+    Object.entries(body).forEach(([name, type]) => {
+      parameters.push({ name, in: 'query', required: false, schema: resolve(type) });
+    });
+  }
+
+  const operation = {
+    operationId: endpoint.id,
+    summary: endpoint.description,
+    tags: endpoint.category ? [endpoint.category] : undefined,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: body && !QUERY_METHODS.has(method)
+      ? { required: true, content: { 'application/json': { schema: resolve(body) } } }
+      : undefined,
+    responses: buildResponses(endpoint, { resolve, errorSchema }),
+    security: endpoint.authentication ? [{ [SECURITY_SCHEME]: [] }] : undefined
+  };
+
+  if (endpoint.rateLimit) {
+    operation['x-rate-limit'] = endpoint.rateLimit;
+  }
+  if (endpoint.relatedRequirements?.length > 0) {
+    operation['x-related-requirements'] = endpoint.relatedRequirements;
+  }
+
+  return operation;
+}
+
+/**
+ * Responses keyed by status code: success codes carry the response body,
+ * error codes the shared error schema
+ * @param {Object} endpoint - Spec endpoint
+ * @param {Object} context - `{ resolve, errorSchema }`
+ * @returns {Object} - Responses object
+ */
+function buildResponses(endpoint, { resolve, errorSchema }) {
+  const statusCodes = (endpoint.statusCodes || []).filter(status => /^[1-5]\d\d$/.test(String(status.code)));
+  const responses = {};
+
+  const successContent = endpoint.responseBody
+    ? { 'application/json': { schema: resolve(endpoint.responseBody) } }
+    : undefined;
+  const errorContent = { 'application/json': { schema: { $ref: `#/components/schemas/${errorSchema}` } } };
+
+  if (!statusCodes.some(status => String(status.code).startsWith('2'))) {
+    responses['200'] = { description: 'Success', content: successContent };
+  }
+
+  statusCodes.forEach(status => {
+    const code = String(status.code);
+    const response = { description: status.description || `HTTP ${code}` };
+
+    if (code.startsWith('2') && code !== '204') {
+      response.content = successContent;
+    } else if (Number(code) >= 400) {
+      response.content = errorContent;
+    }
+    if (status.errorHandling) {
+      response['x-error-handling'] = status.errorHandling;
+    }
+    if (status.retryStrategy) {
+      response['x-retry-strategy'] = status.retryStrategy;
+    }
+
+    responses[code] = response;
+  });
+
+  if (endpoint.authentication && !responses['401']) {
+    responses['401'] = { description: 'Missing or invalid credentials', content: errorContent };
+  }
+
+  return responses;
+}
+
+/**
+ * @param {Object} model - Spec data model
+ * @param {Function} resolve - Type string -> JSON Schema
+ * @returns {Object} - Object schema of the model
+ */
+function modelSchema(model, resolve) {
+  const fields = model.fields || [];
+  const required = fields.filter(field => field.required).map(field => field.name);
+
+  return {
+    type: 'object',
+    description: model.description,
+    properties: Object.fromEntries(fields.map(field => [field.name, {
+      ...resolve(field.type),
+      description: field.description,
+      default: field.defaultValue
+    }])),
+    required: required.length > 0 ? required : undefined
+  };
+}
+
+/**
+ * Map a type to JSON Schema
+ * Strings are type names: primitives, data model names (as references),
+ * `X[]` or `Array<X>` for arrays and `X?` or `X | null` for nullable types;
+ * objects and arrays describe nested structures. Unknown names are kept in
+ * `x-original-type` and accept any value
+ * @param {*} type - Type string, nested object or array
+ * @param {Map} schemaNames - Data model name -> schema name
+ * @returns {Object} - JSON Schema
+ */
+function typeSchema(type, schemaNames) {
+  if (Array.isArray(type)) {
+    return { type: 'array', items: type.length > 0 ? typeSchema(type[0], schemaNames) : {} };
+  }
+
+  if (type && typeof type === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(type).map(([name, value]) => [name, typeSchema(value, schemaNames)]))
+    };
+  }
+
+  if (typeof type !== 'string') {
+    return type === null || type === undefined ? {} : { type: typeof type };
+  }
+
+  let name = type.trim();
+  const nullable = /(\?|\|\s*null)$/i.test(name);
+  name = name.replace(/(\?|\|\s*null)$/i, '').trim();
+
+  const array = /^Array<(.+)>$/i.exec(name) || /^(.+)\[\]$/.exec(name);
+  if (array) {
+    return nullableSchema({ type: 'array', items: typeSchema(array[1], schemaNames) }, nullable);
+  }
+
+  const primitive = PRIMITIVE_TYPES[name.toLowerCase().replace(/\(.*\)$/, '')];
+  if (primitive) {
+    return nullableSchema({ ...primitive }, nullable);
+  }
+
+  const model = schemaNames.get(name) || [...schemaNames.values()].find(schema => schema === schemaName(name));
+  if (model) {
+    return nullableSchema({ $ref: `#/components/schemas/${model}` }, nullable);
+  }
+
+  return { 'x-original-type': type };
+}
+
+function nullableSchema(schema, nullable) {
+  if (!nullable) return schema;
+  if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+  if (!schema.type) return schema;
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+/**
+ * @param {string} name - Data model name
+ * @returns {string} - Name usable as a components/schemas key
+ */
+function schemaName(name) {
+  return String(name).replace(/[^A-Za-z0-9._-]/g, '') || 'Model';
+}
+
+/**
+ * @param {string} path - Express-style path (`/api/items/:id`)
+ * @returns {string} - OpenAPI path (`/api/items/{id}`)
+ */
+function toOpenApiPath(path) {
+  return String(path || '/').replace(/:([A-Za-z_]\w*)/g, '{$1}');
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  typeSchema,
+  schemaName
+};
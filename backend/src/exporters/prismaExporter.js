@@ -0,0 +1,161 @@
+/**
+ * Prisma schema from the data models
+ * Models keep the names of the data models (and so the tables of the SQL
+ * exporter); every association gets a relation field on both sides, named
+ * after the relation so that several relations between two models stay apart
+ */
+
+const { readDataModels, identifier, commentText } = require('./dataModels');
+
+// Field kind -> Prisma scalar type
+const PRISMA_TYPES = {
+  string: 'String',
+  text: 'String',
+  uuid: 'String',
+  email: 'String',
+  url: 'String',
+  integer: 'Int',
+  bigint: 'BigInt',
+  float: 'Float',
+  decimal: 'Decimal',
+  boolean: 'Boolean',
+  date: 'DateTime',
+  time: 'DateTime',
+  datetime: 'DateTime',
+  json: 'Json'
+};
+
+// Exporter format -> datasource provider
+const PROVIDERS = {
+  postgres: 'postgresql',
+  mysql: 'mysql',
+  sqlite: 'sqlite'
+};
+
+/**
+ * Build the schema.prisma of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @param {string} format - postgres | mysql | sqlite
+ * @returns {string} - Prisma schema
+ */
+function buildPrismaSchema(specification, format) {
+  const { models, warnings } = readDataModels(specification);
+  const name = commentText(specification.metadata?.name || 'specification');
+
+  const header = [
+    `// Prisma schema for ${name}`,
+    '// Generated from the dataModels section of the specification',
+    ...warnings.map(warning => `// WARNING: ${commentText(warning)}`)
+  ].join('\n');
+
+  const blocks = [
+    header,
+    'generator client {\n  provider = "prisma-client-js"\n}',
+    `datasource db {\n  provider = "${PROVIDERS[format]}"\n  url      = env("DATABASE_URL")\n}`,
+    ...models.map(model => renderModel(model, format))
+  ];
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function renderModel(model, format) {
+  const rows = model.fields.map(field => renderField(model, field, format));
+
+  model.associations.forEach(association => {
+    const target = identifier(association.target);
+    const relation = `"${association.relation || association.through}"`;
+
+    if (association.kind === 'belongsTo') {
+      rows.push([
+        association.as,
+        `${target}${association.required ? '' : '?'}`,
+        `@relation(${relation}, fields: [${association.foreignKey}], references: [${association.references}])`
+      ]);
+    } else if (association.kind === 'hasOne') {
+      rows.push([association.as, `${target}?`, `@relation(${relation})`]);
+    } else {
+      rows.push([association.as, `${target}[]`, `@relation(${relation})`]);
+    }
+  });
+
+  const attributes = [];
+  if (model.primaryKey.length > 1) {
+    attributes.push(`@@id([${model.primaryKey.join(', ')}])`);
+  }
+  model.uniques.filter(columns => columns.length > 1)
+    .forEach(columns => attributes.push(`@@unique([${columns.join(', ')}])`));
+  model.indexes.forEach(index => {
+    if (index.unique && index.columns.length === 1) return;
+    attributes.push(`${index.unique ? '@@unique' : '@@index'}([${index.columns.join(', ')}])`);
+  });
+  if (identifier(model.name) !== model.name) {
+    attributes.push(`@@map("${model.name}")`);
+  }
+
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+  const lines = rows.map(([fieldName, type, ...rest]) => (
+    `  ${[fieldName.padEnd(widths[0]), type.padEnd(widths[1]), ...rest].join(' ').trimEnd()}`
+  ));
+
+  return [
+    model.description ? `/// ${commentText(model.description)}` : null,
+    ...model.notes.map(note => `// NOTE: ${commentText(note)}`),
+    model.primaryKey.length === 0 ? '// WARNING: no primary key; Prisma needs an @id, @@id or @unique field' : null,
+    `model ${identifier(model.name)} {`,
+    ...lines,
+    attributes.length > 0 ? `\n  ${attributes.join('\n  ')}` : null,
+    '}'
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * @returns {Array} - [name, type, attributes and comment]
+ */
+function renderField(model, field, format) {
+  const scalar = PRISMA_TYPES[field.kind];
+  const singleKey = model.primaryKey.length === 1 && model.primaryKey[0] === field.name;
+  const unique = field.unique
+    || model.uniques.some(columns => columns.length === 1 && columns[0] === field.name)
+    || model.indexes.some(index => index.unique && index.columns.length === 1 && index.columns[0] === field.name);
+
+  let type;
+  if (field.list) {
+    // Scalar lists exist only on PostgreSQL
+    type = format === 'postgres' && scalar && scalar !== 'Json' ? `${scalar}[]` : `Json${field.required ? '' : '?'}`;
+  } else {
+    type = `${scalar || 'String'}${field.required || singleKey ? '' : '?'}`;
+  }
+
+  const attributes = [];
+  if (singleKey) attributes.push('@id');
+  const defaultValue = renderDefault(field, scalar, singleKey);
+  if (defaultValue) attributes.push(`@default(${defaultValue})`);
+  if (unique && !singleKey) attributes.push('@unique');
+  if (field.kind === 'date' && format !== 'sqlite') attributes.push('@db.Date');
+
+  const comment = field.kind === null && !field.list ? `// unmapped type: ${commentText(field.type)}` : null;
+
+  return [field.name, type, ...attributes, comment].filter(Boolean);
+}
+
+function renderDefault(field, scalar, singleKey) {
+  const value = field.defaultValue;
+
+  if (value === undefined || value === null) {
+    if (singleKey && field.kind === 'uuid') return 'uuid()';
+    if (singleKey && field.kind === 'integer') return 'autoincrement()';
+    return null;
+  }
+  if (scalar === 'DateTime') {
+    return /^(now|current_timestamp)(\(\))?$/i.test(String(value).trim()) ? 'now()' : null;
+  }
+  if (typeof value === 'boolean' && scalar === 'Boolean') return String(value);
+  if (typeof value === 'number' && ['Int', 'BigInt', 'Float', 'Decimal'].includes(scalar)) return String(value);
+  if (typeof value === 'string' && (scalar === 'String' || !scalar)) return JSON.stringify(value);
+  return null;
+}
+
+module.exports = {
+  buildPrismaSchema,
+  prismaFormats: Object.keys(PROVIDERS)
+};
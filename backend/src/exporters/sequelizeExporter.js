@@ -0,0 +1,166 @@
+/**
+ * Sequelize model definitions from the data models
+ * The generated module is a `(sequelize, DataTypes) => models` factory: one
+ * `sequelize.define` per data model (table named after it, no timestamps)
+ * followed by the associations, so the SQL exporter's schema and these models
+ * describe the same tables
+ */
+
+const { readDataModels, identifier, jsString, commentText } = require('./dataModels');
+
+// Field kind -> DataTypes member
+const SEQUELIZE_TYPES = {
+  string: 'STRING',
+  text: 'TEXT',
+  uuid: 'UUID',
+  email: 'STRING',
+  url: 'STRING(2048)',
+  integer: 'INTEGER',
+  bigint: 'BIGINT',
+  float: 'DOUBLE',
+  decimal: 'DECIMAL(12, 2)',
+  boolean: 'BOOLEAN',
+  date: 'DATEONLY',
+  time: 'TIME',
+  datetime: 'DATE',
+  json: 'JSON'
+};
+
+// Kinds keeping the size of the field type
+const SIZED_TYPES = { string: 'STRING', decimal: 'DECIMAL' };
+
+// Kinds checked by a Sequelize validator
+const VALIDATORS = { email: 'isEmail', url: 'isUrl' };
+
+/**
+ * Build the Sequelize models module of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {string} - JavaScript module source
+ */
+function buildSequelizeModels(specification) {
+  const { models, warnings } = readDataModels(specification);
+  const name = commentText(specification.metadata?.name || 'specification');
+
+  const header = [
+    '/**',
+    ` * Sequelize models for ${name}`,
+    ' * Generated from the dataModels section of the specification',
+    ...warnings.map(warning => ` * WARNING: ${commentText(warning)}`),
+    ' */'
+  ].join('\n');
+
+  const definitions = models.map(renderDefinition);
+  const associations = models.flatMap(renderAssociations);
+  const body = [
+    ...definitions,
+    associations.join('\n'),
+    `return { ${models.map(model => identifier(model.name)).join(', ')} };`
+  ].filter(Boolean).join('\n\n');
+
+  return `${header}\n\nmodule.exports = (sequelize, DataTypes) => {\n${indent(body)}\n};\n`;
+}
+
+function renderDefinition(model) {
+  const variable = identifier(model.name);
+  const attributes = model.fields.map(field => renderAttribute(model, field));
+
+  const indexes = [
+    ...model.uniques.filter(columns => columns.length > 1).map(columns => ({ columns, unique: true })),
+    ...model.indexes.filter(index => !(index.unique && index.columns.length === 1))
+  ].map(index => `{ ${index.unique ? 'unique: true, ' : ''}fields: [${index.columns.map(jsString).join(', ')}] }`);
+
+  const options = [
+    `tableName: ${jsString(model.name)}`,
+    'timestamps: false',
+    indexes.length > 0 ? `indexes: [\n${indent(indexes.join(',\n'))}\n]` : null
+  ].filter(Boolean);
+
+  return [
+    model.description ? `// ${commentText(model.description)}` : null,
+    ...model.notes.map(note => `// NOTE: ${commentText(note)}`),
+    ...model.checks.map(check => `// NOTE: check not translated: ${commentText(check)}`),
+    model.primaryKey.length === 0 ? '// NOTE: no primary key; Sequelize adds an integer `id`' : null,
+    `const ${variable} = sequelize.define(${jsString(model.name)}, {`,
+    indent(attributes.join(',\n')),
+    '}, {',
+    indent(options.join(',\n')),
+    '});'
+  ].filter(line => line !== null).join('\n');
+}
+
+function renderAttribute(model, field) {
+  const primaryKey = model.primaryKey.includes(field.name);
+  const singleKey = primaryKey && model.primaryKey.length === 1;
+  const unique = !singleKey && (field.unique
+    || model.uniques.some(columns => columns.length === 1 && columns[0] === field.name)
+    || model.indexes.some(index => index.unique && index.columns.length === 1 && index.columns[0] === field.name));
+
+  const options = [`type: ${resolveType(field)}`];
+  if (primaryKey) options.push('primaryKey: true');
+  if (singleKey && field.kind === 'integer' && field.defaultValue === undefined) options.push('autoIncrement: true');
+  if (!primaryKey) options.push(`allowNull: ${!field.required}`);
+  if (unique) options.push('unique: true');
+
+  const defaultValue = renderDefault(field, singleKey);
+  if (defaultValue) options.push(`defaultValue: ${defaultValue}`);
+  if (VALIDATORS[field.kind] && !field.list) options.push(`validate: { ${VALIDATORS[field.kind]}: true }`);
+  if (field.description) options.push(`comment: ${jsString(String(field.description).replace(/\s+/g, ' '))}`);
+
+  const comment = field.kind === null && !field.list ? ` // unmapped type: ${commentText(field.type)}` : '';
+  return `${identifier(field.name)}: {${comment}\n${indent(options.join(',\n'))}\n}`;
+}
+
+function renderAssociations(model) {
+  const variable = identifier(model.name);
+
+  return model.associations.map(association => {
+    const target = identifier(association.target);
+    const options = association.kind === 'belongsToMany'
+      ? [
+        `through: ${jsString(association.through)}`,
+        `foreignKey: ${jsString(association.foreignKey)}`,
+        `otherKey: ${jsString(association.otherKey)}`,
+        `as: ${jsString(association.as)}`,
+        'timestamps: false'
+      ]
+      : [`foreignKey: ${jsString(association.foreignKey)}`, `as: ${jsString(association.as)}`];
+
+    return `${variable}.${association.kind}(${target}, { ${options.join(', ')} });`;
+  });
+}
+
+function renderDefault(field, singleKey) {
+  const value = field.defaultValue;
+
+  if (value === undefined || value === null) {
+    return singleKey && field.kind === 'uuid' ? 'DataTypes.UUIDV4' : null;
+  }
+  if (['date', 'datetime'].includes(field.kind) && /^(now|current_timestamp)(\(\))?$/i.test(String(value).trim())) {
+    return 'DataTypes.NOW';
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  if (typeof value === 'string') return jsString(value);
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {Object} field - Field read by readDataModels (`kind`, `list`, `size`)
+ * @returns {string} - DataTypes expression; lists and unmapped types are JSON and TEXT
+ */
+function resolveType(field) {
+  if (field.list) {
+    return 'DataTypes.JSON';
+  }
+  if (field.size && SIZED_TYPES[field.kind]) {
+    return `DataTypes.${SIZED_TYPES[field.kind]}(${field.size.join(', ')})`;
+  }
+  return `DataTypes.${SEQUELIZE_TYPES[field.kind] || 'TEXT'}`;
+}
+
+function indent(text) {
+  return text.split('\n').map(line => (line ? `  ${line}` : line)).join('\n');
+}
+
+module.exports = {
+  buildSequelizeModels
+};
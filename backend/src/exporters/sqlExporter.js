@@ -0,0 +1,272 @@
+/**
+ * SQL DDL from the data models
+ * Every model becomes a table named after it with one column per field;
+ * oneToOne and oneToMany relationships become FOREIGN KEY constraints and
+ * manyToMany relationships a join table (see dataModels.js). Tables are
+ * created after the tables they reference; on PostgreSQL and MySQL the
+ * foreign keys closing a cycle are added afterwards with ALTER TABLE (SQLite
+ * resolves them lazily)
+ */
+
+const { readDataModels, commentText } = require('./dataModels');
+
+// Field kind -> [PostgreSQL, MySQL, SQLite]
+const SQL_TYPES = {
+  string: ['VARCHAR(255)', 'VARCHAR(255)', 'TEXT'],
+  text: ['TEXT', 'TEXT', 'TEXT'],
+  uuid: ['UUID', 'CHAR(36)', 'TEXT'],
+  email: ['VARCHAR(255)', 'VARCHAR(255)', 'TEXT'],
+  url: ['VARCHAR(2048)', 'VARCHAR(2048)', 'TEXT'],
+  integer: ['INTEGER', 'INT', 'INTEGER'],
+  bigint: ['BIGINT', 'BIGINT', 'INTEGER'],
+  float: ['DOUBLE PRECISION', 'DOUBLE', 'REAL'],
+  decimal: ['NUMERIC(12, 2)', 'DECIMAL(12, 2)', 'NUMERIC'],
+  boolean: ['BOOLEAN', 'TINYINT(1)', 'INTEGER'],
+  date: ['DATE', 'DATE', 'TEXT'],
+  time: ['TIME', 'TIME', 'TEXT'],
+  datetime: ['TIMESTAMPTZ', 'DATETIME', 'TEXT'],
+  json: ['JSONB', 'JSON', 'TEXT']
+};
+
+// Kinds keeping the size of the field type (`varchar(100)`, `decimal(10,2)`)
+const SIZED_TYPES = {
+  string: ['VARCHAR', 'VARCHAR', null],
+  decimal: ['NUMERIC', 'DECIMAL', null]
+};
+
+const quoteDouble = name => `"${String(name).replace(/"/g, '""')}"`;
+
+const DIALECTS = {
+  postgres: { label: 'PostgreSQL', column: 0, quote: quoteDouble, deferForeignKeys: true, dropForeignKey: 'DROP CONSTRAINT', tableOptions: '' },
+  mysql: {
+    label: 'MySQL',
+    column: 1,
+    quote: name => `\`${String(name).replace(/`/g, '``')}\``,
+    deferForeignKeys: true,
+    dropForeignKey: 'DROP FOREIGN KEY',
+    tableOptions: ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+  },
+  sqlite: { label: 'SQLite', column: 2, quote: quoteDouble, deferForeignKeys: false, tableOptions: '' }
+};
+
+/**
+ * Build the up and down scripts of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @param {string} dialect - postgres | mysql | sqlite
+ * @returns {Object} - `{ up, down, warnings }`: `up` creates the schema, `down` drops it,
+ *   `warnings` lists field types that could not be mapped and skipped relationships
+ */
+function buildSqlScripts(specification, dialect) {
+  const options = DIALECTS[dialect];
+  const { tables, warnings } = buildTables(specification);
+  const ordered = orderTables(tables);
+
+  const created = new Set();
+  const statements = [];
+  const deferred = [];
+
+  ordered.forEach(table => {
+    const inline = table.foreignKeys.filter(foreignKey => (
+      !options.deferForeignKeys || foreignKey.table === table.name || created.has(foreignKey.table)
+    ));
+    table.foreignKeys.filter(foreignKey => !inline.includes(foreignKey))
+      .forEach(foreignKey => deferred.push({ table, foreignKey }));
+
+    statements.push(renderTable(table, inline, options));
+    created.add(table.name);
+  });
+
+  const indexes = ordered.flatMap(table => table.indexes.map(index => (
+    `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${options.quote(index.name)} ON ${options.quote(table.name)} (${index.columns.map(options.quote).join(', ')});`
+  )));
+  const alters = deferred.map(({ table, foreignKey }) => (
+    `ALTER TABLE ${options.quote(table.name)} ADD ${renderForeignKey(foreignKey, options)};`
+  ));
+
+  const name = commentText(specification.metadata?.name || 'specification');
+  const header = [
+    `-- ${options.label} schema for ${name}`,
+    '-- Generated from the dataModels section of the specification',
+    ...warnings.map(warning => `-- WARNING: ${commentText(warning)}`)
+  ].join('\n');
+
+  const up = [
+    header,
+    dialect === 'sqlite' ? 'PRAGMA foreign_keys = ON;' : null,
+    ...statements,
+    indexes.join('\n'),
+    alters.join('\n')
+  ].filter(Boolean).join('\n\n');
+
+  const down = [
+    `-- Drops the ${options.label} schema for ${name}`,
+    deferred.map(({ table, foreignKey }) => (
+      `ALTER TABLE ${options.quote(table.name)} ${options.dropForeignKey} ${options.quote(foreignKey.name)};`
+    )).join('\n'),
+    [...ordered].reverse().map(table => `DROP TABLE IF EXISTS ${options.quote(table.name)};`).join('\n')
+  ].filter(Boolean).join('\n\n');
+
+  return { up: `${up}\n`, down: `${down}\n`, warnings };
+}
+
+/**
+ * Dialect-independent tables of the data models, plus one join table per
+ * manyToMany pair
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {Object} - `{ tables, warnings }`
+ */
+function buildTables(specification) {
+  const { models, warnings } = readDataModels(specification);
+  const byName = new Map(models.map(model => [model.name, model]));
+
+  const tables = models.map(model => ({
+    name: model.name,
+    description: model.description,
+    columns: model.fields.map(field => ({ ...field, sqlType: resolveType(field) })),
+    primaryKey: model.primaryKey,
+    foreignKeys: model.associations
+      .filter(association => association.kind === 'belongsTo')
+      .map(association => ({
+        name: `fk_${model.name}_${association.foreignKey}`,
+        columns: [association.foreignKey],
+        table: association.target,
+        references: [association.references],
+        onDelete: association.required ? null : 'SET NULL'
+      })),
+    uniques: [
+      ...model.uniques,
+      ...model.fields.filter(field => field.unique && !model.uniques.some(columns => columns.join() === field.name))
+        .map(field => [field.name])
+    ],
+    checks: model.checks,
+    indexes: model.indexes.map(index => ({
+      ...index,
+      name: `${index.unique ? 'uniq' : 'idx'}_${model.name}_${index.columns.join('_')}`
+    })),
+    notes: model.notes
+  }));
+
+  const joinTables = models.flatMap(model => model.associations
+    .filter(association => association.kind === 'belongsToMany' && association.holdsReferences)
+    .map(association => buildJoinTable(model, byName.get(association.target), association)));
+
+  return { tables: [...tables, ...joinTables], warnings };
+}
+
+/**
+ * Join table of a manyToMany relationship: one column per side, composite
+ * primary key, rows deleted with either side
+ */
+function buildJoinTable(model, target, association) {
+  const name = association.through;
+  const side = (table, column) => {
+    const primaryKey = table.fields.find(field => field.name === table.primaryKey[0]);
+    return {
+      column: { name: column, type: primaryKey.type, sqlType: resolveType(primaryKey), required: true },
+      foreignKey: { name: `fk_${name}_${column}`, columns: [column], table: table.name, references: table.primaryKey, onDelete: 'CASCADE' }
+    };
+  };
+  const sides = [side(model, association.foreignKey), side(target, association.otherKey)];
+
+  return {
+    name,
+    description: `Join table of ${model.name} and ${target.name}`,
+    columns: sides.map(entry => entry.column),
+    primaryKey: [association.foreignKey, association.otherKey],
+    foreignKeys: sides.map(entry => entry.foreignKey),
+    uniques: [],
+    checks: [],
+    indexes: [{ name: `idx_${name}_${association.otherKey}`, columns: [association.otherKey], unique: false }],
+    notes: []
+  };
+}
+
+/**
+ * Tables after the tables they reference, keeping the model order otherwise;
+ * the first table of a cycle is taken as is
+ */
+function orderTables(tables) {
+  const remaining = [...tables];
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const placed = new Set(ordered.map(table => table.name));
+    const index = remaining.findIndex(table => table.foreignKeys.every(foreignKey => (
+      foreignKey.table === table.name || placed.has(foreignKey.table)
+    )));
+    ordered.push(...remaining.splice(Math.max(index, 0), 1));
+  }
+
+  return ordered;
+}
+
+function renderTable(table, foreignKeys, options) {
+  const lines = table.columns.map(column => {
+    const primaryKey = table.primaryKey.includes(column.name);
+    const parts = [options.quote(column.name), column.sqlType ? column.sqlType[options.column] : 'TEXT'];
+
+    if (column.required || primaryKey) parts.push('NOT NULL');
+    const defaultValue = renderDefault(column.defaultValue);
+    if (defaultValue) parts.push(`DEFAULT ${defaultValue}`);
+
+    return { sql: parts.join(' '), comment: column.sqlType ? null : `unmapped type: ${commentText(column.type)}` };
+  });
+
+  if (table.primaryKey.length > 0) {
+    lines.push({ sql: `PRIMARY KEY (${table.primaryKey.map(options.quote).join(', ')})` });
+  }
+  table.uniques.forEach(columns => lines.push({ sql: `UNIQUE (${columns.map(options.quote).join(', ')})` }));
+  table.checks.forEach(expression => lines.push({ sql: `CHECK (${expression})` }));
+  foreignKeys.forEach(foreignKey => lines.push({ sql: renderForeignKey(foreignKey, options) }));
+
+  const body = lines.map((line, index) => {
+    const separator = index < lines.length - 1 ? ',' : '';
+    return `  ${line.sql}${separator}${line.comment ? ` -- ${line.comment}` : ''}`;
+  });
+
+  return [
+    table.description ? `-- ${commentText(table.description)}` : null,
+    ...table.notes.map(note => `-- NOTE: ${commentText(note)}`),
+    `CREATE TABLE ${options.quote(table.name)} (`,
+    ...body,
+    `)${options.tableOptions};`
+  ].filter(Boolean).join('\n');
+}
+
+function renderForeignKey(foreignKey, options) {
+  const onDelete = foreignKey.onDelete ? ` ON DELETE ${foreignKey.onDelete}` : '';
+
+  return `CONSTRAINT ${options.quote(foreignKey.name)} FOREIGN KEY (${foreignKey.columns.map(options.quote).join(', ')}) `
+    + `REFERENCES ${options.quote(foreignKey.table)} (${foreignKey.references.map(options.quote).join(', ')})${onDelete}`;
+}
+
+function renderDefault(value) {
+  if (value === undefined || value === null || typeof value === 'object') return null;
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(value);
+  if (/^(now|current_timestamp)(\(\))?$/i.test(String(value).trim())) return 'CURRENT_TIMESTAMP';
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Map a field to its SQL type in every dialect
+ * Lists are stored as JSON; string and decimal types keep their size
+ * @param {Object} field - Field read by readDataModels (`kind`, `list`, `size`)
+ * @returns {Array|null} - [PostgreSQL, MySQL, SQLite] types, null when unmapped
+ */
+function resolveType(field) {
+  if (field.list) {
+    return SQL_TYPES.json;
+  }
+  if (field.size && SIZED_TYPES[field.kind]) {
+    return SIZED_TYPES[field.kind].map((base, index) => (
+      base ? `${base}(${field.size.join(', ')})` : SQL_TYPES[field.kind][index]
+    ));
+  }
+  return SQL_TYPES[field.kind] || null;
+}
+
+module.exports = {
+  buildSqlScripts,
+  sqlDialects: Object.keys(DIALECTS)
+};
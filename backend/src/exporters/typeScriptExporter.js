@@ -0,0 +1,306 @@
+/**
+ * TypeScript declarations and Zod schemas from the architecture section
+ * Both are rendered from the OpenAPI document of the specification, so the
+ * contracts match the `openapi` export: one interface per data model, plus
+ * `<Endpoint>Params`, `<Endpoint>Query`, `<Endpoint>Request` and
+ * `<Endpoint>Response` per endpoint, and `ApiError` for error responses
+ * (`ApiError2` when a data model already has the name)
+ * Model fields are optional unless `required`; body fields are optional
+ * only when their type is nullable (`number?`)
+ */
+
+const { buildOpenApiDocument, schemaName } = require('./openApiExporter');
+const { identifier, propertyName, commentText } = require('./dataModels');
+
+// JSON Schema string format -> Zod refinement
+const ZOD_FORMATS = {
+  uuid: '.uuid()',
+  email: '.email()',
+  uri: '.url()',
+  date: '.date()',
+  'date-time': '.datetime({ offset: true })'
+};
+
+/**
+ * Collect the named types of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {Object} - `{ declarations, warnings, names }` where every declaration is
+ *   `{ name, comment, schema }` with a JSON Schema, `warnings` lists unmapped types
+ *   and `names` maps schema references to type names
+ */
+function collectDeclarations(specification) {
+  const document = buildOpenApiDocument(specification);
+  const models = new Set((specification.architecture?.dataModels || []).map(model => schemaName(model.name)));
+
+  // The shared error schema is `Error` in OpenAPI, which would shadow the global Error type
+  const taken = new Set([...models].map(identifier));
+  const names = new Map(Object.keys(document.components.schemas).map(key => [
+    `#/components/schemas/${key}`,
+    models.has(key) ? identifier(key) : uniqueName('ApiError', taken)
+  ]));
+
+  const declarations = Object.entries(document.components.schemas).map(([key, schema]) => ({
+    name: names.get(`#/components/schemas/${key}`),
+    comment: [schema.description],
+    schema
+  }));
+
+  // Endpoint IDs and paths can reduce to the same identifier: later operations are numbered
+  const operations = new Set();
+  Object.entries(document.paths).forEach(([path, pathOperations]) => {
+    Object.entries(pathOperations).forEach(([method, operation]) => {
+      const base = uniqueName(operationName(method, path, operation), operations);
+      const route = `${method.toUpperCase()} ${path}`;
+      const add = (suffix, label, schema) => declarations.push({
+        name: `${base}${suffix}`,
+        comment: [`${label} of ${route}`, operation.summary],
+        schema
+      });
+
+      ['path', 'query'].forEach(location => {
+        const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+        if (parameters.length === 0) return;
+
+        add(location === 'path' ? 'Params' : 'Query', `${location === 'path' ? 'Path' : 'Query'} parameters`, {
+          type: 'object',
+          properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+          required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+        });
+      });
+
+      if (operation.requestBody) {
+        add('Request', 'Request body', operation.requestBody.content['application/json'].schema);
+      }
+
+      const success = Object.entries(operation.responses)
+        .find(([code, response]) => code.startsWith('2') && response.content);
+      if (success) {
+        add('Response', `Response body (${success[0]})`, success[1].content['application/json'].schema);
+      }
+    });
+  });
+
+  const warnings = [];
+  const context = { names, warnings, current: null };
+  declarations.forEach(declaration => {
+    context.current = declaration.name;
+    findUnmapped(declaration.schema, context);
+  });
+
+  return { declarations, warnings: [...new Set(warnings)], names };
+}
+
+/**
+ * Build the `.d.ts` declarations of a specification
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {string} - TypeScript declarations
+ */
+function buildTypeDefinitions(specification) {
+  const { declarations, warnings, names } = collectDeclarations(specification);
+
+  const blocks = declarations.map(({ name, comment, schema }) => {
+    const doc = docComment(comment, '');
+    if (isStruct(schema)) {
+      return `${doc}export interface ${name} {\n${tsMembers(schema, 1, names)}\n}`;
+    }
+    return `${doc}export type ${name} = ${tsType(schema, 0, names)};`;
+  });
+
+  return `${[header('TypeScript types', specification, warnings), ...blocks].join('\n\n')}\n`;
+}
+
+/**
+ * Build the Zod schemas of a specification, typed against the declarations
+ * of buildTypeDefinitions (imported from `./types`)
+ * @param {Object} specification - Specification with an `architecture` section
+ * @returns {string} - TypeScript module source
+ */
+function buildZodSchemas(specification) {
+  const { declarations, warnings, names } = collectDeclarations(specification);
+  const context = { names, declared: new Set() };
+
+  const blocks = declarations.map(({ name, schema }) => {
+    const block = `export const ${name}Schema: z.ZodType<Types.${name}> = ${zodType(schema, 0, context)};`;
+    context.declared.add(name);
+    return block;
+  });
+
+  return `${[
+    header('Zod schemas', specification, warnings),
+    'import { z } from \'zod\';\n\nimport type * as Types from \'./types\';',
+    ...blocks
+  ].join('\n\n')}\n`;
+}
+
+function header(title, specification, warnings) {
+  return [
+    '/**',
+    ` * ${title} for ${commentText(specification.metadata?.name || 'specification')}`,
+    ' * Generated from the architecture section of the specification',
+    ...warnings.map(warning => ` * WARNING: ${commentText(warning)}`),
+    ' */'
+  ].join('\n');
+}
+
+function tsMembers(schema, depth, names) {
+  const pad = '  '.repeat(depth);
+
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const comment = [
+      property.description,
+      property.format ? `@format ${property.format}` : null,
+      property.default !== undefined ? `@default ${JSON.stringify(property.default)}` : null
+    ];
+    const type = tsType(property, depth, names);
+    // z.object() makes keys of unknown type optional
+    const optional = isOptional(schema, name) || type === 'unknown' ? '?' : '';
+    return `${docComment(comment, pad)}${pad}${propertyName(name)}${optional}: ${type};`;
+  }).join('\n');
+}
+
+/**
+ * @param {Object} schema - JSON Schema produced by the OpenAPI exporter
+ * @param {number} depth - Indentation level of inline object types
+ * @param {Map} names - Schema reference -> type name
+ * @returns {string} - TypeScript type
+ */
+function tsType(schema, depth, names) {
+  if (schema.$ref) {
+    return names.get(schema.$ref) || 'unknown';
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.map(option => tsType(option, depth, names)).join(' | ');
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length === 0) {
+    return 'unknown';
+  }
+
+  return types.map(type => {
+    if (type === 'integer' || type === 'number') return 'number';
+    if (type === 'array') {
+      const items = tsType(schema.items || {}, depth, names);
+      return /^[^{].* \| /.test(items) ? `(${items})[]` : `${items}[]`;
+    }
+    if (type === 'object') {
+      return isStruct(schema)
+        ? `{\n${tsMembers(schema, depth + 1, names)}\n${'  '.repeat(depth)}}`
+        : 'Record<string, unknown>';
+    }
+    return type;
+  }).join(' | ');
+}
+
+/**
+ * @param {Object} schema - JSON Schema produced by the OpenAPI exporter
+ * @param {number} depth - Indentation level of inline objects
+ * @param {Object} context - `{ names, declared }`; references to schemas not
+ *   declared yet (self and forward references) are wrapped in z.lazy
+ * @returns {string} - Zod expression
+ */
+function zodType(schema, depth, context) {
+  if (schema.$ref) {
+    const name = context.names.get(schema.$ref);
+    if (!name) return 'z.unknown()';
+    return context.declared.has(name) ? `${name}Schema` : `z.lazy(() => ${name}Schema)`;
+  }
+  if (schema.anyOf) {
+    const options = schema.anyOf.filter(option => option.type !== 'null');
+    const base = options.length === 1
+      ? zodType(options[0], depth, context)
+      : `z.union([${options.map(option => zodType(option, depth, context)).join(', ')}])`;
+    return options.length < schema.anyOf.length ? `${base}.nullable()` : base;
+  }
+
+  const types = [].concat(schema.type || []);
+  const nullable = types.includes('null') ? '.nullable()' : '';
+
+  switch (types.find(type => type !== 'null')) {
+    case 'string':
+      return `z.string()${ZOD_FORMATS[schema.format] || ''}${nullable}`;
+    case 'integer':
+      return `z.number().int()${nullable}`;
+    case 'number':
+      return `z.number()${nullable}`;
+    case 'boolean':
+      return `z.boolean()${nullable}`;
+    case 'array':
+      return `z.array(${zodType(schema.items || {}, depth, context)})${nullable}`;
+    case 'object': {
+      if (!isStruct(schema)) return `z.record(z.unknown())${nullable}`;
+
+      const pad = '  '.repeat(depth + 1);
+      const members = Object.entries(schema.properties).map(([name, property]) => (
+        `${pad}${propertyName(name)}: ${zodType(property, depth + 1, context)}${isOptional(schema, name) ? '.optional()' : ''}`
+      ));
+      return `z.object({\n${members.join(',\n')}\n${'  '.repeat(depth)}})${nullable}`;
+    }
+    default:
+      return 'z.unknown()';
+  }
+}
+
+// Unmapped types are kept by the OpenAPI exporter in `x-original-type`
+function findUnmapped(schema, context) {
+  if (!schema || typeof schema !== 'object') return;
+  if (schema['x-original-type'] !== undefined) {
+    context.warnings.push(`unmapped type "${schema['x-original-type']}" in ${context.current}`);
+  }
+  Object.values(schema.properties || {}).forEach(property => findUnmapped(property, context));
+  (schema.anyOf || []).forEach(option => findUnmapped(option, context));
+  findUnmapped(schema.items, context);
+}
+
+function isStruct(schema) {
+  return schema.type === 'object' && Object.keys(schema.properties || {}).length > 0;
+}
+
+// Listed in `required` when the schema has the list, otherwise non-nullable
+function isOptional(schema, name) {
+  if (schema.required) {
+    return !schema.required.includes(name);
+  }
+  const property = schema.properties[name];
+  return [].concat(property.type || []).includes('null')
+    || Boolean(property.anyOf?.some(option => option.type === 'null'));
+}
+
+function docComment(lines, pad) {
+  const text = lines.filter(Boolean).map(commentText);
+  if (text.length === 0) return '';
+  if (text.length === 1) return `${pad}/** ${text[0]} */\n`;
+  return `${pad}/**\n${text.map(line => `${pad} * ${line}`).join('\n')}\n${pad} */\n`;
+}
+
+/**
+ * @param {string} preferred - Type name
+ * @param {Set} taken - Type names already declared; the returned name is added
+ * @returns {string} - `preferred`, or `preferred` with the first free numeric suffix
+ */
+function uniqueName(preferred, taken) {
+  let name = preferred;
+  for (let suffix = 2; taken.has(name); suffix++) {
+    name = `${preferred}${suffix}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * @returns {string} - Type name prefix of an operation: its endpoint ID, or
+ *   method and path in PascalCase when the endpoint has none
+ */
+function operationName(method, path, operation) {
+  if (operation.operationId) {
+    return identifier(operation.operationId);
+  }
+  return identifier(`${method} ${path}`.split(/[^A-Za-z0-9]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(''));
+}
+
+module.exports = {
+  buildTypeDefinitions,
+  buildZodSchemas
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Routes reachable without credentials even when they are required: public
+// share links, the AI health check, login and registration. Admin routes
+// check their own credentials (see requireAdmin)
+const PUBLIC_PATHS = [/^\/shared\//, /^\/ai-health$/, /^\/auth\/(login|register)$/, /^\/(keys|admin)(\/|$)/];
+
+// Session tokens are JWTs (three dot-separated parts), anything else is an API key
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+const sendAuthError = (res, statusCode, code, message) => {
+  if (statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message
+    }
+  });
+};
+
+/**
+ * Token of an `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request object
+ * @returns {string|null|undefined} - Token, undefined without the header, null when malformed
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) return undefined;
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * User of a session token
+ * @returns {Promise<Object>} - `{ user }`, or `{ code, message }` when the token is refused
+ */
+const resolveSession = async (token) => {
+  const { userService } = require('../services/userService');
+
+  try {
+    const user = await userService.authenticate(token);
+    return user ? { user } : { code: 'INVALID_TOKEN', message: 'The session is no longer valid' };
+  } catch (error) {
+    if (error.name !== 'TokenError') throw error;
+    return { code: error.code, message: error.code === 'TOKEN_EXPIRED' ? 'The session has expired' : 'The session token is not valid' };
+  }
+};
+
+/**
+ * Identify the caller: a user session (`req.user`) or an API key (`req.apiKey`)
+ * Requests without credentials pass through unless API_KEYS_REQUIRED is set;
+ * unknown keys and invalid sessions are always refused, revoked keys are forbidden
+ */
+const authenticate = async (req, res, next) => {
+  if (PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+
+  if (token === undefined) {
+    return config.auth.required
+      ? sendAuthError(res, 401, 'AUTH_REQUIRED', 'Credentials are required: send an API key or a session token as "Authorization: Bearer <token>"')
+      : next();
+  }
+
+  if (token && JWT_PATTERN.test(token)) {
+    const { user, code, message } = await resolveSession(token);
+
+    if (!user) {
+      logger.warn('Invalid session token', { code, method: req.method, url: req.originalUrl, ip: req.ip });
+      return sendAuthError(res, 401, code, message);
+    }
+
+    req.user = user;
+    return next();
+  }
+
+  const { apiKeyService } = require('../services/apiKeyService');
+  const apiKey = token && await apiKeyService.authenticate(token);
+
+  if (!apiKey) {
+    logger.warn('Invalid API key', { method: req.method, url: req.originalUrl, ip: req.ip });
+    return sendAuthError(res, 401, 'INVALID_API_KEY', 'The API key is not valid');
+  }
+
+  if (apiKey.revokedAt) {
+    logger.warn('Revoked API key used', { keyId: apiKey.id, url: req.originalUrl, ip: req.ip });
+    return sendAuthError(res, 403, 'API_KEY_REVOKED', 'The API key has been revoked');
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Refuse AI requests once the key used up its monthly token quota
+ * The request that crosses the quota completes; the following ones are refused
+ */
+const enforceTokenQuota = async (req, res, next) => {
+  if (!req.apiKey?.monthlyTokenQuota) {
+    return next();
+  }
+
+  const { apiKeyService } = require('../services/apiKeyService');
+  const usage = await apiKeyService.getUsage(req.apiKey);
+
+  if (usage.remaining === 0) {
+    logger.warn('API key token quota exceeded', { keyId: req.apiKey.id, period: usage.period, tokens: usage.tokens });
+
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 'TOKEN_QUOTA_EXCEEDED',
+        message: `Monthly token quota of ${usage.quota} exhausted for ${usage.period}`,
+        usage
+      }
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require a signed-in user (GET /api/auth/me)
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'A session token is required: sign in with POST /api/auth/login');
+  }
+
+  next();
+};
+
+/**
+ * Require at least `role` from signed-in users
+ * API keys are issued by admins and pass; anonymous requests are refused
+ * whether or not API_KEYS_REQUIRED is set
+ * @param {string} role - viewer | editor | admin
+ */
+const requireRole = (role) => (req, res, next) => {
+  const { userService } = require('../services/userService');
+
+  if (!req.user && !req.apiKey) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Credentials are required: send an API key or a session token as "Authorization: Bearer <token>"');
+  }
+
+  if (req.user && !userService.hasRole(req.user, role)) {
+    logger.warn('Access refused by role', { userId: req.user.id, role: req.user.role, required: role, url: req.originalUrl });
+    return sendAuthError(res, 403, 'FORBIDDEN', `This action requires the ${role} role`);
+  }
+
+  next();
+};
+
+/**
+ * Owner of the specs and projects the caller creates: the signed-in user or the API key
+ * @param {Object} req - Express request object
+ * @returns {Object} - `{ ownerId, ownerKeyId }`, at most one of them set
+ */
+const ownerOf = (req) => ({
+  ownerId: req.user?.id ?? null,
+  ownerKeyId: req.apiKey?.id ?? null
+});
+
+/**
+ * Whether the caller owns a spec or project: its user, the API key that created it, or an admin
+ * Records without an owner (created anonymously) are left to admins
+ */
+const isOwner = (req, resource) => {
+  if (req.user?.role === 'admin') return true;
+
+  return Boolean((req.user && resource.ownerId === req.user.id) ||
+    (req.apiKey && resource.ownerKeyId === req.apiKey.id));
+};
+
+/**
+ * Allow a spec or project, to read or to change, only to its owner and to admins (see isOwner)
+ * Missing resources pass through so the controller reports them
+ * @param {string} type - spec | project
+ * @param {Function} getId - Resource ID of the request, or a list of IDs that must all
+ *   be allowed (defaults to `req.params.id`)
+ */
+const requireOwnership = (type, getId = req => req.params.id) => async (req, res, next) => {
+  const { specService } = require('../services/specService');
+
+  for (const id of [].concat(getId(req) || [])) {
+    const resource = type === 'project'
+      ? await specService.repository.findProject(id)
+      : await specService.repository.findById(id);
+
+    if (resource && !isOwner(req, resource)) {
+      logger.warn('Access refused to owned resource', { type, id, userId: req.user?.id, keyId: req.apiKey?.id, url: req.originalUrl });
+      return sendAuthError(res, 403, 'FORBIDDEN', `Only the owner of the ${type} or an admin can access it`);
+    }
+  }
+
+  next();
+};
+
+/**
+ * Owner filter of the lists returned to the caller (`visibleTo`, see SpecRepository#list):
+ * admins see everything, users and API keys only the resources they own
+ * @param {Object} req - Express request object
+ * @returns {Object|undefined} - `{ ownerId, ownerKeyId }` as in ownerOf(), undefined for no filter
+ */
+const visibleTo = (req) => {
+  if (req.user?.role === 'admin') return undefined;
+  return ownerOf(req);
+};
+
+/**
+ * Compare a token with a secret in constant time
+ */
+const matchesSecret = (token, secret) => {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(token), hash(secret));
+};
+
+/**
+ * Protect GET /metrics with METRICS_TOKEN when it is set
+ */
+const requireMetricsToken = (req, res, next) => {
+  const { token: metricsToken } = config.metrics;
+  if (!metricsToken) return next();
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'The metrics token is required as "Authorization: Bearer <token>"');
+  }
+
+  if (!matchesSecret(token, metricsToken)) {
+    logger.warn('Metrics access refused', { ip: req.ip });
+    return sendAuthError(res, 403, 'FORBIDDEN', 'The metrics token is not valid');
+  }
+
+  next();
+};
+
+/**
+ * Allow only admins: the admin key (ADMIN_API_KEY) or the session of an admin user
+ */
+const requireAdmin = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Admin credentials are required: send them as "Authorization: Bearer <token>"');
+  }
+
+  const { adminKey } = config.auth;
+
+  if (adminKey && matchesSecret(token, adminKey)) {
+    return next();
+  }
+
+  if (JWT_PATTERN.test(token)) {
+    const { user, code, message } = await resolveSession(token);
+
+    if (!user) {
+      return sendAuthError(res, 401, code, message);
+    }
+
+    if (user.role === 'admin') {
+      req.user = user;
+      return next();
+    }
+  }
+
+  logger.warn('Admin access refused', { method: req.method, url: req.originalUrl, ip: req.ip });
+  return sendAuthError(res, 403, 'FORBIDDEN', 'Admin credentials are required');
+};
+
+module.exports = {
+  authenticate,
+  enforceTokenQuota,
+  requireUser,
+  requireRole,
+  requireOwnership,
+  ownerOf,
+  visibleTo,
+  requireAdmin,
+  requireMetricsToken
+};
@@ -0,0 +1,57 @@
+const { tracer, parseTraceparent, formatTraceparent } = require('../utils/tracing');
+
+/**
+ * Open a server span for every request
+ * Continues the trace of an incoming W3C `traceparent` header (sent by the
+ * frontend) and returns the span context in the `traceresponse` header, so a
+ * slow or failed request can be looked up in the collector
+ */
+const traceRequests = (req, res, next) => {
+  const span = tracer.startSpan(`${req.method} ${req.path}`, {
+    kind: 'server',
+    parent: parseTraceparent(req.get('traceparent')),
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'user_agent.original': req.get('User-Agent')
+    }
+  });
+
+  req.span = span;
+  res.set('traceresponse', formatTraceparent(span.context));
+
+  res.on('finish', () => {
+    // The route pattern is known only once the request has been routed
+    if (req.route) {
+      span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      span.setAttribute('http.route', `${req.baseUrl}${req.route.path}`);
+    }
+    span.setAttributes({
+      'http.response.status_code': res.statusCode,
+      'app.api_key_id': req.apiKey?.id,
+      'app.user_id': req.user?.id
+    });
+    if (res.statusCode >= 500) {
+      span.setStatus('error', `HTTP ${res.statusCode}`);
+    }
+    span.end();
+  });
+
+  tracer.withSpan(span, next);
+};
+
+/**
+ * Make the request span active again
+ * Body parsing resumes the middleware chain from stream events, outside the
+ * async flow of traceRequests: mount this right after the body parsers
+ */
+const restoreTraceContext = (req, res, next) => {
+  if (!req.span) return next();
+
+  tracer.withSpan(req.span, next);
+};
+
+module.exports = {
+  traceRequests,
+  restoreTraceContext
+};
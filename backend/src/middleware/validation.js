@@ -2,6 +2,24 @@ const Joi = require('joi');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { inputSanitizer } = require('../utils/sanitizer');
+const { tracer } = require('../utils/tracing');
+const { AIResponseValidator, REGENERABLE_SECTIONS } = require('../validators/aiResponseValidator');
+
+// Largest specification accepted for refinement (serialized JSON characters)
+const MAX_SPECIFICATION_SIZE = 200000;
+
+// Suspicious keywords - rimossi quelli che possono apparire in testo normale
+const SUSPICIOUS_KEYWORDS = [
+  '<script', '</script>', 'javascript:', 'vbscript:', 'data:text/html',
+  'onerror=', 'onload=', 'onclick=', '<iframe', '</iframe>',
+  'eval(', 'exec(', 'system(', 'shell_exec',
+  'union select', 'drop table', 'delete from', 'insert into'
+];
+
+// Project IDs (proj_<uuid>)
+const projectIdSchema = Joi.string()
+  .pattern(/^[\w-]+$/)
+  .max(100);
 
 // Validation schema for generate-spec request
 const generateSpecSchema = Joi.object({
@@ -37,7 +55,254 @@ const generateSpecSchema = Joi.object({
     }),
   
   includeTests: Joi.boolean()
-    .default(false)
+    .default(false),
+
+  projectId: projectIdSchema.optional()
+});
+
+// Validation schema for refine request
+const refineSpecSchema = Joi.object({
+  specification: Joi.object()
+    .min(1)
+    .required()
+    .messages({
+      'object.base': 'Specification must be an object',
+      'object.min': 'Specification must not be empty',
+      'any.required': 'Specification is required'
+    }),
+
+  instruction: Joi.string()
+    .trim()
+    .min(3)
+    .max(config.validation.maxDescriptionLength)
+    .required()
+    .messages({
+      'string.min': 'Instruction must be at least 3 characters long',
+      'string.max': `Instruction must not exceed ${config.validation.maxDescriptionLength} characters`,
+      'any.required': 'Instruction is required'
+    }),
+
+  language: Joi.string()
+    .valid(...config.validation.allowedLanguages)
+    .default('it'),
+
+  // Stored specification to add the result to as a new version
+  specId: Joi.string()
+    .max(100)
+    .optional()
+});
+
+// Validation schema for regenerate-section request
+const regenerateSectionSchema = Joi.object({
+  specification: refineSpecSchema.extract('specification'),
+
+  section: Joi.string()
+    .valid(...REGENERABLE_SECTIONS)
+    .required()
+    .messages({
+      'any.only': `Section must be one of: ${REGENERABLE_SECTIONS.join(', ')}`,
+      'any.required': 'Section is required'
+    }),
+
+  // Optional hint on what to improve in the regenerated section
+  instruction: Joi.string()
+    .trim()
+    .allow('')
+    .max(config.validation.maxDescriptionLength)
+    .default('')
+    .messages({
+      'string.max': `Instruction must not exceed ${config.validation.maxDescriptionLength} characters`
+    }),
+
+  language: Joi.string()
+    .valid(...config.validation.allowedLanguages)
+    .default('it'),
+
+  specId: refineSpecSchema.extract('specId')
+});
+
+// Validation schema for storing a specification (POST /api/specs)
+const storeSpecSchema = Joi.object({
+  specification: refineSpecSchema.extract('specification'),
+
+  description: Joi.string()
+    .trim()
+    .max(config.validation.maxDescriptionLength)
+    .optional(),
+
+  template: generateSpecSchema.extract('template'),
+
+  complexity: Joi.string()
+    .valid(...config.validation.allowedComplexities)
+    .optional(),
+
+  language: Joi.string()
+    .valid(...config.validation.allowedLanguages)
+    .optional(),
+
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .optional(),
+
+  projectId: projectIdSchema.optional()
+});
+
+// Validation schema for a new version of a stored specification (PUT /api/specs/:id)
+const updateSpecSchema = Joi.object({
+  specification: refineSpecSchema.extract('specification'),
+  note: storeSpecSchema.extract('note')
+});
+
+// Validation schema for a project (POST /api/projects, PUT /api/projects/:id)
+// The context is injected into generation prompts, so it is bounded in size
+const projectSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required(),
+
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional(),
+
+  context: Joi.object({
+    techStack: Joi.array()
+      .items(Joi.string().trim().max(100))
+      .max(30)
+      .default([]),
+
+    namingConventions: Joi.array()
+      .items(Joi.string().trim().max(300))
+      .max(20)
+      .default([]),
+
+    dataModels: Joi.array()
+      .items(Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        description: Joi.string().trim().max(500).optional(),
+        fields: Joi.array()
+          .items(Joi.object({
+            name: Joi.string().trim().max(100).required(),
+            type: Joi.string().trim().max(100).required(),
+            required: Joi.boolean().optional(),
+            description: Joi.string().trim().max(300).optional()
+          }))
+          .max(100)
+          .default([])
+      }))
+      .max(50)
+      .default([])
+  }).default({})
+});
+
+// Validation schema for a share link (POST /api/specs/:id/share); no expiry when omitted
+const shareSpecSchema = Joi.object({
+  expiresInHours: Joi.number()
+    .integer()
+    .min(1)
+    .max(24 * 365)
+    .optional()
+});
+
+// Validation schema for issuing an API key (POST /api/keys)
+// A monthly token quota of 0 means unlimited; omitted limits use the configured defaults
+const apiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required(),
+
+  rateLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100000)
+    .optional(),
+
+  monthlyTokenQuota: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+});
+
+// Validation schemas for user accounts (POST /api/auth/register, POST /api/auth/login)
+// Emails are compared lowercased; passwords are never trimmed or sanitized
+const emailSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .email()
+  .max(254)
+  .required();
+
+const registerSchema = Joi.object({
+  email: emailSchema,
+
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required(),
+
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .required()
+});
+
+const loginSchema = Joi.object({
+  email: emailSchema,
+
+  password: Joi.string()
+    .max(128)
+    .required()
+});
+
+// Validation schema for changing the role of a user (PUT /api/admin/users/:id/role)
+const userRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('viewer', 'editor', 'admin')
+    .required()
+});
+
+// Validation schema for combining stored specifications (POST /api/specs/merge)
+const mergeSpecsSchema = Joi.object({
+  specIds: Joi.array()
+    .items(Joi.string().pattern(/^[\w-]+$/).max(100))
+    .min(2)
+    .max(20)
+    .unique()
+    .required(),
+
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .optional(),
+
+  description: storeSpecSchema.extract('description'),
+
+  projectId: projectIdSchema.optional()
+});
+
+// Validation schema for usage ledger queries (GET /api/usage): `from` included, `to` excluded
+const usageQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+
+  to: Joi.date().iso().optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+
+  groupBy: Joi.string()
+    .valid('day', 'key', 'project', 'model')
+    .default('day'),
+
+  apiKeyId: Joi.string().pattern(/^[\w-]+$/).max(100).optional(),
+  userId: Joi.string().pattern(/^[\w-]+$/).max(100).optional(),
+  projectId: projectIdSchema.optional(),
+  model: Joi.string().max(200).optional()
 });
 
 /**
@@ -60,12 +325,12 @@ const validateGenerateRequest = (req, res, next) => {
 
   try {
     // Pre-sanitize the request body
-    const sanitizedBody = inputSanitizer.sanitizeObject(req.body, {
+    const sanitizedBody = tracer.trace('input.sanitize', {}, () => inputSanitizer.sanitizeObject(req.body, {
       allowHtml: false,
       maxLength: config.validation.maxDescriptionLength + 100, // Small buffer
       preserveNewlines: true,
       logSuspicious: true
-    });
+    }));
 
     // Validate the sanitized data
     const { error, value } = generateSpecSchema.validate(sanitizedBody, {
@@ -132,6 +397,347 @@ const validateGenerateRequest = (req, res, next) => {
   }
 };
 
+/**
+ * Build a middleware validating requests that carry an existing specification
+ * Only the instruction is sanitized: the specification is structured data
+ * (HTTP methods, types like `Promise<T>`) that the sanitizer would corrupt,
+ * so it is reduced to its schema-valid sections instead
+ * @param {Object} schema - Joi schema of the request body
+ * @param {string} requestType - Request name used in logs (refine, regenerate-section)
+ * @returns {Function} - Express middleware
+ */
+const createSpecificationValidator = (schema, requestType) => (req, res, next) => {
+  const clientIp = req.ip || req.connection.remoteAddress;
+
+  if (!inputSanitizer.checkRateLimit(clientIp)) {
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 'SANITIZATION_RATE_LIMIT',
+        message: 'Too many requests. Please slow down.',
+        retryAfter: 60
+      }
+    });
+  }
+
+  const sendValidationError = (details) => res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Request validation failed',
+      details
+    }
+  });
+
+  try {
+    const body = { ...req.body };
+    if (body.instruction !== undefined) {
+      body.instruction = inputSanitizer.sanitizeString(body.instruction, {
+        allowHtml: false,
+        maxLength: config.validation.maxDescriptionLength + 100,
+        preserveNewlines: true,
+        logSuspicious: true
+      });
+    }
+
+    const { error, value } = schema.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn(`${requestType} request validation failed`, {
+        errors: validationErrors,
+        ip: clientIp
+      });
+
+      return sendValidationError(validationErrors);
+    }
+
+    if (JSON.stringify(value.specification).length > MAX_SPECIFICATION_SIZE) {
+      return sendValidationError([{ field: 'specification', message: 'Specification is too large' }]);
+    }
+
+    // Keep schema sections only (drops enhancement data like statistics)
+    const { data } = AIResponseValidator.validateSections(value.specification, `${requestType}-request`);
+    if (Object.keys(data).length === 0) {
+      return sendValidationError([{ field: 'specification', message: 'Specification has no valid sections' }]);
+    }
+
+    const securityCheck = value.instruction
+      ? performSecurityValidation({ description: value.instruction }, clientIp)
+      : { valid: true };
+    if (!securityCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SECURITY_VALIDATION_FAILED',
+          message: securityCheck.error
+        }
+      });
+    }
+
+    req.body = { ...value, specification: data };
+    req.sanitizationApplied = true;
+    next();
+
+  } catch (error) {
+    logger.error(`${requestType} validation middleware error`, {
+      error: error.message,
+      stack: error.stack,
+      ip: clientIp
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed'
+      }
+    });
+  }
+};
+
+/**
+ * Middleware to validate refine request
+ */
+const validateRefineRequest = createSpecificationValidator(refineSpecSchema, 'refine');
+
+/**
+ * Middleware to validate regenerate-section request
+ */
+const validateRegenerateSectionRequest = createSpecificationValidator(regenerateSectionSchema, 'regenerate-section');
+
+/**
+ * Middleware to validate store-spec request
+ */
+const validateStoreSpecRequest = createSpecificationValidator(storeSpecSchema, 'store-spec');
+
+/**
+ * Middleware to validate update-spec request
+ */
+const validateUpdateSpecRequest = createSpecificationValidator(updateSpecSchema, 'update-spec');
+
+/**
+ * Middleware to validate share-spec request
+ */
+const validateShareRequest = (req, res, next) => {
+  const { error, value } = shareSpecSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate API key creation request
+ */
+const validateApiKeyRequest = (req, res, next) => {
+  const { error, value } = apiKeySchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware factory for requests whose body only needs the schema (no sanitizing)
+ * @param {Object} schema - Joi schema of the body
+ */
+const createBodyValidator = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate usage ledger queries
+ */
+const validateUsageQuery = (req, res, next) => {
+  const { error, value } = usageQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Query validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Middleware to validate registration, login and role change requests
+ */
+const validateRegisterRequest = createBodyValidator(registerSchema);
+const validateLoginRequest = createBodyValidator(loginSchema);
+const validateUserRoleRequest = createBodyValidator(userRoleSchema);
+
+/**
+ * Middleware to validate merge-specs request
+ */
+const validateMergeRequest = (req, res, next) => {
+  const { error, value } = mergeSpecsSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware to validate project create/update requests
+ * The context holds types like `Promise<User>` that the sanitizer would corrupt,
+ * so every string is checked for suspicious keywords instead
+ */
+const validateProjectRequest = (req, res, next) => {
+  const { error, value } = projectSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  const text = JSON.stringify(value).toLowerCase();
+  const foundSuspicious = SUSPICIOUS_KEYWORDS.filter(keyword => text.includes(keyword));
+
+  if (foundSuspicious.length > 0) {
+    logger.warn('Suspicious keywords detected in project', {
+      keywords: foundSuspicious,
+      ip: req.ip
+    });
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'SECURITY_VALIDATION_FAILED',
+        message: 'Il progetto contiene contenuto potenzialmente pericoloso'
+      }
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Middleware rejecting a `projectId` that does not exist, before any AI call
+ * Runs after the body validators
+ */
+const validateProjectReference = async (req, res, next) => {
+  if (!req.body.projectId) {
+    return next();
+  }
+
+  const { projectService } = require('../services/projectService');
+  const project = await projectService.repository.findProject(req.body.projectId);
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'PROJECT_NOT_FOUND',
+        message: 'Project not found'
+      }
+    });
+  }
+
+  next();
+};
+
 /**
  * Perform additional security validation
  * @param {Object} data - Validated data
@@ -141,16 +747,8 @@ const validateGenerateRequest = (req, res, next) => {
 function performSecurityValidation(data, clientIp) {
   // Check description for suspicious patterns
   if (data.description) {
-    // Suspicious keywords - rimossi quelli che possono apparire in testo normale
-    const suspiciousKeywords = [
-      '<script', '</script>', 'javascript:', 'vbscript:', 'data:text/html',
-      'onerror=', 'onload=', 'onclick=', '<iframe', '</iframe>',
-      'eval(', 'exec(', 'system(', 'shell_exec',
-      'union select', 'drop table', 'delete from', 'insert into'
-    ];
-
     const lowerDesc = data.description.toLowerCase();
-    const foundSuspicious = suspiciousKeywords.filter(keyword => 
+    const foundSuspicious = SUSPICIOUS_KEYWORDS.filter(keyword => 
       lowerDesc.includes(keyword.toLowerCase())
     );
 
@@ -299,8 +897,33 @@ const validateTemplatesRequest = (req, res, next) => {
 
 module.exports = {
   validateGenerateRequest,
+  validateRefineRequest,
+  validateRegenerateSectionRequest,
+  validateStoreSpecRequest,
+  validateUpdateSpecRequest,
+  validateShareRequest,
+  validateApiKeyRequest,
+  validateRegisterRequest,
+  validateLoginRequest,
+  validateUserRoleRequest,
+  validateUsageQuery,
+  validateMergeRequest,
+  validateProjectRequest,
+  validateProjectReference,
   validateTemplatesRequest,
   validateDescription,
   generateSpecSchema,
+  refineSpecSchema,
+  regenerateSectionSchema,
+  storeSpecSchema,
+  updateSpecSchema,
+  shareSpecSchema,
+  apiKeySchema,
+  registerSchema,
+  loginSchema,
+  userRoleSchema,
+  usageQuerySchema,
+  mergeSpecsSchema,
+  projectSchema,
   validateTemplatesQuery
 };
\ No newline at end of file
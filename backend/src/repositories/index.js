@@ -0,0 +1,24 @@
+const config = require('../config');
+const { SpecRepository } = require('./specRepository');
+const { MemorySpecRepository } = require('./memorySpecRepository');
+const { SqliteSpecRepository } = require('./sqliteSpecRepository');
+
+/**
+ * Create the specification repository selected by SPEC_STORAGE
+ * @param {Object} storage - Storage configuration (defaults to config.storage)
+ * @returns {SpecRepository}
+ */
+function createSpecRepository(storage = config.storage) {
+  if (storage.driver === 'memory') {
+    return new MemorySpecRepository();
+  }
+
+  return new SqliteSpecRepository({ filename: storage.sqlitePath });
+}
+
+module.exports = {
+  createSpecRepository,
+  SpecRepository,
+  MemorySpecRepository,
+  SqliteSpecRepository
+};
@@ -0,0 +1,288 @@
+const { SpecRepository } = require('./specRepository');
+
+// Field each usage aggregation groups by
+const USAGE_GROUP_KEYS = {
+  day: record => record.createdAt.slice(0, 10),
+  key: record => record.apiKeyId,
+  project: record => record.projectId,
+  model: record => record.model
+};
+
+/**
+ * In-memory repository, used by tests and when SPEC_STORAGE=memory
+ * Records are cloned on the way in and out so callers cannot mutate history
+ */
+class MemorySpecRepository extends SpecRepository {
+  constructor() {
+    super('memory');
+    this.specs = new Map();
+    this.versions = new Map();
+    this.shares = new Map();
+    this.projects = new Map();
+    this.apiKeys = new Map();
+    this.apiKeyUsage = new Map();
+    this.users = new Map();
+    this.usageRecords = [];
+  }
+
+  async create(spec, version) {
+    const record = {
+      ...spec,
+      projectId: spec.projectId ?? null,
+      ownerId: spec.ownerId ?? null,
+      ownerKeyId: spec.ownerKeyId ?? null,
+      currentVersion: 1
+    };
+    this.specs.set(spec.id, clone(record));
+    this.versions.set(spec.id, [clone({ ...version, specId: spec.id, version: 1 })]);
+    return clone(record);
+  }
+
+  async findById(id) {
+    const spec = this.specs.get(id);
+    return spec ? clone(spec) : null;
+  }
+
+  async list({ limit, offset, projectId, visibleTo }) {
+    const items = Array.from(this.specs.values())
+      .filter(spec => projectId === undefined || spec.projectId === projectId)
+      .filter(spec => isVisible(spec, visibleTo))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    return {
+      items: items.slice(offset, offset + limit).map(clone),
+      total: items.length
+    };
+  }
+
+  async addVersion(id, version, { name } = {}) {
+    const spec = this.specs.get(id);
+    if (!spec) return null;
+
+    const versions = this.versions.get(id);
+    const number = versions.length + 1;
+    versions.push(clone({ ...version, specId: id, version: number }));
+
+    Object.assign(spec, {
+      name: name || spec.name,
+      model: version.model || spec.model,
+      provider: version.provider || spec.provider,
+      tokensUsed: spec.tokensUsed + (version.tokensUsed || 0),
+      currentVersion: number,
+      updatedAt: version.createdAt
+    });
+
+    return clone(spec);
+  }
+
+  async delete(id) {
+    this.versions.delete(id);
+    this.shares.forEach((share, token) => {
+      if (share.specId === id) this.shares.delete(token);
+    });
+    return this.specs.delete(id);
+  }
+
+  async listVersions(id) {
+    return (this.versions.get(id) || [])
+      .map(version => {
+        const summary = clone(version);
+        delete summary.specification;
+        return summary;
+      })
+      .reverse();
+  }
+
+  async findVersion(id, version) {
+    const found = (this.versions.get(id) || []).find(entry => entry.version === version);
+    return found ? clone(found) : null;
+  }
+
+  async createShare(share) {
+    this.shares.set(share.token, clone({ ...share, revokedAt: null }));
+    return this.findShare(share.token);
+  }
+
+  async findShare(token) {
+    const share = this.shares.get(token);
+    return share ? clone(share) : null;
+  }
+
+  async listShares(specId) {
+    return Array.from(this.shares.values())
+      .filter(share => share.specId === specId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(clone);
+  }
+
+  async revokeShare(token, revokedAt) {
+    const share = this.shares.get(token);
+    if (!share) return null;
+
+    share.revokedAt = share.revokedAt || revokedAt;
+    return clone(share);
+  }
+
+  async createProject(project) {
+    this.projects.set(project.id, clone({ ...project, ownerId: project.ownerId ?? null, ownerKeyId: project.ownerKeyId ?? null }));
+    return this.findProject(project.id);
+  }
+
+  async findProject(id) {
+    const project = this.projects.get(id);
+    return project ? this.withSpecCount(project) : null;
+  }
+
+  async listProjects({ visibleTo } = {}) {
+    return Array.from(this.projects.values())
+      .filter(project => isVisible(project, visibleTo))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(project => this.withSpecCount(project));
+  }
+
+  async updateProject(id, changes) {
+    const project = this.projects.get(id);
+    if (!project) return null;
+
+    Object.assign(project, clone(changes));
+    return this.findProject(id);
+  }
+
+  async deleteProject(id) {
+    this.specs.forEach(spec => {
+      if (spec.projectId === id) spec.projectId = null;
+    });
+    return this.projects.delete(id);
+  }
+
+  async createApiKey(apiKey) {
+    this.apiKeys.set(apiKey.id, clone({ ...apiKey, revokedAt: null }));
+    return this.findApiKey(apiKey.id);
+  }
+
+  async findApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    return apiKey ? clone(apiKey) : null;
+  }
+
+  async findApiKeyByHash(keyHash) {
+    const apiKey = Array.from(this.apiKeys.values()).find(entry => entry.keyHash === keyHash);
+    return apiKey ? clone(apiKey) : null;
+  }
+
+  async listApiKeys() {
+    return Array.from(this.apiKeys.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(clone);
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey) return null;
+
+    apiKey.revokedAt = apiKey.revokedAt || revokedAt;
+    return clone(apiKey);
+  }
+
+  async addApiKeyUsage(keyId, period, tokens) {
+    const usage = await this.getApiKeyUsage(keyId, period);
+    usage.tokens += tokens;
+    usage.requests += 1;
+
+    this.apiKeyUsage.set(`${keyId}:${period}`, usage);
+    return clone(usage);
+  }
+
+  async getApiKeyUsage(keyId, period) {
+    const usage = this.apiKeyUsage.get(`${keyId}:${period}`);
+    return usage ? clone(usage) : { keyId, period, tokens: 0, requests: 0 };
+  }
+
+  async createUser(user) {
+    this.users.set(user.id, clone(user));
+    return this.findUser(user.id);
+  }
+
+  async findUser(id) {
+    const user = this.users.get(id);
+    return user ? clone(user) : null;
+  }
+
+  async findUserByEmail(email) {
+    const user = Array.from(this.users.values()).find(entry => entry.email.toLowerCase() === email.toLowerCase());
+    return user ? clone(user) : null;
+  }
+
+  async listUsers() {
+    return Array.from(this.users.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(clone);
+  }
+
+  async updateUserRole(id, { role, updatedAt }) {
+    const user = this.users.get(id);
+    if (!user) return null;
+
+    Object.assign(user, { role, updatedAt });
+    return clone(user);
+  }
+
+  async addUsageRecord(record) {
+    this.usageRecords.push(clone(record));
+    return clone(record);
+  }
+
+  async aggregateUsage({ from, to, groupBy = null, filters = {} }) {
+    const records = this.usageRecords.filter(record => record.createdAt >= from && record.createdAt < to &&
+      Object.entries(filters).every(([field, value]) => record[field] === value));
+
+    // Without grouping there is always one total, even over an empty range
+    const groups = new Map(groupBy ? [] : [[null, []]]);
+    records.forEach(record => {
+      const key = groupBy ? USAGE_GROUP_KEYS[groupBy](record) ?? null : null;
+      groups.set(key, (groups.get(key) || []).concat(record));
+    });
+
+    return Array.from(groups.entries())
+      .sort(([a], [b]) => (a === null ? -1 : b === null ? 1 : a.localeCompare(b)))
+      .map(([key, entries]) => summarizeUsage(key, entries));
+  }
+
+  withSpecCount(project) {
+    const specCount = Array.from(this.specs.values()).filter(spec => spec.projectId === project.id).length;
+    return { ...clone(project), specCount };
+  }
+}
+
+function summarizeUsage(key, records) {
+  const sum = field => records.reduce((total, record) => total + (record[field] || 0), 0);
+  const count = outcome => records.filter(record => record.outcome === outcome).length;
+  const priced = records.filter(record => record.cost !== null && record.cost !== undefined);
+
+  return {
+    key,
+    requests: records.length,
+    outcomes: { success: count('success'), fallback: count('fallback'), error: count('error'), cancelled: count('cancelled') },
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    totalTokens: sum('totalTokens'),
+    cost: priced.length > 0 ? Math.round(priced.reduce((total, record) => total + record.cost, 0) * 1e6) / 1e6 : null,
+    averageLatencyMs: records.length > 0 ? Math.round(sum('latencyMs') / records.length) : null
+  };
+}
+
+// Without `visibleTo` every record is visible (see SpecRepository#list)
+function isVisible(record, visibleTo) {
+  if (visibleTo === undefined) return true;
+
+  return Boolean((visibleTo.ownerId && record.ownerId === visibleTo.ownerId) ||
+    (visibleTo.ownerKeyId && record.ownerKeyId === visibleTo.ownerKeyId));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  MemorySpecRepository
+};
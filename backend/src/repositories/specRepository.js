@@ -0,0 +1,316 @@
+/**
+ * Storage interface for specifications, their version history, the projects grouping them,
+ * the users owning them and the API keys calling the service
+ * Implementations must keep versions immutable: a change to a specification
+ * is always stored as a new version with the next number
+ *
+ * Records exchanged with the service:
+ * - spec: `{ id, projectId, ownerId, ownerKeyId, name, description, template, complexity, language, model,
+ *   provider, tokensUsed, currentVersion, createdAt, updatedAt }` where `ownerId` is the user and
+ *   `ownerKeyId` the API key that created it (neither for records created anonymously)
+ * - version: `{ specId, version, specification, source, note, model, provider,
+ *   tokensUsed, validationStatus, createdAt }`
+ * - share: `{ token, specId, createdAt, expiresAt, revokedAt }` (read-only public links,
+ *   deleted with their spec)
+ * - project: `{ id, ownerId, ownerKeyId, name, description, context, specCount, createdAt, updatedAt }` where
+ *   `context` is `{ techStack, namingConventions, dataModels }`; deleting a project keeps
+ *   its specs, which no longer belong to any project
+ * - API key: `{ id, name, prefix, keyHash, rateLimit, monthlyTokenQuota, createdAt, revokedAt }`
+ *   where only the hash of the key is stored and a null quota means unlimited
+ * - API key usage: `{ keyId, period, tokens, requests }` per calendar month (`YYYY-MM`)
+ * - user: `{ id, email, name, passwordHash, role, createdAt, updatedAt }` with a unique,
+ *   case-insensitive email; deleting a user or an API key keeps the specs and projects it owned
+ * - usage record: `{ id, requestId, operation, outcome, provider, model, promptTokens, completionTokens,
+ *   totalTokens, cost, latencyMs, apiKeyId, userId, projectId, specId, createdAt }`, one per AI
+ *   request, never updated; `cost` is in USD, null when the model has no price
+ */
+class SpecRepository {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a new specification with its first version
+   * @param {Object} spec - Spec record (without currentVersion)
+   * @param {Object} version - First version (without specId and version number)
+   * @returns {Promise<Object>} - Stored spec record
+   */
+  async create(_spec, _version) {
+    throw new Error(`${this.name} repository does not implement create()`);
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @returns {Promise<Object|null>} - Spec record
+   */
+  async findById(_id) {
+    throw new Error(`${this.name} repository does not implement findById()`);
+  }
+
+  /**
+   * List specifications, most recently updated first
+   * @param {Object} options - { limit, offset, projectId, visibleTo } (all projects when projectId
+   *   is undefined; with `visibleTo` `{ ownerId, ownerKeyId }`, only specs owned by that user ID or
+   *   created with that API key ID, never those without an owner)
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async list(_options) {
+    throw new Error(`${this.name} repository does not implement list()`);
+  }
+
+  /**
+   * Append a version and update the spec record (name, model, token totals)
+   * @param {string} id - Spec ID
+   * @param {Object} version - New version (without specId and version number)
+   * @param {Object} changes - Spec fields to update: `{ name }`
+   * @returns {Promise<Object|null>} - Updated spec record, null when the spec does not exist
+   */
+  async addVersion(_id, _version, _changes) {
+    throw new Error(`${this.name} repository does not implement addVersion()`);
+  }
+
+  /**
+   * Delete a specification and its whole history
+   * @param {string} id - Spec ID
+   * @returns {Promise<boolean>} - Whether the spec existed
+   */
+  async delete(_id) {
+    throw new Error(`${this.name} repository does not implement delete()`);
+  }
+
+  /**
+   * List the versions of a specification, newest first, without their content
+   * @param {string} id - Spec ID
+   * @returns {Promise<Array>} - Version records without `specification`
+   */
+  async listVersions(_id) {
+    throw new Error(`${this.name} repository does not implement listVersions()`);
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - Version record
+   */
+  async findVersion(_id, _version) {
+    throw new Error(`${this.name} repository does not implement findVersion()`);
+  }
+
+  /**
+   * Store a share link
+   * @param {Object} share - Share record
+   * @returns {Promise<Object>} - Stored share record
+   */
+  async createShare(_share) {
+    throw new Error(`${this.name} repository does not implement createShare()`);
+  }
+
+  /**
+   * @param {string} token - Share token
+   * @returns {Promise<Object|null>} - Share record
+   */
+  async findShare(_token) {
+    throw new Error(`${this.name} repository does not implement findShare()`);
+  }
+
+  /**
+   * List the share links of a specification, newest first
+   * @param {string} specId - Spec ID
+   * @returns {Promise<Array>} - Share records
+   */
+  async listShares(_specId) {
+    throw new Error(`${this.name} repository does not implement listShares()`);
+  }
+
+  /**
+   * Mark a share link as revoked
+   * @param {string} token - Share token
+   * @param {string} revokedAt - ISO date
+   * @returns {Promise<Object|null>} - Updated share record, null when it does not exist
+   */
+  async revokeShare(_token, _revokedAt) {
+    throw new Error(`${this.name} repository does not implement revokeShare()`);
+  }
+
+  /**
+   * Store a new project
+   * @param {Object} project - Project record (without specCount)
+   * @returns {Promise<Object>} - Stored project record
+   */
+  async createProject(_project) {
+    throw new Error(`${this.name} repository does not implement createProject()`);
+  }
+
+  /**
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} - Project record
+   */
+  async findProject(_id) {
+    throw new Error(`${this.name} repository does not implement findProject()`);
+  }
+
+  /**
+   * List every project by name
+   * @param {Object} options - { visibleTo } filters by owner as in list()
+   * @returns {Promise<Array>} - Project records
+   */
+  async listProjects(_options) {
+    throw new Error(`${this.name} repository does not implement listProjects()`);
+  }
+
+  /**
+   * @param {string} id - Project ID
+   * @param {Object} changes - `{ name, description, context, updatedAt }`
+   * @returns {Promise<Object|null>} - Updated project record, null when it does not exist
+   */
+  async updateProject(_id, _changes) {
+    throw new Error(`${this.name} repository does not implement updateProject()`);
+  }
+
+  /**
+   * Delete a project; its specifications are kept without a project
+   * @param {string} id - Project ID
+   * @returns {Promise<boolean>} - Whether the project existed
+   */
+  async deleteProject(_id) {
+    throw new Error(`${this.name} repository does not implement deleteProject()`);
+  }
+
+  /**
+   * Store a new API key
+   * @param {Object} apiKey - API key record
+   * @returns {Promise<Object>} - Stored API key record
+   */
+  async createApiKey(_apiKey) {
+    throw new Error(`${this.name} repository does not implement createApiKey()`);
+  }
+
+  /**
+   * @param {string} id - API key ID
+   * @returns {Promise<Object|null>} - API key record
+   */
+  async findApiKey(_id) {
+    throw new Error(`${this.name} repository does not implement findApiKey()`);
+  }
+
+  /**
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} - API key record
+   */
+  async findApiKeyByHash(_keyHash) {
+    throw new Error(`${this.name} repository does not implement findApiKeyByHash()`);
+  }
+
+  /**
+   * List every API key, newest first
+   * @returns {Promise<Array>} - API key records
+   */
+  async listApiKeys() {
+    throw new Error(`${this.name} repository does not implement listApiKeys()`);
+  }
+
+  /**
+   * Mark an API key as revoked
+   * @param {string} id - API key ID
+   * @param {string} revokedAt - ISO date
+   * @returns {Promise<Object|null>} - Updated API key record, null when it does not exist
+   */
+  async revokeApiKey(_id, _revokedAt) {
+    throw new Error(`${this.name} repository does not implement revokeApiKey()`);
+  }
+
+  /**
+   * Count one AI request and its tokens in the usage of a month
+   * @param {string} keyId - API key ID
+   * @param {string} period - Month (`YYYY-MM`)
+   * @param {number} tokens - Tokens used by the request
+   * @returns {Promise<Object>} - Updated usage record
+   */
+  async addApiKeyUsage(_keyId, _period, _tokens) {
+    throw new Error(`${this.name} repository does not implement addApiKeyUsage()`);
+  }
+
+  /**
+   * @param {string} keyId - API key ID
+   * @param {string} period - Month (`YYYY-MM`)
+   * @returns {Promise<Object>} - Usage record, with zero counts when the key was not used
+   */
+  async getApiKeyUsage(_keyId, _period) {
+    throw new Error(`${this.name} repository does not implement getApiKeyUsage()`);
+  }
+
+  /**
+   * Store a new user
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} - Stored user record
+   */
+  async createUser(_user) {
+    throw new Error(`${this.name} repository does not implement createUser()`);
+  }
+
+  /**
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} - User record
+   */
+  async findUser(_id) {
+    throw new Error(`${this.name} repository does not implement findUser()`);
+  }
+
+  /**
+   * @param {string} email - Email, matched case-insensitively
+   * @returns {Promise<Object|null>} - User record
+   */
+  async findUserByEmail(_email) {
+    throw new Error(`${this.name} repository does not implement findUserByEmail()`);
+  }
+
+  /**
+   * List every user, oldest first
+   * @returns {Promise<Array>} - User records
+   */
+  async listUsers() {
+    throw new Error(`${this.name} repository does not implement listUsers()`);
+  }
+
+  /**
+   * Change the role of a user
+   * @param {string} id - User ID
+   * @param {Object} changes - `{ role, updatedAt }`
+   * @returns {Promise<Object|null>} - Updated user record, null when it does not exist
+   */
+  async updateUserRole(_id, _changes) {
+    throw new Error(`${this.name} repository does not implement updateUserRole()`);
+  }
+
+  /**
+   * Append a record to the usage ledger
+   * @param {Object} record - Usage record
+   * @returns {Promise<Object>} - Stored usage record
+   */
+  async addUsageRecord(_record) {
+    throw new Error(`${this.name} repository does not implement addUsageRecord()`);
+  }
+
+  /**
+   * Aggregate the usage ledger over a time range
+   * @param {Object} query - Aggregation query
+   * @param {string} query.from - ISO date, included
+   * @param {string} query.to - ISO date, excluded
+   * @param {string|null} query.groupBy - day | key | project | model, null for a single total
+   * @param {Object} query.filters - Exact matches on `{ apiKeyId, userId, projectId, model }`
+   * @returns {Promise<Array>} - Groups `{ key, requests, outcomes, promptTokens, completionTokens,
+   *   totalTokens, cost, averageLatencyMs }` ordered by key; a single group (key null) without groupBy
+   */
+  async aggregateUsage(_query) {
+    throw new Error(`${this.name} repository does not implement aggregateUsage()`);
+  }
+
+  /**
+   * Release resources (database handles)
+   */
+  async close() {}
+}
+
+module.exports = {
+  SpecRepository
+};
@@ -0,0 +1,663 @@
+const fs = require('fs');
+const path = require('path');
+const { SpecRepository } = require('./specRepository');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE specs (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    template TEXT,
+    complexity TEXT,
+    language TEXT,
+    model TEXT,
+    provider TEXT,
+    tokens_used INTEGER NOT NULL DEFAULT 0,
+    current_version INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE spec_versions (
+    spec_id TEXT NOT NULL REFERENCES specs(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    specification TEXT NOT NULL,
+    source TEXT NOT NULL,
+    note TEXT,
+    model TEXT,
+    provider TEXT,
+    tokens_used INTEGER NOT NULL DEFAULT 0,
+    validation_status TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (spec_id, version)
+  );
+
+  CREATE INDEX idx_specs_updated_at ON specs(updated_at);
+
+  -- Versions are immutable history
+  CREATE TRIGGER spec_versions_immutable BEFORE UPDATE ON spec_versions
+  BEGIN
+    SELECT RAISE(ABORT, 'spec versions are immutable');
+  END;`,
+
+  `CREATE TABLE spec_shares (
+    token TEXT PRIMARY KEY,
+    spec_id TEXT NOT NULL REFERENCES specs(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT,
+    revoked_at TEXT
+  );
+
+  CREATE INDEX idx_spec_shares_spec_id ON spec_shares(spec_id);`,
+
+  `CREATE TABLE projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    context TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  ALTER TABLE specs ADD COLUMN project_id TEXT REFERENCES projects(id) ON DELETE SET NULL;
+
+  CREATE INDEX idx_specs_project_id ON specs(project_id);`,
+
+  `CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    rate_limit INTEGER NOT NULL,
+    monthly_token_quota INTEGER,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+
+  CREATE TABLE api_key_usage (
+    key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    period TEXT NOT NULL,
+    tokens INTEGER NOT NULL DEFAULT 0,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, period)
+  );`,
+
+  `CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  ALTER TABLE specs ADD COLUMN owner_id TEXT REFERENCES users(id) ON DELETE SET NULL;
+  ALTER TABLE projects ADD COLUMN owner_id TEXT REFERENCES users(id) ON DELETE SET NULL;`,
+
+  // The ledger keeps no foreign keys: usage stays counted after keys, users, projects or specs go away
+  `CREATE TABLE usage_records (
+    id TEXT PRIMARY KEY,
+    request_id TEXT,
+    operation TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    provider TEXT,
+    model TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    cost REAL,
+    latency_ms INTEGER,
+    api_key_id TEXT,
+    user_id TEXT,
+    project_id TEXT,
+    spec_id TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_usage_records_created_at ON usage_records(created_at);`,
+
+  `ALTER TABLE specs ADD COLUMN owner_key_id TEXT REFERENCES api_keys(id) ON DELETE SET NULL;
+  ALTER TABLE projects ADD COLUMN owner_key_id TEXT REFERENCES api_keys(id) ON DELETE SET NULL;`
+];
+
+// Column or expression each usage aggregation groups by
+const USAGE_GROUP_COLUMNS = {
+  day: 'substr(created_at, 1, 10)',
+  key: 'api_key_id',
+  project: 'project_id',
+  model: 'model'
+};
+
+const USAGE_FILTER_COLUMNS = {
+  apiKeyId: 'api_key_id',
+  userId: 'user_id',
+  projectId: 'project_id',
+  model: 'model'
+};
+
+const PROJECT_COLUMNS = `projects.*,
+  (SELECT COUNT(*) FROM specs WHERE specs.project_id = projects.id) AS spec_count`;
+
+// Records owned by the user @ownerId or created with the API key @ownerKeyId (NULL matches nothing)
+const VISIBLE_TO_OWNER = '(owner_id = @ownerId OR owner_key_id = @ownerKeyId)';
+
+const VERSION_SUMMARY_COLUMNS = 'spec_id, version, source, note, model, provider, tokens_used, validation_status, created_at';
+
+/**
+ * SQLite repository (default): one file, created with its schema on first use
+ * better-sqlite3 is synchronous; methods stay async to honour the interface
+ */
+class SqliteSpecRepository extends SpecRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {string} options.filename - Database file (`:memory:` for a throwaway database)
+   */
+  constructor({ filename }) {
+    super('sqlite');
+
+    // Loaded lazily so the memory driver works without the native module
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  /**
+   * Apply the migrations newer than the database schema version
+   */
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(current).forEach((sql, index) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${current + index + 1}`);
+      })();
+    });
+  }
+
+  async create(spec, version) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO specs (id, project_id, owner_id, owner_key_id, name, description, template, complexity, language,
+          model, provider, tokens_used, current_version, created_at, updated_at)
+        VALUES (@id, @projectId, @ownerId, @ownerKeyId, @name, @description, @template, @complexity, @language,
+          @model, @provider, @tokensUsed, 1, @createdAt, @updatedAt)
+      `).run(toSpecRow(spec));
+
+      this.insertVersion(spec.id, 1, version);
+    })();
+
+    return this.findById(spec.id);
+  }
+
+  async findById(id) {
+    const row = this.db.prepare('SELECT * FROM specs WHERE id = ?').get(id);
+    return row ? fromSpecRow(row) : null;
+  }
+
+  async list({ limit, offset, projectId, visibleTo }) {
+    // `project_id IS ?` also matches NULL (specs outside any project)
+    const conditions = [
+      projectId === undefined ? null : 'project_id IS @projectId',
+      visibleTo === undefined ? null : VISIBLE_TO_OWNER
+    ].filter(Boolean);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const params = { limit, offset, projectId: projectId ?? null, ...ownerParams(visibleTo) };
+
+    const rows = this.db.prepare(`SELECT * FROM specs ${where} ORDER BY updated_at DESC LIMIT @limit OFFSET @offset`).all(params);
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM specs ${where}`).get(params);
+
+    return { items: rows.map(fromSpecRow), total };
+  }
+
+  async addVersion(id, version, { name } = {}) {
+    const updated = this.db.transaction(() => {
+      const spec = this.db.prepare('SELECT current_version FROM specs WHERE id = ?').get(id);
+      if (!spec) return false;
+
+      const number = spec.current_version + 1;
+      this.insertVersion(id, number, version);
+
+      this.db.prepare(`
+        UPDATE specs SET
+          name = COALESCE(@name, name),
+          model = COALESCE(@model, model),
+          provider = COALESCE(@provider, provider),
+          tokens_used = tokens_used + @tokensUsed,
+          current_version = @number,
+          updated_at = @updatedAt
+        WHERE id = @id
+      `).run({
+        id,
+        number,
+        name: name || null,
+        model: version.model ?? null,
+        provider: version.provider ?? null,
+        tokensUsed: version.tokensUsed || 0,
+        updatedAt: version.createdAt
+      });
+
+      return true;
+    })();
+
+    return updated ? this.findById(id) : null;
+  }
+
+  async delete(id) {
+    return this.db.prepare('DELETE FROM specs WHERE id = ?').run(id).changes > 0;
+  }
+
+  async listVersions(id) {
+    return this.db.prepare(`SELECT ${VERSION_SUMMARY_COLUMNS} FROM spec_versions WHERE spec_id = ? ORDER BY version DESC`)
+      .all(id)
+      .map(fromVersionRow);
+  }
+
+  async findVersion(id, version) {
+    const row = this.db.prepare('SELECT * FROM spec_versions WHERE spec_id = ? AND version = ?').get(id, version);
+    return row ? fromVersionRow(row) : null;
+  }
+
+  async createShare(share) {
+    this.db.prepare(`
+      INSERT INTO spec_shares (token, spec_id, created_at, expires_at)
+      VALUES (@token, @specId, @createdAt, @expiresAt)
+    `).run({
+      token: share.token,
+      specId: share.specId,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt ?? null
+    });
+
+    return this.findShare(share.token);
+  }
+
+  async findShare(token) {
+    const row = this.db.prepare('SELECT * FROM spec_shares WHERE token = ?').get(token);
+    return row ? fromShareRow(row) : null;
+  }
+
+  async listShares(specId) {
+    return this.db.prepare('SELECT * FROM spec_shares WHERE spec_id = ? ORDER BY created_at DESC')
+      .all(specId)
+      .map(fromShareRow);
+  }
+
+  async revokeShare(token, revokedAt) {
+    this.db.prepare('UPDATE spec_shares SET revoked_at = COALESCE(revoked_at, ?) WHERE token = ?').run(revokedAt, token);
+    return this.findShare(token);
+  }
+
+  async createProject(project) {
+    this.db.prepare(`
+      INSERT INTO projects (id, owner_id, owner_key_id, name, description, context, created_at, updated_at)
+      VALUES (@id, @ownerId, @ownerKeyId, @name, @description, @context, @createdAt, @updatedAt)
+    `).run({
+      id: project.id,
+      ownerId: project.ownerId ?? null,
+      ownerKeyId: project.ownerKeyId ?? null,
+      name: project.name,
+      description: project.description ?? null,
+      context: JSON.stringify(project.context),
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    });
+
+    return this.findProject(project.id);
+  }
+
+  async findProject(id) {
+    const row = this.db.prepare(`SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = ?`).get(id);
+    return row ? fromProjectRow(row) : null;
+  }
+
+  async listProjects({ visibleTo } = {}) {
+    const where = visibleTo === undefined ? '' : `WHERE ${VISIBLE_TO_OWNER}`;
+
+    return this.db.prepare(`SELECT ${PROJECT_COLUMNS} FROM projects ${where} ORDER BY name COLLATE NOCASE`)
+      .all(ownerParams(visibleTo))
+      .map(fromProjectRow);
+  }
+
+  async updateProject(id, changes) {
+    const { changes: updated } = this.db.prepare(`
+      UPDATE projects SET name = @name, description = @description, context = @context, updated_at = @updatedAt
+      WHERE id = @id
+    `).run({
+      id,
+      name: changes.name,
+      description: changes.description ?? null,
+      context: JSON.stringify(changes.context),
+      updatedAt: changes.updatedAt
+    });
+
+    return updated > 0 ? this.findProject(id) : null;
+  }
+
+  async deleteProject(id) {
+    return this.db.prepare('DELETE FROM projects WHERE id = ?').run(id).changes > 0;
+  }
+
+  async createApiKey(apiKey) {
+    this.db.prepare(`
+      INSERT INTO api_keys (id, name, prefix, key_hash, rate_limit, monthly_token_quota, created_at)
+      VALUES (@id, @name, @prefix, @keyHash, @rateLimit, @monthlyTokenQuota, @createdAt)
+    `).run({
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      keyHash: apiKey.keyHash,
+      rateLimit: apiKey.rateLimit,
+      monthlyTokenQuota: apiKey.monthlyTokenQuota ?? null,
+      createdAt: apiKey.createdAt
+    });
+
+    return this.findApiKey(apiKey.id);
+  }
+
+  async findApiKey(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? fromApiKeyRow(row) : null;
+  }
+
+  async findApiKeyByHash(keyHash) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+    return row ? fromApiKeyRow(row) : null;
+  }
+
+  async listApiKeys() {
+    return this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC')
+      .all()
+      .map(fromApiKeyRow);
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    this.db.prepare('UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?').run(revokedAt, id);
+    return this.findApiKey(id);
+  }
+
+  async addApiKeyUsage(keyId, period, tokens) {
+    this.db.prepare(`
+      INSERT INTO api_key_usage (key_id, period, tokens, requests) VALUES (?, ?, ?, 1)
+      ON CONFLICT (key_id, period) DO UPDATE SET tokens = tokens + excluded.tokens, requests = requests + 1
+    `).run(keyId, period, tokens);
+
+    return this.getApiKeyUsage(keyId, period);
+  }
+
+  async getApiKeyUsage(keyId, period) {
+    const row = this.db.prepare('SELECT * FROM api_key_usage WHERE key_id = ? AND period = ?').get(keyId, period);
+    return row
+      ? { keyId: row.key_id, period: row.period, tokens: row.tokens, requests: row.requests }
+      : { keyId, period, tokens: 0, requests: 0 };
+  }
+
+  async createUser(user) {
+    this.db.prepare(`
+      INSERT INTO users (id, email, name, password_hash, role, created_at, updated_at)
+      VALUES (@id, @email, @name, @passwordHash, @role, @createdAt, @updatedAt)
+    `).run(user);
+
+    return this.findUser(user.id);
+  }
+
+  async findUser(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? fromUserRow(row) : null;
+  }
+
+  async findUserByEmail(email) {
+    const row = this.db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    return row ? fromUserRow(row) : null;
+  }
+
+  async listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY created_at')
+      .all()
+      .map(fromUserRow);
+  }
+
+  async updateUserRole(id, { role, updatedAt }) {
+    const { changes } = this.db.prepare('UPDATE users SET role = ?, updated_at = ? WHERE id = ?').run(role, updatedAt, id);
+    return changes > 0 ? this.findUser(id) : null;
+  }
+
+  async addUsageRecord(record) {
+    this.db.prepare(`
+      INSERT INTO usage_records (id, request_id, operation, outcome, provider, model, prompt_tokens,
+        completion_tokens, total_tokens, cost, latency_ms, api_key_id, user_id, project_id, spec_id, created_at)
+      VALUES (@id, @requestId, @operation, @outcome, @provider, @model, @promptTokens,
+        @completionTokens, @totalTokens, @cost, @latencyMs, @apiKeyId, @userId, @projectId, @specId, @createdAt)
+    `).run({
+      id: record.id,
+      requestId: record.requestId ?? null,
+      operation: record.operation,
+      outcome: record.outcome,
+      provider: record.provider ?? null,
+      model: record.model ?? null,
+      promptTokens: record.promptTokens || 0,
+      completionTokens: record.completionTokens || 0,
+      totalTokens: record.totalTokens || 0,
+      cost: record.cost ?? null,
+      latencyMs: record.latencyMs ?? null,
+      apiKeyId: record.apiKeyId ?? null,
+      userId: record.userId ?? null,
+      projectId: record.projectId ?? null,
+      specId: record.specId ?? null,
+      createdAt: record.createdAt
+    });
+
+    return fromUsageRow(this.db.prepare('SELECT * FROM usage_records WHERE id = ?').get(record.id));
+  }
+
+  async aggregateUsage({ from, to, groupBy = null, filters = {} }) {
+    const conditions = ['created_at >= @from', 'created_at < @to']
+      .concat(Object.keys(filters).map(field => `${USAGE_FILTER_COLUMNS[field]} = @${field}`));
+    const key = groupBy ? USAGE_GROUP_COLUMNS[groupBy] : 'NULL';
+
+    // Without GROUP BY SQLite returns one total row, even over an empty range
+    const rows = this.db.prepare(`
+      SELECT ${key} AS key,
+        COUNT(*) AS requests,
+        COALESCE(SUM(outcome = 'success'), 0) AS success,
+        COALESCE(SUM(outcome = 'fallback'), 0) AS fallback,
+        COALESCE(SUM(outcome = 'error'), 0) AS error,
+        COALESCE(SUM(outcome = 'cancelled'), 0) AS cancelled,
+        COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+        COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+        COALESCE(SUM(total_tokens), 0) AS total_tokens,
+        SUM(cost) AS cost,
+        AVG(latency_ms) AS average_latency_ms
+      FROM usage_records
+      WHERE ${conditions.join(' AND ')}
+      ${groupBy ? `GROUP BY ${key} ORDER BY ${key}` : ''}
+    `).all({ from, to, ...filters });
+
+    return rows.map(fromUsageAggregateRow);
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  insertVersion(specId, number, version) {
+    this.db.prepare(`
+      INSERT INTO spec_versions (spec_id, version, specification, source, note, model, provider,
+        tokens_used, validation_status, created_at)
+      VALUES (@specId, @version, @specification, @source, @note, @model, @provider,
+        @tokensUsed, @validationStatus, @createdAt)
+    `).run({
+      specId,
+      version: number,
+      specification: JSON.stringify(version.specification),
+      source: version.source,
+      note: version.note ?? null,
+      model: version.model ?? null,
+      provider: version.provider ?? null,
+      tokensUsed: version.tokensUsed || 0,
+      validationStatus: version.validationStatus ?? null,
+      createdAt: version.createdAt
+    });
+  }
+}
+
+// Parameters of VISIBLE_TO_OWNER
+function ownerParams(visibleTo) {
+  return { ownerId: visibleTo?.ownerId ?? null, ownerKeyId: visibleTo?.ownerKeyId ?? null };
+}
+
+function toSpecRow(spec) {
+  return {
+    id: spec.id,
+    projectId: spec.projectId ?? null,
+    ownerId: spec.ownerId ?? null,
+    ownerKeyId: spec.ownerKeyId ?? null,
+    name: spec.name,
+    description: spec.description ?? null,
+    template: spec.template ?? null,
+    complexity: spec.complexity ?? null,
+    language: spec.language ?? null,
+    model: spec.model ?? null,
+    provider: spec.provider ?? null,
+    tokensUsed: spec.tokensUsed || 0,
+    createdAt: spec.createdAt,
+    updatedAt: spec.updatedAt
+  };
+}
+
+function fromSpecRow(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    ownerId: row.owner_id,
+    ownerKeyId: row.owner_key_id,
+    name: row.name,
+    description: row.description,
+    template: row.template,
+    complexity: row.complexity,
+    language: row.language,
+    model: row.model,
+    provider: row.provider,
+    tokensUsed: row.tokens_used,
+    currentVersion: row.current_version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromVersionRow(row) {
+  const version = {
+    specId: row.spec_id,
+    version: row.version,
+    source: row.source,
+    note: row.note,
+    model: row.model,
+    provider: row.provider,
+    tokensUsed: row.tokens_used,
+    validationStatus: row.validation_status,
+    createdAt: row.created_at
+  };
+
+  if (row.specification !== undefined) {
+    version.specification = JSON.parse(row.specification);
+  }
+
+  return version;
+}
+
+function fromProjectRow(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    ownerKeyId: row.owner_key_id,
+    name: row.name,
+    description: row.description,
+    context: JSON.parse(row.context),
+    specCount: row.spec_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromApiKeyRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    keyHash: row.key_hash,
+    rateLimit: row.rate_limit,
+    monthlyTokenQuota: row.monthly_token_quota,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+function fromUserRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    passwordHash: row.password_hash,
+    role: row.role,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromUsageRow(row) {
+  return {
+    id: row.id,
+    requestId: row.request_id,
+    operation: row.operation,
+    outcome: row.outcome,
+    provider: row.provider,
+    model: row.model,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    totalTokens: row.total_tokens,
+    cost: row.cost,
+    latencyMs: row.latency_ms,
+    apiKeyId: row.api_key_id,
+    userId: row.user_id,
+    projectId: row.project_id,
+    specId: row.spec_id,
+    createdAt: row.created_at
+  };
+}
+
+function fromUsageAggregateRow(row) {
+  return {
+    key: row.key,
+    requests: row.requests,
+    outcomes: { success: row.success, fallback: row.fallback, error: row.error, cancelled: row.cancelled },
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    totalTokens: row.total_tokens,
+    cost: row.cost === null ? null : Math.round(row.cost * 1e6) / 1e6,
+    averageLatencyMs: row.average_latency_ms === null ? null : Math.round(row.average_latency_ms)
+  };
+}
+
+function fromShareRow(row) {
+  return {
+    token: row.token,
+    specId: row.spec_id,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+module.exports = {
+  SqliteSpecRepository,
+  MIGRATIONS
+};
@@ -1,12 +1,109 @@
 const express = require('express');
-const { generateFeatureSpec, getTemplates } = require('../controllers/featureController');
-const { validateGenerateRequest } = require('../middleware/validation');
+const { generateFeatureSpec, streamFeatureSpec, getTemplates } = require('../controllers/featureController');
+const { createJob, getJob, cancelJob } = require('../controllers/jobController');
+const {
+  createSpec, listSpecs, getSpec, updateSpec, deleteSpec, listSpecVersions, getSpecVersion, diffSpecVersions, exportSpec, mergeSpecs, refineSpec,
+  regenerateSection, shareSpec, listSpecShares, revokeSpecShare, getSharedSpec
+} = require('../controllers/specController');
+const {
+  createProject, listProjects, getProject, updateProject, deleteProject, listProjectSpecs, getProjectConflicts
+} = require('../controllers/projectController');
+const { createApiKey, listApiKeys, getApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+const { register, login, getCurrentUser, listUsers, updateUserRole } = require('../controllers/userController');
+const { resetCircuitBreaker, clearCaches, clearPromptCache } = require('../controllers/adminController');
+const { getUsage } = require('../controllers/usageController');
+const {
+  validateGenerateRequest, validateRefineRequest, validateRegenerateSectionRequest, validateStoreSpecRequest, validateUpdateSpecRequest,
+  validateShareRequest, validateMergeRequest, validateProjectRequest, validateProjectReference, validateApiKeyRequest,
+  validateRegisterRequest, validateLoginRequest, validateUserRoleRequest, validateUsageQuery
+} = require('../middleware/validation');
+const { enforceTokenQuota, requireUser, requireRole, requireOwnership, requireAdmin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+// Signed-in viewers can only read; specs and projects are read and changed only by their owner (the user or
+// the API key that created them) or an admin, and only the owner of a project adds specifications to it.
+// Reading needs credentials too: a share link is the only public way to read a specification
+const requireViewer = requireRole('viewer');
+const requireEditor = requireRole('editor');
+const requireSpecOwner = asyncHandler(requireOwnership('spec'));
+const requireBodySpecOwner = asyncHandler(requireOwnership('spec', req => req.body.specId));
+const requireMergedSpecsOwner = asyncHandler(requireOwnership('spec', req => req.body.specIds));
+const requireProjectOwner = asyncHandler(requireOwnership('project'));
+const requireBodyProjectOwner = asyncHandler(requireOwnership('project', req => req.body.projectId));
+
+// User accounts and sessions
+router.post('/auth/register', validateRegisterRequest, asyncHandler(register));
+router.post('/auth/login', validateLoginRequest, asyncHandler(login));
+router.get('/auth/me', requireUser, asyncHandler(getCurrentUser));
+
 // Generate feature specification endpoint
-router.post('/generate-spec', validateGenerateRequest, asyncHandler(generateFeatureSpec));
+router.post('/generate-spec', requireEditor, asyncHandler(enforceTokenQuota), validateGenerateRequest, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(generateFeatureSpec));
+
+// Streaming variant over Server-Sent Events (GET allows native EventSource clients)
+const queryAsBody = (req, res, next) => {
+  req.body = { ...req.query };
+  next();
+};
+
+router.post('/generate-spec/stream', requireEditor, asyncHandler(enforceTokenQuota), validateGenerateRequest, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(streamFeatureSpec));
+router.get('/generate-spec/stream', requireEditor, asyncHandler(enforceTokenQuota), queryAsBody, validateGenerateRequest, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(streamFeatureSpec));
+
+// Asynchronous generation jobs (enqueue, poll, cancel)
+router.post('/jobs', requireEditor, asyncHandler(enforceTokenQuota), validateGenerateRequest, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(createJob));
+router.get('/jobs/:id', requireViewer, asyncHandler(getJob));
+router.delete('/jobs/:id', requireEditor, asyncHandler(cancelJob));
+
+// Conversational refinement of an existing specification
+router.post('/specs/refine', requireEditor, asyncHandler(enforceTokenQuota), validateRefineRequest, requireBodySpecOwner, asyncHandler(refineSpec));
+
+// Regenerate a single top-level section, with the rest of the specification as context
+router.post('/specs/regenerate-section', requireEditor, asyncHandler(enforceTokenQuota), validateRegenerateSectionRequest, requireBodySpecOwner, asyncHandler(regenerateSection));
+
+// Stored specifications and their immutable version history
+router.post('/specs', requireEditor, validateStoreSpecRequest, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(createSpec));
+router.get('/specs', requireViewer, asyncHandler(listSpecs));
+router.post('/specs/merge', requireEditor, validateMergeRequest, requireMergedSpecsOwner, asyncHandler(validateProjectReference), requireBodyProjectOwner, asyncHandler(mergeSpecs));
+router.get('/specs/:id', requireViewer, requireSpecOwner, asyncHandler(getSpec));
+router.put('/specs/:id', requireEditor, requireSpecOwner, validateUpdateSpecRequest, asyncHandler(updateSpec));
+router.delete('/specs/:id', requireEditor, requireSpecOwner, asyncHandler(deleteSpec));
+router.get('/specs/:id/versions', requireViewer, requireSpecOwner, asyncHandler(listSpecVersions));
+router.get('/specs/:id/versions/:version', requireViewer, requireSpecOwner, asyncHandler(getSpecVersion));
+router.get('/specs/:id/diff', requireViewer, requireSpecOwner, asyncHandler(diffSpecVersions));
+router.get('/specs/:id/export/:exporter', requireViewer, requireSpecOwner, asyncHandler(exportSpec));
+
+// Read-only share links (the public route needs only the token)
+router.post('/specs/:id/share', requireEditor, requireSpecOwner, validateShareRequest, asyncHandler(shareSpec));
+router.get('/specs/:id/shares', requireViewer, requireSpecOwner, asyncHandler(listSpecShares));
+router.delete('/specs/:id/shares/:token', requireEditor, requireSpecOwner, asyncHandler(revokeSpecShare));
+router.get('/shared/:token', asyncHandler(getSharedSpec));
+
+// Projects grouping specifications, with the context shared by their generations
+router.post('/projects', requireEditor, validateProjectRequest, asyncHandler(createProject));
+router.get('/projects', requireViewer, asyncHandler(listProjects));
+router.get('/projects/:id', requireViewer, requireProjectOwner, asyncHandler(getProject));
+router.put('/projects/:id', requireEditor, requireProjectOwner, validateProjectRequest, asyncHandler(updateProject));
+router.delete('/projects/:id', requireEditor, requireProjectOwner, asyncHandler(deleteProject));
+router.get('/projects/:id/specs', requireViewer, requireProjectOwner, asyncHandler(listProjectSpecs));
+router.get('/projects/:id/conflicts', requireViewer, requireProjectOwner, asyncHandler(getProjectConflicts));
+
+// API keys for the clients of the API (admins only)
+const adminOnly = asyncHandler(requireAdmin);
+router.post('/keys', adminOnly, validateApiKeyRequest, asyncHandler(createApiKey));
+router.get('/keys', adminOnly, asyncHandler(listApiKeys));
+router.get('/keys/:id', adminOnly, asyncHandler(getApiKey));
+router.delete('/keys/:id', adminOnly, asyncHandler(revokeApiKey));
+
+// Administration: users and their roles, runtime maintenance
+router.get('/admin/users', adminOnly, asyncHandler(listUsers));
+router.put('/admin/users/:id/role', adminOnly, validateUserRoleRequest, asyncHandler(updateUserRole));
+router.post('/admin/circuit-breaker/reset', adminOnly, asyncHandler(resetCircuitBreaker));
+router.post('/admin/cache/clear', adminOnly, asyncHandler(clearCaches));
+router.post('/admin/prompts/clear-cache', adminOnly, asyncHandler(clearPromptCache));
+
+// AI usage ledger: tokens, cost, latency and outcomes aggregated by day, key, project or model
+router.get('/usage', requireViewer, validateUsageQuery, asyncHandler(getUsage));
 
 // Get available templates endpoint
 router.get('/templates', asyncHandler(getTemplates));
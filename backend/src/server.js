@@ -7,8 +7,11 @@ require('dotenv').config();
 
 const config = require('./config');
 const apiRoutes = require('./routes/api');
-const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { errorHandler, notFoundHandler, asyncHandler } = require('./middleware/errorHandler');
+const { authenticate, requireMetricsToken } = require('./middleware/auth');
+const { traceRequests, restoreTraceContext } = require('./middleware/tracing');
 const logger = require('./utils/logger');
+const { metricsService } = require('./utils/metrics');
 
 const app = express();
 
@@ -29,13 +32,39 @@ app.use(cors({
   origin: config.server.corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'traceparent', 'tracestate'],
+  exposedHeaders: ['Location', 'traceresponse']
 }));
 
-// Rate limiting with environment-specific configuration
-const limiter = rateLimit({
+// One trace span per request, continuing the traceparent of the caller
+app.use(traceRequests);
+
+// Request ID reported in error envelopes, logs and the usage ledger
+app.use((req, res, next) => {
+  req.requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  next();
+});
+
+// Count every request and its latency once the response is sent (see GET /metrics)
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  res.on('finish', () => metricsService.recordRequest(req, res, Date.now() - startTime));
+  next();
+});
+
+// Identify the caller (Authorization: Bearer API key or session) before rate limiting, which depends on it
+app.use('/api', asyncHandler(authenticate));
+
+// Reads of stored specs, projects, share links and usage are not rate limited, nor is job
+// polling: the frontend polls GET /jobs/:id every 1.5s, which would exhaust the limit within
+// seconds. Every other GET still counts: /ai-health and GET /generate-spec/stream call the
+// AI providers. /health is mounted outside /api
+const isStorageRead = (req) => req.method === 'GET' && /^\/(specs|projects|shared|usage)(\/|$)/.test(req.path);
+const isJobPolling = (req) => req.method === 'GET' && /^\/jobs\/[^/]+$/.test(req.path);
+const isUnlimited = (req) => isStorageRead(req) || isJobPolling(req);
+
+const rateLimitOptions = {
   windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.maxRequests,
   message: {
     success: false,
     error: {
@@ -46,12 +75,25 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: config.rateLimit.skipSuccessfulRequests,
-  // Skip rate limiting for health checks
-  skip: (req) => req.path === '/health'
+  skipSuccessfulRequests: config.rateLimit.skipSuccessfulRequests
+};
+
+// Rate limiting with environment-specific configuration (anonymous requests, by IP)
+const limiter = rateLimit({
+  ...rateLimitOptions,
+  max: config.rateLimit.maxRequests,
+  skip: (req) => Boolean(req.apiKey) || isUnlimited(req)
+});
+
+// Requests with an API key are limited per key, at the limit of the key
+const apiKeyLimiter = rateLimit({
+  ...rateLimitOptions,
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.id,
+  skip: (req) => !req.apiKey || isUnlimited(req)
 });
 
-app.use('/api', limiter);
+app.use('/api', limiter, apiKeyLimiter);
 
 // Body parsing middleware with size limits
 app.use(express.json({ 
@@ -62,6 +104,7 @@ app.use(express.json({
   }
 }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(restoreTraceContext);
 
 // Request logging (only in non-test environments)
 if (config.server.env !== 'test') {
@@ -123,6 +166,15 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Prometheus metrics: requests, AI calls, cache and circuit breakers
+if (config.metrics.enabled) {
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    const { circuitBreakerManager } = require('./services/circuitBreaker');
+
+    res.type('text/plain; version=0.0.4').send(metricsService.toPrometheus({ circuitBreakers: circuitBreakerManager }));
+  });
+}
+
 // API routes
 app.use('/api', apiRoutes);
 
@@ -140,17 +192,18 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Graceful shutdown handling
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = (server, signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   server.close(() => {
     logger.info('HTTP server closed');
     
-    // Close database connections, clear caches, etc.
+    // Close database connections, clear caches, export pending trace spans
     const { cacheManager } = require('./services/cacheService');
+    const { tracer } = require('./utils/tracing');
     cacheManager.clearAll();
     
-    process.exit(0);
+    tracer.shutdown().finally(() => process.exit(0));
   });
   
   // Force close after 10 seconds
@@ -160,30 +213,35 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
-// Handle shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// Start server only when run directly, so tests can import the app
+if (require.main === module) {
+  const { aiService } = require('./services/aiService');
 
-// Handle uncaught exceptions and unhandled rejections
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception', { error: error.message, stack: error.stack });
-  process.exit(1);
-});
+  const server = app.listen(config.server.port, () => {
+    logger.info(`AI Feature Builder Backend started`, {
+      port: config.server.port,
+      environment: config.server.env,
+      corsOrigin: config.server.corsOrigin,
+      aiProvider: aiService.provider.name,
+      aiModel: aiService.provider.model,
+      logLevel: config.logging.level
+    });
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection', { reason, promise });
-  process.exit(1);
-});
+  // Handle shutdown signals
+  process.on('SIGTERM', () => gracefulShutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown(server, 'SIGINT'));
 
-// Start server
-const server = app.listen(config.server.port, () => {
-  logger.info(`AI Feature Builder Backend started`, {
-    port: config.server.port,
-    environment: config.server.env,
-    corsOrigin: config.server.corsOrigin,
-    aiModel: config.openai.model,
-    logLevel: config.logging.level
+  // Handle uncaught exceptions and unhandled rejections
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception', { error: error.message, stack: error.stack });
+    process.exit(1);
   });
-});
 
-module.exports = app;
\ No newline at end of file
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection', { reason, promise });
+    process.exit(1);
+  });
+}
+
+module.exports = app;
@@ -1,86 +1,109 @@
-const OpenAI = require('openai');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { metricsService } = require('../utils/metrics');
+const { tracer } = require('../utils/tracing');
 const { promptService } = require('./promptService');
 const { getTemplateById } = require('../data/templates');
-const { circuitBreakerManager } = require('./circuitBreaker');
+const { createProviderChain } = require('./providers');
+const { StreamingJsonParser } = require('../utils/streamingJsonParser');
+const { AIResponseValidator } = require('../validators/aiResponseValidator');
+const { AIResponseRepairer } = require('../validators/aiResponseRepairer');
+
+// Validation errors sent back to the model per repair round
+const MAX_REPAIR_ERRORS = 20;
+
+// Chained generation: one call per stage, each grounded in the sections generated before it
+const CHAINED_STAGES = [
+  { name: 'requirements', sections: ['metadata', 'requirements'] },
+  { name: 'architecture', sections: ['architecture'] },
+  { name: 'implementation', sections: ['implementation'] },
+  { name: 'testing', sections: ['testing'] },
+  { name: 'deployment', sections: ['deployment'] }
+];
+
+/**
+ * Add up provider usages `{ promptTokens, completionTokens, totalTokens }`
+ * Missing usages (providers that do not report them) count as zero
+ * @param {...Object} usages - Usages to add up
+ * @returns {Object} - Summed usage
+ */
+const sumUsage = (...usages) => usages.reduce((total, usage) => ({
+  promptTokens: total.promptTokens + (usage?.promptTokens || 0),
+  completionTokens: total.completionTokens + (usage?.completionTokens || 0),
+  totalTokens: total.totalTokens + (usage?.totalTokens || 0)
+}), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
 
 /**
  * AI Service for generating feature specifications
  * Enhanced with circuit breaker pattern, retry logic, and better error handling
  */
 class AIService {
-  constructor() {
-    // Support both OpenAI and OpenRouter
-    const clientConfig = {
-      apiKey: config.openai.apiKey,
-      timeout: config.openai.timeout
-    };
-    
-    // Add baseURL for OpenRouter
-    if (config.openai.baseURL && config.openai.baseURL !== 'https://api.openai.com/v1') {
-      clientConfig.baseURL = config.openai.baseURL;
-    }
-    
-    this.openai = new OpenAI(clientConfig);
+  /**
+   * @param {Object} options - Service options
+   * @param {Array<BaseProvider>} options.providers - Failover chain (defaults to AI_PROVIDER_CHAIN)
+   */
+  constructor({ providers } = {}) {
+    this.providers = providers || createProviderChain();
     this.retryAttempts = config.openai.maxRetries;
-    
-    // Log which service we're using
-    const isOpenRouter = config.openai.baseURL && config.openai.baseURL.includes('openrouter');
+
     logger.info(`AI Service initialized`, {
-      provider: isOpenRouter ? 'OpenRouter' : 'OpenAI',
-      model: config.openai.model,
-      baseURL: config.openai.baseURL || 'https://api.openai.com/v1'
-    });
-    
-    // Initialize circuit breaker for AI API calls
-    this.circuitBreaker = circuitBreakerManager.getCircuitBreaker('ai-api', {
-      failureThreshold: 3,
-      recoveryTimeout: 30000, // 30 seconds
-      expectedErrors: [
-        'rate_limit_exceeded', // Don't break circuit for rate limits
-        'insufficient_quota'   // Don't break circuit for quota issues
-      ]
+      ...this.provider.getInfo(),
+      failover: this.providers.slice(1).map(provider => provider.id)
     });
   }
 
   /**
-   * Generate feature specification using OpenAI with circuit breaker protection
+   * Primary provider (first of the failover chain)
+   */
+  get provider() {
+    return this.providers[0];
+  }
+
+  /**
+   * Circuit breaker of the primary provider
+   */
+  get circuitBreaker() {
+    return this.provider.circuitBreaker;
+  }
+
+  /**
+   * Generate feature specification using the configured provider with circuit breaker protection
    * @param {Object} input - Processed input from featureProcessor
    * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Generation options
+   * @param {AbortSignal} options.signal - Signal to abort the AI call (e.g. job cancellation)
    * @returns {Object} - AI generated specification
    */
-  async generateSpecification(input, requestId) {
+  async generateSpecification(input, requestId, { signal } = {}) {
     const startTime = Date.now();
     
     try {
-      // Get system prompt and template context
-      const [systemPrompt, templateContext] = await Promise.all([
-        promptService.getSystemPrompt(),
-        input.template ? getTemplateById(input.template) : null
-      ]);
-
-      // Build user prompt with context
-      const userPrompt = promptService.buildUserPrompt(input, templateContext);
+      const { systemPrompt, userPrompt } = await this.buildPrompts(input);
+      const chained = this.isChained(input);
       
       logger.info(`[${requestId}] Starting AI generation`, {
-        model: config.openai.model,
+        provider: this.provider.name,
+        model: this.provider.model,
         promptLength: userPrompt.length,
         template: input.template,
         complexity: input.complexity,
+        chained,
         circuitBreakerState: this.circuitBreaker.getStatus().state
       });
 
-      // Generate with circuit breaker protection
-      const response = await this.circuitBreaker.execute(
-        this.generateWithRetry.bind(this),
-        { systemPrompt, userPrompt, requestId }
-      );
+      // Generate with circuit breaker protection, moving down the chain on failure
+      const response = chained
+        ? await this.generateChained({ systemPrompt, userPrompt, requestId, signal })
+        : await this.runWithFailover(
+          provider => this.generateWithRetry({ systemPrompt, userPrompt, requestId, signal, provider }),
+          { requestId, signal }
+        );
 
       const processingTime = Date.now() - startTime;
       
       logger.info(`[${requestId}] AI generation completed`, {
         processingTime,
+        provider: response._metadata?.provider,
         responseLength: JSON.stringify(response).length,
         tokensUsed: response._metadata?.tokensUsed || 0
       });
@@ -89,7 +112,15 @@ class AIService {
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
+
+      // Cancelled by the caller: propagate instead of masking with a fallback
+      if (signal?.aborted) {
+        logger.info(`[${requestId}] AI generation aborted`, { processingTime });
+        throw error;
+      }
       
+      tracer.getActiveSpan()?.addEvent('ai.fallback', { reason: error.message });
+
       // Log detailed error information
       logger.error(`[${requestId}] AI generation failed - DETAILED ERROR`, {
         error: error.message,
@@ -98,95 +129,664 @@ class AIService {
         errorType: error.constructor.name,
         processingTime,
         retryAttempts: this.retryAttempts,
-        circuitBreakerState: this.circuitBreaker.getStatus().state
+        failover: error.failover
       });
       
       // Return fallback response instead of throwing error
       logger.warn(`[${requestId}] Returning fallback response due to AI failure`);
-      return this.generateFallbackResponse(input, requestId);
+      return this.generateFallbackResponse(input, requestId, error.failover);
     }
   }
 
   /**
-   * Generate with retry logic and exponential backoff
+   * Generate feature specification streaming the AI output
+   * Emits stage and section events while tokens arrive
+   * @param {Object} input - Processed input from featureProcessor
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Stream options
+   * @param {Function} options.onEvent - Callback invoked with (event, data)
+   * @param {AbortSignal} options.signal - Signal to abort the AI call
+   * @returns {Object} - AI generated specification
    */
-  async generateWithRetry({ systemPrompt, userPrompt, requestId }, attempt = 1) {
+  async generateSpecificationStream(input, requestId, { onEvent = () => {}, signal } = {}) {
+    const startTime = Date.now();
+
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
+      const { systemPrompt, userPrompt } = await this.buildPrompts(input);
+      const chained = this.isChained(input);
+
+      onEvent('stage', { stage: 'prompt_built', promptLength: userPrompt.length });
+
+      logger.info(`[${requestId}] Starting streaming AI generation`, {
+        provider: this.provider.name,
+        model: this.provider.model,
+        promptLength: userPrompt.length,
+        template: input.template,
+        complexity: input.complexity,
+        chained,
+        circuitBreakerState: this.circuitBreaker.getStatus().state
+      });
+
+      // Chained stages are not streamed token by token: sections are emitted per stage
+      const response = chained
+        ? await this.generateChained({ systemPrompt, userPrompt, requestId, signal, onEvent })
+        : await this.runWithFailover(
+          provider => this.streamCompletion({ systemPrompt, userPrompt, requestId, onEvent, signal, provider }),
           {
-            role: 'user',
-            content: userPrompt
+            requestId,
+            signal,
+            // Sections already streamed by the failed provider are replaced by the next one
+            onFailover: (provider, skipped) => onEvent('stage', {
+              stage: 'failover',
+              provider: provider.name,
+              reason: skipped.reason
+            })
           }
-        ],
-        max_tokens: config.openai.maxTokens,
-        temperature: config.openai.temperature,
-        response_format: { type: 'json_object' }
+        );
+
+      logger.info(`[${requestId}] Streaming AI generation completed`, {
+        processingTime: Date.now() - startTime,
+        provider: response._metadata?.provider,
+        tokensUsed: response._metadata?.tokensUsed || 0
       });
 
-      const response = completion.choices[0]?.message?.content;
-      
-      if (!response) {
-        throw new AIServiceError('Empty response from AI service');
+      return response;
+
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.info(`[${requestId}] Streaming AI generation aborted by client`);
+        throw error;
+      }
+
+      tracer.getActiveSpan()?.addEvent('ai.fallback', { reason: error.message });
+
+      logger.error(`[${requestId}] Streaming AI generation failed`, {
+        error: error.message,
+        errorCode: error.code,
+        errorStatus: error.status,
+        processingTime: Date.now() - startTime,
+        failover: error.failover
+      });
+
+      logger.warn(`[${requestId}] Returning fallback response due to AI failure`);
+      return this.generateFallbackResponse(input, requestId, error.failover);
+    }
+  }
+
+  /**
+   * Whether a request uses chained generation (AI_CHAINED_COMPLEXITIES)
+   * @param {Object} input - Processed input from featureProcessor
+   * @returns {boolean}
+   */
+  isChained(input) {
+    return config.ai.chainedComplexities.includes(input.complexity);
+  }
+
+  /**
+   * Generate a specification in stages: requirements first, then architecture
+   * grounded in those requirement IDs, then implementation, testing and deployment.
+   * Each stage is a separate call validated against its section sub-schemas, with
+   * the sections generated so far as context; any stage failing on every provider
+   * fails the whole generation
+   * @param {Object} context - { systemPrompt, userPrompt, requestId, signal, onEvent }
+   * @returns {Object} - Merged specification; `_metadata.stages` has timing and tokens per stage
+   */
+  async generateChained({ systemPrompt, userPrompt, requestId, signal, onEvent = () => {} }) {
+    const specification = {};
+    const stages = [];
+    const failover = [];
+    const repair = { localFixes: [], aiRounds: 0, resolved: true, remainingErrors: 0 };
+    let response;
+
+    for (const [index, stage] of CHAINED_STAGES.entries()) {
+      const startTime = Date.now();
+      const stagePrompt = promptService.buildStagePrompt(userPrompt, specification, stage.sections);
+
+      onEvent('stage', { stage: 'chained_step', step: stage.name, index: index + 1, total: CHAINED_STAGES.length });
+
+      response = await tracer.trace('ai.stage', { 'ai.stage': stage.name }, () => this.runWithFailover(async provider => {
+        const scoped = await this.generateWithRetry({
+          systemPrompt, userPrompt: stagePrompt, requestId, signal, provider, sections: stage.sections
+        });
+
+        if (!scoped._metadata.repair.resolved) {
+          throw new AIResponseError(`AI returned invalid ${stage.sections.join(', ')} sections`);
+        }
+
+        return scoped;
+      }, { requestId, signal }));
+
+      const { _metadata: metadata, ...sections } = response;
+      Object.assign(specification, sections);
+
+      failover.push(...metadata.failover);
+      repair.localFixes.push(...metadata.repair.localFixes);
+      repair.aiRounds += metadata.repair.aiRounds;
+
+      stages.push({
+        name: stage.name,
+        sections: stage.sections,
+        provider: metadata.provider,
+        model: metadata.model,
+        tokensUsed: metadata.tokensUsed,
+        usage: metadata.usage,
+        processingTime: Date.now() - startTime
+      });
+
+      stage.sections.forEach(name => onEvent('section', { name, data: specification[name] }));
+
+      logger.info(`[${requestId}] Chained generation stage completed`, stages[stages.length - 1]);
+    }
+
+    specification._metadata = {
+      tokensUsed: stages.reduce((total, stage) => total + stage.tokensUsed, 0),
+      usage: sumUsage(...stages.map(stage => stage.usage)),
+      model: response._metadata.model,
+      provider: response._metadata.provider,
+      repair,
+      failover,
+      stages
+    };
+
+    return specification;
+  }
+
+  /**
+   * Apply a natural-language instruction to an existing specification
+   * Unlike generation there is no fallback: the caller keeps its current
+   * specification when every provider fails
+   * @param {Object} specification - Current specification (schema sections only)
+   * @param {string} instruction - Requested change
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Refinement options
+   * @param {string} options.language - Output language
+   * @param {AbortSignal} options.signal - Signal to abort the AI call
+   * @returns {Object} - Updated specification with `_metadata`
+   */
+  async refineSpecification(specification, instruction, requestId, { language, signal } = {}) {
+    const startTime = Date.now();
+    const systemPrompt = await promptService.getSystemPrompt();
+    const userPrompt = promptService.buildRefinePrompt(specification, instruction, language);
+
+    logger.info(`[${requestId}] Starting AI refinement`, {
+      provider: this.provider.name,
+      model: this.provider.model,
+      promptLength: userPrompt.length,
+      instructionLength: instruction.length
+    });
+
+    const response = await this.runWithFailover(
+      provider => this.generateWithRetry({ systemPrompt, userPrompt, requestId, signal, provider }),
+      { requestId, signal }
+    );
+
+    logger.info(`[${requestId}] AI refinement completed`, {
+      processingTime: Date.now() - startTime,
+      provider: response._metadata?.provider,
+      tokensUsed: response._metadata?.tokensUsed || 0
+    });
+
+    return response;
+  }
+
+  /**
+   * Regenerate one top-level section of an existing specification
+   * Only the section is requested from the model; a section that is still
+   * invalid after repair counts as an invalid response and moves the request
+   * to the next provider. No fallback is used: the caller keeps its specification
+   * @param {Object} specification - Current specification (schema sections only)
+   * @param {string} section - Section to regenerate (one of REGENERABLE_SECTIONS)
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - { instruction, language, signal }
+   * @returns {Object} - Specification with the regenerated section and `_metadata`
+   */
+  async regenerateSection(specification, section, requestId, { instruction, language, signal } = {}) {
+    const startTime = Date.now();
+    const systemPrompt = await promptService.getSystemPrompt();
+    const userPrompt = promptService.buildSectionPrompt(specification, section, { instruction, language });
+
+    logger.info(`[${requestId}] Starting AI section regeneration`, {
+      provider: this.provider.name,
+      model: this.provider.model,
+      section,
+      promptLength: userPrompt.length
+    });
+
+    const response = await this.runWithFailover(async provider => {
+      const scoped = await this.generateWithRetry({ systemPrompt, userPrompt, requestId, signal, provider, sections: [section] });
+
+      if (!scoped._metadata.repair.resolved) {
+        throw new AIResponseError(`AI returned an invalid ${section} section`);
       }
 
-      // Clean markdown code blocks if present
-      const cleanedResponse = this.cleanMarkdownResponse(response);
+      return scoped;
+    }, { requestId, signal });
+
+    logger.info(`[${requestId}] AI section regeneration completed`, {
+      processingTime: Date.now() - startTime,
+      section,
+      provider: response._metadata?.provider,
+      tokensUsed: response._metadata?.tokensUsed || 0
+    });
+
+    return {
+      ...specification,
+      [section]: response[section],
+      _metadata: response._metadata
+    };
+  }
+
+  /**
+   * Run a generation on each provider of the failover chain until one succeeds
+   * A provider is skipped while its circuit breaker is OPEN; a call that fails
+   * after its retries moves the request to the next provider. The response
+   * `_metadata.failover` lists the providers skipped before the one that served it
+   * @param {Function} run - Called with a provider, resolves with the parsed response
+   * @param {Object} options - { requestId, signal, onFailover(provider, skipped) }
+   * @returns {Object} - Response of the first provider that succeeded
+   * @throws {AIServiceError} - When every provider failed (`error.failover` lists why)
+   */
+  async runWithFailover(run, { requestId, signal, onFailover = () => {} }) {
+    const failover = [];
+
+    for (const provider of this.providers) {
+      if (failover.length > 0) {
+        onFailover(provider, failover[failover.length - 1]);
+      }
+
+      const startTime = Date.now();
 
-      // Parse and validate JSON response
-      let parsedResponse;
       try {
-        parsedResponse = JSON.parse(cleanedResponse);
-        
-        // Quick validation of basic structure
-        const { AIResponseValidator } = require('../validators/aiResponseValidator');
-        if (!AIResponseValidator.quickValidate(parsedResponse)) {
-          throw new AIResponseError('AI returned incomplete JSON structure');
+        const response = await tracer.trace('ai.provider', { 'ai.provider': provider.name, 'ai.model': provider.model }, async span => {
+          const providerResponse = await provider.circuitBreaker.execute(run, provider);
+          span.setAttribute('ai.usage.total_tokens', providerResponse._metadata.tokensUsed);
+          return providerResponse;
+        });
+        response._metadata.failover = failover;
+        metricsService.recordAIRequest(Date.now() - startTime, response._metadata.tokensUsed, true, { provider: provider.name });
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
         }
-        
-        // Add metadata for tracking
-        parsedResponse._metadata = {
-          tokensUsed: completion.usage?.total_tokens || 0,
-          model: completion.model,
-          attempt
+
+        // An open circuit skips the provider without calling it
+        if (error.name !== 'CircuitBreakerError') {
+          metricsService.recordAIRequest(Date.now() - startTime, 0, false, { provider: provider.name });
+        }
+
+        const skipped = {
+          provider: provider.name,
+          model: provider.model,
+          reason: this.getFailoverReason(error),
+          code: error.code || null
         };
-        
+        failover.push(skipped);
+
+        logger.warn(`[${requestId}] AI provider unavailable, trying next in chain`, {
+          ...skipped,
+          error: error.message,
+          remaining: this.providers.length - failover.length
+        });
+      }
+    }
+
+    const error = new AIServiceError('All AI providers failed');
+    error.failover = failover;
+    throw error;
+  }
+
+  /**
+   * Classify why a provider was skipped in the failover chain
+   */
+  getFailoverReason(error) {
+    if (error.name === 'CircuitBreakerError') {
+      return 'circuit_open';
+    }
+    if (error.name === 'AIResponseError') {
+      return 'invalid_response';
+    }
+    return 'request_failed';
+  }
+
+  /**
+   * Run a streaming completion and parse top-level sections incrementally
+   */
+  async streamCompletion({ systemPrompt, userPrompt, requestId, onEvent, signal, provider = this.provider }) {
+    const stream = provider.streamCompletion({
+      ...this.completionParams([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ]),
+      signal
+    });
+
+    const parser = new StreamingJsonParser();
+    let usage = null;
+    let model = provider.model;
+    let firstToken = true;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      if (chunk.model) {
+        model = chunk.model;
+      }
+
+      if (!chunk.delta) {
+        continue;
+      }
+
+      if (firstToken) {
+        firstToken = false;
+        onEvent('stage', { stage: 'tokens_received' });
+        tracer.getActiveSpan()?.addEvent('ai.first_token');
+      }
+
+      parser.push(chunk.delta).forEach(({ key, value }) => {
+        onEvent('section', { name: key, data: value });
+      });
+    }
+
+    const response = parser.getText();
+    if (!response) {
+      throw new AIServiceError('Empty response from AI service');
+    }
+
+    const parsedResponse = tracer.trace('ai.parse_response', { 'ai.response.length': response.length }, () => {
+      try {
+        return JSON.parse(this.cleanMarkdownResponse(response));
       } catch (parseError) {
-        logger.error(`[${requestId}] Failed to parse AI response as JSON`, {
+        logger.error(`[${requestId}] Failed to parse streamed AI response as JSON`, {
           error: parseError.message,
-          fullResponse: response, // Log the full response to see what's wrong
-          responseLength: response.length,
-          attempt
+          responseLength: response.length
         });
         throw new AIResponseError('AI returned invalid JSON');
       }
+    });
+
+    onEvent('stage', { stage: 'json_parsed', sections: Object.keys(parsedResponse) });
+
+    const { data, repair, usage: repairUsage } = await this.repairResponse(parsedResponse, {
+      systemPrompt, userPrompt, requestId, signal, onEvent, provider
+    });
+    const totalUsage = sumUsage(usage, repairUsage);
+
+    onEvent('stage', { stage: 'validated' });
+
+    data._metadata = {
+      tokensUsed: totalUsage.totalTokens,
+      usage: totalUsage,
+      model,
+      provider: provider.name,
+      attempt: 1,
+      streamed: true,
+      repair
+    };
 
-      return parsedResponse;
+    return data;
+  }
+
+  /**
+   * Common provider parameters for a JSON completion
+   * @param {Array} messages - Chat messages `{ role, content }`
+   */
+  completionParams(messages) {
+    return {
+      messages,
+      maxTokens: config.openai.maxTokens,
+      temperature: config.openai.temperature,
+      responseFormat: 'json'
+    };
+  }
+
+  /**
+   * Build system and user prompts for the given input
+   * @param {Object} input - Processed input from featureProcessor
+   * @returns {Object} - { systemPrompt, userPrompt }
+   */
+  async buildPrompts(input) {
+    return tracer.trace('prompt.build', { 'prompt.template': input.template }, async span => {
+      // Get system prompt and template context
+      const [systemPrompt, templateContext] = await Promise.all([
+        promptService.getSystemPrompt(),
+        input.template ? getTemplateById(input.template) : null
+      ]);
+
+      // Build user prompt with context
+      const userPrompt = promptService.buildUserPrompt(input, templateContext);
+      span.setAttributes({ 'prompt.system_length': systemPrompt.length, 'prompt.user_length': userPrompt.length });
+
+      return { systemPrompt, userPrompt };
+    });
+  }
+
+  /**
+   * Generate with retry logic and exponential backoff
+   * With `sections` set the response is scoped to those top-level sections:
+   * they are validated and repaired against their sub-schemas only
+   */
+  async generateWithRetry({ systemPrompt, userPrompt, requestId, signal, provider = this.provider, sections = null }, attempt = 1) {
+    try {
+      const attributes = { 'ai.provider': provider.name, 'ai.model': provider.model, 'ai.attempt': attempt };
+      const completion = await tracer.trace('ai.attempt', attributes, async span => {
+        const providerCompletion = await provider.createCompletion({
+          ...this.completionParams([
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+          ]),
+          signal
+        });
+        span.setAttributes({ 'ai.response.model': providerCompletion.model, 'ai.usage.total_tokens': providerCompletion.usage?.totalTokens });
+        return providerCompletion;
+      });
+
+      const response = completion.content;
+      
+      if (!response) {
+        throw new AIServiceError('Empty response from AI service');
+      }
+
+      // Clean markdown code blocks if present, then parse the JSON response
+      const parsedResponse = tracer.trace('ai.parse_response', { 'ai.response.length': response.length }, () => {
+        try {
+          return JSON.parse(this.cleanMarkdownResponse(response));
+        } catch (parseError) {
+          logger.error(`[${requestId}] Failed to parse AI response as JSON`, {
+            error: parseError.message,
+            fullResponse: response, // Log the full response to see what's wrong
+            responseLength: response.length,
+            attempt
+          });
+          throw new AIResponseError('AI returned invalid JSON');
+        }
+      });
+
+      // Fix schema problems locally first, then ask the model
+      const { data, repair, usage: repairUsage } = await this.repairResponse(this.scopeResponse(parsedResponse, sections), {
+        systemPrompt, userPrompt, requestId, signal, provider, sections
+      });
+      const usage = sumUsage(completion.usage, repairUsage);
+
+      // Add metadata for tracking
+      data._metadata = {
+        tokensUsed: usage.totalTokens,
+        usage,
+        model: completion.model,
+        provider: provider.name,
+        attempt,
+        repair
+      };
+
+      return data;
 
     } catch (error) {
       // Retry logic for transient errors
-      if (attempt < this.retryAttempts && this.isRetryableError(error)) {
+      if (attempt < this.retryAttempts && this.isRetryableError(error) && !signal?.aborted) {
         const delay = Math.min(Math.pow(2, attempt) * 1000, 10000); // Cap at 10 seconds
         
         logger.warn(`[${requestId}] Retrying AI request`, {
+          provider: provider.name,
           attempt,
           delay,
           error: error.message
         });
         
-        await this.sleep(delay);
-        return this.generateWithRetry({ systemPrompt, userPrompt, requestId }, attempt + 1);
+        await this.sleep(delay, signal);
+        return this.generateWithRetry({ systemPrompt, userPrompt, requestId, signal, provider, sections }, attempt + 1);
       }
       
       throw error;
     }
   }
 
+  /**
+   * Repair a parsed AI response that fails schema validation
+   * Deterministic fixers run first; remaining errors are sent back to the
+   * model for a bounded number of rounds (OPENAI_MAX_REPAIR_ROUNDS).
+   * The best candidate is returned even if errors remain, so the caller
+   * can still build a partial result
+   * @param {Object} response - Parsed AI response
+   * @param {Object} context - Original prompts and request context (`sections` scopes validation)
+   * @returns {Object} - { data, repair, tokensUsed, usage } (tokens spent on repair rounds)
+   */
+  async repairResponse(response, { systemPrompt, userPrompt, requestId, signal, onEvent = () => {}, provider = this.provider, sections = null }) {
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      throw new AIResponseError('AI returned incomplete JSON structure');
+    }
+
+    const validate = data => tracer.trace('spec.validate', { 'spec.sections': sections?.join(',') }, span => {
+      const result = sections
+        ? this.validateScopedSections(data, sections)
+        : AIResponseValidator.validateSections(data, requestId);
+      span.setAttributes({ 'spec.valid': result.valid, 'spec.error_count': result.errors.length });
+      return result;
+    });
+
+    const local = AIResponseRepairer.repair(response);
+    let best = local.data;
+    let result = validate(best);
+
+    const repair = {
+      localFixes: local.fixes,
+      aiRounds: 0,
+      resolved: result.valid,
+      remainingErrors: result.errors.length
+    };
+    let usage = sumUsage();
+
+    while (!result.valid && repair.aiRounds < config.openai.maxRepairRounds) {
+      repair.aiRounds++;
+      onEvent('stage', { stage: 'repairing', round: repair.aiRounds, errors: result.errors.length });
+
+      logger.info(`[${requestId}] Requesting AI repair`, {
+        round: repair.aiRounds,
+        errorCount: result.errors.length,
+        invalidSections: result.invalidSections
+      });
+
+      let candidate;
+      try {
+        const completion = await tracer.trace('ai.repair_round', { 'ai.provider': provider.name, 'ai.repair.round': repair.aiRounds }, () => provider.createCompletion({
+          ...this.completionParams([
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt },
+            { role: 'assistant', content: JSON.stringify(best) },
+            { role: 'user', content: promptService.buildRepairPrompt(result.errors.slice(0, MAX_REPAIR_ERRORS)) }
+          ]),
+          signal
+        }));
+
+        usage = sumUsage(usage, completion.usage);
+        candidate = JSON.parse(this.cleanMarkdownResponse(completion.content || ''));
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        // Keep what we have: a failed repair round must not lose the original response
+        logger.warn(`[${requestId}] AI repair round failed`, {
+          round: repair.aiRounds,
+          error: error.message
+        });
+        break;
+      }
+
+      if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        continue;
+      }
+
+      const repaired = AIResponseRepairer.repair(this.scopeResponse(candidate, sections));
+      const candidateResult = validate(repaired.data);
+
+      // Only accept rounds that actually improve the response
+      if (candidateResult.errors.length < result.errors.length) {
+        best = repaired.data;
+        result = candidateResult;
+        repair.localFixes = repair.localFixes.concat(repaired.fixes);
+      }
+    }
+
+    const complete = sections
+      ? sections.every(section => best[section] !== undefined)
+      : AIResponseValidator.quickValidate(best);
+    if (!complete) {
+      throw new AIResponseError('AI returned incomplete JSON structure');
+    }
+
+    repair.resolved = result.valid;
+    repair.remainingErrors = result.errors.length;
+
+    if (repair.localFixes.length > 0 || repair.aiRounds > 0) {
+      logger.info(`[${requestId}] AI response repair completed`, {
+        localFixes: AIResponseRepairer.summarize(repair.localFixes),
+        aiRounds: repair.aiRounds,
+        resolved: repair.resolved,
+        remainingErrors: repair.remainingErrors
+      });
+    }
+
+    return { data: best, repair, tokensUsed: usage.totalTokens, usage };
+  }
+
+  /**
+   * Reduce a parsed response to the sections being generated
+   * Accepts the wrapped sections or a full specification; a single section
+   * may also come back as its bare content
+   * @param {Object} response - Parsed AI response
+   * @param {Array<string>|null} sections - Sections being generated (null for full specifications)
+   * @returns {Object} - Scoped response
+   */
+  scopeResponse(response, sections) {
+    if (!sections || !response || typeof response !== 'object' || Array.isArray(response)) {
+      return response;
+    }
+
+    if (sections.length === 1 && response[sections[0]] === undefined) {
+      return { [sections[0]]: response };
+    }
+
+    return Object.fromEntries(sections.map(section => [section, response[section]]));
+  }
+
+  /**
+   * Validate only the given top-level sections of a response
+   * @param {Object} response - Scoped AI response
+   * @param {Array<string>} sections - Sections to validate
+   * @returns {Object} - { valid, errors, invalidSections }
+   */
+  validateScopedSections(response, sections) {
+    const results = sections.map(section => ({ section, ...AIResponseValidator.validateSection(section, response[section]) }));
+    const invalid = results.filter(result => !result.valid);
+
+    return {
+      valid: invalid.length === 0,
+      errors: invalid.flatMap(result => result.errors),
+      invalidSections: invalid.map(result => result.section)
+    };
+  }
+
   /**
    * Check if error is retryable
    */
@@ -249,7 +849,7 @@ class AIService {
   /**
    * Generate fallback response if AI fails
    */
-  generateFallbackResponse(input, requestId) {
+  generateFallbackResponse(input, requestId, failover = []) {
     logger.warn(`[${requestId}] Using fallback response due to AI failure`);
     
     return {
@@ -320,7 +920,9 @@ class AIService {
         processingTime: 0,
         model: 'fallback',
         tokensUsed: 0,
-        fallback: true
+        usage: sumUsage(),
+        fallback: true,
+        failover
       }
     };
   }
@@ -357,37 +959,72 @@ class AIService {
   }
 
   /**
-   * Sleep utility for retry delays
+   * Sleep utility for retry delays, interrupted early by an abort signal
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Request was aborted'));
+        return;
+      }
+
+      // Retries share the signal of the whole run: leave no listener behind
+      const abort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request was aborted'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', abort, { once: true });
+    });
   }
 
   /**
    * Get service health status including circuit breaker state
+   * Every provider of the failover chain is checked; the service stays
+   * available (degraded) while at least one of them answers
    */
   async getHealthStatus() {
-    const circuitBreakerStatus = this.circuitBreaker.getStatus();
+    const providers = await Promise.all(this.providers.map(provider => this.getProviderHealth(provider)));
+    const [primary] = providers;
+    const available = providers.some(provider => provider.available);
+
+    return {
+      status: primary.available ? 'healthy' : available ? 'degraded' : 'unhealthy',
+      provider: primary.provider,
+      model: primary.model,
+      available,
+      circuitBreaker: primary.circuitBreaker,
+      providers
+    };
+  }
+
+  /**
+   * Health of a single provider
+   */
+  async getProviderHealth(provider) {
+    const circuitBreakerStatus = provider.circuitBreaker.getStatus();
+    const { name, model } = provider.getInfo();
     
     try {
       // Simple test request to check API availability (only if circuit is closed)
       if (circuitBreakerStatus.state === 'CLOSED') {
-        await this.openai.chat.completions.create({
-          model: config.openai.model,
-          messages: [{ role: 'user', content: 'test' }],
-          max_tokens: 5
-        });
+        await provider.healthCheck();
         
         return {
           status: 'healthy',
-          model: config.openai.model,
+          provider: name,
+          model,
           available: true,
           circuitBreaker: circuitBreakerStatus
         };
       } else {
         return {
           status: 'degraded',
-          model: config.openai.model,
+          provider: name,
+          model,
           available: false,
           reason: `Circuit breaker is ${circuitBreakerStatus.state}`,
           circuitBreaker: circuitBreakerStatus
@@ -396,7 +1033,8 @@ class AIService {
     } catch (error) {
       return {
         status: 'unhealthy',
-        model: config.openai.model,
+        provider: name,
+        model,
         available: false,
         error: error.message,
         circuitBreaker: circuitBreakerStatus
@@ -410,8 +1048,13 @@ class AIService {
   getStatistics() {
     return {
       circuitBreaker: this.circuitBreaker.getStatus(),
+      providers: this.providers.map(provider => ({
+        ...provider.getInfo(),
+        circuitBreaker: provider.circuitBreaker.getStatus()
+      })),
       configuration: {
-        model: config.openai.model,
+        provider: this.provider.name,
+        model: this.provider.model,
         maxTokens: config.openai.maxTokens,
         temperature: config.openai.temperature,
         timeout: config.openai.timeout,
@@ -421,11 +1064,11 @@ class AIService {
   }
 
   /**
-   * Reset circuit breaker (for admin operations)
+   * Reset the circuit breakers of the whole chain (for admin operations)
    */
   resetCircuitBreaker() {
-    this.circuitBreaker.reset();
-    logger.info('AI service circuit breaker reset');
+    this.providers.forEach(provider => provider.circuitBreaker.reset());
+    logger.info('AI service circuit breakers reset');
   }
 }
 
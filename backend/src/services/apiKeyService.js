@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { specService, SpecError } = require('./specService');
+
+const KEY_PREFIX = 'afb_';
+// Characters of the key kept in clear to recognize it in listings
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * API keys issued to the clients of the API
+ * The key is returned only when it is created: storage keeps its SHA-256 hash,
+ * a short prefix to recognize it, its rate limit and its monthly token quota;
+ * the tokens reported by the AI provider are counted per key and calendar month
+ */
+class ApiKeyService {
+  get repository() {
+    return specService.repository;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} data - `{ name, rateLimit, monthlyTokenQuota }`, limits default to the configuration
+   * @returns {Promise<Object>} - Public API key record with the plaintext `key`
+   */
+  async create({ name, rateLimit, monthlyTokenQuota }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const defaultQuota = config.auth.defaultMonthlyTokens || null;
+
+    const apiKey = await this.repository.createApiKey({
+      id: `key_${crypto.randomUUID()}`,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hash(key),
+      rateLimit: rateLimit || config.auth.defaultRateLimit,
+      monthlyTokenQuota: monthlyTokenQuota === undefined ? defaultQuota : monthlyTokenQuota || null,
+      createdAt: new Date().toISOString()
+    });
+
+    logger.info('API key created', { keyId: apiKey.id, name });
+
+    return { ...this.toPublic(apiKey), key };
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every key, newest first, without hashes
+   */
+  async list() {
+    const apiKeys = await this.repository.listApiKeys();
+    return apiKeys.map(apiKey => this.toPublic(apiKey));
+  }
+
+  /**
+   * @param {string} id - API key ID
+   * @returns {Promise<Object>} - Public API key record with the `usage` of the current month
+   * @throws {SpecError} - API_KEY_NOT_FOUND
+   */
+  async get(id) {
+    const apiKey = await this.repository.findApiKey(id);
+
+    if (!apiKey) {
+      throw new SpecError('API key not found', 'API_KEY_NOT_FOUND', 404);
+    }
+
+    return { ...this.toPublic(apiKey), usage: await this.getUsage(apiKey) };
+  }
+
+  /**
+   * Revoke a key; later requests using it are refused
+   * @param {string} id - API key ID
+   * @returns {Promise<Object>} - Public API key record
+   * @throws {SpecError} - API_KEY_NOT_FOUND
+   */
+  async revoke(id) {
+    const apiKey = await this.repository.revokeApiKey(id, new Date().toISOString());
+
+    if (!apiKey) {
+      throw new SpecError('API key not found', 'API_KEY_NOT_FOUND', 404);
+    }
+
+    logger.info('API key revoked', { keyId: id });
+
+    return this.toPublic(apiKey);
+  }
+
+  /**
+   * Find the key presented by a client
+   * @param {string} key - Plaintext key
+   * @returns {Promise<Object|null>} - API key record, null when the key is unknown
+   */
+  async authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    return this.repository.findApiKeyByHash(this.hash(key));
+  }
+
+  /**
+   * Tokens used by a key in the current month against its quota
+   * @param {Object} apiKey - API key record
+   * @returns {Promise<Object>} - `{ period, tokens, requests, quota, remaining }`
+   *   where `quota` and `remaining` are null for unlimited keys
+   */
+  async getUsage(apiKey) {
+    const { period, tokens, requests } = await this.repository.getApiKeyUsage(apiKey.id, this.currentPeriod());
+    const quota = apiKey.monthlyTokenQuota;
+
+    return {
+      period,
+      tokens,
+      requests,
+      quota,
+      remaining: quota ? Math.max(quota - tokens, 0) : null
+    };
+  }
+
+  /**
+   * Count the tokens of an AI request against the key that made it
+   * Failures are logged and never fail the request that already succeeded
+   * @param {Object|null} apiKey - API key record (anonymous requests are not counted)
+   * @param {number} tokensUsed - Tokens reported by the AI provider
+   */
+  async recordUsage(apiKey, tokensUsed) {
+    if (!apiKey) return;
+
+    try {
+      await this.repository.addApiKeyUsage(apiKey.id, this.currentPeriod(), tokensUsed || 0);
+    } catch (error) {
+      logger.error('Failed to record API key usage', { keyId: apiKey.id, tokensUsed, error: error.message });
+    }
+  }
+
+  /**
+   * Calendar month the usage is counted in (UTC)
+   * @returns {string} - `YYYY-MM`
+   */
+  currentPeriod() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  toPublic({ keyHash: _keyHash, ...apiKey }) {
+    return apiKey;
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  apiKeyService,
+  ApiKeyService
+};
@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { metricsService } = require('../utils/metrics');
 
 /**
  * Simple in-memory cache service with TTL support and memory leak protection
@@ -31,6 +32,7 @@ class CacheService {
     this.cleanupInterval = setInterval(() => {
       this.performCleanup();
     }, 5 * 60 * 1000);
+    this.cleanupInterval.unref();
     
     // Ensure cleanup runs on process exit
     process.on('beforeExit', () => {
@@ -123,14 +125,17 @@ class CacheService {
       if (item.expiresAt && Date.now() > item.expiresAt) {
         this.delete(key);
         this.stats.misses++;
+        metricsService.recordCacheOperation('get', false);
         return null;
       }
       
       this.stats.hits++;
+      metricsService.recordCacheOperation('get', true);
       return item.value;
     }
     
     this.stats.misses++;
+    metricsService.recordCacheOperation('get', false);
     return null;
   }
 
@@ -154,6 +159,7 @@ class CacheService {
     
     this.cache.set(fullKey, item);
     this.stats.sets++;
+    metricsService.recordCacheOperation('set');
     
     // Set expiration timer if TTL is specified
     if (ttl > 0) {
@@ -184,6 +190,7 @@ class CacheService {
     if (this.cache.has(fullKey)) {
       this.cache.delete(fullKey);
       this.stats.deletes++;
+      metricsService.recordCacheOperation('delete');
       
       // Clear timer if exists
       if (this.timers.has(fullKey)) {
@@ -178,7 +178,7 @@ class CircuitBreaker {
    * Start monitoring and periodic reporting
    */
   startMonitoring() {
-    setInterval(() => {
+    const monitor = setInterval(() => {
       const status = this.getStatus();
       
       if (status.stats.totalRequests > 0) {
@@ -192,6 +192,9 @@ class CircuitBreaker {
         });
       }
     }, this.monitoringPeriod);
+
+    // Reporting alone must not keep the process alive
+    monitor.unref();
   }
 
   /**
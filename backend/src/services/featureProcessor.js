@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { tracer } = require('../utils/tracing');
 const { AIResponseValidator, AIValidationError } = require('../validators/aiResponseValidator');
 
 class FeatureProcessor {
@@ -30,9 +31,11 @@ class FeatureProcessor {
 
   /**
    * Process and validate AI response with comprehensive validation
+   * Sections that fail the schema are dropped and reported instead of
+   * passing invalid JSON through (partial-result mode)
    * @param {Object} aiResponse - Raw AI response
    * @param {string} requestId - Request ID for logging
-   * @returns {Object} - Processed and validated specification
+   * @returns {Object} - { specification, warnings, validation }
    */
   processAIResponse(aiResponse, requestId = 'unknown') {
     const startTime = Date.now();
@@ -43,33 +46,46 @@ class FeatureProcessor {
         hasMetadata: !!aiResponse?._metadata
       });
 
-      // Step 1: Validate AI response structure and content
-      const validationResult = AIResponseValidator.validate(aiResponse, requestId);
-      
-      if (!validationResult.valid) {
-        throw new AIValidationError('AI response validation failed');
-      }
+      // Step 1: Validate each section against the schema and business rules
+      const validationResult = tracer.trace('spec.validate', {}, span => {
+        const result = AIResponseValidator.validateSections(aiResponse, requestId);
+        span.setAttributes({ 'spec.valid': result.valid, 'spec.error_count': result.errors.length });
+        return result;
+      });
 
-      const validatedResponse = validationResult.data;
+      const { processed, warnings } = tracer.trace('spec.enrich', {}, span => {
+        // Step 2: Post-process and enhance the validated sections
+        const enhanced = this.enhanceValidatedResponse(validationResult.data, requestId);
 
-      // Step 2: Post-process and enhance the validated response
-      const processed = this.enhanceValidatedResponse(validatedResponse, requestId);
+        // Step 3: Final consistency checks
+        const finalWarnings = this.performFinalChecks(enhanced, requestId);
+        span.setAttribute('spec.warning_count', finalWarnings.length);
 
-      // Step 3: Final consistency checks
-      this.performFinalChecks(processed, requestId);
+        return { processed: enhanced, warnings: finalWarnings };
+      });
 
       const processingTime = Date.now() - startTime;
 
       logger.info(`[${requestId}] AI response processing completed`, {
         processingTime,
         validationTime: validationResult.validationTime,
+        status: validationResult.valid ? 'valid' : 'partial',
         featureName: processed.metadata?.name,
         requirementsCount: processed.requirements?.functional?.length || 0,
         endpointsCount: processed.architecture?.apiEndpoints?.length || 0,
         testCasesCount: processed.testing?.testCases?.length || 0
       });
 
-      return processed;
+      return {
+        specification: processed,
+        warnings,
+        validation: {
+          status: validationResult.valid ? 'valid' : 'partial',
+          errors: validationResult.errors,
+          invalidSections: validationResult.invalidSections,
+          validationTime: validationResult.validationTime
+        }
+      };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
@@ -121,17 +137,24 @@ class FeatureProcessor {
       }
     };
 
-    // Enhance requirements with additional metadata
-    enhanced.requirements = this.enhanceRequirements(enhanced.requirements);
+    // Sections can be missing in partial results: enhance only what is there
+    if (enhanced.requirements) {
+      // Enhance requirements with additional metadata
+      enhanced.requirements = this.enhanceRequirements(enhanced.requirements);
+    }
 
-    // Enhance architecture with computed fields
-    enhanced.architecture = this.enhanceArchitecture(enhanced.architecture);
+    if (enhanced.architecture) {
+      // Enhance architecture with computed fields
+      enhanced.architecture = this.enhanceArchitecture(enhanced.architecture);
+    }
 
-    // Enhance testing with coverage analysis
-    enhanced.testing = this.enhanceTesting(enhanced.testing, enhanced.requirements);
+    if (enhanced.testing && enhanced.requirements) {
+      // Enhance testing with coverage analysis
+      enhanced.testing = this.enhanceTesting(enhanced.testing, enhanced.requirements);
+    }
 
     logger.debug(`[${requestId}] Response enhancement completed`, {
-      enhancedFields: ['requirements', 'architecture', 'testing']
+      enhancedFields: ['requirements', 'architecture', 'testing'].filter(section => enhanced[section])
     });
 
     return enhanced;
@@ -220,32 +243,37 @@ class FeatureProcessor {
    * Perform final consistency checks
    * @param {Object} processed - Processed response
    * @param {string} requestId - Request ID for logging
+   * @returns {Array<string>} - Warnings to surface to the user
    */
   performFinalChecks(processed, requestId) {
     const warnings = [];
 
     // Check if all high-priority requirements have test coverage
-    const highPriorityReqs = processed.requirements.functional
-      .filter(r => r.priority === 'high')
-      .map(r => r.id);
-
-    const testedRequirements = new Set([
-      ...processed.testing.testCases.flatMap(t => t.relatedRequirements),
-      ...processed.testing.acceptanceCriteria.flatMap(a => a.relatedRequirements)
-    ]);
-
-    const untestedHighPriority = highPriorityReqs.filter(id => !testedRequirements.has(id));
-    if (untestedHighPriority.length > 0) {
-      warnings.push(`High-priority requirements without tests: ${untestedHighPriority.join(', ')}`);
+    if (processed.requirements && processed.testing) {
+      const highPriorityReqs = processed.requirements.functional
+        .filter(r => r.priority === 'high')
+        .map(r => r.id);
+
+      const testedRequirements = new Set([
+        ...processed.testing.testCases.flatMap(t => t.relatedRequirements),
+        ...processed.testing.acceptanceCriteria.flatMap(a => a.relatedRequirements)
+      ]);
+
+      const untestedHighPriority = highPriorityReqs.filter(id => !testedRequirements.has(id));
+      if (untestedHighPriority.length > 0) {
+        warnings.push(`High-priority requirements without tests: ${untestedHighPriority.join(', ')}`);
+      }
     }
 
     // Check if all API endpoints have related requirements
-    const endpointsWithoutRequirements = processed.architecture.apiEndpoints
-      .filter(e => e.relatedRequirements.length === 0)
-      .map(e => e.id);
+    if (processed.architecture) {
+      const endpointsWithoutRequirements = processed.architecture.apiEndpoints
+        .filter(e => e.relatedRequirements.length === 0)
+        .map(e => e.id);
 
-    if (endpointsWithoutRequirements.length > 0) {
-      warnings.push(`API endpoints without related requirements: ${endpointsWithoutRequirements.join(', ')}`);
+      if (endpointsWithoutRequirements.length > 0) {
+        warnings.push(`API endpoints without related requirements: ${endpointsWithoutRequirements.join(', ')}`);
+      }
     }
 
     if (warnings.length > 0) {
@@ -254,6 +282,8 @@ class FeatureProcessor {
         warnings
       });
     }
+
+    return warnings;
   }
 
   /**
@@ -318,6 +348,7 @@ class FeatureProcessor {
           map[rel.target].incoming.push({
             from: model.name,
             type: rel.type,
+            foreignKey: rel.foreignKey,
             description: rel.description
           });
         }
@@ -0,0 +1,137 @@
+const { aiService } = require('./aiService');
+const { featureProcessor } = require('./featureProcessor');
+const { specService } = require('./specService');
+const { projectService } = require('./projectService');
+const logger = require('../utils/logger');
+const { tracer } = require('../utils/tracing');
+
+/**
+ * Generation pipeline shared by the synchronous, streaming and job endpoints
+ * Turns a raw request body into the `{ feature, metadata }` response payload
+ */
+class GenerationService {
+  /**
+   * Generate a feature specification from a validated request body
+   * @param {Object} body - Validated request body
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Generation options
+   * @param {AbortSignal} options.signal - Signal to abort the AI call
+   * @param {string} options.ownerId - User owning the stored specification
+   * @param {string} options.ownerKeyId - API key owning the stored specification
+   * @returns {Object} - Response payload `{ feature, metadata, specId }`
+   */
+  async generate(body, requestId, { signal, ownerId, ownerKeyId } = {}) {
+    const startTime = Date.now();
+
+    // Process and validate input
+    const processedInput = await this.prepareInput(body);
+
+    // Generate specification using AI service
+    const aiResponse = await aiService.generateSpecification(processedInput, requestId, { signal });
+
+    const result = this.buildResult(aiResponse, { requestId, startTime });
+    result.specId = await this.persist(body, result, requestId, { ownerId, ownerKeyId });
+
+    return result;
+  }
+
+  /**
+   * Process a request body into the AI service input
+   * Generations inside a project receive the project context for their prompt
+   * @param {Object} body - Validated request body
+   * @returns {Promise<Object>} - Processed input, with `projectContext` when `projectId` is set
+   */
+  async prepareInput(body) {
+    return tracer.trace('input.prepare', { 'app.project_id': body.projectId }, async () => {
+      const input = featureProcessor.processInput(body);
+
+      if (body.projectId) {
+        input.projectContext = await projectService.getPromptContext(body.projectId);
+      }
+
+      return input;
+    });
+  }
+
+  /**
+   * Store a generation result so it can be reopened and versioned
+   * Fallback templates are not stored, and a storage failure never loses the result
+   * @param {Object} body - Validated request body
+   * @param {Object} result - Payload from buildResult
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - `{ ownerId, ownerKeyId }` of the user or API key owning the specification
+   * @returns {Promise<string|null>} - Spec ID, null when not stored
+   */
+  async persist(body, result, requestId, { ownerId, ownerKeyId } = {}) {
+    if (result.metadata.fallback) {
+      return null;
+    }
+
+    try {
+      const spec = await tracer.trace('spec.store', {}, () => specService.saveGeneration(body, result, { ownerId, ownerKeyId }));
+      return spec.id;
+    } catch (error) {
+      logger.error(`[${requestId}] Failed to store generated specification`, {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Build the response payload from an AI service response
+   * Runs full validation and enhancement; fallback responses skip it
+   * @param {Object} aiResponse - Response from AIService (or its fallback)
+   * @param {Object} context - Request context
+   * @param {string} context.requestId - Unique request identifier
+   * @param {number} context.startTime - Timestamp when the request started
+   * @returns {Object} - Response payload `{ feature, metadata, validation, warnings }`
+   */
+  buildResult(aiResponse, { requestId, startTime }) {
+    const isFallback = !!aiResponse._metadata?.fallback;
+    let feature;
+    let validation;
+    let warnings = [];
+
+    if (isFallback) {
+      // Fallback responses wrap a static template in `data`: nothing to validate
+      feature = aiResponse.data;
+      validation = { status: 'fallback', errors: [], invalidSections: [] };
+    } else {
+      // Only the schema sections are kept, so `_metadata` does not leak into the feature
+      const processed = featureProcessor.processAIResponse(aiResponse, requestId);
+
+      feature = processed.specification;
+      warnings = processed.warnings;
+      validation = processed.validation;
+    }
+
+    return {
+      feature,
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        aiModel: aiResponse._metadata?.model || 'unknown',
+        aiProvider: aiResponse._metadata?.provider || null,
+        failover: aiResponse._metadata?.failover || [],
+        tokensUsed: aiResponse._metadata?.tokensUsed || 0,
+        usage: aiResponse._metadata?.usage || null,
+        version: '1.0.0',
+        requestId,
+        fallback: isFallback,
+        repair: aiResponse._metadata?.repair || null,
+        stages: aiResponse._metadata?.stages || null
+      },
+      validation,
+      warnings
+    };
+  }
+}
+
+const generationService = new GenerationService();
+
+module.exports = {
+  generationService,
+  GenerationService
+};
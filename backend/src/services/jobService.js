@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { tracer } = require('../utils/tracing');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * In-memory job queue for asynchronous feature generation
+ * Bounds concurrent AI calls and lets clients poll or cancel long generations
+ * Can be replaced with a persistent queue (e.g. BullMQ) for multi-instance deployments
+ */
+class JobService {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || config.jobs.concurrency;
+    this.maxQueued = options.maxQueued || config.jobs.maxQueued;
+    this.retentionMs = options.retentionMs || config.jobs.retentionMs;
+    this.executor = options.executor || defaultExecutor;
+
+    this.jobs = new Map();
+    this.idempotencyKeys = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0
+    };
+
+    // Drop finished jobs once their retention period expires
+    this.cleanupInterval = setInterval(() => this.performCleanup(), 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Enqueue a generation job
+   * @param {Object} input - Validated request body
+   * @param {Object} options - Job options
+   * @param {string} options.idempotencyKey - Client key; retries with the same key and body reuse the job
+   * @param {Object} options.apiKey - API key of the client, charged with the tokens of the job and
+   *   owning the stored specification
+   * @param {string} options.ownerId - User owning the job and the stored specification
+   * @returns {Object} - { job, created }
+   * @throws {JobError} - IDEMPOTENCY_KEY_REUSED when the key was used with another body, JOB_QUEUE_FULL
+   */
+  enqueue(input, { idempotencyKey: clientKey = null, apiKey = null, ownerId = null } = {}) {
+    const caller = callerOf({ apiKey, ownerId });
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+
+    // Idempotency keys of different callers never collide
+    const idempotencyKey = clientKey && `${caller}:${clientKey}`;
+
+    if (idempotencyKey && this.idempotencyKeys.has(idempotencyKey)) {
+      const existing = this.jobs.get(this.idempotencyKeys.get(idempotencyKey));
+      if (existing && existing.fingerprint !== fingerprint) {
+        throw new JobError('Idempotency-Key already used with a different request body', 'IDEMPOTENCY_KEY_REUSED', 422);
+      }
+      if (existing) {
+        logger.info(`[${existing.requestId}] Reusing job for idempotency key`, { jobId: existing.id });
+        return { job: this.serialize(existing), created: false };
+      }
+    }
+
+    if (this.queue.length >= this.maxQueued) {
+      throw new JobError('Job queue is full', 'JOB_QUEUE_FULL', 503);
+    }
+
+    const id = `job_${crypto.randomUUID()}`;
+    const job = {
+      id,
+      requestId: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'queued',
+      input,
+      result: null,
+      error: null,
+      idempotencyKey,
+      fingerprint,
+      caller,
+      apiKey,
+      ownerId,
+      // Jobs run after the request that enqueued them: their span continues its trace
+      traceContext: tracer.getActiveSpan()?.context || null,
+      abortController: new AbortController(),
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(id, job);
+    if (idempotencyKey) {
+      this.idempotencyKeys.set(idempotencyKey, id);
+    }
+    this.queue.push(id);
+    this.stats.enqueued++;
+
+    logger.info(`[${job.requestId}] Generation job enqueued`, {
+      jobId: id,
+      queueLength: this.queue.length,
+      running: this.running
+    });
+
+    this.processQueue();
+
+    return { job: this.serialize(job), created: true };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @param {Object} requester - `{ apiKey, ownerId, admin }` of the caller: only the API key
+   *   or user that enqueued the job, and admins, can see it
+   * @returns {Object|null} - Serialized job or null
+   */
+  get(id, requester) {
+    const job = this.find(id, requester);
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @param {Object} requester - `{ apiKey, ownerId, admin }` of the caller, as for get()
+   * @returns {Object} - Serialized job
+   */
+  cancel(id, requester) {
+    const job = this.find(id, requester);
+
+    if (!job) {
+      throw new JobError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      throw new JobError(`Job is already ${job.status}`, 'JOB_NOT_CANCELLABLE', 409);
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+    }
+
+    // Running jobs stop at the next await: the signal aborts the AI call
+    job.abortController.abort();
+    this.finish(job, 'cancelled');
+
+    logger.info(`[${job.requestId}] Generation job cancelled`, { jobId: id });
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Jobs of other callers are reported as missing, so their IDs reveal nothing
+   */
+  find(id, { apiKey = null, ownerId = null, admin = false } = {}) {
+    const job = this.jobs.get(id);
+    return job && (admin || job.caller === callerOf({ apiKey, ownerId })) ? job : null;
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job && job.status === 'queued') {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Execute a single job
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    const span = tracer.startSpan('job.run', {
+      parent: job.traceContext,
+      attributes: { 'app.job_id': job.id, 'app.request_id': job.requestId }
+    });
+
+    try {
+      const result = await tracer.withSpan(span, () => this.executor(job.input, job.requestId, job.abortController.signal, {
+        ownerId: job.ownerId,
+        ownerKeyId: job.apiKey?.id ?? null
+      }));
+
+      if (job.status === 'running') {
+        job.result = result;
+        this.finish(job, 'completed');
+      }
+      await this.recordUsage(job);
+    } catch (error) {
+      if (job.status === 'running') {
+        logger.error(`[${job.requestId}] Generation job failed`, {
+          jobId: job.id,
+          error: error.message
+        });
+
+        job.error = {
+          code: error.code || 'GENERATION_FAILED',
+          message: 'Feature generation failed'
+        };
+        this.finish(job, 'failed');
+      }
+      await this.recordUsage(job, error);
+    } finally {
+      span.setAttribute('app.job_status', job.status);
+      if (job.status === 'failed') {
+        span.setStatus('error', job.error.message);
+      }
+      span.end();
+
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Record a job that ran in the usage ledger, charging its tokens to the API key that enqueued it
+   * @param {Object} job - Job record in a terminal status
+   * @param {Error} error - Error of a failed job
+   */
+  async recordUsage(job, error = null) {
+    const { usageService } = require('./usageService');
+    const context = {
+      requestId: job.requestId,
+      latencyMs: job.completedAt - job.startedAt,
+      apiKey: job.apiKey,
+      userId: job.ownerId,
+      projectId: job.input?.projectId
+    };
+
+    if (job.status === 'cancelled') {
+      await usageService.record('job', { ...context, cancelled: true });
+    } else if (error) {
+      await usageService.recordFailure('job', error, context);
+    } else {
+      await usageService.record('job', { ...context, result: job.result });
+    }
+  }
+
+  /**
+   * Move a job to a terminal status
+   */
+  finish(job, status) {
+    job.status = status;
+    job.completedAt = Date.now();
+    this.stats[status]++;
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   */
+  performCleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    for (const [id, job] of this.jobs.entries()) {
+      if (TERMINAL_STATUSES.includes(job.status) && job.completedAt < cutoff) {
+        this.jobs.delete(id);
+        if (job.idempotencyKey) {
+          this.idempotencyKeys.delete(job.idempotencyKey);
+        }
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug('Job cleanup completed', { removed, remaining: this.jobs.size });
+    }
+  }
+
+  /**
+   * Public representation of a job (no input echo, no internals)
+   */
+  serialize(job) {
+    const position = job.status === 'queued' ? this.queue.indexOf(job.id) + 1 : null;
+
+    return {
+      id: job.id,
+      status: job.status,
+      queuePosition: position,
+      result: job.result,
+      error: job.error,
+      requestId: job.requestId,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      stored: this.jobs.size
+    };
+  }
+
+  /**
+   * Stop background timers
+   */
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+}
+
+/**
+ * Caller owning a job: its API key, else its user
+ */
+function callerOf({ apiKey, ownerId }) {
+  if (apiKey) return `key:${apiKey.id}`;
+  return ownerId ? `user:${ownerId}` : 'anonymous';
+}
+
+/**
+ * Default executor: run the shared generation pipeline
+ * Required lazily so the queue can be used without initializing the AI client
+ */
+function defaultExecutor(input, requestId, signal, { ownerId, ownerKeyId } = {}) {
+  const { generationService } = require('./generationService');
+  return generationService.generate(input, requestId, { signal, ownerId, ownerKeyId });
+}
+
+/**
+ * Job error class
+ */
+class JobError extends Error {
+  constructor(message, code = 'JOB_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const jobService = new JobService();
+
+module.exports = {
+  jobService,
+  JobService,
+  JobError
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { analyzeConflicts } = require('../utils/conflictAnalyzer');
+const { specService, SpecError } = require('./specService');
+
+// Page size used to load every specification of a project
+const SPEC_BATCH_SIZE = 100;
+
+/**
+ * Projects grouping related specifications
+ * A project carries shared context (tech stack, naming conventions, existing
+ * data models) that every generation inside the project receives in its prompt;
+ * projects live in the same storage as the specifications
+ */
+class ProjectService {
+  get repository() {
+    return specService.repository;
+  }
+
+  /**
+   * @param {Object} data - `{ name, description, context, ownerId, ownerKeyId }` where `ownerId` is the user
+   *   and `ownerKeyId` the API key creating it
+   * @returns {Promise<Object>} - Project record
+   */
+  async create({ name, description, context, ownerId, ownerKeyId }) {
+    const now = new Date().toISOString();
+
+    const project = await this.repository.createProject({
+      id: `proj_${crypto.randomUUID()}`,
+      ownerId: ownerId ?? null,
+      ownerKeyId: ownerKeyId ?? null,
+      name,
+      description: description || null,
+      context: this.normalizeContext(context),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logger.info('Project created', { projectId: project.id, name });
+
+    return project;
+  }
+
+  /**
+   * @param {Object} options - { visibleTo } filters by owner (see SpecRepository#list)
+   * @returns {Promise<Array>} - Every project, by name, with its `specCount`
+   */
+  async list({ visibleTo } = {}) {
+    return this.repository.listProjects({ visibleTo });
+  }
+
+  /**
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} - Project record
+   * @throws {SpecError} - PROJECT_NOT_FOUND
+   */
+  async get(id) {
+    const project = await this.repository.findProject(id);
+
+    if (!project) {
+      throw new SpecError('Project not found', 'PROJECT_NOT_FOUND', 404);
+    }
+
+    return project;
+  }
+
+  /**
+   * Replace name, description and context of a project
+   * @param {string} id - Project ID
+   * @param {Object} data - `{ name, description, context }`
+   * @returns {Promise<Object>} - Updated project record
+   * @throws {SpecError} - PROJECT_NOT_FOUND
+   */
+  async update(id, { name, description, context }) {
+    const project = await this.repository.updateProject(id, {
+      name,
+      description: description || null,
+      context: this.normalizeContext(context),
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!project) {
+      throw new SpecError('Project not found', 'PROJECT_NOT_FOUND', 404);
+    }
+
+    logger.info('Project updated', { projectId: id });
+
+    return project;
+  }
+
+  /**
+   * Delete a project; its specifications are kept outside any project
+   * @param {string} id - Project ID
+   * @throws {SpecError} - PROJECT_NOT_FOUND
+   */
+  async delete(id) {
+    const deleted = await this.repository.deleteProject(id);
+
+    if (!deleted) {
+      throw new SpecError('Project not found', 'PROJECT_NOT_FOUND', 404);
+    }
+
+    logger.info('Project deleted', { projectId: id });
+  }
+
+  /**
+   * Specifications of a project, most recently updated first
+   * @param {string} id - Project ID
+   * @param {Object} options - { limit, offset, visibleTo }
+   * @returns {Promise<Object>} - { items, total, limit, offset }
+   * @throws {SpecError} - PROJECT_NOT_FOUND
+   */
+  async listSpecs(id, options) {
+    await this.get(id);
+    return specService.list({ ...options, projectId: id });
+  }
+
+  /**
+   * Endpoints, data models and configuration keys that the specifications of a
+   * project define in incompatible (or duplicated) ways, on their current versions
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} - `{ projectId, analyzedAt, specs, conflicts, summary }`
+   *   where `specs` lists the analyzed `{ id, name, currentVersion }`
+   * @throws {SpecError} - PROJECT_NOT_FOUND
+   */
+  async analyzeConflicts(id) {
+    await this.get(id);
+
+    const items = [];
+    let total = Infinity;
+    while (items.length < total) {
+      const page = await this.repository.list({ limit: SPEC_BATCH_SIZE, offset: items.length, projectId: id });
+      items.push(...page.items);
+      total = page.items.length > 0 ? page.total : items.length;
+    }
+
+    const specs = [];
+    for (const item of items) {
+      const { specification } = await this.repository.findVersion(item.id, item.currentVersion);
+      specs.push({ id: item.id, name: item.name, specification });
+    }
+
+    const report = analyzeConflicts(specs);
+    logger.info('Project conflicts analyzed', { projectId: id, specs: specs.length, conflicts: report.summary.total });
+
+    return {
+      projectId: id,
+      analyzedAt: new Date().toISOString(),
+      specs: items.map(({ id: specId, name, currentVersion }) => ({ id: specId, name, currentVersion })),
+      ...report
+    };
+  }
+
+  /**
+   * Prompt context of a project, null when the project no longer exists
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} - `{ name, techStack, namingConventions, dataModels }`
+   */
+  async getPromptContext(id) {
+    const project = await this.repository.findProject(id);
+    return project ? { name: project.name, ...project.context } : null;
+  }
+
+  normalizeContext(context = {}) {
+    return {
+      techStack: context.techStack || [],
+      namingConventions: context.namingConventions || [],
+      dataModels: context.dataModels || []
+    };
+  }
+}
+
+const projectService = new ProjectService();
+
+module.exports = {
+  projectService,
+  ProjectService
+};
@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { tracer } = require('../utils/tracing');
 const { CacheService } = require('./cacheService');
 
 /**
@@ -19,37 +20,40 @@ class PromptService {
    * Load system prompt from file with caching
    */
   async getSystemPrompt() {
-    const cacheKey = 'system_prompt';
+    return tracer.trace('prompt.load', {}, async span => {
+      const cacheKey = 'system_prompt';
     
-    // Try cache first
-    let prompt = this.cache.get(cacheKey);
-    if (prompt) {
-      return prompt;
-    }
+      // Try cache first
+      let prompt = this.cache.get(cacheKey);
+      span.setAttribute('prompt.cached', Boolean(prompt));
+      if (prompt) {
+        return prompt;
+      }
 
-    try {
-      const promptPath = path.join(config.paths.prompts, 'generateFeature.optimized.prompt.md');
-      const promptContent = await fs.readFile(promptPath, 'utf8');
+      try {
+        const promptPath = path.join(config.paths.prompts, 'generateFeature.optimized.prompt.md');
+        const promptContent = await fs.readFile(promptPath, 'utf8');
       
-      // Process and clean the prompt
-      prompt = this.processPromptContent(promptContent);
+        // Process and clean the prompt
+        prompt = this.processPromptContent(promptContent);
       
-      // Cache the processed prompt
-      this.cache.set(cacheKey, prompt);
+        // Cache the processed prompt
+        this.cache.set(cacheKey, prompt);
       
-      logger.info('System prompt loaded and cached', {
-        promptLength: prompt.length,
-        source: promptPath
-      });
+        logger.info('System prompt loaded and cached', {
+          promptLength: prompt.length,
+          source: promptPath
+        });
       
-      return prompt;
-    } catch (error) {
-      logger.error('Failed to load system prompt', { 
-        error: error.message,
-        path: config.paths.prompts 
-      });
-      throw new Error('System prompt not available');
-    }
+        return prompt;
+      } catch (error) {
+        logger.error('Failed to load system prompt', { 
+          error: error.message,
+          path: config.paths.prompts 
+        });
+        throw new Error('System prompt not available');
+      }
+    });
   }
 
   /**
@@ -85,6 +89,10 @@ class PromptService {
       prompt += `**Common Requirements:** ${templateContext.commonRequirements.join(', ')}\n\n`;
     }
     
+    if (input.projectContext) {
+      prompt += this.buildProjectContext(input.projectContext);
+    }
+
     if (input.complexity) {
       prompt += `**Expected Complexity:** ${input.complexity}\n\n`;
     }
@@ -98,6 +106,143 @@ class PromptService {
     return prompt;
   }
 
+  /**
+   * Describe the project a feature belongs to, so the specification reuses its
+   * stack, conventions and existing data models instead of inventing conflicting ones
+   * @param {Object} context - `{ name, techStack, namingConventions, dataModels }`
+   * @returns {string} - Prompt fragment (empty when the project has no context)
+   */
+  buildProjectContext({ name, techStack = [], namingConventions = [], dataModels = [] }) {
+    if (techStack.length === 0 && namingConventions.length === 0 && dataModels.length === 0) {
+      return '';
+    }
+
+    let prompt = `**Project Context:** This feature belongs to the existing project "${name}"\n`;
+
+    if (techStack.length > 0) {
+      prompt += `**Tech Stack:** ${techStack.join(', ')}\n`;
+    }
+
+    if (namingConventions.length > 0) {
+      prompt += `**Naming Conventions:**\n${namingConventions.map(convention => `- ${convention}`).join('\n')}\n`;
+    }
+
+    if (dataModels.length > 0) {
+      prompt += `**Existing Data Models:**\n\`\`\`json\n${JSON.stringify(dataModels, null, 2)}\n\`\`\`\n`;
+      prompt += `Reuse these models by name in dataModels, endpoints and services (adding only the fields the feature needs) instead of defining new models for the same entities.\n`;
+    }
+
+    return `${prompt}\n`;
+  }
+
+  /**
+   * Build prompt asking the model to apply an instruction to an existing specification
+   * @param {Object} specification - Current specification (schema sections only)
+   * @param {string} instruction - Requested change in natural language
+   * @param {string} language - Output language
+   * @returns {string} - Refinement prompt
+   */
+  buildRefinePrompt(specification, instruction, language = 'it') {
+    let prompt = `Please update this existing technical specification according to the instruction:\n\n`;
+    prompt += `**Instruction:** ${instruction}\n\n`;
+
+    if (language && language !== 'it') {
+      prompt += `**Language:** ${language}\n\n`;
+    }
+
+    prompt += `**Current Specification:**\n\`\`\`json\n${JSON.stringify(specification, null, 2)}\n\`\`\`\n\n`;
+    prompt += `Rules:\n`;
+    prompt += `- Apply only the requested change; keep every other section, field and value unchanged\n`;
+    prompt += `- Keep the existing ID of every entity that still exists (FR001, EP002, ...); give new entities the next free number and never reuse the ID of a removed entity\n`;
+    prompt += `- Update dependencies and relatedRequirements when requirements are added, split or removed\n`;
+    prompt += `- Keep metadata.estimatedHours consistent with the new scope and complexity\n\n`;
+    prompt += `Return the complete updated JSON object following the exact schema specified in your instructions, with no explanations or markdown.`;
+
+    return prompt;
+  }
+
+  /**
+   * Build prompt asking the model to regenerate one top-level section
+   * The other sections are sent as read-only context
+   * @param {Object} specification - Current specification (schema sections only)
+   * @param {string} section - Section to regenerate (requirements, architecture, ...)
+   * @param {Object} options - Prompt options
+   * @param {string} options.instruction - Optional hint on what to improve
+   * @param {string} options.language - Output language
+   * @returns {string} - Section prompt
+   */
+  buildSectionPrompt(specification, section, { instruction = '', language = 'it' } = {}) {
+    const context = Object.fromEntries(Object.entries(specification).filter(([name]) => name !== section));
+
+    let prompt = `Please regenerate the "${section}" section of this technical specification.\n\n`;
+    prompt += `**Section to Regenerate:** ${section}\n\n`;
+
+    if (instruction) {
+      prompt += `**Instruction:** ${instruction}\n\n`;
+    }
+
+    if (language && language !== 'it') {
+      prompt += `**Language:** ${language}\n\n`;
+    }
+
+    prompt += `**Specification Context:**\n\`\`\`json\n${JSON.stringify(context, null, 2)}\n\`\`\`\n\n`;
+    prompt += `Rules:\n`;
+    prompt += `- Produce a complete, more detailed "${section}" section consistent with the context\n`;
+    prompt += `- Use only requirement IDs that exist in the context or in the regenerated section when filling relatedRequirements and dependencies\n`;
+    prompt += `- Do not change or repeat the other sections\n\n`;
+    prompt += `Return a JSON object with the single key "${section}" following the exact schema specified in your instructions, with no explanations or markdown.`;
+
+    return prompt;
+  }
+
+  /**
+   * Build the prompt of one chained generation stage
+   * The original feature prompt is kept; sections from earlier stages are sent as context
+   * @param {string} userPrompt - Prompt built by buildUserPrompt
+   * @param {Object} context - Sections generated by the previous stages
+   * @param {Array<string>} sections - Sections to generate in this stage
+   * @returns {string} - Stage prompt
+   */
+  buildStagePrompt(userPrompt, context, sections) {
+    const keys = sections.map(section => `"${section}"`).join(', ');
+
+    let prompt = `${userPrompt}\n\n`;
+    prompt += `**Generation Stage:** ${sections.join(', ')}\n\n`;
+
+    if (Object.keys(context).length > 0) {
+      prompt += `**Sections Already Generated:**\n\`\`\`json\n${JSON.stringify(context, null, 2)}\n\`\`\`\n\n`;
+    }
+
+    prompt += `Rules:\n`;
+    prompt += `- Generate only the ${keys} ${sections.length === 1 ? 'section' : 'sections'}, in full detail\n`;
+
+    if (context.requirements) {
+      prompt += `- Ground the content in the requirements above: relatedRequirements may only use their IDs (FR001, NFR001, ...)\n`;
+    }
+
+    prompt += `- Do not repeat the sections already generated\n\n`;
+    prompt += `Return a JSON object with only the keys ${keys} following the exact schema specified in your instructions, with no explanations or markdown.`;
+
+    return prompt;
+  }
+
+  /**
+   * Build follow-up prompt asking the model to fix validation errors
+   * @param {Array} errors - Validation errors `{ field, message }`
+   * @returns {string} - Repair prompt
+   */
+  buildRepairPrompt(errors) {
+    let prompt = `Your previous JSON response failed schema validation. Fix ONLY the following paths and keep everything else unchanged:\n\n`;
+
+    errors.forEach(error => {
+      prompt += error.field ? `- \`${error.field}\`: ${error.message}\n` : `- ${error.message}\n`;
+    });
+
+    prompt += `\nReturn the complete corrected JSON object, with no explanations or markdown.`;
+
+    return prompt;
+  }
+
   /**
    * Get prompt template by type
    */
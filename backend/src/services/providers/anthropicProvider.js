@@ -0,0 +1,101 @@
+const config = require('../../config');
+const { BaseProvider } = require('./baseProvider');
+const { postJson, streamLines } = require('./httpClient');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API provider (and compatible gateways)
+ * The Messages API has no JSON mode: JSON output is enforced by prefilling
+ * the assistant turn with `{`
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('anthropic', options);
+    this.baseURL = (options.baseURL || 'https://api.anthropic.com').replace(/\/$/, '');
+  }
+
+  buildRequest({ messages, maxTokens, temperature, responseFormat }) {
+    // System prompts go in a dedicated field, not in the message list
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const conversation = messages.filter(message => message.role !== 'system');
+
+    if (responseFormat === 'json') {
+      conversation.push({ role: 'assistant', content: '{' });
+    }
+
+    const request = {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: conversation
+    };
+
+    if (system) {
+      request.system = system;
+    }
+
+    return request;
+  }
+
+  // POST /v1/messages through `send` (postJson or streamLines)
+  post(send, body, signal) {
+    return send(this.name, `${this.baseURL}/v1/messages`, {
+      body,
+      signal,
+      timeout: config.openai.timeout,
+      headers: {
+        'x-api-key': this.options.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      }
+    });
+  }
+
+  async createCompletion(params) {
+    const message = await this.post(postJson, this.buildRequest(params), params.signal);
+
+    const text = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: params.responseFormat === 'json' ? `{${text}` : text,
+      usage: this.normalizeUsage(message.usage?.input_tokens, message.usage?.output_tokens),
+      model: message.model || this.model
+    };
+  }
+
+  async *streamCompletion(params) {
+    const lines = this.post(streamLines, { ...this.buildRequest(params), stream: true }, params.signal);
+
+    let promptTokens = 0;
+    let model = this.model;
+
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      const event = JSON.parse(line.slice(5));
+
+      if (event.type === 'message_start') {
+        promptTokens = event.message?.usage?.input_tokens || 0;
+        model = event.message?.model || model;
+
+        // Give back the prefilled brace before the model output
+        if (params.responseFormat === 'json') {
+          yield { delta: '{', usage: null, model: null };
+        }
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield { delta: event.delta.text, usage: null, model };
+      } else if (event.type === 'message_delta' && event.usage) {
+        yield { delta: '', usage: this.normalizeUsage(promptTokens, event.usage.output_tokens), model };
+      } else if (event.type === 'error') {
+        throw new Error(`anthropic stream error: ${event.error?.message || 'unknown'}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  AnthropicProvider
+};
@@ -0,0 +1,117 @@
+const { circuitBreakerManager } = require('../circuitBreaker');
+
+/**
+ * Base class for LLM providers
+ *
+ * Every provider exposes the same interface to AIService:
+ * - createCompletion(params) -> { content, usage, model }
+ * - streamCompletion(params) -> async iterable of { delta, usage, model }
+ * - healthCheck() -> { available, model, ... }
+ *
+ * `params` is `{ messages, maxTokens, temperature, responseFormat, signal }`
+ * with OpenAI-style `messages` ({ role, content }) and `responseFormat`
+ * either 'json' or 'text'. `usage` is always normalized to
+ * `{ promptTokens, completionTokens, totalTokens }`.
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name (used for logs and the circuit breaker)
+   * @param {Object} options - Provider configuration
+   * @param {string} options.model - Model identifier
+   * @param {string} options.id - Unique id in the failover chain (defaults to the name)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.id = options.id || name;
+    this.model = options.model;
+    this.options = options;
+
+    // Each provider (and model override in the chain) fails independently of the others
+    this.circuitBreaker = circuitBreakerManager.getCircuitBreaker(`ai-${this.id}`, {
+      failureThreshold: 3,
+      recoveryTimeout: 30000, // 30 seconds
+      expectedErrors: [
+        'rate_limit_exceeded', // Don't break circuit for rate limits
+        'insufficient_quota',  // Don't break circuit for quota issues
+        'Request was aborted'  // Client disconnected, not a provider failure
+      ]
+    });
+  }
+
+  /**
+   * Run a single chat completion
+   * @param {Object} params - Completion parameters
+   * @returns {Promise<Object>} - { content, usage, model }
+   */
+  async createCompletion(_params) {
+    throw new Error(`Provider ${this.name} does not implement createCompletion`);
+  }
+
+  /**
+   * Stream a chat completion
+   * Default implementation yields the whole completion as a single chunk,
+   * for providers without native streaming
+   * @param {Object} params - Completion parameters
+   * @returns {AsyncIterable<Object>} - Chunks `{ delta, usage, model }`
+   */
+  async *streamCompletion(params) {
+    const completion = await this.createCompletion(params);
+    yield { delta: completion.content, usage: completion.usage, model: completion.model };
+  }
+
+  /**
+   * Check that the provider answers
+   * @returns {Promise<Object>} - Health details
+   */
+  async healthCheck() {
+    await this.createCompletion({
+      messages: [{ role: 'user', content: 'test' }],
+      maxTokens: 5,
+      temperature: 0,
+      responseFormat: 'text'
+    });
+
+    return { available: true, model: this.model };
+  }
+
+  /**
+   * Public description of the provider (no secrets)
+   */
+  getInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      model: this.model,
+      baseURL: this.options.baseURL || null
+    };
+  }
+
+  /**
+   * Build a usage object with the normalized field names
+   */
+  normalizeUsage(promptTokens = 0, completionTokens = 0, totalTokens = null) {
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: totalTokens ?? promptTokens + completionTokens
+    };
+  }
+}
+
+/**
+ * Error raised by providers for non-2xx HTTP responses
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, code = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  BaseProvider,
+  ProviderError
+};
@@ -0,0 +1,138 @@
+const { ProviderError } = require('./baseProvider');
+
+/**
+ * Minimal fetch helpers for providers without an SDK
+ */
+
+/**
+ * POST a JSON body and return the parsed JSON response, throwing on non-2xx status
+ * @param {string} provider - Provider name for error reporting
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - { body, headers, signal, timeout }
+ * @returns {Promise<Object>}
+ */
+async function postJson(provider, url, options) {
+  const request = combineSignals(options.signal, options.timeout);
+
+  try {
+    const response = await send(provider, url, options, request.signal);
+    return await response.json();
+  } finally {
+    request.release();
+  }
+}
+
+/**
+ * POST a JSON body and iterate the lines of the streamed response (NDJSON or SSE)
+ * The timeout covers reading the whole body
+ * @param {string} provider - Provider name for error reporting
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - { body, headers, signal, timeout }
+ * @returns {AsyncIterable<string>} - Non-empty lines
+ */
+async function* streamLines(provider, url, options) {
+  const request = combineSignals(options.signal, options.timeout);
+
+  try {
+    const response = await send(provider, url, options, request.signal);
+    yield* readLines(response.body);
+  } finally {
+    request.release();
+  }
+}
+
+/**
+ * Combine the caller signal with the timeout (AbortSignal.any needs Node 20)
+ * `release` clears the timer and the listener left on the caller signal, which
+ * a job shares across all its provider calls
+ */
+function combineSignals(signal, timeout) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  // Unref'd so it never holds the process
+  const timer = timeout ? setTimeout(abort, timeout) : null;
+  timer?.unref();
+
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  return {
+    signal: controller.signal,
+    release() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+}
+
+async function send(provider, url, { body, headers = {}, signal }, requestSignal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: requestSignal
+    });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new Error('Request was aborted');
+    }
+    if (requestSignal.aborted) {
+      throw new ProviderError(`${provider} request timeout`, { provider, code: 'timeout' });
+    }
+    throw new ProviderError(`${provider} connection error: ${error.message}`, { provider, code: 'connection_error' });
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new ProviderError(`${provider} returned HTTP ${response.status}: ${text.slice(0, 200)}`, {
+      provider,
+      status: response.status,
+      code: statusToCode(response.status)
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Iterate the lines of a streamed response body (NDJSON or SSE)
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncIterable<string>} - Non-empty lines
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  const rest = (buffer + decoder.decode()).trim();
+  if (rest) yield rest;
+}
+
+/**
+ * Map HTTP status codes to the error codes AIService treats as retryable
+ */
+function statusToCode(status) {
+  if (status === 401 || status === 403) return 'invalid_api_key';
+  if (status === 404) return 'model_not_found';
+  if (status === 429) return 'rate_limit_exceeded';
+  if (status === 503 || status === 529) return 'service_unavailable';
+  if (status >= 500) return 'server_error';
+  return null;
+}
+
+module.exports = {
+  postJson,
+  streamLines
+};
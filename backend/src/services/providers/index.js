@@ -0,0 +1,56 @@
+const config = require('../../config');
+const { BaseProvider, ProviderError } = require('./baseProvider');
+const { OpenAIProvider } = require('./openAIProvider');
+const { OpenRouterProvider } = require('./openRouterProvider');
+const { AnthropicProvider } = require('./anthropicProvider');
+const { OllamaProvider } = require('./ollamaProvider');
+const { MockProvider } = require('./mockProvider');
+
+/**
+ * Provider registry: name -> factory receiving the provider settings
+ * from config.ai.providers
+ */
+const providerFactories = {
+  openai: options => new OpenAIProvider(options),
+  openrouter: options => new OpenRouterProvider(options),
+  anthropic: options => new AnthropicProvider(options),
+  ollama: options => new OllamaProvider(options),
+  // llama.cpp server exposes an OpenAI-compatible API
+  llamacpp: options => new OpenAIProvider(options, 'llamacpp'),
+  mock: options => new MockProvider(options)
+};
+
+/**
+ * Create a provider by name using its configured settings
+ * @param {string} name - Provider name (defaults to AI_PROVIDER)
+ * @param {Object} overrides - Settings overriding the configuration
+ * @returns {BaseProvider}
+ */
+function createProvider(name = config.ai.provider, overrides = {}) {
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}. Supported: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return factory({ ...config.ai.providers[name], ...overrides });
+}
+
+/**
+ * Create the ordered failover chain from AI_PROVIDER_CHAIN
+ * @param {Array} chain - Entries `{ provider, model }` (defaults to config.ai.chain)
+ * @returns {Array<BaseProvider>}
+ */
+function createProviderChain(chain = config.ai.chain) {
+  return chain.map(({ provider, model }) => (
+    model ? createProvider(provider, { model, id: `${provider}:${model}` }) : createProvider(provider)
+  ));
+}
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  providerNames: Object.keys(providerFactories),
+  BaseProvider,
+  ProviderError
+};
@@ -0,0 +1,114 @@
+const { BaseProvider } = require('./baseProvider');
+const { buildMockSpecification, applyMockRefinement } = require('../../data/mockSpecification');
+
+// Characters per streamed chunk, roughly a few tokens each
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Deterministic offline provider
+ * Returns a valid fixture specification built from the description in the
+ * user prompt, so the API can be exercised end-to-end without network access
+ */
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('mock', { model: 'mock-spec-v1', ...options });
+    this.latencyMs = options.latencyMs || 0;
+  }
+
+  async createCompletion({ messages, responseFormat, signal }) {
+    await this.delay(signal);
+
+    const content = this.buildContent(messages, responseFormat);
+
+    return {
+      content,
+      usage: this.estimateUsage(messages, content),
+      model: this.model
+    };
+  }
+
+  async *streamCompletion({ messages, responseFormat, signal }) {
+    await this.delay(signal);
+
+    const content = this.buildContent(messages, responseFormat);
+
+    for (let offset = 0; offset < content.length; offset += STREAM_CHUNK_SIZE) {
+      if (signal?.aborted) {
+        throw new Error('Request was aborted');
+      }
+      yield { delta: content.slice(offset, offset + STREAM_CHUNK_SIZE), usage: null, model: this.model };
+    }
+
+    yield { delta: '', usage: this.estimateUsage(messages, content), model: this.model };
+  }
+
+  async healthCheck() {
+    return { available: true, model: this.model };
+  }
+
+  /**
+   * Build the completion text from the prompts
+   * Repair rounds get the same specification back, which is already valid;
+   * refinements add one functional requirement named after the instruction
+   * and section regenerations return the fixture section
+   */
+  buildContent(messages, responseFormat) {
+    if (responseFormat !== 'json') {
+      return 'ok';
+    }
+
+    // Refinement: apply the instruction to the specification in the prompt
+    const refinePrompt = messages.find(message => message.role === 'user' && message.content.includes('**Current Specification:**'));
+    if (refinePrompt) {
+      const instruction = refinePrompt.content.match(/\*\*Instruction:\*\* ([^\n]+)/)?.[1]?.trim();
+      const specification = refinePrompt.content.match(/```json\n([\s\S]*?)\n```/)?.[1];
+      return JSON.stringify(applyMockRefinement(JSON.parse(specification), instruction));
+    }
+
+    // Section regeneration: return the fixture section for the feature in the context
+    const sectionPrompt = messages.find(message => message.role === 'user' && message.content.includes('**Section to Regenerate:**'));
+    if (sectionPrompt) {
+      const section = sectionPrompt.content.match(/\*\*Section to Regenerate:\*\* (\w+)/)?.[1];
+      const context = JSON.parse(sectionPrompt.content.match(/```json\n([\s\S]*?)\n```/)?.[1] || '{}');
+      const specification = buildMockSpecification({
+        description: context.metadata?.name,
+        complexity: context.metadata?.complexity
+      });
+      return JSON.stringify({ [section]: specification[section] });
+    }
+
+    const prompt = messages.find(message => message.role === 'user' && message.content.includes('**Description:**'));
+    const text = prompt?.content || '';
+
+    const description = text.match(/\*\*Description:\*\* ([^\n]+)/)?.[1]?.trim();
+    const complexity = text.match(/\*\*Expected Complexity:\*\* (\w+)/)?.[1];
+
+    return JSON.stringify(buildMockSpecification({ description, complexity }));
+  }
+
+  /**
+   * Rough token counts (~4 characters per token), stable for the same input
+   */
+  estimateUsage(messages, content) {
+    const promptLength = messages.reduce((total, message) => total + message.content.length, 0);
+    return this.normalizeUsage(Math.ceil(promptLength / 4), Math.ceil(content.length / 4));
+  }
+
+  delay(signal) {
+    if (!this.latencyMs) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, this.latencyMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Request was aborted'));
+      }, { once: true });
+    });
+  }
+}
+
+module.exports = {
+  MockProvider
+};
@@ -0,0 +1,86 @@
+const config = require('../../config');
+const { BaseProvider } = require('./baseProvider');
+const { postJson, streamLines } = require('./httpClient');
+
+/**
+ * Ollama provider using the native /api/chat endpoint
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('ollama', options);
+    this.baseURL = (options.baseURL || 'http://localhost:11434').replace(/\/$/, '');
+  }
+
+  buildRequest({ messages, maxTokens, temperature, responseFormat }, stream) {
+    const request = {
+      model: this.model,
+      messages,
+      stream,
+      options: {
+        num_predict: maxTokens,
+        temperature
+      }
+    };
+
+    if (responseFormat === 'json') {
+      request.format = 'json';
+    }
+
+    return request;
+  }
+
+  // POST /api/chat through `send` (postJson or streamLines)
+  post(send, body, signal) {
+    return send(this.name, `${this.baseURL}/api/chat`, {
+      body,
+      signal,
+      timeout: config.openai.timeout
+    });
+  }
+
+  async createCompletion(params) {
+    const result = await this.post(postJson, this.buildRequest(params, false), params.signal);
+
+    return {
+      content: result.message?.content || '',
+      usage: this.normalizeUsage(result.prompt_eval_count, result.eval_count),
+      model: result.model || this.model
+    };
+  }
+
+  async *streamCompletion(params) {
+    const lines = this.post(streamLines, this.buildRequest(params, true), params.signal);
+
+    // Ollama streams one JSON object per line; the last one carries the counters
+    for await (const line of lines) {
+      const chunk = JSON.parse(line);
+
+      if (chunk.error) {
+        throw new Error(`ollama stream error: ${chunk.error}`);
+      }
+
+      yield {
+        delta: chunk.message?.content || '',
+        usage: chunk.done ? this.normalizeUsage(chunk.prompt_eval_count, chunk.eval_count) : null,
+        model: chunk.model || this.model
+      };
+    }
+  }
+
+  async healthCheck() {
+    // Listing local models is cheaper than a generation and checks the model is pulled
+    const response = await fetch(`${this.baseURL}/api/tags`, { signal: AbortSignal.timeout(5000) });
+    const { models = [] } = await response.json();
+    const available = models.some(model => model.name === this.model || model.name === `${this.model}:latest`);
+
+    if (!available) {
+      throw new Error(`Model ${this.model} is not available in Ollama`);
+    }
+
+    return { available: true, model: this.model };
+  }
+}
+
+module.exports = {
+  OllamaProvider
+};
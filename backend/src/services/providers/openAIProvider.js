@@ -0,0 +1,80 @@
+const OpenAI = require('openai');
+const config = require('../../config');
+const { BaseProvider } = require('./baseProvider');
+
+/**
+ * OpenAI Chat Completions provider
+ * Also used for OpenAI-compatible servers (OpenRouter, llama.cpp) through baseURL
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}, name = 'openai') {
+    super(name, options);
+
+    const clientConfig = {
+      apiKey: options.apiKey,
+      timeout: options.timeout || config.openai.timeout
+    };
+
+    if (options.baseURL && options.baseURL !== 'https://api.openai.com/v1') {
+      clientConfig.baseURL = options.baseURL;
+    }
+
+    if (options.headers) {
+      clientConfig.defaultHeaders = options.headers;
+    }
+
+    this.client = new OpenAI(clientConfig);
+  }
+
+  buildRequest({ messages, maxTokens, temperature, responseFormat }) {
+    const request = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (responseFormat === 'json') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    return request;
+  }
+
+  async createCompletion(params) {
+    const completion = await this.client.chat.completions.create(
+      this.buildRequest(params),
+      { signal: params.signal }
+    );
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      usage: this.toUsage(completion.usage),
+      model: completion.model || this.model
+    };
+  }
+
+  async *streamCompletion(params) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest(params),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: params.signal });
+
+    for await (const chunk of stream) {
+      yield {
+        delta: chunk.choices?.[0]?.delta?.content || '',
+        usage: chunk.usage ? this.toUsage(chunk.usage) : null,
+        model: chunk.model || null
+      };
+    }
+  }
+
+  toUsage(usage) {
+    return this.normalizeUsage(usage?.prompt_tokens, usage?.completion_tokens, usage?.total_tokens);
+  }
+}
+
+module.exports = {
+  OpenAIProvider
+};
@@ -0,0 +1,22 @@
+const { OpenAIProvider } = require('./openAIProvider');
+
+/**
+ * OpenRouter provider (OpenAI-compatible API)
+ * Sends the attribution headers OpenRouter uses for app rankings
+ */
+class OpenRouterProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      headers: {
+        'HTTP-Referer': options.referer || 'https://github.com/ai-feature-builder',
+        'X-Title': 'AI Feature Builder',
+        ...options.headers
+      }
+    }, 'openrouter');
+  }
+}
+
+module.exports = {
+  OpenRouterProvider
+};
@@ -0,0 +1,96 @@
+const { aiService } = require('./aiService');
+const { generationService } = require('./generationService');
+const { specService } = require('./specService');
+const { summarizeChanges, preserveIds } = require('../utils/specDiff');
+
+/**
+ * Refinement of an existing specification
+ * Applies one instruction at a time, or regenerates a single section,
+ * and reports what changed. With a `specId` the result is stored as a new
+ * version of that specification
+ */
+class RefinementService {
+  /**
+   * Refine a specification from a validated request body
+   * @param {Object} body - Validated body `{ specification, instruction, language, specId }`
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Refinement options
+   * @param {AbortSignal} options.signal - Signal to abort the AI call
+   * @returns {Object} - Response payload `{ feature, metadata, validation, warnings, changeSummary, specId, specVersion }`
+   */
+  async refine(body, requestId, { signal } = {}) {
+    const startTime = Date.now();
+    const { specification, instruction, language, specId } = body;
+
+    // Fail before paying for the AI call
+    if (specId) {
+      await specService.findOrThrow(specId);
+    }
+
+    const aiResponse = await aiService.refineSpecification(specification, instruction, requestId, { language, signal });
+
+    // Models sometimes renumber untouched entities: give their IDs back
+    const restored = preserveIds(specification, aiResponse);
+    if (restored.length > 0 && aiResponse._metadata.repair) {
+      aiResponse._metadata.repair.localFixes = aiResponse._metadata.repair.localFixes.concat(restored);
+    }
+
+    const changeSummary = summarizeChanges(specification, aiResponse);
+    const result = generationService.buildResult(aiResponse, { requestId, startTime });
+
+    return {
+      ...result,
+      changeSummary: { instruction, ...changeSummary },
+      ...await this.saveVersion(specId, result, { source: 'refine', note: instruction })
+    };
+  }
+
+  /**
+   * Regenerate one top-level section from a validated request body
+   * The other sections are sent as context and returned unchanged
+   * @param {Object} body - Validated body `{ specification, section, instruction, language, specId }`
+   * @param {string} requestId - Unique request identifier
+   * @param {Object} options - Regeneration options
+   * @param {AbortSignal} options.signal - Signal to abort the AI call
+   * @returns {Object} - Response payload `{ feature, metadata, validation, warnings, changeSummary, specId, specVersion }`
+   */
+  async regenerateSection(body, requestId, { signal } = {}) {
+    const startTime = Date.now();
+    const { specification, section, instruction, language, specId } = body;
+
+    if (specId) {
+      await specService.findOrThrow(specId);
+    }
+
+    const aiResponse = await aiService.regenerateSection(specification, section, requestId, { instruction, language, signal });
+
+    const changeSummary = summarizeChanges(specification, aiResponse);
+    const result = generationService.buildResult(aiResponse, { requestId, startTime });
+
+    return {
+      ...result,
+      changeSummary: { section, instruction, ...changeSummary },
+      ...await this.saveVersion(specId, result, { source: 'regenerate-section', note: section })
+    };
+  }
+
+  /**
+   * Store a refined result as a new version of a stored specification
+   * @returns {Promise<Object>} - `{ specId, specVersion }` (null without a specId)
+   */
+  async saveVersion(specId, result, { source, note }) {
+    if (!specId) {
+      return { specId: null, specVersion: null };
+    }
+
+    const spec = await specService.saveRevision(specId, result, { source, note });
+    return { specId: spec.id, specVersion: spec.currentVersion };
+  }
+}
+
+const refinementService = new RefinementService();
+
+module.exports = {
+  refinementService,
+  RefinementService
+};
@@ -0,0 +1,473 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { diffSpecifications } = require('../utils/specDiff');
+const { mergeSpecifications } = require('../utils/specMerger');
+const { analyzeConflicts } = require('../utils/conflictAnalyzer');
+const { AIResponseValidator } = require('../validators/aiResponseValidator');
+const { getExporter, exporterNames } = require('../exporters');
+
+// Page size limits for GET /api/specs
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Stored specifications with an immutable version history
+ * Every change (manual edit, refinement, section regeneration) adds a version;
+ * the repository is chosen by SPEC_STORAGE and created on first use
+ */
+class SpecService {
+  /**
+   * @param {Object} options - Service options
+   * @param {SpecRepository} options.repository - Storage (defaults to SPEC_STORAGE)
+   */
+  constructor({ repository } = {}) {
+    this._repository = repository || null;
+  }
+
+  get repository() {
+    if (!this._repository) {
+      const { createSpecRepository } = require('../repositories');
+      this._repository = createSpecRepository();
+    }
+    return this._repository;
+  }
+
+  /**
+   * Store a new specification
+   * @param {Object} data - `{ specification, projectId, ownerId, ownerKeyId, description, template, complexity, language, source,
+   *   note, generation }` where `generation` is `{ model, provider, tokensUsed, validationStatus }` when an AI call
+   *   produced it, and `ownerId` the user or `ownerKeyId` the API key creating it
+   * @returns {Promise<Object>} - Spec record with its current specification
+   */
+  async create({ specification, projectId, ownerId, ownerKeyId, description, template, complexity, language, source = 'manual', note, generation = {} }) {
+    const now = new Date().toISOString();
+    const version = this.buildVersion(specification, { source, note, generation, createdAt: now });
+
+    const spec = await this.repository.create({
+      id: `spec_${crypto.randomUUID()}`,
+      projectId: projectId ?? null,
+      ownerId: ownerId ?? null,
+      ownerKeyId: ownerKeyId ?? null,
+      name: this.getName(specification),
+      description: description ?? specification.metadata?.description ?? null,
+      template: template ?? null,
+      complexity: complexity ?? specification.metadata?.complexity ?? null,
+      language: language ?? null,
+      model: version.model,
+      provider: version.provider,
+      tokensUsed: version.tokensUsed,
+      createdAt: now,
+      updatedAt: now
+    }, version);
+
+    logger.info('Specification stored', { specId: spec.id, source, name: spec.name });
+
+    return { ...spec, specification };
+  }
+
+  /**
+   * Store the result of a generation request (POST /api/generate-spec)
+   * @param {Object} body - Validated generation request body
+   * @param {Object} result - Payload from generationService.buildResult
+   * @param {Object} options - `{ ownerId, ownerKeyId }` of the user or API key owning the specification
+   * @returns {Promise<Object>} - Spec record
+   */
+  async saveGeneration(body, result, { ownerId, ownerKeyId } = {}) {
+    return this.create({
+      specification: result.feature,
+      projectId: body.projectId,
+      ownerId,
+      ownerKeyId,
+      description: body.description,
+      template: body.template,
+      complexity: body.complexity,
+      language: body.language,
+      source: 'generate',
+      generation: this.getGeneration(result)
+    });
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @returns {Promise<Object>} - Spec record with its current specification
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async get(id) {
+    const spec = await this.findOrThrow(id);
+    const { specification } = await this.repository.findVersion(id, spec.currentVersion);
+
+    return { ...spec, specification };
+  }
+
+  /**
+   * @param {Object} options - { limit, offset, projectId, visibleTo } (every spec when projectId is
+   *   undefined; `visibleTo` filters by owner, see SpecRepository#list)
+   * @returns {Promise<Object>} - { items, total, limit, offset } without specification content
+   */
+  async list({ limit = DEFAULT_PAGE_SIZE, offset = 0, projectId, visibleTo } = {}) {
+    const page = {
+      limit: Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    };
+
+    const { items, total } = await this.repository.list({ ...page, projectId, visibleTo });
+
+    return { items, total, ...page };
+  }
+
+  /**
+   * Store a new version of an existing specification
+   * @param {string} id - Spec ID
+   * @param {Object} data - `{ specification, source, note, generation }`
+   * @returns {Promise<Object>} - Updated spec record with the new specification
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async update(id, { specification, source = 'manual', note, generation = {} }) {
+    const version = this.buildVersion(specification, { source, note, generation, createdAt: new Date().toISOString() });
+    const spec = await this.repository.addVersion(id, version, { name: this.getName(specification) });
+
+    if (!spec) {
+      throw new SpecError('Specification not found', 'SPEC_NOT_FOUND', 404);
+    }
+
+    logger.info('Specification version stored', { specId: id, version: spec.currentVersion, source });
+
+    return { ...spec, specification };
+  }
+
+  /**
+   * Store the result of a refinement or section regeneration as a new version
+   * @param {string} id - Spec ID
+   * @param {Object} result - Payload from refinementService
+   * @param {Object} options - { source, note }
+   * @returns {Promise<Object>} - Updated spec record
+   */
+  async saveRevision(id, result, { source, note }) {
+    return this.update(id, {
+      specification: result.feature,
+      source,
+      note,
+      generation: this.getGeneration(result)
+    });
+  }
+
+  /**
+   * Delete a specification and its history
+   * @param {string} id - Spec ID
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async delete(id) {
+    const deleted = await this.repository.delete(id);
+
+    if (!deleted) {
+      throw new SpecError('Specification not found', 'SPEC_NOT_FOUND', 404);
+    }
+
+    logger.info('Specification deleted', { specId: id });
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @returns {Promise<Array>} - Versions, newest first, without content
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async listVersions(id) {
+    await this.findOrThrow(id);
+    return this.repository.listVersions(id);
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @param {number} number - Version number
+   * @returns {Promise<Object>} - Version with its specification
+   * @throws {SpecError} - SPEC_NOT_FOUND, SPEC_VERSION_NOT_FOUND
+   */
+  async getVersion(id, number) {
+    await this.findOrThrow(id);
+    const version = await this.repository.findVersion(id, parseInt(number));
+
+    if (!version) {
+      throw new SpecError('Specification version not found', 'SPEC_VERSION_NOT_FOUND', 404);
+    }
+
+    return version;
+  }
+
+  /**
+   * Semantic diff between two versions of a specification
+   * @param {string} id - Spec ID
+   * @param {Object} options - `{ from, to }` version numbers; `to` defaults to the current
+   *   version and `from` to the one before it
+   * @returns {Promise<Object>} - `{ specId, from, to, sections, summary }` where `from` and `to`
+   *   are version records without content
+   * @throws {SpecError} - SPEC_NOT_FOUND, SPEC_VERSION_NOT_FOUND, INVALID_VERSION_RANGE
+   */
+  async diff(id, { from, to } = {}) {
+    const spec = await this.findOrThrow(id);
+
+    const toNumber = to === undefined ? spec.currentVersion : Number(to);
+    const fromNumber = from === undefined ? Math.max(toNumber - 1, 1) : Number(from);
+
+    if (![fromNumber, toNumber].every(Number.isInteger) || fromNumber < 1 || toNumber < 1) {
+      throw new SpecError('Versions must be positive integers', 'INVALID_VERSION_RANGE', 400);
+    }
+
+    const [older, newer] = await Promise.all([fromNumber, toNumber].map(number => this.getVersion(id, number)));
+    const diff = diffSpecifications(older.specification, newer.specification);
+
+    [older, newer].forEach(version => delete version.specification);
+
+    return { specId: id, from: older, to: newer, ...diff };
+  }
+
+  /**
+   * Render a specification with one of the exporters (see exporters/index.js)
+   * @param {string} id - Spec ID
+   * @param {string} exporterName - Exporter name
+   * @param {Object} options - `{ format, version }`; the exporter's first format
+   *   and the current version by default
+   * @returns {Promise<Object>} - `{ content, contentType, filename }`
+   * @throws {SpecError} - SPEC_NOT_FOUND, SPEC_VERSION_NOT_FOUND, UNKNOWN_EXPORTER,
+   *   UNSUPPORTED_EXPORT_FORMAT, EXPORT_SECTION_MISSING
+   */
+  async export(id, exporterName, { format, version } = {}) {
+    const exporter = getExporter(exporterName);
+
+    if (!exporter) {
+      throw new SpecError(`Unknown exporter: ${exporterName}. Supported: ${exporterNames.join(', ')}`, 'UNKNOWN_EXPORTER', 404);
+    }
+
+    const formatName = format || Object.keys(exporter.formats)[0];
+
+    if (!Object.prototype.hasOwnProperty.call(exporter.formats, formatName)) {
+      throw new SpecError(
+        `Unsupported format for ${exporterName}: ${formatName}. Supported: ${Object.keys(exporter.formats).join(', ')}`,
+        'UNSUPPORTED_EXPORT_FORMAT',
+        400
+      );
+    }
+
+    const output = exporter.formats[formatName];
+    const { specification } = version === undefined ? await this.get(id) : await this.getVersion(id, version);
+    const missing = exporter.sections.filter(section => !specification[section]);
+
+    if (missing.length > 0) {
+      throw new SpecError(`Specification has no ${missing.join(', ')} section to export`, 'EXPORT_SECTION_MISSING', 422);
+    }
+
+    const baseName = this.getName(specification).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'specification';
+
+    return {
+      content: output.render(specification),
+      contentType: output.contentType,
+      filename: output.filename || `${baseName}-${exporterName}.${output.extension}`
+    };
+  }
+
+  /**
+   * Combine stored specifications into a new consolidated one (source `merge`)
+   * Sections that do not pass validation are dropped, as for stored specifications
+   * @param {Object} data - `{ specIds, name, description, projectId, ownerId, ownerKeyId }`
+   * @returns {Promise<Object>} - `{ spec, report }`: the stored spec record with its
+   *   specification, and the merge report of mergeSpecifications plus `sources`,
+   *   `conflicts` (see analyzeConflicts) and `validation` `{ status, errors }`
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async merge({ specIds, name, description, projectId, ownerId, ownerKeyId }) {
+    const sources = [];
+    for (const id of specIds) {
+      const { name: specName, currentVersion, specification } = await this.get(id);
+      sources.push({ id, name: specName, version: currentVersion, specification });
+    }
+
+    const { specification, report } = mergeSpecifications(sources, { name, description });
+    const validation = AIResponseValidator.validateSections(specification, 'merge');
+    const validationStatus = validation.valid ? 'valid' : 'partial';
+
+    const spec = await this.create({
+      specification: validation.data,
+      projectId,
+      ownerId,
+      ownerKeyId,
+      source: 'merge',
+      note: `Merged from ${sources.map(source => `${source.name} (v${source.version})`).join(', ')}`,
+      generation: { validationStatus }
+    });
+
+    logger.info('Specifications merged', { specId: spec.id, sources: specIds.length, validationStatus });
+
+    return {
+      spec,
+      report: {
+        sources: sources.map(source => ({ specId: source.id, name: source.name, version: source.version })),
+        ...report,
+        conflicts: analyzeConflicts(sources).conflicts,
+        validation: { status: validationStatus, errors: validation.errors }
+      }
+    };
+  }
+
+  /**
+   * Create a read-only public link to the current version of a specification
+   * @param {string} id - Spec ID
+   * @param {Object} options - { expiresInHours } (no expiry when omitted)
+   * @returns {Promise<Object>} - Share record with its `status`
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async share(id, { expiresInHours } = {}) {
+    await this.findOrThrow(id);
+
+    const createdAt = new Date();
+    const share = await this.repository.createShare({
+      token: crypto.randomBytes(24).toString('base64url'),
+      specId: id,
+      createdAt: createdAt.toISOString(),
+      expiresAt: expiresInHours
+        ? new Date(createdAt.getTime() + expiresInHours * 60 * 60 * 1000).toISOString()
+        : null
+    });
+
+    logger.info('Specification shared', { specId: id, expiresAt: share.expiresAt });
+
+    return this.describeShare(share);
+  }
+
+  /**
+   * @param {string} id - Spec ID
+   * @returns {Promise<Array>} - Share records with their `status`, newest first
+   * @throws {SpecError} - SPEC_NOT_FOUND
+   */
+  async listShares(id) {
+    await this.findOrThrow(id);
+    const shares = await this.repository.listShares(id);
+    return shares.map(share => this.describeShare(share));
+  }
+
+  /**
+   * Revoke a share link; revoking twice keeps the first revocation date
+   * @param {string} id - Spec ID
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} - Revoked share record
+   * @throws {SpecError} - SHARE_NOT_FOUND
+   */
+  async revokeShare(id, token) {
+    const share = await this.repository.findShare(token);
+
+    if (!share || share.specId !== id) {
+      throw new SpecError('Share link not found', 'SHARE_NOT_FOUND', 404);
+    }
+
+    const revoked = await this.repository.revokeShare(token, new Date().toISOString());
+    logger.info('Specification share revoked', { specId: id });
+
+    return this.describeShare(revoked);
+  }
+
+  /**
+   * Read-only view of a shared specification, in the generation payload format
+   * Model, provider and token usage stay private
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} - `{ feature, metadata, share }`
+   * @throws {SpecError} - SHARE_NOT_FOUND, SHARE_REVOKED, SHARE_EXPIRED
+   */
+  async getShared(token) {
+    const share = await this.repository.findShare(token);
+
+    if (!share) {
+      throw new SpecError('Share link not found', 'SHARE_NOT_FOUND', 404);
+    }
+
+    const { status } = this.describeShare(share);
+    if (status === 'revoked') {
+      throw new SpecError('Share link has been revoked', 'SHARE_REVOKED', 410);
+    }
+    if (status === 'expired') {
+      throw new SpecError('Share link has expired', 'SHARE_EXPIRED', 410);
+    }
+
+    const spec = await this.get(share.specId);
+
+    return {
+      feature: spec.specification,
+      metadata: {
+        name: spec.name,
+        description: spec.description,
+        complexity: spec.complexity,
+        language: spec.language,
+        version: spec.currentVersion,
+        updatedAt: spec.updatedAt
+      },
+      share: { expiresAt: share.expiresAt }
+    };
+  }
+
+  describeShare(share) {
+    let status = 'active';
+    if (share.revokedAt) {
+      status = 'revoked';
+    } else if (share.expiresAt && new Date(share.expiresAt) <= new Date()) {
+      status = 'expired';
+    }
+
+    return { ...share, status };
+  }
+
+  async findOrThrow(id) {
+    const spec = await this.repository.findById(id);
+
+    if (!spec) {
+      throw new SpecError('Specification not found', 'SPEC_NOT_FOUND', 404);
+    }
+
+    return spec;
+  }
+
+  buildVersion(specification, { source, note, generation, createdAt }) {
+    return {
+      specification,
+      source,
+      note: note || null,
+      model: generation.model || null,
+      provider: generation.provider || null,
+      tokensUsed: generation.tokensUsed || 0,
+      validationStatus: generation.validationStatus || null,
+      createdAt
+    };
+  }
+
+  /**
+   * Generation details of a result payload (`{ feature, metadata, validation }`)
+   */
+  getGeneration(result) {
+    return {
+      model: result.metadata?.aiModel,
+      provider: result.metadata?.aiProvider,
+      tokensUsed: result.metadata?.tokensUsed,
+      validationStatus: result.validation?.status
+    };
+  }
+
+  getName(specification) {
+    return specification.metadata?.name || 'Untitled specification';
+  }
+}
+
+/**
+ * Spec storage error with HTTP status
+ */
+class SpecError extends Error {
+  constructor(message, code = 'SPEC_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'SpecError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const specService = new SpecService();
+
+module.exports = {
+  specService,
+  SpecService,
+  SpecError
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { modelPrices, getModelPrice, calculateCost } = require('../data/modelPrices');
+const { specService } = require('./specService');
+const { apiKeyService } = require('./apiKeyService');
+
+// Days covered by GET /api/usage when the client does not set a range (today included)
+const DEFAULT_RANGE_DAYS = 30;
+
+// Errors raised by the AI call itself; the others (validation, missing specs) happen before it
+const AI_ERRORS = ['AIServiceError', 'AIResponseError'];
+
+/**
+ * Usage ledger of the AI requests
+ * Every generation, refinement and section regeneration leaves one record with
+ * its token counts, model, cost, latency and outcome, attributed to the API key,
+ * user, project and specification involved; the ledger lives in the same storage
+ * as the specifications and also feeds the monthly quota of API keys
+ */
+class UsageService {
+  get repository() {
+    return specService.repository;
+  }
+
+  /**
+   * Record an AI request in the ledger and charge its tokens to the API key
+   * Failures are logged and never fail the request being recorded
+   * @param {string} operation - generate | stream | job | refine | regenerate-section
+   * @param {Object} context - Request context
+   * @param {string} context.requestId - Unique request identifier
+   * @param {Object} context.result - Response payload `{ metadata, specId }` when the request completed
+   * @param {Error} context.error - Error when the request failed
+   * @param {boolean} context.cancelled - The client cancelled the request
+   * @param {number} context.latencyMs - Duration of the request
+   * @param {Object} context.apiKey - API key record of the caller
+   * @param {string} context.userId - Signed-in user
+   * @param {string} context.projectId - Project of the generation (read from the spec when omitted)
+   * @param {string} context.specId - Stored specification involved (defaults to `result.specId`)
+   * @returns {Promise<Object|null>} - Stored usage record, null when it could not be stored
+   */
+  async record(operation, { requestId = null, result = null, error = null, cancelled = false, latencyMs = null, apiKey = null, userId = null, projectId = null, specId = null }) {
+    const metadata = result?.metadata || {};
+    const usage = metadata.usage || { promptTokens: 0, completionTokens: 0, totalTokens: metadata.tokensUsed || 0 };
+    const model = metadata.aiModel || null;
+    const provider = metadata.aiProvider || null;
+    const storedSpecId = result?.specId ?? specId;
+    const outcome = this.getOutcome({ metadata, error, cancelled });
+
+    if (outcome === 'success' || outcome === 'fallback') {
+      await apiKeyService.recordUsage(apiKey, usage.totalTokens);
+    }
+
+    try {
+      return await this.repository.addUsageRecord({
+        id: `usage_${crypto.randomUUID()}`,
+        requestId,
+        operation,
+        outcome,
+        provider,
+        model,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        cost: usage.totalTokens > 0 ? calculateCost(usage, this.getPrice(model, provider)) : 0,
+        latencyMs: latencyMs ?? metadata.processingTime ?? null,
+        apiKeyId: apiKey?.id ?? null,
+        userId: userId ?? null,
+        projectId: projectId ?? await this.getSpecProjectId(storedSpecId),
+        specId: storedSpecId,
+        createdAt: new Date().toISOString()
+      });
+    } catch (recordError) {
+      logger.error(`[${requestId}] Failed to record AI usage`, { operation, outcome, error: recordError.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a failed AI request
+   * Requests that failed before reaching the AI provider are not usage and are skipped
+   * @param {string} operation - Operation, as for record()
+   * @param {Error} error - Error of the request
+   * @param {Object} context - Request context, as for record()
+   * @returns {Promise<Object|null>} - Stored usage record, null when skipped
+   */
+  async recordFailure(operation, error, context) {
+    if (!AI_ERRORS.includes(error.name)) return null;
+
+    return this.record(operation, { ...context, error });
+  }
+
+  /**
+   * Aggregate the ledger over a time range
+   * @param {Object} query - Validated query
+   * @param {Date} query.from - Start, included (defaults to 30 days before `to`)
+   * @param {Date} query.to - End, excluded (defaults to the end of today, UTC)
+   * @param {string} query.groupBy - day | key | project | model
+   * @param {Object} filters - Exact matches on `{ apiKeyId, userId, projectId, model }`
+   * @returns {Promise<Object>} - `{ from, to, groupBy, filters, totals, groups }`
+   */
+  async summarize({ from, to, groupBy = 'day' } = {}, filters = {}) {
+    const end = to ? new Date(to) : new Date(new Date().setUTCHours(24, 0, 0, 0));
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    const definedFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== null));
+    const range = { from: start.toISOString(), to: end.toISOString(), filters: definedFilters };
+
+    const [totals] = (await this.repository.aggregateUsage({ ...range, groupBy: null })).map(({ key: _key, ...total }) => total);
+    const groups = await this.repository.aggregateUsage({ ...range, groupBy });
+
+    return { ...range, groupBy, totals, groups };
+  }
+
+  /**
+   * @returns {string} - success | fallback | error | cancelled
+   */
+  getOutcome({ metadata, error, cancelled }) {
+    if (cancelled) return 'cancelled';
+    if (error) return 'error';
+    return metadata.fallback ? 'fallback' : 'success';
+  }
+
+  /**
+   * Price of a model, from the defaults merged with AI_PRICES
+   * @returns {Object|null} - `{ prompt, completion }` in USD per million tokens
+   */
+  getPrice(model, provider) {
+    return getModelPrice(model, provider, { ...modelPrices, ...config.usage.prices });
+  }
+
+  async getSpecProjectId(specId) {
+    if (!specId) return null;
+
+    const spec = await this.repository.findById(specId);
+    return spec?.projectId ?? null;
+  }
+}
+
+const usageService = new UsageService();
+
+module.exports = {
+  usageService,
+  UsageService
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { signToken, verifyToken } = require('../utils/jwt');
+const { specService, SpecError } = require('./specService');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'editor', 'admin'];
+const PASSWORD_KEY_LENGTH = 64;
+
+/**
+ * User accounts with JWT sessions
+ * Passwords are stored as salted scrypt hashes; a session is a signed token
+ * naming the user, whose role is read again on every request so role
+ * changes apply immediately. Accounts get USER_DEFAULT_ROLE; admins are appointed
+ * by another admin or with ADMIN_API_KEY (PUT /api/admin/users/:id/role)
+ */
+class UserService {
+  get repository() {
+    return specService.repository;
+  }
+
+  get jwtSecret() {
+    if (!this._jwtSecret) {
+      this._jwtSecret = config.auth.jwtSecret;
+
+      if (!this._jwtSecret) {
+        logger.warn('JWT_SECRET is not set: using a random secret, sessions end when the server restarts');
+        this._jwtSecret = crypto.randomBytes(32).toString('hex');
+      }
+    }
+    return this._jwtSecret;
+  }
+
+  /**
+   * Create an account
+   * @param {Object} data - `{ email, name, password }`
+   * @returns {Promise<Object>} - Public user record
+   * @throws {SpecError} - EMAIL_TAKEN
+   */
+  async register({ email, name, password }) {
+    if (await this.repository.findUserByEmail(email)) {
+      throw new SpecError('Email already registered', 'EMAIL_TAKEN', 409);
+    }
+
+    const now = new Date().toISOString();
+    const role = config.auth.defaultRole;
+
+    const user = await this.repository.createUser({
+      id: `user_${crypto.randomUUID()}`,
+      email,
+      name,
+      passwordHash: await this.hashPassword(password),
+      role,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logger.info('User registered', { userId: user.id, role });
+
+    return this.toPublic(user);
+  }
+
+  /**
+   * Open a session
+   * @param {Object} credentials - `{ email, password }`
+   * @returns {Promise<Object>} - `{ token, expiresAt, user }`
+   * @throws {SpecError} - INVALID_CREDENTIALS (same error for unknown email and wrong password)
+   */
+  async login({ email, password }) {
+    const user = await this.repository.findUserByEmail(email);
+
+    if (!user || !await this.verifyPassword(password, user.passwordHash)) {
+      logger.warn('Login failed', { email });
+      throw new SpecError('Invalid email or password', 'INVALID_CREDENTIALS', 401);
+    }
+
+    const ttl = config.auth.sessionTtlSeconds;
+    const token = signToken({ sub: user.id }, this.jwtSecret, ttl);
+
+    logger.info('User logged in', { userId: user.id });
+
+    return {
+      token,
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+      user: this.toPublic(user)
+    };
+  }
+
+  /**
+   * User of a session token
+   * @param {string} token - JWT issued by login
+   * @returns {Promise<Object|null>} - User record, null when the user no longer exists
+   * @throws {TokenError} - INVALID_TOKEN, TOKEN_EXPIRED
+   */
+  async authenticate(token) {
+    const { sub } = verifyToken(token, this.jwtSecret);
+    return this.repository.findUser(sub);
+  }
+
+  /**
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} - Public user record
+   * @throws {SpecError} - USER_NOT_FOUND
+   */
+  async get(id) {
+    const user = await this.repository.findUser(id);
+
+    if (!user) {
+      throw new SpecError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    return this.toPublic(user);
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every user, oldest first
+   */
+  async list() {
+    const users = await this.repository.listUsers();
+    return users.map(user => this.toPublic(user));
+  }
+
+  /**
+   * Change the role of a user; the last admin cannot be demoted
+   * @param {string} id - User ID
+   * @param {string} role - viewer | editor | admin
+   * @returns {Promise<Object>} - Public user record
+   * @throws {SpecError} - USER_NOT_FOUND, LAST_ADMIN
+   */
+  async setRole(id, role) {
+    const user = await this.get(id);
+
+    if (user.role === 'admin' && role !== 'admin') {
+      const admins = (await this.repository.listUsers()).filter(entry => entry.role === 'admin');
+      if (admins.length === 1) {
+        throw new SpecError('At least one admin is required', 'LAST_ADMIN', 409);
+      }
+    }
+
+    const updated = await this.repository.updateUserRole(id, { role, updatedAt: new Date().toISOString() });
+    logger.info('User role changed', { userId: id, from: user.role, to: role });
+
+    return this.toPublic(updated);
+  }
+
+  /**
+   * @param {Object} user - User record
+   * @param {string} role - Required role
+   * @returns {boolean} - Whether the role of the user is at least `role`
+   */
+  hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [algorithm, salt, hash] = stored.split('$');
+    if (algorithm !== 'scrypt') return false;
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  toPublic({ passwordHash: _passwordHash, ...user }) {
+    return user;
+  }
+}
+
+const userService = new UserService();
+
+module.exports = {
+  userService,
+  UserService,
+  ROLES
+};
@@ -0,0 +1,34 @@
+const { getModelPrice, calculateCost } = require('../../data/modelPrices');
+
+describe('modelPrices', () => {
+  describe('getModelPrice', () => {
+    it('should match exact names, vendor prefixes and dated versions', () => {
+      expect(getModelPrice('gpt-4o', 'openai')).toEqual({ prompt: 2.5, completion: 10 });
+      expect(getModelPrice('openai/gpt-4o-mini', 'openrouter')).toEqual({ prompt: 0.15, completion: 0.6 });
+      expect(getModelPrice('gpt-4o-mini-2024-07-18', 'openai')).toEqual({ prompt: 0.15, completion: 0.6 });
+      expect(getModelPrice('claude-3-5-sonnet-latest', 'anthropic')).toEqual({ prompt: 3, completion: 15 });
+    });
+
+    it('should price free variants and local models at zero, unknown models at null', () => {
+      expect(getModelPrice('meta-llama/llama-3.1-8b-instruct:free', 'openrouter')).toEqual({ prompt: 0, completion: 0 });
+      expect(getModelPrice('llama3.1', 'ollama')).toEqual({ prompt: 0, completion: 0 });
+      expect(getModelPrice('mystery-model', 'openai')).toBeNull();
+      expect(getModelPrice(null, null)).toBeNull();
+    });
+
+    it('should prefer the given table, even for local models', () => {
+      const prices = { 'mock-spec-v1': { prompt: 1, completion: 2 } };
+
+      expect(getModelPrice('mock-spec-v1', 'mock', prices)).toEqual({ prompt: 1, completion: 2 });
+      expect(getModelPrice('gpt-4o', 'openai', prices)).toBeNull();
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('should charge prompt and completion tokens per million', () => {
+      expect(calculateCost({ promptTokens: 1000, completionTokens: 500 }, { prompt: 2.5, completion: 10 })).toBe(0.0075);
+      expect(calculateCost({ promptTokens: 1, completionTokens: 1 }, { prompt: 0.15, completion: 0.6 })).toBe(0.000001);
+      expect(calculateCost({ promptTokens: 1000, completionTokens: 500 }, null)).toBeNull();
+    });
+  });
+});
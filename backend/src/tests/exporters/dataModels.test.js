@@ -0,0 +1,55 @@
+const { readDataModels, parseFieldType, parseIndex, relationSides, joinTable, commentText } = require('../../exporters/dataModels');
+const { createShopSpecification } = require('../fixtures/shopSpecification');
+
+describe('dataModels', () => {
+  it('should parse field types with lists, sizes and nullable suffixes', () => {
+    expect(parseFieldType('varchar(100)')).toEqual({ kind: 'string', list: false, size: [100] });
+    expect(parseFieldType('Array<UUID>')).toEqual({ kind: 'uuid', list: true, size: null });
+    expect(parseFieldType('decimal(10, 2)?')).toEqual({ kind: 'decimal', list: false, size: [10, 2] });
+    expect(parseFieldType('Money')).toEqual({ kind: null, list: false, size: null });
+    expect(parseIndex('email unique')).toMatchObject({ columns: ['email'], unique: true });
+  });
+
+  it('should put foreign keys on the many side or on the side declaring the field', () => {
+    const user = { name: 'User', fields: [{ name: 'id' }, { name: 'profileId' }] };
+    const profile = { name: 'Profile', fields: [{ name: 'id' }] };
+
+    expect(relationSides(user, profile, { type: 'oneToMany' })).toMatchObject({ owner: profile, foreignKey: 'userId' });
+    expect(relationSides(user, profile, { type: 'oneToOne', foreignKey: 'profileId' })).toMatchObject({ owner: user, referenced: profile });
+    expect(relationSides(user, profile, { type: 'oneToOne', foreignKey: 'Profile.ownerId' })).toMatchObject({ owner: profile, foreignKey: 'ownerId' });
+    expect(joinTable('Tag', 'Post')).toEqual({ name: 'Post_Tag', columns: ['tagId', 'postId'] });
+    expect(joinTable('Tag', 'Tag')).toEqual({ name: 'Tag_Tag', columns: ['tagId', 'relatedTagId'] });
+  });
+
+  it('should read the associations of both sides of every relationship', () => {
+    const { models } = readDataModels(createShopSpecification());
+    const associations = name => models.find(model => model.name === name).associations
+      .map(({ kind, target, foreignKey, as }) => [kind, target, foreignKey, as]);
+
+    expect(associations('Order')).toEqual([
+      ['belongsToMany', 'Product', 'orderId', 'products'],
+      ['belongsTo', 'User', 'userId', 'user'],
+      ['hasOne', 'User', 'lastOrderId', 'userByLastOrderId']
+    ]);
+    expect(associations('User')).toEqual([
+      ['hasMany', 'Order', 'userId', 'orders'],
+      ['belongsTo', 'Order', 'lastOrderId', 'lastOrder']
+    ]);
+    expect(models[1].fields.find(field => field.name === 'lastOrderId').unique).toBe(true);
+  });
+
+  it('should add missing foreign key fields with the type of the referenced key', () => {
+    const specification = createShopSpecification();
+    specification.architecture.dataModels[2].relationships.push({ type: 'oneToMany', target: 'User' });
+
+    const user = readDataModels(specification).models.find(model => model.name === 'User');
+
+    expect(user.fields.find(field => field.name === 'productId')).toMatchObject({ kind: 'integer', required: false, added: true });
+    expect(user.associations).toContainEqual(expect.objectContaining({ kind: 'belongsTo', target: 'Product', as: 'product' }));
+  });
+
+  it('should keep comment text on one line and outside block comment delimiters', () => {
+    expect(commentText('Shop\r\n  DROP TABLE users;  ')).toBe('Shop DROP TABLE users;');
+    expect(commentText('Shop */ process.exit(); /*')).toBe('Shop *\\/ process.exit(); /*');
+  });
+});
@@ -0,0 +1,85 @@
+const { buildFeatureFiles } = require('../../exporters/gherkinExporter');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('gherkinExporter', () => {
+  const createCriteriaSpecification = () => {
+    const specification = createSpecification();
+
+    specification.requirements.functional.push({
+      id: 'FR002',
+      title: 'Gestione qualità',
+      description: 'Verifica della qualità',
+      priority: 'medium',
+      category: 'test',
+      dependencies: []
+    });
+    specification.requirements.nonFunctional = [{
+      id: 'NFR001',
+      category: 'performance',
+      requirement: 'Fast responses',
+      metric: 'p95 < 200ms',
+      priority: 'medium'
+    }];
+    specification.testing.acceptanceCriteria.push({
+      id: 'AC002',
+      scenario: 'Shared criterion',
+      given: 'Given a stored resource\nA valid token',
+      when: 'The resource is requested',
+      then: 'It is returned',
+      priority: 'medium',
+      relatedRequirements: ['NFR001', 'FR001']
+    }, {
+      id: 'AC003',
+      scenario: 'Loose criterion',
+      given: 'Anything',
+      when: 'Something happens',
+      then: 'Nothing breaks',
+      priority: 'low',
+      relatedRequirements: []
+    });
+
+    return specification;
+  };
+
+  it('should write one feature per related requirement, in requirement order', () => {
+    const files = buildFeatureFiles(createCriteriaSpecification());
+
+    expect(files.map(file => file.name)).toEqual([
+      'features/FR001-test-requirement.feature',
+      'features/NFR001-fast-responses.feature',
+      'features/general.feature'
+    ]);
+  });
+
+  it('should tag scenarios with their requirements and priority', () => {
+    const [first, second, general] = buildFeatureFiles(createCriteriaSpecification());
+
+    expect(first.content).toBe([
+      'Feature: FR001 - Test Requirement',
+      '  A test functional requirement',
+      '',
+      '  @FR001 @high',
+      '  Scenario: AC001 - Successful test',
+      '    Given Valid input',
+      '    When Operation is performed',
+      '    Then Result is returned',
+      ''
+    ].join('\n'));
+    expect(second.content).toContain([
+      '  @NFR001 @FR001 @medium',
+      '  Scenario: AC002 - Shared criterion',
+      '    Given a stored resource',
+      '    And A valid token',
+      '    When The resource is requested'
+    ].join('\n'));
+    expect(second.content).toMatch(/^Feature: NFR001 - Fast responses\n {2}Metric: p95 < 200ms\n/);
+    expect(general.content).toMatch(/^Feature: Acceptance criteria without a related requirement\n\n {2}@low\n/);
+  });
+
+  it('should keep criteria of requirements missing from the specification', () => {
+    const specification = createSpecification();
+    specification.testing.acceptanceCriteria[0].relatedRequirements = ['FR099'];
+
+    expect(buildFeatureFiles(specification).map(file => file.name)).toEqual(['features/FR099.feature']);
+  });
+});
@@ -0,0 +1,79 @@
+const vm = require('vm');
+const { buildMongooseSchemas } = require('../../exporters/mongooseExporter');
+const { createShopSpecification } = require('../fixtures/shopSpecification');
+
+describe('mongooseExporter', () => {
+  it('should emit schemas that parse as JavaScript', () => {
+    const source = buildMongooseSchemas(createShopSpecification());
+
+    expect(() => new vm.Script(source)).not.toThrow();
+    expect(source).toContain(' * WARNING: unmapped type "Money" for Order.price');
+    expect(source).toContain('const mongoose = require(\'mongoose\');\n\nconst { Schema } = mongoose;');
+    expect(source).toContain([
+      'module.exports = {',
+      '  Order: mongoose.model(\'Order\', OrderSchema),',
+      '  User: mongoose.model(\'User\', UserSchema),',
+      '  Product: mongoose.model(\'Product\', ProductSchema)',
+      '};'
+    ].join('\n'));
+  });
+
+  it('should keep the specification name inside the header comment', () => {
+    const specification = createShopSpecification();
+    specification.metadata.name = 'Shop */ process.exit(); /*';
+    specification.architecture.dataModels[1].description = 'Users\n}); process.exit(); //';
+
+    const source = buildMongooseSchemas(specification);
+
+    expect(source).toContain(' * Mongoose schemas for Shop *\\/ process.exit(); /*\n');
+    expect(source).toContain('// Users }); process.exit(); //\n');
+    expect(() => new vm.Script(source)).not.toThrow();
+  });
+
+  it('should map the id primary key to _id and foreign keys to references', () => {
+    const source = buildMongooseSchemas(createShopSpecification());
+
+    expect(source).toContain([
+      'const OrderSchema = new Schema({',
+      '  userId: { type: Schema.Types.ObjectId, ref: \'User\', required: true },',
+      '  total: { type: Schema.Types.Decimal128, required: true, default: 0 },',
+      '  price: { type: Schema.Types.Mixed }, // unmapped type: Money',
+      '  createdAt: { type: Date, required: true, default: Date.now },',
+      '  products: [{ type: Schema.Types.ObjectId, ref: \'Product\' }]',
+      '}, {'
+    ].join('\n'));
+    expect(source).not.toMatch(/^ {2}id: /m);
+    expect(source).toContain('  lastOrderId: { type: Schema.Types.ObjectId, ref: \'Order\', unique: true, sparse: true }');
+    expect(source).toContain('OrderSchema.index({ createdAt: 1, total: 1 });');
+  });
+
+  it('should expose the other side of relationships as populate virtuals', () => {
+    const source = buildMongooseSchemas(createShopSpecification());
+
+    expect(source).toContain('UserSchema.virtual(\'orders\', { ref: \'Order\', localField: \'_id\', foreignField: \'userId\' });');
+    expect(source).toContain(
+      'OrderSchema.virtual(\'userByLastOrderId\', { ref: \'User\', localField: \'_id\', foreignField: \'lastOrderId\', justOne: true });'
+    );
+    expect(source).toContain('ProductSchema.virtual(\'orders\', { ref: \'Order\', localField: \'_id\', foreignField: \'products\' });');
+    expect(source).toContain('}, {\n  toJSON: { virtuals: true },\n  toObject: { virtuals: true }\n});');
+  });
+
+  it('should keep other primary keys as unique fields', () => {
+    const specification = createShopSpecification();
+    specification.architecture.dataModels.push({
+      name: 'Country',
+      fields: [{ name: 'code', type: 'varchar(2)', required: true }],
+      relationships: [{ type: 'oneToMany', target: 'User', foreignKey: 'countryCode' }],
+      constraints: ['PRIMARY KEY(code)']
+    });
+
+    const source = buildMongooseSchemas(specification);
+
+    expect(source).toContain('  code: { type: String, required: true, unique: true, maxlength: 2 }');
+    expect(source).toContain('  countryCode: { type: String, maxlength: 2 }');
+    expect(source).toContain(
+      'UserSchema.virtual(\'country\', { ref: \'Country\', localField: \'countryCode\', foreignField: \'code\', justOne: true });'
+    );
+    expect(source).toContain('CountrySchema.virtual(\'users\', { ref: \'User\', localField: \'code\', foreignField: \'countryCode\' });');
+  });
+});
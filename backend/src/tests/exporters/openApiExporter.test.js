@@ -0,0 +1,151 @@
+const { buildOpenApiDocument, typeSchema } = require('../../exporters/openApiExporter');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('openApiExporter', () => {
+  const createApiSpecification = () => {
+    const specification = createSpecification();
+
+    specification.architecture.apiEndpoints.push({
+      id: 'EP002',
+      method: 'PUT',
+      path: '/api/models/:modelId',
+      description: 'Update a model',
+      category: 'models',
+      authentication: true,
+      rateLimit: '10 requests/minute',
+      requestBody: { name: 'string', tags: 'string[]' },
+      responseBody: { model: 'TestModel', related: 'TestModel[]' },
+      statusCodes: [
+        { code: 200, description: 'Updated' },
+        { code: 404, description: 'Model not found', errorHandling: 'Show a not found page' },
+        { code: 429, description: 'Too many requests', retryStrategy: 'Exponential backoff' }
+      ],
+      relatedRequirements: ['FR001']
+    });
+
+    return specification;
+  };
+
+  it('should turn endpoints into operations grouped by path', () => {
+    const document = buildOpenApiDocument(createApiSpecification());
+
+    expect(document).toMatchObject({
+      openapi: '3.1.0',
+      info: { title: 'Test Feature', version: '1.0.0', description: 'A test feature for validation' },
+      tags: [{ name: 'test' }, { name: 'models' }]
+    });
+    expect(Object.keys(document.paths)).toEqual(['/api/test', '/api/models/{modelId}']);
+
+    const operation = document.paths['/api/models/{modelId}'].put;
+    expect(operation).toMatchObject({
+      operationId: 'EP002',
+      summary: 'Update a model',
+      tags: ['models'],
+      parameters: [{ name: 'modelId', in: 'path', required: true, schema: { type: 'string' } }],
+      'x-rate-limit': '10 requests/minute',
+      'x-related-requirements': ['FR001']
+    });
+    expect(operation.requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } }
+    });
+    expect(operation.responses['200'].content['application/json'].schema.properties).toEqual({
+      model: { $ref: '#/components/schemas/TestModel' },
+      related: { type: 'array', items: { $ref: '#/components/schemas/TestModel' } }
+    });
+  });
+
+  it('should describe error status codes with the shared error schema', () => {
+    const { paths, components } = buildOpenApiDocument(createApiSpecification());
+    const { responses } = paths['/api/models/{modelId}'].put;
+
+    expect(Object.keys(responses)).toEqual(['200', '401', '404', '429']);
+    expect(responses['404']).toEqual({
+      description: 'Model not found',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+      'x-error-handling': 'Show a not found page'
+    });
+    expect(responses['429']['x-retry-strategy']).toBe('Exponential backoff');
+    expect(components.schemas.Error.required).toEqual(['code', 'message']);
+  });
+
+  it('should rename the shared error schema instead of replacing data models', () => {
+    const specification = createApiSpecification();
+    specification.architecture.dataModels.push(
+      { name: 'Error', fields: [{ name: 'stack', type: 'string', required: true }] },
+      { name: 'ApiError', fields: [{ name: 'status', type: 'integer', required: true }] }
+    );
+
+    const { paths, components } = buildOpenApiDocument(specification);
+
+    expect(components.schemas.Error.properties).toHaveProperty('stack');
+    expect(components.schemas.ApiError.properties).toHaveProperty('status');
+    expect(components.schemas.ApiError2.required).toEqual(['code', 'message']);
+    expect(paths['/api/models/{modelId}'].put.responses['404'].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/ApiError2' });
+  });
+
+  it('should add the bearer security scheme only to authenticated operations', () => {
+    const { paths, components } = buildOpenApiDocument(createApiSpecification());
+
+    expect(components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+    expect(paths['/api/models/{modelId}'].put.security).toEqual([{ bearerAuth: [] }]);
+    expect(paths['/api/test'].get.security).toBeUndefined();
+
+    const { components: publicComponents } = buildOpenApiDocument(createSpecification());
+    expect(publicComponents.securitySchemes).toBeUndefined();
+  });
+
+  it('should build component schemas from the data models', () => {
+    const specification = createSpecification();
+    specification.architecture.dataModels[0].fields.push(
+      { name: 'status', type: 'string', required: false, description: 'Lifecycle status', defaultValue: 'draft' },
+      { name: 'createdAt', type: 'datetime', required: true, description: 'Creation date' }
+    );
+
+    const { components } = buildOpenApiDocument(specification);
+
+    expect(components.schemas.TestModel).toEqual({
+      type: 'object',
+      description: 'A test data model',
+      properties: {
+        id: { type: 'string', format: 'uuid', description: 'Unique identifier' },
+        status: { type: 'string', description: 'Lifecycle status', default: 'draft' },
+        createdAt: { type: 'string', format: 'date-time', description: 'Creation date' }
+      },
+      required: ['id', 'createdAt']
+    });
+  });
+
+  it('should send the body fields of GET requests as query parameters', () => {
+    const specification = createSpecification();
+    Object.assign(specification.architecture.apiEndpoints[0], { requestBody: { page: 'integer' }, statusCodes: [] });
+
+    const operation = buildOpenApiDocument(specification).paths['/api/test'].get;
+
+    expect(operation.requestBody).toBeUndefined();
+    expect(operation.parameters).toEqual([{ name: 'page', in: 'query', required: false, schema: { type: 'integer' } }]);
+    expect(operation.responses).toEqual({
+      200: { description: 'Success', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' } } } } } }
+    });
+  });
+
+  describe('typeSchema', () => {
+    const schemaNames = new Map([['Order Item', 'OrderItem']]);
+
+    it('should map nullable, array and model types', () => {
+      expect(typeSchema('number?', schemaNames)).toEqual({ type: ['number', 'null'] });
+      expect(typeSchema('Array<uuid>', schemaNames)).toEqual({ type: 'array', items: { type: 'string', format: 'uuid' } });
+      expect(typeSchema('varchar(255)', schemaNames)).toEqual({ type: 'string' });
+      expect(typeSchema('Order Item | null', schemaNames)).toEqual({ anyOf: [{ $ref: '#/components/schemas/OrderItem' }, { type: 'null' }] });
+      expect(typeSchema({ total: 42, items: ['OrderItem'] }, schemaNames)).toEqual({
+        type: 'object',
+        properties: { total: { type: 'number' }, items: { type: 'array', items: { $ref: '#/components/schemas/OrderItem' } } }
+      });
+    });
+
+    it('should keep unknown type names as an extension', () => {
+      expect(typeSchema('Money', schemaNames)).toEqual({ 'x-original-type': 'Money' });
+    });
+  });
+});
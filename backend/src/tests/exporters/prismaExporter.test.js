@@ -0,0 +1,91 @@
+const { buildPrismaSchema } = require('../../exporters/prismaExporter');
+const { createShopSpecification } = require('../fixtures/shopSpecification');
+
+describe('prismaExporter', () => {
+  const createCategorySpecification = () => {
+    const specification = createShopSpecification();
+
+    specification.architecture.dataModels.push({
+      name: 'Category',
+      fields: [{ name: 'id', type: 'integer', required: true }],
+      relationships: [
+        { type: 'oneToMany', target: 'Category', foreignKey: 'parentId', description: 'Subcategories' },
+        { type: 'manyToMany', target: 'Category', description: 'Related categories' }
+      ]
+    });
+
+    return specification;
+  };
+
+  it('should render the datasource of the format and flag unmapped types', () => {
+    const schema = buildPrismaSchema(createShopSpecification(), 'mysql');
+
+    expect(schema).toMatch(/^\/\/ Prisma schema for Shop\n/);
+    expect(schema).toContain('// WARNING: unmapped type "Money" for Order.price');
+    expect(schema).toContain('datasource db {\n  provider = "mysql"\n  url      = env("DATABASE_URL")\n}');
+    expect(schema).toContain('  price             String?   // unmapped type: Money');
+  });
+
+  it('should keep the specification name and unmapped types on their comment line', () => {
+    const specification = createShopSpecification();
+    specification.metadata.name = 'Shop\nmodel Injected {\n  id Int @id\n}';
+    specification.architecture.dataModels[0].fields.find(field => field.name === 'price').type = 'Money\nmodel Other {}';
+
+    const schema = buildPrismaSchema(specification, 'postgres');
+
+    expect(schema).toMatch(/^\/\/ Prisma schema for Shop model Injected \{ id Int @id \}\n/);
+    expect(schema).not.toMatch(/^model (Injected|Other)/m);
+  });
+
+  it('should render fields with keys, defaults and indexes', () => {
+    const schema = buildPrismaSchema(createShopSpecification(), 'postgres');
+
+    expect(schema).toContain([
+      '/// Orders placed by users',
+      '// NOTE: constraint not translated: Total must match the order lines',
+      'model Order {',
+      '  id                String    @id @default(uuid())',
+      '  userId            String',
+      '  total             Decimal   @default(0)'
+    ].join('\n'));
+    expect(schema).toContain('  createdAt         DateTime  @default(now())');
+    expect(schema).toContain('  @@index([userId])\n  @@index([createdAt, total])\n}');
+    expect(schema).toContain('  id     Int      @id @default(autoincrement())');
+    expect(schema).toContain('  email       String  @unique');
+  });
+
+  it('should name both sides of every relation', () => {
+    const schema = buildPrismaSchema(createShopSpecification(), 'postgres');
+
+    expect(schema).toContain('  user              User      @relation("Order_userId", fields: [userId], references: [id])');
+    expect(schema).toContain('  orders      Order[] @relation("Order_userId")');
+    expect(schema).toContain('  lastOrderId String? @unique');
+    expect(schema).toContain('  lastOrder   Order?  @relation("User_lastOrderId", fields: [lastOrderId], references: [id])');
+    expect(schema).toContain('  userByLastOrderId User?     @relation("User_lastOrderId")');
+    expect(schema).toContain('  products          Product[] @relation("Order_Product")');
+    expect(schema).toContain('  orders Order[]  @relation("Order_Product")');
+  });
+
+  it('should add the foreign key field of self relations', () => {
+    const schema = buildPrismaSchema(createCategorySpecification(), 'sqlite');
+
+    expect(schema).toContain([
+      'model Category {',
+      '  id                            Int        @id @default(autoincrement())',
+      '  parentId                      Int?',
+      '  categories                    Category[] @relation("Category_parentId")',
+      '  categoriesByCategoryId        Category[] @relation("Category_Category")',
+      '  parent                        Category?  @relation("Category_parentId", fields: [parentId], references: [id])',
+      '  categoriesByRelatedCategoryId Category[] @relation("Category_Category")',
+      '}'
+    ].join('\n'));
+  });
+
+  it('should keep scalar lists on PostgreSQL only', () => {
+    const specification = createShopSpecification();
+    specification.architecture.dataModels[1].fields.push({ name: 'tags', type: 'string[]', required: true });
+
+    expect(buildPrismaSchema(specification, 'postgres')).toMatch(/ {2}tags +String\[\]\n/);
+    expect(buildPrismaSchema(specification, 'sqlite')).toMatch(/ {2}tags +Json\n/);
+  });
+});
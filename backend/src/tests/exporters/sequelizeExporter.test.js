@@ -0,0 +1,81 @@
+const vm = require('vm');
+const { buildSequelizeModels } = require('../../exporters/sequelizeExporter');
+const { createShopSpecification } = require('../fixtures/shopSpecification');
+
+describe('sequelizeExporter', () => {
+  it('should emit a model factory that parses as JavaScript', () => {
+    const source = buildSequelizeModels(createShopSpecification());
+
+    expect(() => new vm.Script(source)).not.toThrow();
+    expect(source).toContain(' * WARNING: unmapped type "Money" for Order.price');
+    expect(source).toContain('module.exports = (sequelize, DataTypes) => {');
+    expect(source).toContain('  return { Order, User, Product };\n};\n');
+  });
+
+  it('should keep the specification name inside the header comment', () => {
+    const specification = createShopSpecification();
+    specification.metadata.name = 'Shop */ process.exit(); /*';
+
+    const source = buildSequelizeModels(specification);
+
+    expect(source).toContain(' * Sequelize models for Shop *\\/ process.exit(); /*\n');
+    expect(() => new vm.Script(source)).not.toThrow();
+  });
+
+  it('should define attributes with keys, defaults and validators', () => {
+    const source = buildSequelizeModels(createShopSpecification());
+
+    expect(source).toContain([
+      '  const Order = sequelize.define(\'Order\', {',
+      '    id: {',
+      '      type: DataTypes.UUID,',
+      '      primaryKey: true,',
+      '      defaultValue: DataTypes.UUIDV4',
+      '    },'
+    ].join('\n'));
+    expect(source).toContain('      type: DataTypes.DECIMAL(10, 2),\n      allowNull: false,\n      defaultValue: 0');
+    expect(source).toContain('    price: { // unmapped type: Money\n      type: DataTypes.TEXT,');
+    expect(source).toContain('      defaultValue: DataTypes.NOW');
+    expect(source).toContain('      unique: true,\n      validate: { isEmail: true }');
+    expect(source).toContain('      primaryKey: true,\n      autoIncrement: true');
+    expect(source).toContain('    tableName: \'Order\',\n    timestamps: false,\n    indexes: [\n      { fields: [\'userId\'] },');
+    expect(source).toContain('  // NOTE: check not translated: total >= 0');
+  });
+
+  it('should declare the associations of both sides', () => {
+    const source = buildSequelizeModels(createShopSpecification());
+
+    expect(source).toContain('  Order.belongsTo(User, { foreignKey: \'userId\', as: \'user\' });');
+    expect(source).toContain('  User.hasMany(Order, { foreignKey: \'userId\', as: \'orders\' });');
+    expect(source).toContain('  User.belongsTo(Order, { foreignKey: \'lastOrderId\', as: \'lastOrder\' });');
+    expect(source).toContain('  Order.hasOne(User, { foreignKey: \'lastOrderId\', as: \'userByLastOrderId\' });');
+    expect(source).toContain(
+      '  Order.belongsToMany(Product, { through: \'Order_Product\', foreignKey: \'orderId\', otherKey: \'productId\', as: \'products\', timestamps: false });'
+    );
+    expect(source).toContain(
+      '  Product.belongsToMany(Order, { through: \'Order_Product\', foreignKey: \'productId\', otherKey: \'orderId\', as: \'orders\', timestamps: false });'
+    );
+  });
+
+  it('should define every model before its associations', () => {
+    const calls = [];
+    const sequelize = {
+      define: name => ({
+        name,
+        ...Object.fromEntries(['belongsTo', 'hasOne', 'hasMany', 'belongsToMany'].map(kind => [
+          kind,
+          (target, options) => calls.push([name, kind, target.name, options.as])
+        ]))
+      })
+    };
+    const DataTypes = new Proxy(() => 'type', { get: () => () => 'type' });
+    const module = { exports: null };
+
+    vm.runInNewContext(buildSequelizeModels(createShopSpecification()), { module });
+    const models = module.exports(sequelize, DataTypes);
+
+    expect(Object.keys(models)).toEqual(['Order', 'User', 'Product']);
+    expect(calls).toContainEqual(['User', 'hasMany', 'Order', 'orders']);
+    expect(calls).toHaveLength(6);
+  });
+});
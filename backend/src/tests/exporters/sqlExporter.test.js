@@ -0,0 +1,106 @@
+const Database = require('better-sqlite3');
+const { buildSqlScripts } = require('../../exporters/sqlExporter');
+const { createShopSpecification } = require('../fixtures/shopSpecification');
+
+describe('sqlExporter', () => {
+  it('should create tables with keys, defaults and checks in the PostgreSQL dialect', () => {
+    const { up } = buildSqlScripts(createShopSpecification(), 'postgres');
+
+    expect(up).toContain([
+      '-- Orders placed by users',
+      '-- NOTE: constraint not translated: Total must match the order lines',
+      'CREATE TABLE "Order" (',
+      '  "id" UUID NOT NULL,',
+      '  "userId" UUID NOT NULL,',
+      '  "total" NUMERIC(10, 2) NOT NULL DEFAULT 0,',
+      '  "price" TEXT, -- unmapped type: Money',
+      '  "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,',
+      '  PRIMARY KEY ("id"),',
+      '  CHECK (total >= 0)',
+      ');'
+    ].join('\n'));
+    expect(up).toContain('CREATE INDEX "idx_Order_createdAt_total" ON "Order" ("createdAt", "total");');
+    expect(up).toContain('CREATE UNIQUE INDEX "uniq_User_email" ON "User" ("email");');
+    expect(up).not.toContain('idx_Order_id');
+  });
+
+  it('should add foreign keys on the side declaring the column and one join table per manyToMany pair', () => {
+    const { up } = buildSqlScripts(createShopSpecification(), 'postgres');
+
+    expect(up).toContain('CONSTRAINT "fk_User_lastOrderId" FOREIGN KEY ("lastOrderId") REFERENCES "Order" ("id") ON DELETE SET NULL');
+    expect(up).toContain([
+      'CREATE TABLE "Order_Product" (',
+      '  "orderId" UUID NOT NULL,',
+      '  "productId" INTEGER NOT NULL,',
+      '  PRIMARY KEY ("orderId", "productId"),',
+      '  CONSTRAINT "fk_Order_Product_orderId" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE,',
+      '  CONSTRAINT "fk_Order_Product_productId" FOREIGN KEY ("productId") REFERENCES "Product" ("id") ON DELETE CASCADE',
+      ');'
+    ].join('\n'));
+    expect(up.match(/CREATE TABLE/g)).toHaveLength(4);
+  });
+
+  it('should add the foreign keys closing a cycle after the tables and drop them first', () => {
+    const { up, down } = buildSqlScripts(createShopSpecification(), 'mysql');
+
+    expect(up.indexOf('CREATE TABLE `Order`')).toBeLessThan(up.indexOf('CREATE TABLE `User`'));
+    expect(up).toContain('ALTER TABLE `Order` ADD CONSTRAINT `fk_Order_userId` FOREIGN KEY (`userId`) REFERENCES `User` (`id`);');
+    expect(up).toContain(') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;');
+    expect(up).toContain('  `id` CHAR(36) NOT NULL,');
+    expect(down.trim().split('\n').slice(2)).toEqual([
+      'ALTER TABLE `Order` DROP FOREIGN KEY `fk_Order_userId`;',
+      '',
+      'DROP TABLE IF EXISTS `Order_Product`;',
+      'DROP TABLE IF EXISTS `User`;',
+      'DROP TABLE IF EXISTS `Order`;',
+      'DROP TABLE IF EXISTS `Product`;'
+    ]);
+  });
+
+  it('should flag unmapped types and unknown relationship targets', () => {
+    const specification = createShopSpecification();
+    specification.architecture.dataModels[2].relationships.push({ type: 'oneToMany', target: 'Supplier', foreignKey: 'supplierId' });
+
+    const { up, warnings } = buildSqlScripts(specification, 'postgres');
+
+    expect(warnings).toEqual([
+      'relationship Product -> Supplier skipped: unknown model',
+      'unmapped type "Money" for Order.price'
+    ]);
+    expect(up).toContain('-- WARNING: unmapped type "Money" for Order.price');
+  });
+
+  it('should keep names, descriptions and types on their comment line', () => {
+    const specification = createShopSpecification();
+    const order = specification.architecture.dataModels.find(model => model.name === 'Order');
+    specification.metadata.name = 'Shop\nCREATE TABLE injected (id INTEGER); --';
+    order.description = 'Orders\r\nDROP TABLE "User";';
+    order.fields.find(field => field.name === 'price').type = 'Money\nDROP TABLE "Product";';
+
+    const { up, down } = buildSqlScripts(specification, 'sqlite');
+    const db = new Database(':memory:');
+
+    expect(up).toMatch(/^-- SQLite schema for Shop CREATE TABLE injected \(id INTEGER\); --\n/);
+    expect(up).toContain('-- Orders DROP TABLE "User";\n');
+    expect(down).toMatch(/^-- Drops the SQLite schema for Shop CREATE TABLE injected/);
+
+    db.exec(up);
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(row => row.name))
+      .toEqual(['Order', 'Order_Product', 'Product', 'User']);
+    db.close();
+  });
+
+  it('should produce SQLite scripts that create and drop the schema', () => {
+    const { up, down } = buildSqlScripts(createShopSpecification(), 'sqlite');
+    const db = new Database(':memory:');
+    const tables = () => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(row => row.name);
+
+    db.exec(up);
+    expect(tables()).toEqual(['Order', 'Order_Product', 'Product', 'User']);
+    expect(up).not.toContain('ALTER TABLE');
+
+    db.exec(down);
+    expect(tables()).toEqual([]);
+    db.close();
+  });
+});
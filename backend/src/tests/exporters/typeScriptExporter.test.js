@@ -0,0 +1,169 @@
+const { buildTypeDefinitions, buildZodSchemas } = require('../../exporters/typeScriptExporter');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('typeScriptExporter', () => {
+  const createContractSpecification = () => {
+    const specification = createSpecification();
+
+    specification.architecture.dataModels.push({
+      name: 'Order Item',
+      description: 'Line of an order',
+      fields: [
+        { name: 'id', type: 'UUID', required: true },
+        { name: 'parent', type: 'Order Item?', required: false },
+        { name: 'price', type: 'Money', required: true },
+        { name: 'status', type: 'string', required: false, defaultValue: 'draft', description: 'Lifecycle status' },
+        { name: 'tags', type: 'string[]', required: true }
+      ]
+    });
+    specification.architecture.apiEndpoints.push({
+      id: 'EP002',
+      method: 'PUT',
+      path: '/api/items/:itemId',
+      description: 'Update an item',
+      requestBody: { name: 'string', quantity: 'integer?', lines: [{ sku: 'string' }] },
+      responseBody: { item: 'Order Item', related: 'Order Item[]' },
+      statusCodes: [{ code: 200, description: 'Updated' }, { code: 404, description: 'Not found' }]
+    }, {
+      method: 'GET',
+      path: '/api/items',
+      description: 'List items',
+      requestBody: { page: 'integer' },
+      responseBody: 'Order Item[]',
+      statusCodes: []
+    });
+
+    return specification;
+  };
+
+  it('should declare one interface per data model', () => {
+    const types = buildTypeDefinitions(createContractSpecification());
+
+    expect(types).toMatch(/^\/\*\*\n \* TypeScript types for Test Feature\n/);
+    expect(types).toContain(' * WARNING: unmapped type "Money" in OrderItem');
+    expect(types).toContain([
+      '/** Line of an order */',
+      'export interface OrderItem {',
+      '  /** @format uuid */',
+      '  id: string;',
+      '  parent?: OrderItem | null;',
+      '  price?: unknown;',
+      '  /**',
+      '   * Lifecycle status',
+      '   * @default "draft"',
+      '   */',
+      '  status?: string;',
+      '  tags: string[];',
+      '}'
+    ].join('\n'));
+    expect(types).toContain('export interface ApiError {\n  code: string;\n  message: string;\n}');
+  });
+
+  it('should not redeclare a data model named like the shared error type', () => {
+    const specification = createContractSpecification();
+    specification.architecture.dataModels.push({ name: 'ApiError', fields: [{ name: 'status', type: 'integer', required: true }] });
+
+    const types = buildTypeDefinitions(specification);
+
+    expect(types.match(/^export interface ApiError\b/gm)).toEqual(['export interface ApiError']);
+    expect(types).toContain('export interface ApiError {\n  status: number;\n}');
+    expect(types).toContain('export interface ApiError2 {\n  code: string;\n  message: string;\n}');
+    expect(buildZodSchemas(specification)).toContain('export const ApiError2Schema: z.ZodType<Types.ApiError2>');
+  });
+
+  it('should escape the specification name in the file headers', () => {
+    const specification = createContractSpecification();
+    specification.metadata.name = 'Shop */ export const injected = true; /*';
+
+    const types = buildTypeDefinitions(specification);
+
+    expect(types).toContain(' * TypeScript types for Shop *\\/ export const injected = true; /*\n');
+    expect(types).not.toMatch(/^export const injected/m);
+    expect(buildZodSchemas(specification)).toContain(' * Zod schemas for Shop *\\/ export const injected = true; /*\n');
+  });
+
+  it('should declare the parameters and bodies of every endpoint', () => {
+    const types = buildTypeDefinitions(createContractSpecification());
+
+    expect(types).toContain('export interface EP002Params {\n  itemId: string;\n}');
+    expect(types).toContain([
+      '/**',
+      ' * Request body of PUT /api/items/{itemId}',
+      ' * Update an item',
+      ' */',
+      'export interface EP002Request {',
+      '  name: string;',
+      '  quantity?: number | null;',
+      '  lines: {',
+      '    sku: string;',
+      '  }[];',
+      '}'
+    ].join('\n'));
+    expect(types).toContain('export interface EP002Response {\n  item: OrderItem;\n  related: OrderItem[];\n}');
+    expect(types).toContain('export interface GetApiItemsQuery {\n  page?: number;\n}');
+    expect(types).toContain('export type GetApiItemsResponse = OrderItem[];');
+  });
+
+  it('should type the Zod schemas against the declarations', () => {
+    const schemas = buildZodSchemas(createContractSpecification());
+
+    expect(schemas).toContain('import { z } from \'zod\';\n\nimport type * as Types from \'./types\';');
+    expect(schemas).toContain([
+      'export const OrderItemSchema: z.ZodType<Types.OrderItem> = z.object({',
+      '  id: z.string().uuid(),',
+      '  parent: z.lazy(() => OrderItemSchema).nullable().optional(),',
+      '  price: z.unknown(),',
+      '  status: z.string().optional(),',
+      '  tags: z.array(z.string())',
+      '});'
+    ].join('\n'));
+    expect(schemas).toContain([
+      'export const EP002RequestSchema: z.ZodType<Types.EP002Request> = z.object({',
+      '  name: z.string(),',
+      '  quantity: z.number().int().nullable().optional(),',
+      '  lines: z.array(z.object({',
+      '    sku: z.string()',
+      '  }))',
+      '});'
+    ].join('\n'));
+    expect(schemas).toContain('export const GetApiItemsResponseSchema: z.ZodType<Types.GetApiItemsResponse> = z.array(OrderItemSchema);');
+  });
+
+  it('should declare a schema for every type', () => {
+    const specification = createContractSpecification();
+    const names = [...buildTypeDefinitions(specification).matchAll(/^export (?:interface|type) (\w+)/gm)].map(match => match[1]);
+    const schemas = [...buildZodSchemas(specification).matchAll(/^export const (\w+)Schema: z\.ZodType<Types\.(\w+)>/gm)];
+
+    expect(names).toEqual([
+      'TestModel', 'OrderItem', 'ApiError', 'EP001Response',
+      'EP002Params', 'EP002Request', 'EP002Response', 'GetApiItemsQuery', 'GetApiItemsResponse'
+    ]);
+    expect(schemas.map(match => match[1])).toEqual(names);
+    expect(schemas.map(match => match[2])).toEqual(names);
+  });
+
+  it('should number endpoints whose names reduce to the same identifier', () => {
+    const specification = createContractSpecification();
+    specification.architecture.apiEndpoints.push({
+      id: 'EP-002',
+      method: 'DELETE',
+      path: '/api/items/:itemId',
+      description: 'Delete an item',
+      responseBody: { deleted: 'boolean' },
+      statusCodes: [{ code: 200, description: 'Deleted' }]
+    }, {
+      method: 'GET',
+      path: '/api/items/',
+      description: 'List items again',
+      responseBody: 'string[]',
+      statusCodes: []
+    });
+
+    const schemas = buildZodSchemas(specification);
+    const names = [...schemas.matchAll(/^export const (\w+)Schema\b/gm)].map(match => match[1]);
+
+    expect(new Set(names).size).toBe(names.length);
+    expect(names).toEqual(expect.arrayContaining(['EP002Response', 'EP0022Params', 'EP0022Response', 'GetApiItems2Response']));
+    expect(buildTypeDefinitions(specification)).toContain('export interface EP0022Response {\n  deleted: boolean;\n}');
+  });
+});
@@ -0,0 +1,23 @@
+const request = require('supertest');
+const app = require('../../server');
+const { apiKeyService } = require('../../services/apiKeyService');
+
+/**
+ * Supertest agent calling the API with an API key of its own
+ * Role-protected routes refuse anonymous callers, and a key per test file keeps
+ * the requests of each file under their own rate limit
+ * @param {string} name - Name of the key
+ * @returns {Promise<Object>} - Agent sending `Authorization: Bearer <key>` on every request;
+ *   its `owner` (`{ ownerKeyId }`) gives the key ownership of records stored through the services
+ */
+const createApiClient = async (name) => {
+  const { id, key } = await apiKeyService.create({ name });
+  const agent = request.agent(app).set('Authorization', `Bearer ${key}`);
+
+  agent.owner = { ownerKeyId: id };
+  return agent;
+};
+
+module.exports = {
+  createApiClient
+};
@@ -0,0 +1,54 @@
+/**
+ * Shared test fixture: data models of a small shop for the schema exporters
+ * Order/User reference each other (foreign key cycle), Order/Product are
+ * manyToMany and Order.price has a type no exporter maps
+ */
+const createShopSpecification = () => ({
+  metadata: { name: 'Shop' },
+  architecture: {
+    dataModels: [
+      {
+        name: 'Order',
+        description: 'Orders placed by users',
+        fields: [
+          { name: 'id', type: 'UUID', required: true },
+          { name: 'userId', type: 'UUID', required: true },
+          { name: 'total', type: 'decimal(10,2)', required: true, defaultValue: 0 },
+          { name: 'price', type: 'Money', required: false },
+          { name: 'createdAt', type: 'datetime', required: true, defaultValue: 'now()' }
+        ],
+        relationships: [{ type: 'manyToMany', target: 'Product', description: 'Ordered products' }],
+        indexes: ['id', 'userId', 'createdAt, total'],
+        constraints: ['UNIQUE(id)', 'CHECK (total >= 0)', 'Total must match the order lines']
+      },
+      {
+        name: 'User',
+        fields: [
+          { name: 'id', type: 'UUID', required: true },
+          { name: 'email', type: 'email', required: true },
+          { name: 'lastOrderId', type: 'UUID', required: false }
+        ],
+        relationships: [
+          { type: 'oneToMany', target: 'Order', foreignKey: 'userId', description: 'Orders of the user' },
+          { type: 'oneToOne', target: 'Order', foreignKey: 'lastOrderId', description: 'Most recent order' }
+        ],
+        indexes: ['email unique'],
+        constraints: []
+      },
+      {
+        name: 'Product',
+        fields: [
+          { name: 'id', type: 'integer', required: true },
+          { name: 'active', type: 'boolean', required: false, defaultValue: true }
+        ],
+        relationships: [{ type: 'manyToMany', target: 'Order', description: 'Orders containing it' }],
+        indexes: [],
+        constraints: []
+      }
+    ]
+  }
+});
+
+module.exports = {
+  createShopSpecification
+};
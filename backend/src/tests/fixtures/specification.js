@@ -0,0 +1,157 @@
+/**
+ * Shared test fixture: a minimal specification that passes full validation
+ */
+const specification = {
+  metadata: {
+    name: 'Test Feature',
+    description: 'A test feature for validation',
+    complexity: 'medium',
+    estimatedHours: 24,
+    tags: ['test', 'validation'],
+    version: '1.0.0'
+  },
+  requirements: {
+    functional: [{
+      id: 'FR001',
+      title: 'Test Requirement',
+      description: 'A test functional requirement',
+      priority: 'high',
+      category: 'test',
+      dependencies: []
+    }],
+    nonFunctional: [{
+      id: 'NFR001',
+      category: 'performance',
+      requirement: 'Response time under 300ms',
+      metric: '< 300ms for 95% of requests',
+      priority: 'high'
+    }]
+  },
+  architecture: {
+    apiEndpoints: [{
+      id: 'EP001',
+      method: 'GET',
+      path: '/api/test',
+      description: 'Test endpoint',
+      category: 'test',
+      authentication: false,
+      rateLimit: '100 requests/hour',
+      requestBody: null,
+      responseBody: { message: 'string' },
+      statusCodes: [{
+        code: 200,
+        description: 'Success'
+      }],
+      relatedRequirements: ['FR001']
+    }],
+    dataModels: [{
+      id: 'DM001',
+      name: 'TestModel',
+      description: 'A test data model',
+      category: 'entity',
+      fields: [{
+        name: 'id',
+        type: 'UUID',
+        required: true,
+        description: 'Unique identifier'
+      }],
+      relationships: [],
+      indexes: ['id'],
+      constraints: ['UNIQUE(id)']
+    }],
+    services: [{
+      id: 'SV001',
+      name: 'TestService',
+      description: 'A test service',
+      type: 'internal',
+      methods: [{
+        name: 'testMethod',
+        description: 'A test method',
+        parameters: ['param1: string'],
+        returns: 'Promise<TestModel>'
+      }]
+    }]
+  },
+  implementation: {
+    dependencies: {
+      runtime: [{
+        name: 'express',
+        type: 'library',
+        version: '^4.18.0',
+        purpose: 'Web framework',
+        critical: true
+      }],
+      development: []
+    },
+    configuration: [],
+    security: {
+      authentication: 'JWT tokens',
+      authorization: 'Role-based access control',
+      dataProtection: ['Input validation', 'SQL injection prevention'],
+      vulnerabilities: [],
+      edgeCaseHandling: {
+        inputValidation: 'Validate all inputs',
+        errorRecovery: 'Graceful error handling',
+        dataConsistency: 'Transaction-based operations',
+        concurrencyControl: 'Optimistic locking'
+      }
+    }
+  },
+  testing: {
+    strategy: {
+      unitTests: 'Test individual components',
+      integrationTests: 'Test API endpoints',
+      e2eTests: 'Test complete workflows',
+      coverage: 85
+    },
+    testCases: [{
+      id: 'TC001',
+      type: 'unit',
+      category: 'happy_path',
+      description: 'Test successful operation',
+      priority: 'high',
+      steps: ['Step 1', 'Step 2'],
+      expectedResult: 'Operation succeeds',
+      relatedRequirements: ['FR001'],
+      edgeCase: null
+    }],
+    acceptanceCriteria: [{
+      id: 'AC001',
+      scenario: 'Successful test',
+      given: 'Valid input',
+      when: 'Operation is performed',
+      then: 'Result is returned',
+      priority: 'high',
+      relatedRequirements: ['FR001']
+    }]
+  },
+  deployment: {
+    environment: {
+      development: 'Local environment',
+      staging: 'Staging environment',
+      production: 'Production environment'
+    },
+    infrastructure: [{
+      component: 'Database',
+      description: 'PostgreSQL database',
+      requirements: 'PostgreSQL 14+',
+      scaling: 'Read replicas'
+    }],
+    monitoring: [{
+      metric: 'Response time',
+      description: 'API response time',
+      threshold: '> 500ms',
+      action: 'Alert team'
+    }]
+  }
+};
+
+/**
+ * Get a fresh deep copy so tests can mutate it freely
+ * @returns {Object} - Valid specification
+ */
+const createSpecification = () => JSON.parse(JSON.stringify(specification));
+
+module.exports = {
+  createSpecification
+};
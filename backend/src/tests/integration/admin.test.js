@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../../server');
+const { userService } = require('../../services/userService');
+const { aiService } = require('../../services/aiService');
+const { cacheManager } = require('../../services/cacheService');
+const { promptService } = require('../../services/promptService');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Runs against the in-memory repository (see setup.js); the admin is appointed with the admin key
+describe('Admin routes', () => {
+  const bearer = token => `Bearer ${token}`;
+  let admin;
+  let editor;
+
+  const signIn = async (email) => {
+    const user = await userService.register({ email, name: email.split('@')[0], password: 'password123' });
+    const { token } = await userService.login({ email, password: 'password123' });
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+    admin = await signIn('admin@example.com');
+    editor = await signIn('editor@example.com');
+    expect(admin.user.role).toBe('editor');
+
+    await request(app)
+      .put(`/api/admin/users/${admin.user.id}/role`)
+      .set('Authorization', bearer(ADMIN_KEY))
+      .send({ role: 'admin' })
+      .expect(200);
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse maintenance operations to non-admins', async () => {
+    await request(app).post('/api/admin/cache/clear').expect(401);
+
+    const refused = await request(app).post('/api/admin/cache/clear').set('Authorization', bearer(editor.token)).expect(403);
+    expect(refused.body.error.code).toBe('FORBIDDEN');
+  });
+
+  it('should reset circuit breakers and clear caches for admins', async () => {
+    const resetBreakers = jest.spyOn(aiService, 'resetCircuitBreaker');
+    const clearCaches = jest.spyOn(cacheManager, 'clearAll');
+    const clearPrompts = jest.spyOn(promptService, 'clearCache');
+
+    const reset = await request(app).post('/api/admin/circuit-breaker/reset').set('Authorization', bearer(admin.token)).expect(200);
+    expect(reset.body.data.providers[0]).toMatchObject({ provider: 'mock', circuitBreaker: { state: 'CLOSED' } });
+
+    await request(app).post('/api/admin/cache/clear').set('Authorization', bearer(admin.token)).expect(200);
+    await request(app).post('/api/admin/prompts/clear-cache').set('Authorization', bearer(admin.token)).expect(200);
+
+    expect(resetBreakers).toHaveBeenCalledTimes(1);
+    expect(clearCaches).toHaveBeenCalledTimes(1);
+    expect(clearPrompts).toHaveBeenCalledTimes(1);
+  });
+
+  it('should manage roles without demoting the last admin', async () => {
+    const users = await request(app).get('/api/admin/users').set('Authorization', bearer(admin.token)).expect(200);
+    expect(users.body.data.users.map(user => `${user.email} ${user.role}`)).toEqual(['admin@example.com admin', 'editor@example.com editor']);
+
+    const demoted = await request(app)
+      .put(`/api/admin/users/${editor.user.id}/role`)
+      .set('Authorization', bearer(admin.token))
+      .send({ role: 'viewer' })
+      .expect(200);
+    expect(demoted.body.data.role).toBe('viewer');
+
+    const lastAdmin = await request(app)
+      .put(`/api/admin/users/${admin.user.id}/role`)
+      .set('Authorization', bearer(admin.token))
+      .send({ role: 'editor' })
+      .expect(409);
+    expect(lastAdmin.body.error.code).toBe('LAST_ADMIN');
+
+    await request(app).put('/api/admin/users/user_missing/role').set('Authorization', bearer(admin.token)).send({ role: 'owner' }).expect(400);
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../../server');
+const { apiKeyService } = require('../../services/apiKeyService');
+
+const ADMIN_KEY = 'test-admin-key';
+const generation = { description: 'Prenotazione sale riunioni con calendario condiviso' };
+
+// Runs against the in-memory repository (see setup.js); keys used by the
+// requests are issued through the service so admin calls stay under the rate limit
+describe('API keys', () => {
+  const bearer = key => `Bearer ${key}`;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+    delete process.env.API_KEYS_REQUIRED;
+  });
+
+  it('should let only the admin key manage keys, returning the key once', async () => {
+    const missing = await request(app).get('/api/keys').expect(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(missing.body.error.code).toBe('AUTH_REQUIRED');
+
+    const wrong = await request(app).get('/api/keys').set('Authorization', bearer('not-the-admin')).expect(403);
+    expect(wrong.body).toEqual({ success: false, error: { code: 'FORBIDDEN', message: expect.any(String) } });
+
+    const created = await request(app)
+      .post('/api/keys')
+      .set('Authorization', bearer(ADMIN_KEY))
+      .send({ name: 'CI pipeline', rateLimit: 30, monthlyTokenQuota: 50000 })
+      .expect(201);
+
+    const { id, key, prefix } = created.body.data;
+    expect(created.headers.location).toBe(`/api/keys/${id}`);
+    expect(key).toMatch(/^afb_[\w-]{43}$/);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(created.body.data).toMatchObject({ name: 'CI pipeline', rateLimit: 30, monthlyTokenQuota: 50000, revokedAt: null });
+    expect(created.body.data.keyHash).toBeUndefined();
+
+    const listed = await request(app).get('/api/keys').set('Authorization', bearer(ADMIN_KEY)).expect(200);
+    const entry = listed.body.data.apiKeys.find(apiKey => apiKey.id === id);
+    expect(entry).toMatchObject({ prefix });
+    expect(entry.key).toBeUndefined();
+    expect(entry.keyHash).toBeUndefined();
+
+    const invalid = await request(app).post('/api/keys').set('Authorization', bearer(ADMIN_KEY)).send({ rateLimit: 0 }).expect(400);
+    expect(invalid.body.error.details.map(detail => detail.field)).toEqual(['name', 'rateLimit']);
+  });
+
+  it('should charge the tokens of AI requests to the key and enforce its monthly quota', async () => {
+    const { id, key } = await apiKeyService.create({ name: 'Quota', monthlyTokenQuota: 1 });
+
+    const generated = await request(app).post('/api/generate-spec').set('Authorization', bearer(key)).send(generation).expect(200);
+    const { tokensUsed } = generated.body.data.metadata;
+
+    const detail = await request(app).get(`/api/keys/${id}`).set('Authorization', bearer(ADMIN_KEY)).expect(200);
+    expect(detail.body.data.usage).toEqual({
+      period: new Date().toISOString().slice(0, 7),
+      tokens: tokensUsed,
+      requests: 1,
+      quota: 1,
+      remaining: 0
+    });
+
+    const refused = await request(app).post('/api/generate-spec').set('Authorization', bearer(key)).send(generation).expect(429);
+    expect(refused.body.error).toMatchObject({ code: 'TOKEN_QUOTA_EXCEEDED', usage: { tokens: tokensUsed, quota: 1 } });
+
+    // Reads do not use tokens
+    await request(app).get('/api/specs').set('Authorization', bearer(key)).expect(200);
+  });
+
+  it('should limit the requests of each key separately', async () => {
+    const limited = await apiKeyService.create({ name: 'Limited', rateLimit: 1 });
+    const other = await apiKeyService.create({ name: 'Other' });
+
+    await request(app).post('/api/projects').set('Authorization', bearer(limited.key)).send({ name: 'Primo' }).expect(201);
+
+    const throttled = await request(app).post('/api/projects').set('Authorization', bearer(limited.key)).send({ name: 'Secondo' }).expect(429);
+    expect(throttled.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+
+    await request(app).post('/api/projects').set('Authorization', bearer(other.key)).send({ name: 'Terzo' }).expect(201);
+  });
+
+  it('should not count reads of stored data, but count other requests', async () => {
+    const limited = await apiKeyService.create({ name: 'Reader', rateLimit: 1 });
+
+    for (let read = 0; read < 3; read++) {
+      await request(app).get('/api/specs').set('Authorization', bearer(limited.key)).expect(200);
+      await request(app).get('/api/projects').set('Authorization', bearer(limited.key)).expect(200);
+    }
+
+    await request(app).get('/api/templates').set('Authorization', bearer(limited.key)).expect(200);
+    const throttled = await request(app).get('/api/templates').set('Authorization', bearer(limited.key)).expect(429);
+    expect(throttled.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+
+    // The health check calls the AI providers: it counts against the limit by IP
+    const health = await request(app).get('/api/ai-health').expect(200);
+    expect(health.headers['ratelimit-limit']).toBeDefined();
+  });
+
+  it('should refuse unknown and revoked keys', async () => {
+    const unknown = await request(app).get('/api/specs').set('Authorization', bearer('afb_unknown')).expect(401);
+    expect(unknown.body.error.code).toBe('INVALID_API_KEY');
+
+    const malformed = await request(app).get('/api/specs').set('Authorization', 'Basic dXNlcjpwYXNz').expect(401);
+    expect(malformed.body.error.code).toBe('INVALID_API_KEY');
+
+    const { id, key } = await apiKeyService.create({ name: 'Revoked' });
+    const revoked = await request(app).delete(`/api/keys/${id}`).set('Authorization', bearer(ADMIN_KEY)).expect(200);
+    expect(revoked.body.data.revokedAt).toEqual(expect.any(String));
+
+    const refused = await request(app).get('/api/specs').set('Authorization', bearer(key)).expect(403);
+    expect(refused.body.error.code).toBe('API_KEY_REVOKED');
+
+    const missing = await request(app).delete('/api/keys/key_missing').set('Authorization', bearer(ADMIN_KEY)).expect(404);
+    expect(missing.body.error.code).toBe('API_KEY_NOT_FOUND');
+  });
+
+  it('should require a key when API_KEYS_REQUIRED is set, except on public routes', async () => {
+    process.env.API_KEYS_REQUIRED = 'true';
+
+    try {
+      const refused = await request(app).get('/api/specs').expect(401);
+      expect(refused.body.error.code).toBe('AUTH_REQUIRED');
+
+      const { key } = await apiKeyService.create({ name: 'Required' });
+      await request(app).get('/api/specs').set('Authorization', bearer(key)).expect(200);
+
+      const shared = await request(app).get('/api/shared/unknown-token').expect(404);
+      expect(shared.body.error.code).not.toBe('AUTH_REQUIRED');
+    } finally {
+      delete process.env.API_KEYS_REQUIRED;
+    }
+  });
+});
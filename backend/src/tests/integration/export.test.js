@@ -0,0 +1,126 @@
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Keeps binary downloads (zip archives) as a Buffer in response.body
+const readBuffer = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// Runs against the in-memory repository (see setup.js)
+describe('/api/specs/:id/export', () => {
+  let api;
+  let specId;
+
+  beforeAll(async () => {
+    api = await createApiClient('Export tests');
+
+    const created = await api
+      .post('/api/specs')
+      .send({ specification: createSpecification() })
+      .expect(201);
+
+    specId = created.body.data.id;
+  });
+
+  it('should download the OpenAPI document as YAML by default', async () => {
+    const response = await api.get(`/api/specs/${specId}/export/openapi`).expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/yaml/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="test-feature-openapi.yaml"');
+    expect(response.text).toMatch(/^openapi: "3\.1\.0"\n/);
+    expect(response.text).toContain('  /api/test:\n    get:\n      operationId: EP001\n');
+  });
+
+  it('should render JSON for a given version', async () => {
+    const edited = createSpecification();
+    edited.architecture.apiEndpoints[0].path = '/api/renamed';
+    await api.put(`/api/specs/${specId}`).send({ specification: edited }).expect(200);
+
+    const response = await api
+      .get(`/api/specs/${specId}/export/openapi`)
+      .query({ format: 'json', version: 1 })
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe('attachment; filename="test-feature-openapi.json"');
+    expect(Object.keys(JSON.parse(response.text).paths)).toEqual(['/api/test']);
+  });
+
+  it('should download the CREATE TABLE script of a dialect', async () => {
+    const response = await api
+      .get(`/api/specs/${specId}/export/sql`)
+      .query({ format: 'mysql', version: 1 })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/sql/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="test-feature-sql.sql"');
+    expect(response.text).toContain('CREATE TABLE `TestModel` (\n  `id` CHAR(36) NOT NULL,\n  PRIMARY KEY (`id`)\n)');
+  });
+
+  it('should bundle the up/down migration pair in a zip archive', async () => {
+    const response = await api
+      .get(`/api/specs/${specId}/export/sql-migration`)
+      .query({ format: 'sqlite' })
+      .buffer(true)
+      .parse(readBuffer)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="test-feature-sql-migration.zip"');
+    expect(response.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(response.body.toString('latin1')).toMatch(/\d{14}_create_schema\.up\.sql[\s\S]*\d{14}_create_schema\.down\.sql/);
+  });
+
+  it('should download the ORM schemas, schema.prisma under its fixed name', async () => {
+    const prisma = await api.get(`/api/specs/${specId}/export/prisma`).query({ version: 1 }).expect(200);
+
+    expect(prisma.headers['content-disposition']).toBe('attachment; filename="schema.prisma"');
+    expect(prisma.text).toContain('provider = "postgresql"');
+    expect(prisma.text).toContain('model TestModel {\n  id String @id @default(uuid())\n}');
+
+    const mongoose = await api.get(`/api/specs/${specId}/export/mongoose`).expect(200);
+
+    expect(mongoose.headers['content-type']).toMatch(/^application\/javascript/);
+    expect(mongoose.headers['content-disposition']).toBe('attachment; filename="test-feature-mongoose.js"');
+    expect(mongoose.text).toContain('TestModel: mongoose.model(\'TestModel\', TestModelSchema)');
+  });
+
+  it('should bundle the TypeScript declarations with their Zod schemas', async () => {
+    const bundle = await api
+      .get(`/api/specs/${specId}/export/typescript`)
+      .buffer(true)
+      .parse(readBuffer)
+      .expect(200);
+
+    expect(bundle.headers['content-disposition']).toBe('attachment; filename="test-feature-typescript.zip"');
+    expect(bundle.body.toString('latin1')).toMatch(/types\.d\.ts[\s\S]*schemas\.ts/);
+
+    const types = await api.get(`/api/specs/${specId}/export/typescript`).query({ format: 'dts', version: 1 }).expect(200);
+
+    expect(types.headers['content-disposition']).toBe('attachment; filename="types.d.ts"');
+    expect(types.text).toContain('export interface EP001Response {\n  message: string;\n}');
+  });
+
+  it('should bundle the feature files of the acceptance criteria', async () => {
+    const response = await api
+      .get(`/api/specs/${specId}/export/gherkin`)
+      .buffer(true)
+      .parse(readBuffer)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="test-feature-gherkin.zip"');
+    expect(response.body.toString('latin1')).toContain('features/FR001-test-requirement.feature');
+  });
+
+  it('should reject unknown exporters and formats', async () => {
+    const unknown = await api.get(`/api/specs/${specId}/export/asyncapi`).expect(404);
+    expect(unknown.body.error.code).toBe('UNKNOWN_EXPORTER');
+
+    const format = await api.get(`/api/specs/${specId}/export/openapi`).query({ format: 'xml' }).expect(400);
+    expect(format.body.error).toMatchObject({ code: 'UNSUPPORTED_EXPORT_FORMAT', message: expect.stringContaining('yaml, json') });
+
+    await api.get('/api/specs/spec_missing/export/openapi').expect(404);
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const app = require('../../server');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the mock provider (see tests/setup.js): no network access
+describe('POST /api/generate-spec', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Generation tests');
+  });
+
+  it('should generate a valid specification end-to-end', async () => {
+    const response = await api
+      .post('/api/generate-spec')
+      .send({
+        description: 'Prenotazione sale riunioni con calendario condiviso',
+        complexity: 'complex'
+      })
+      .expect(200);
+
+    const { data } = response.body;
+
+    expect(response.body.success).toBe(true);
+    expect(data.validation.status).toBe('valid');
+    expect(data.warnings).toEqual([]);
+    expect(data.metadata).toMatchObject({ aiModel: 'mock-spec-v1', fallback: false });
+    expect(data.metadata.tokensUsed).toBeGreaterThan(0);
+    expect(data.feature.metadata).toMatchObject({
+      name: 'Prenotazione sale riunioni con calendario condiviso',
+      complexity: 'complex',
+      estimatedHours: 60
+    });
+    expect(data.feature.requirements.dependencyGraph).toBeDefined();
+
+    // The stored specification belongs to the key that generated it
+    const stored = await api.get(`/api/specs/${data.specId}`).expect(200);
+    expect(stored.body.data.ownerKeyId).toBe(api.owner.ownerKeyId);
+  });
+
+  it('should reject invalid input with the error envelope', async () => {
+    const response = await api
+      .post('/api/generate-spec')
+      .send({ description: 'short' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error.code).toBeDefined();
+  });
+});
+
+describe('GET /api/ai-health', () => {
+  it('should report the active provider', async () => {
+    const response = await request(app).get('/api/ai-health').expect(200);
+
+    expect(response.body.data).toMatchObject({ status: 'healthy', provider: 'mock', model: 'mock-spec-v1' });
+  });
+});
@@ -0,0 +1,62 @@
+const request = require('supertest');
+const app = require('../../server');
+const { apiKeyService } = require('../../services/apiKeyService');
+
+const generation = { description: 'Prenotazione sale riunioni con calendario condiviso' };
+
+// Runs with the mock provider (see setup.js); keys are issued through the service
+describe('/api/jobs', () => {
+  const bearer = key => `Bearer ${key}`;
+
+  it('should let the caller poll its job without hitting the rate limit', async () => {
+    const { key } = await apiKeyService.create({ name: 'Polling', rateLimit: 2 });
+
+    const created = await request(app).post('/api/jobs').set('Authorization', bearer(key)).send(generation).expect(202);
+    const { id } = created.body.data;
+
+    await request(app).get(`/api/jobs/${id}`).set('Authorization', bearer(key)).expect(200);
+    await request(app).get('/api/templates').set('Authorization', bearer(key)).expect(200);
+
+    // The key is now at its limit: only polling still goes through
+    for (let poll = 0; poll < 5; poll++) {
+      await request(app).get(`/api/jobs/${id}`).set('Authorization', bearer(key)).expect(200);
+    }
+    await request(app).get('/api/templates').set('Authorization', bearer(key)).expect(429);
+  });
+
+  it('should hide a job from other callers', async () => {
+    const owner = await apiKeyService.create({ name: 'Owner' });
+    const other = await apiKeyService.create({ name: 'Other' });
+
+    const created = await request(app).post('/api/jobs').set('Authorization', bearer(owner.key)).send(generation).expect(202);
+    const { id } = created.body.data;
+
+    const hidden = await request(app).get(`/api/jobs/${id}`).set('Authorization', bearer(other.key)).expect(404);
+    expect(hidden.body.error.code).toBe('JOB_NOT_FOUND');
+    await request(app).delete(`/api/jobs/${id}`).set('Authorization', bearer(other.key)).expect(404);
+    await request(app).get(`/api/jobs/${id}`).expect(401);
+
+    // The same Idempotency-Key of another caller is a different job
+    const keyed = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', bearer(owner.key))
+      .set('Idempotency-Key', 'retry-1')
+      .send(generation)
+      .expect(202);
+    const foreign = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', bearer(other.key))
+      .set('Idempotency-Key', 'retry-1')
+      .send({ description: 'Catalogo prodotti con ricerca e filtri' })
+      .expect(202);
+    expect(foreign.body.data.id).not.toBe(keyed.body.data.id);
+
+    const reused = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', bearer(owner.key))
+      .set('Idempotency-Key', 'retry-1')
+      .send({ description: 'Catalogo prodotti con ricerca e filtri' })
+      .expect(422);
+    expect(reused.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
@@ -0,0 +1,87 @@
+const { specService } = require('../../services/specService');
+const { projectService } = require('../../services/projectService');
+const { AIResponseValidator } = require('../../validators/aiResponseValidator');
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+const createCheckout = () => {
+  const specification = createSpecification();
+  specification.metadata.name = 'Checkout';
+  specification.requirements.functional[0].title = 'Pay an order';
+  specification.architecture.apiEndpoints[0] = {
+    ...specification.architecture.apiEndpoints[0],
+    method: 'POST',
+    path: '/api/orders',
+    requestBody: { items: 'array' }
+  };
+  specification.architecture.dataModels[0].fields.push({ name: 'total', type: 'number', required: true, description: 'Order total' });
+  specification.implementation.dependencies.runtime[0].version = '^5.0.0';
+  return specification;
+};
+
+// Runs against the in-memory repository (see setup.js)
+describe('POST /api/specs/merge', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Merge tests');
+  });
+
+  it('should store a consolidated specification that passes validation', async () => {
+    const project = await projectService.create({ name: 'E-commerce', ...api.owner });
+    const catalog = await specService.create({ specification: createSpecification(), ...api.owner });
+    const checkout = await specService.create({ specification: createCheckout(), ...api.owner });
+
+    const response = await api
+      .post('/api/specs/merge')
+      .send({ specIds: [catalog.id, checkout.id], name: 'E-commerce', projectId: project.id })
+      .expect(201);
+
+    const merged = response.body.data;
+    expect(response.headers.location).toBe(`/api/specs/${merged.id}`);
+    expect(merged.projectId).toBe(project.id);
+    expect(merged.name).toBe('E-commerce');
+    expect(() => AIResponseValidator.validate(merged.specification, 'merge-test')).not.toThrow();
+
+    const { specification, merge } = merged;
+    expect(specification.requirements.functional.map(requirement => requirement.id)).toEqual(['FR001', 'FR002']);
+    expect(specification.architecture.apiEndpoints.map(endpoint => `${endpoint.id} ${endpoint.method} ${endpoint.path}`))
+      .toEqual(['EP001 GET /api/test', 'EP002 POST /api/orders']);
+    expect(specification.architecture.dataModels).toHaveLength(1);
+    expect(specification.architecture.dataModels[0].fields.map(field => field.name)).toEqual(['id', 'total']);
+
+    expect(merge.sources).toEqual([
+      { specId: catalog.id, name: 'Test Feature', version: 1 },
+      { specId: checkout.id, name: 'Checkout', version: 1 }
+    ]);
+    expect(merge.idMap[checkout.id]).toMatchObject({ FR001: 'FR002', EP001: 'EP002', DM001: 'DM001' });
+    expect(merge.dependencyConflicts).toEqual([{
+      name: 'express',
+      version: '^4.18.0',
+      versions: [{ specId: catalog.id, version: '^4.18.0' }, { specId: checkout.id, version: '^5.0.0' }]
+    }]);
+    expect(merge.traceability.FR002).toEqual({
+      source: { specId: checkout.id, id: 'FR001' },
+      dependencies: [],
+      apiEndpoints: ['EP002'],
+      testCases: ['TC002'],
+      acceptanceCriteria: ['AC002']
+    });
+    expect(merge.validation).toEqual({ status: 'valid', errors: [] });
+
+    const versions = await api.get(`/api/specs/${merged.id}/versions`).expect(200);
+    expect(versions.body.data.versions[0]).toMatchObject({ source: 'merge', note: 'Merged from Test Feature (v1), Checkout (v1)' });
+  });
+
+  it('should validate the request and reject unknown specifications', async () => {
+    const single = await api.post('/api/specs/merge').send({ specIds: ['spec_a'] }).expect(400);
+    expect(single.body.error.details[0].field).toBe('specIds');
+
+    const stored = await specService.create({ specification: createSpecification(), ...api.owner });
+    const missing = await api
+      .post('/api/specs/merge')
+      .send({ specIds: [stored.id, 'spec_missing'] })
+      .expect(404);
+    expect(missing.body.error.code).toBe('SPEC_NOT_FOUND');
+  });
+});
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const app = require('../../server');
+const { metricsService } = require('../../utils/metrics');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs with the mock provider (see setup.js); the metrics are process-wide, so
+// every test starts from a reset
+describe('GET /metrics', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Metrics tests');
+  });
+
+  beforeEach(() => {
+    metricsService.reset();
+  });
+
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  it('should expose requests, AI calls and circuit breakers in Prometheus format', async () => {
+    await api
+      .post('/api/generate-spec')
+      .send({ description: 'Prenotazione sale riunioni con calendario condiviso' })
+      .expect(200);
+
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain.*version=0\.0\.4/);
+    expect(response.text).toContain('afb_http_requests_total{method="POST",route="/api/generate-spec"} 1');
+    expect(response.text).toContain('afb_ai_request_duration_seconds_count{provider="mock",outcome="success"} 1');
+    expect(response.text).toContain('afb_ai_request_tokens_count{provider="mock"} 1');
+    expect(response.text).toContain('afb_circuit_breaker_state{name="ai-mock"} 0');
+  });
+
+  it('should require METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const missing = await request(app).get('/metrics').expect(401);
+    expect(missing.body.error.code).toBe('AUTH_REQUIRED');
+
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(403);
+    expect(wrong.body.error.code).toBe('FORBIDDEN');
+
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+  });
+});
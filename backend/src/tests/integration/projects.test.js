@@ -0,0 +1,151 @@
+const { aiService } = require('../../services/aiService');
+const { specService } = require('../../services/specService');
+const { projectService } = require('../../services/projectService');
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+const userModel = {
+  name: 'User',
+  description: 'Registered user',
+  fields: [
+    { name: 'id', type: 'UUID', required: true },
+    { name: 'email', type: 'string', required: true }
+  ]
+};
+
+// Runs against the mock provider and the in-memory repository (see setup.js)
+describe('/api/projects', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Projects tests');
+  });
+
+  it('should create, update and delete a project, keeping its specs', async () => {
+    const created = await api
+      .post('/api/projects')
+      .send({
+        name: 'E-commerce',
+        context: { techStack: ['Node.js', 'PostgreSQL'], dataModels: [userModel] }
+      })
+      .expect(201);
+
+    const project = created.body.data;
+    expect(created.headers.location).toBe(`/api/projects/${project.id}`);
+    expect(project).toMatchObject({
+      name: 'E-commerce',
+      specCount: 0,
+      context: { techStack: ['Node.js', 'PostgreSQL'], namingConventions: [], dataModels: [userModel] }
+    });
+
+    const spec = await specService.create({ specification: createSpecification(), projectId: project.id, ...api.owner });
+
+    const updated = await api
+      .put(`/api/projects/${project.id}`)
+      .send({ name: 'Negozio online', context: { namingConventions: ['camelCase per i campi JSON'] } })
+      .expect(200);
+    expect(updated.body.data).toMatchObject({
+      name: 'Negozio online',
+      specCount: 1,
+      context: { techStack: [], namingConventions: ['camelCase per i campi JSON'] }
+    });
+
+    const list = await api.get('/api/projects').expect(200);
+    expect(list.body.data.projects).toContainEqual(expect.objectContaining({ id: project.id, specCount: 1 }));
+
+    await api.delete(`/api/projects/${project.id}`).expect(200);
+
+    const missing = await api.get(`/api/projects/${project.id}`).expect(404);
+    expect(missing.body.error.code).toBe('PROJECT_NOT_FOUND');
+
+    const kept = await api.get(`/api/specs/${spec.id}`).expect(200);
+    expect(kept.body.data.projectId).toBeNull();
+  });
+
+  it('should validate the project and its context', async () => {
+    const invalid = await api.post('/api/projects').send({ context: {} }).expect(400);
+    expect(invalid.body.error.details[0].field).toBe('name');
+
+    const unsafe = await api
+      .post('/api/projects')
+      .send({ name: 'Unsafe', context: { namingConventions: ['<script>alert(1)</script>'] } })
+      .expect(400);
+    expect(unsafe.body.error.code).toBe('SECURITY_VALIDATION_FAILED');
+  });
+
+  it('should report the conflicts between the specifications of a project', async () => {
+    const project = await projectService.create({ name: 'E-commerce', ...api.owner });
+
+    const checkout = createSpecification();
+    checkout.architecture.dataModels[0].fields[0].type = 'integer';
+    await specService.create({ specification: createSpecification(), projectId: project.id, ...api.owner });
+    await specService.create({ specification: checkout, projectId: project.id, ...api.owner });
+    await specService.create({ specification: createSpecification() });
+
+    const response = await api.get(`/api/projects/${project.id}/conflicts`).expect(200);
+
+    const report = response.body.data;
+    expect(report.projectId).toBe(project.id);
+    expect(report.specs).toHaveLength(2);
+    expect(report.summary).toEqual({ total: 2, errors: 1, warnings: 1, byType: { endpoint: 1, dataModel: 1, configuration: 0 } });
+    expect(report.conflicts.map(({ type, key, severity }) => ({ type, key, severity }))).toEqual([
+      { type: 'dataModel', key: 'TestModel', severity: 'error' },
+      { type: 'endpoint', key: 'GET /api/test', severity: 'warning' }
+    ]);
+
+    const missing = await api.get('/api/projects/proj_missing/conflicts').expect(404);
+    expect(missing.body.error.code).toBe('PROJECT_NOT_FOUND');
+  });
+
+  describe('generation inside a project', () => {
+    let createCompletion;
+
+    beforeEach(() => {
+      createCompletion = jest.spyOn(aiService.provider, 'createCompletion');
+    });
+
+    afterEach(() => {
+      createCompletion.mockRestore();
+    });
+
+    it('should inject the project context and file the spec under the project', async () => {
+      const created = await api
+        .post('/api/projects')
+        .send({
+          name: 'E-commerce',
+          context: {
+            techStack: ['Node.js', 'PostgreSQL'],
+            namingConventions: ['Tabelle al plurale in snake_case'],
+            dataModels: [userModel]
+          }
+        })
+        .expect(201);
+      const projectId = created.body.data.id;
+
+      const generated = await api
+        .post('/api/generate-spec')
+        .send({ description: 'Carrello con checkout per gli utenti registrati', complexity: 'simple', projectId })
+        .expect(200);
+
+      const { messages } = createCompletion.mock.calls[0][0];
+      const userPrompt = messages.find(message => message.role === 'user').content;
+      expect(userPrompt).toContain('**Project Context:** This feature belongs to the existing project "E-commerce"');
+      expect(userPrompt).toContain('**Tech Stack:** Node.js, PostgreSQL');
+      expect(userPrompt).toContain('- Tabelle al plurale in snake_case');
+      expect(userPrompt).toContain('"name": "User"');
+
+      const specs = await api.get(`/api/projects/${projectId}/specs`).expect(200);
+      expect(specs.body.data.items.map(item => item.id)).toEqual([generated.body.data.specId]);
+    });
+
+    it('should reject an unknown project before calling the model', async () => {
+      const response = await api
+        .post('/api/generate-spec')
+        .send({ description: 'Carrello con checkout per gli utenti registrati', projectId: 'proj_missing' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PROJECT_NOT_FOUND');
+      expect(createCompletion).not.toHaveBeenCalled();
+    });
+  });
+});
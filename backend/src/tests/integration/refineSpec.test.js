@@ -0,0 +1,57 @@
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the mock provider, which adds one requirement per instruction
+describe('POST /api/specs/refine', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Refinement tests');
+  });
+
+  it('should apply the instruction and summarize the changes', async () => {
+    const specification = {
+      ...createSpecification(),
+      // Enhancement data sent back by clients is ignored
+      requirements: { ...createSpecification().requirements, statistics: { functionalCount: 1 } }
+    };
+
+    const response = await api
+      .post('/api/specs/refine')
+      .send({ specification, instruction: 'Aggiungi il login con OAuth' })
+      .expect(200);
+
+    const { data } = response.body;
+
+    expect(data.validation.status).toBe('valid');
+    expect(data.feature.requirements.functional.map(requirement => requirement.id)).toEqual(['FR001', 'FR002']);
+    expect(data.changeSummary).toMatchObject({
+      instruction: 'Aggiungi il login con OAuth',
+      added: [{ section: 'requirements.functional', id: 'FR002', label: 'Aggiungi il login con OAuth' }],
+      removed: [],
+      modified: [],
+      changedSections: ['requirements'],
+      totalChanges: 1
+    });
+  });
+
+  it('should reject a request without instruction', async () => {
+    const response = await api
+      .post('/api/specs/refine')
+      .send({ specification: createSpecification() })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should reject a specification without valid sections', async () => {
+    const response = await api
+      .post('/api/specs/refine')
+      .send({ specification: { foo: 'bar' }, instruction: 'Aggiungi il login con OAuth' })
+      .expect(400);
+
+    expect(response.body.error.details).toEqual([
+      { field: 'specification', message: 'Specification has no valid sections' }
+    ]);
+  });
+});
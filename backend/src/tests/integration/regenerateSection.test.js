@@ -0,0 +1,59 @@
+const { aiService } = require('../../services/aiService');
+const { buildMockSpecification } = require('../../data/mockSpecification');
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the mock provider, which returns its fixture section
+describe('POST /api/specs/regenerate-section', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Regenerate section tests');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should regenerate a section missing from the specification', async () => {
+    const specification = buildMockSpecification({ description: 'Gestione ordini' });
+    delete specification.testing;
+
+    const response = await api
+      .post('/api/specs/regenerate-section')
+      .send({ specification, section: 'testing' })
+      .expect(200);
+
+    const { data } = response.body;
+
+    expect(data.validation.status).toBe('valid');
+    expect(data.feature.requirements).toEqual(expect.objectContaining(specification.requirements));
+    expect(data.feature.testing.testCases.length).toBeGreaterThan(0);
+    expect(data.changeSummary.section).toBe('testing');
+    expect(data.changeSummary.changedSections).toEqual(['testing']);
+  });
+
+  it('should reject sections that cannot be regenerated', async () => {
+    const response = await api
+      .post('/api/specs/regenerate-section')
+      .send({ specification: createSpecification(), section: 'metadata' })
+      .expect(400);
+
+    expect(response.body.error.details[0].field).toBe('section');
+  });
+
+  it('should fail without changes when the regenerated section stays invalid', async () => {
+    jest.spyOn(aiService.provider, 'createCompletion').mockResolvedValue({
+      content: JSON.stringify({ testing: { testCases: [] } }),
+      usage: null,
+      model: 'mock-spec-v1'
+    });
+
+    const response = await api
+      .post('/api/specs/regenerate-section')
+      .send({ specification: createSpecification(), section: 'testing' })
+      .expect(502);
+
+    expect(response.body.error.code).toBe('AI_SERVICE_ERROR');
+  });
+});
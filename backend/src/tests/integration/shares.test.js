@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../../server');
+const { specService } = require('../../services/specService');
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the in-memory repository (see setup.js); specs are stored through
+// the service so the write requests stay under the API rate limit
+describe('Share links', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Share links tests');
+  });
+
+  const storeSpec = async () => {
+    const spec = await specService.create({ specification: createSpecification(), description: 'Specifica condivisa', ...api.owner });
+    return spec.id;
+  };
+
+  it('should serve the current version read-only until the link is revoked', async () => {
+    const specId = await storeSpec();
+
+    const created = await api
+      .post(`/api/specs/${specId}/share`)
+      .send({ expiresInHours: 24 })
+      .expect(201);
+
+    const { token, expiresAt, status } = created.body.data;
+    expect(token).toMatch(/^[\w-]{32}$/);
+    expect(status).toBe('active');
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+
+    const edited = createSpecification();
+    edited.metadata.name = 'Edited Feature';
+    await api.put(`/api/specs/${specId}`).send({ specification: edited }).expect(200);
+
+    const shared = await request(app).get(`/api/shared/${token}`).expect(200);
+    expect(shared.headers['cache-control']).toBe('no-store');
+    expect(shared.body.data).toMatchObject({
+      feature: edited,
+      metadata: { name: 'Edited Feature', description: 'Specifica condivisa', version: 2 },
+      share: { expiresAt }
+    });
+    expect(shared.body.data.metadata.model).toBeUndefined();
+
+    await api.delete(`/api/specs/${specId}/shares/${token}`).expect(200);
+
+    const shares = await api.get(`/api/specs/${specId}/shares`).expect(200);
+    expect(shares.body.data.shares).toEqual([expect.objectContaining({ token, status: 'revoked' })]);
+
+    const revoked = await request(app).get(`/api/shared/${token}`).expect(410);
+    expect(revoked.body.error.code).toBe('SHARE_REVOKED');
+  });
+
+  it('should make the share link the only way to read a specification without credentials', async () => {
+    const specId = await storeSpec();
+
+    for (const path of ['/api/specs', `/api/specs/${specId}`, `/api/specs/${specId}/versions`, `/api/specs/${specId}/export/openapi`, '/api/projects']) {
+      const refused = await request(app).get(path).expect(401);
+      expect(refused.body.error.code).toBe('AUTH_REQUIRED');
+    }
+
+    const { token } = (await api.post(`/api/specs/${specId}/share`).send({}).expect(201)).body.data;
+    await request(app).get(`/api/shared/${token}`).expect(200);
+
+    await api.delete(`/api/specs/${specId}/shares/${token}`).expect(200);
+    await request(app).get(`/api/shared/${token}`).expect(410);
+    await request(app).get(`/api/specs/${specId}`).expect(401);
+  });
+
+  it('should reject expired and unknown links', async () => {
+    const specId = await storeSpec();
+    await specService.repository.createShare({
+      token: 'expired-token',
+      specId,
+      createdAt: '2024-01-13T10:00:00.000Z',
+      expiresAt: '2024-01-14T10:00:00.000Z'
+    });
+
+    const expired = await request(app).get('/api/shared/expired-token').expect(410);
+    expect(expired.body.error.code).toBe('SHARE_EXPIRED');
+
+    const unknown = await request(app).get('/api/shared/missing-token').expect(404);
+    expect(unknown.body.error.code).toBe('SHARE_NOT_FOUND');
+
+    // A token only revokes from its own spec
+    const otherSpecId = await storeSpec();
+    await api.delete(`/api/specs/${otherSpecId}/shares/expired-token`).expect(404);
+  });
+
+  it('should validate the expiry', async () => {
+    const specId = await storeSpec();
+
+    const invalid = await api
+      .post(`/api/specs/${specId}/share`)
+      .send({ expiresInHours: 0 })
+      .expect(400);
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+
+    const permanent = await api.post(`/api/specs/${specId}/share`).send({}).expect(201);
+    expect(permanent.body.data.expiresAt).toBeNull();
+
+    await api.post('/api/specs/spec_missing/share').send({}).expect(404);
+  });
+});
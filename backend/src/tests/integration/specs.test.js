@@ -0,0 +1,128 @@
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the mock provider and the in-memory repository (see setup.js)
+describe('/api/specs', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Specs tests');
+  });
+
+  it('should store every generation and return its spec ID', async () => {
+    const generated = await api
+      .post('/api/generate-spec')
+      .send({ description: 'Gestione ordini con pagamenti online', complexity: 'simple' })
+      .expect(200);
+
+    const { specId } = generated.body.data;
+    expect(specId).toMatch(/^spec_/);
+
+    const stored = await api.get(`/api/specs/${specId}`).expect(200);
+
+    expect(stored.body.data).toMatchObject({
+      id: specId,
+      description: 'Gestione ordini con pagamenti online',
+      complexity: 'simple',
+      model: 'mock-spec-v1',
+      currentVersion: 1
+    });
+    expect(stored.body.data.tokensUsed).toBeGreaterThan(0);
+    expect(stored.body.data.specification).toEqual(generated.body.data.feature);
+  });
+
+  it('should keep an immutable version history', async () => {
+    const created = await api
+      .post('/api/specs')
+      .send({ specification: createSpecification(), description: 'Importata a mano' })
+      .expect(201);
+
+    const specId = created.body.data.id;
+    expect(created.headers.location).toBe(`/api/specs/${specId}`);
+
+    const edited = createSpecification();
+    edited.metadata.name = 'Edited Feature';
+    const updated = await api
+      .put(`/api/specs/${specId}`)
+      .send({ specification: edited, note: 'Nome aggiornato' })
+      .expect(200);
+
+    expect(updated.body.data).toMatchObject({ name: 'Edited Feature', currentVersion: 2 });
+
+    const refined = await api
+      .post('/api/specs/refine')
+      .send({ specification: edited, instruction: 'Aggiungi il login con OAuth', specId })
+      .expect(200);
+
+    expect(refined.body.data).toMatchObject({ specId, specVersion: 3 });
+
+    const versions = await api.get(`/api/specs/${specId}/versions`).expect(200);
+    expect(versions.body.data.versions.map(version => [version.version, version.source])).toEqual([
+      [3, 'refine'],
+      [2, 'manual'],
+      [1, 'manual']
+    ]);
+
+    const first = await api.get(`/api/specs/${specId}/versions/1`).expect(200);
+    expect(first.body.data.specification.metadata.name).toBe('Test Feature');
+  });
+
+  it('should diff two versions by entity ID', async () => {
+    const created = await api
+      .post('/api/specs')
+      .send({ specification: createSpecification() })
+      .expect(201);
+    const specId = created.body.data.id;
+
+    const edited = createSpecification();
+    edited.requirements.functional[0].priority = 'low';
+    edited.architecture.apiEndpoints.push({ ...edited.architecture.apiEndpoints[0], id: 'EP002', path: '/api/test/export' });
+    await api.put(`/api/specs/${specId}`).send({ specification: edited }).expect(200);
+
+    const diff = await api.get(`/api/specs/${specId}/diff`).expect(200);
+
+    expect(diff.body.data).toMatchObject({
+      specId,
+      from: { version: 1 },
+      to: { version: 2 },
+      summary: { added: 1, removed: 0, modified: 1, changedSections: ['requirements', 'architecture'] }
+    });
+    expect(diff.body.data.from.specification).toBeUndefined();
+    expect(diff.body.data.sections.architecture.entities[0]).toMatchObject({ id: 'EP002', status: 'added' });
+
+    const reversed = await api.get(`/api/specs/${specId}/diff?from=2&to=1`).expect(200);
+    expect(reversed.body.data.summary).toMatchObject({ added: 0, removed: 1, modified: 1 });
+
+    const invalid = await api.get(`/api/specs/${specId}/diff?from=abc`).expect(400);
+    expect(invalid.body.error.code).toBe('INVALID_VERSION_RANGE');
+
+    const missing = await api.get(`/api/specs/${specId}/diff?from=1&to=5`).expect(404);
+    expect(missing.body.error.code).toBe('SPEC_VERSION_NOT_FOUND');
+  });
+
+  it('should list and delete stored specifications', async () => {
+    const created = await api
+      .post('/api/specs')
+      .send({ specification: createSpecification() })
+      .expect(201);
+    const specId = created.body.data.id;
+
+    const list = await api.get('/api/specs?limit=1').expect(200);
+    expect(list.body.data).toMatchObject({ limit: 1, offset: 0 });
+    expect(list.body.data.items[0].specification).toBeUndefined();
+
+    await api.delete(`/api/specs/${specId}`).expect(200);
+
+    const missing = await api.get(`/api/specs/${specId}`).expect(404);
+    expect(missing.body.error).toMatchObject({ code: 'SPEC_NOT_FOUND', requestId: expect.stringMatching(/^req_/) });
+  });
+
+  it('should not call the model when refining an unknown spec ID', async () => {
+    const response = await api
+      .post('/api/specs/refine')
+      .send({ specification: createSpecification(), instruction: 'Aggiungi il login con OAuth', specId: 'spec_missing' })
+      .expect(404);
+
+    expect(response.body.error.code).toBe('SPEC_NOT_FOUND');
+  });
+});
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../../server');
+const { tracer } = require('../../utils/tracing');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs with the mock provider (see setup.js); spans are collected by a stub
+// exporter in place of the configured one (none in tests)
+describe('Request tracing', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createApiClient('Tracing tests');
+  });
+
+  const traceId = '0af7651916cd43dd8448eb211c80319c';
+  let exporter;
+
+  const exportedSpans = async () => {
+    await tracer.flush();
+    return exporter.export.mock.calls.flatMap(([spans]) => spans);
+  };
+
+  beforeEach(() => {
+    exporter = { export: jest.fn().mockResolvedValue() };
+    tracer.exporter = exporter;
+  });
+
+  afterEach(() => {
+    tracer.exporter = null;
+  });
+
+  it('should continue the traceparent of the caller through every generation stage', async () => {
+    const response = await api
+      .post('/api/generate-spec')
+      .set('traceparent', `00-${traceId}-b7ad6b7169203331-01`)
+      .send({ description: 'Prenotazione sale riunioni con calendario condiviso' })
+      .expect(200);
+
+    expect(response.headers.traceresponse).toMatch(new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+
+    const spans = (await exportedSpans()).filter(span => span.traceId === traceId);
+    const root = spans.find(span => span.kind === 'server');
+
+    expect(root).toMatchObject({
+      name: 'POST /api/generate-spec',
+      parentSpanId: 'b7ad6b7169203331',
+      attributes: { 'http.response.status_code': 200, 'app.request_id': response.body.data.metadata.requestId }
+    });
+    expect(spans.map(span => span.name)).toEqual(expect.arrayContaining([
+      'input.sanitize', 'input.prepare', 'prompt.load', 'prompt.build', 'ai.provider', 'ai.attempt',
+      'ai.parse_response', 'spec.validate', 'spec.enrich', 'spec.store'
+    ]));
+
+    const provider = spans.find(span => span.name === 'ai.provider');
+    const attempt = spans.find(span => span.name === 'ai.attempt');
+    expect(provider.parentSpanId).toBe(root.spanId);
+    expect(attempt.parentSpanId).toBe(provider.spanId);
+    expect(attempt.attributes).toMatchObject({ 'ai.provider': 'mock', 'ai.attempt': 1 });
+  });
+
+  it('should start a new trace without a valid traceparent', async () => {
+    const response = await request(app).get('/api/templates').set('traceparent', 'not-a-trace').expect(200);
+
+    const [, newTraceId] = response.headers.traceresponse.split('-');
+    expect(newTraceId).not.toBe(traceId);
+
+    const [root] = (await exportedSpans()).filter(span => span.traceId === newTraceId);
+    expect(root).toMatchObject({ name: 'GET /api/templates', parentSpanId: null, attributes: { 'http.route': '/api/templates' } });
+  });
+});
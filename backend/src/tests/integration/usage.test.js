@@ -0,0 +1,94 @@
+const request = require('supertest');
+const app = require('../../server');
+const { apiKeyService } = require('../../services/apiKeyService');
+const { userService } = require('../../services/userService');
+const { aiService, AIServiceError } = require('../../services/aiService');
+const { createSpecification } = require('../fixtures/specification');
+
+const generation = { description: 'Prenotazione sale riunioni con calendario condiviso' };
+
+// Runs against the in-memory repository (see setup.js) with the mock provider;
+// every test reads the ledger through a key or user of its own
+describe('Usage ledger', () => {
+  const bearer = token => `Bearer ${token}`;
+
+  const signIn = async (email, role) => {
+    const user = await userService.register({ email, name: email.split('@')[0], password: 'password123' });
+    if (role) await userService.setRole(user.id, role);
+
+    return userService.login({ email, password: 'password123' });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.AI_PRICES;
+  });
+
+  it('should record generations with their tokens and aggregate them by key and model', async () => {
+    const { id, key } = await apiKeyService.create({ name: 'Ledger' });
+
+    const generated = await request(app).post('/api/generate-spec').set('Authorization', bearer(key)).send(generation).expect(200);
+    const { usage, tokensUsed } = generated.body.data.metadata;
+    expect(usage.promptTokens + usage.completionTokens).toBe(tokensUsed);
+
+    const admin = await signIn('usage-admin@example.com', 'admin');
+    const byKey = await request(app).get('/api/usage?groupBy=key').set('Authorization', bearer(admin.token)).expect(200);
+    expect(byKey.body.data.filters).toEqual({});
+    expect(byKey.body.data.groups).toContainEqual(expect.objectContaining({ key: id, requests: 1, totalTokens: tokensUsed }));
+
+    const byModel = await request(app).get('/api/usage?groupBy=model').set('Authorization', bearer(key)).expect(200);
+    expect(byModel.body.data).toMatchObject({
+      groupBy: 'model',
+      filters: { apiKeyId: id },
+      totals: { requests: 1, outcomes: { success: 1 }, promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, cost: 0 },
+      groups: [{ key: 'mock-spec-v1', requests: 1 }]
+    });
+    expect(byModel.body.data.totals.averageLatencyMs).toEqual(expect.any(Number));
+  });
+
+  it('should cost requests with the prices of AI_PRICES', async () => {
+    process.env.AI_PRICES = JSON.stringify({ 'mock-spec-v1': { prompt: 1000, completion: 1000 } });
+    const { key } = await apiKeyService.create({ name: 'Priced' });
+
+    const generated = await request(app).post('/api/generate-spec').set('Authorization', bearer(key)).send(generation).expect(200);
+    const { tokensUsed } = generated.body.data.metadata;
+
+    const usage = await request(app).get('/api/usage').set('Authorization', bearer(key)).expect(200);
+    expect(usage.body.data.totals.cost).toBeCloseTo(tokensUsed / 1000);
+    expect(usage.body.data.groups).toEqual([expect.objectContaining({ key: new Date().toISOString().slice(0, 10) })]);
+  });
+
+  it('should record failed AI requests and show signed-in users only their own', async () => {
+    const { token, user } = await signIn('ledger@example.com');
+
+    jest.spyOn(aiService, 'refineSpecification').mockRejectedValue(new AIServiceError('All AI providers failed'));
+
+    await request(app)
+      .post('/api/specs/refine')
+      .set('Authorization', bearer(token))
+      .send({ specification: createSpecification(), instruction: 'Aggiungi il login con OAuth' })
+      .expect(502);
+
+    const usage = await request(app).get('/api/usage').set('Authorization', bearer(token)).expect(200);
+    expect(usage.body.data.filters).toEqual({ userId: user.id });
+    expect(usage.body.data.totals).toMatchObject({ requests: 1, totalTokens: 0, outcomes: { error: 1 } });
+  });
+
+  it('should refuse anonymous callers', async () => {
+    const refused = await request(app).get('/api/usage').expect(401);
+    expect(refused.body.error.code).toBe('AUTH_REQUIRED');
+  });
+
+  it('should validate the range and grouping', async () => {
+    const { key } = await apiKeyService.create({ name: 'Validation' });
+
+    const grouping = await request(app).get('/api/usage?groupBy=week').set('Authorization', bearer(key)).expect(400);
+    expect(grouping.body.error.details.map(detail => detail.field)).toEqual(['groupBy']);
+
+    const range = await request(app).get('/api/usage?from=2024-02-01&to=2024-01-01').set('Authorization', bearer(key)).expect(400);
+    expect(range.body.error.details.map(detail => detail.field)).toEqual(['to']);
+
+    const explicit = await request(app).get('/api/usage?from=2024-01-01&to=2024-02-01').set('Authorization', bearer(key)).expect(200);
+    expect(explicit.body.data).toMatchObject({ from: '2024-01-01T00:00:00.000Z', to: '2024-02-01T00:00:00.000Z', groups: [] });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../server');
+const { userService } = require('../../services/userService');
+const { specService } = require('../../services/specService');
+const { projectService } = require('../../services/projectService');
+const { createSpecification } = require('../fixtures/specification');
+const { createApiClient } = require('../fixtures/apiClient');
+
+// Runs against the in-memory repository (see setup.js); users after the first
+// and their sessions are created through the service to stay under the rate limit
+describe('User accounts', () => {
+  const bearer = token => `Bearer ${token}`;
+
+  const signIn = async (email, role) => {
+    const user = await userService.register({ email, name: email.split('@')[0], password: 'password123' });
+    if (role) await userService.setRole(user.id, role);
+
+    const { token } = await userService.login({ email, password: 'password123' });
+    return { user, token };
+  };
+
+  it('should register users with the default role and open sessions with a password', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'Ada@Example.com', name: 'Ada', password: 'correct horse' })
+      .expect(201);
+
+    // The first account gets no privilege: admins are appointed with ADMIN_API_KEY
+    expect(registered.body.data).toMatchObject({ email: 'ada@example.com', name: 'Ada', role: 'editor' });
+    expect(registered.body.data.passwordHash).toBeUndefined();
+
+    const taken = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'ada@example.com', name: 'Other', password: 'another password' })
+      .expect(409);
+    expect(taken.body.error.code).toBe('EMAIL_TAKEN');
+
+    const refused = await request(app).post('/api/auth/login').send({ email: 'ada@example.com', password: 'wrong password' }).expect(401);
+    expect(refused.body.error.code).toBe('INVALID_CREDENTIALS');
+
+    const session = await request(app).post('/api/auth/login').send({ email: 'ADA@example.com', password: 'correct horse' }).expect(200);
+    const { token, expiresAt, user } = session.body.data;
+    expect(token.split('.')).toHaveLength(3);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(user.id).toBe(registered.body.data.id);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', bearer(token)).expect(200);
+    expect(me.body.data).toEqual(registered.body.data);
+
+    const editor = await userService.register({ email: 'bob@example.com', name: 'Bob', password: 'password123' });
+    expect(editor.role).toBe('editor');
+  });
+
+  it('should refuse invalid sessions and require one for the current user', async () => {
+    await request(app).get('/api/auth/me').expect(401);
+
+    const { token } = await signIn('carol@example.com');
+    const [header, body] = token.split('.');
+    const forged = await request(app).get('/api/specs').set('Authorization', bearer(`${header}.${body}.forged-signature`)).expect(401);
+    expect(forged.body.error.code).toBe('INVALID_TOKEN');
+
+    await request(app).get('/api/specs').set('Authorization', bearer(token)).expect(200);
+  });
+
+  it('should let only the owner or an admin read and change an owned specification', async () => {
+    const owner = await signIn('dave@example.com');
+    const other = await signIn('erin@example.com');
+    const admin = await signIn('frank@example.com', 'admin');
+    const spec = await specService.create({ specification: createSpecification(), ownerId: owner.user.id });
+    expect(spec.ownerId).toBe(owner.user.id);
+
+    const forbidden = await request(app)
+      .delete(`/api/specs/${spec.id}`)
+      .set('Authorization', bearer(other.token))
+      .expect(403);
+    expect(forbidden.body.error).toEqual({ code: 'FORBIDDEN', message: 'Only the owner of the spec or an admin can access it' });
+
+    for (const path of ['', '/versions', '/versions/1', '/diff?from=1&to=1', '/export/openapi']) {
+      await request(app).get(`/api/specs/${spec.id}${path}`).set('Authorization', bearer(other.token)).expect(403);
+    }
+    await request(app).get(`/api/specs/${spec.id}`).set('Authorization', bearer(owner.token)).expect(200);
+
+    const listed = async token => {
+      const response = await request(app).get('/api/specs?limit=100').set('Authorization', bearer(token)).expect(200);
+      return response.body.data.items.map(item => item.id);
+    };
+    expect(await listed(owner.token)).toContain(spec.id);
+    expect(await listed(other.token)).not.toContain(spec.id);
+    expect(await listed(admin.token)).toContain(spec.id);
+
+    // Merging copies the sources, so every one of them must be readable
+    const open = await specService.create({ specification: createSpecification() });
+    const merged = await request(app)
+      .post('/api/specs/merge')
+      .set('Authorization', bearer(other.token))
+      .send({ specIds: [open.id, spec.id] })
+      .expect(403);
+    expect(merged.body.error.code).toBe('FORBIDDEN');
+
+    await request(app).delete(`/api/specs/${spec.id}`).set('Authorization', bearer(admin.token)).expect(200);
+  });
+
+  it('should let only the owner or an admin read an owned project', async () => {
+    const owner = await signIn('heidi@example.com');
+    const other = await signIn('ivan@example.com');
+    const project = await projectService.create({ name: 'Privato', ownerId: owner.user.id });
+
+    for (const path of ['', '/specs', '/conflicts']) {
+      await request(app).get(`/api/projects/${project.id}${path}`).set('Authorization', bearer(other.token)).expect(403);
+      await request(app).get(`/api/projects/${project.id}${path}`).set('Authorization', bearer(owner.token)).expect(200);
+    }
+
+    const listed = await request(app).get('/api/projects').set('Authorization', bearer(other.token)).expect(200);
+    expect(listed.body.data.projects.map(entry => entry.id)).not.toContain(project.id);
+  });
+
+  it('should keep what an API key creates to that key, and records without an owner to admins', async () => {
+    const tenant = await createApiClient('Tenant A');
+    const other = await createApiClient('Tenant B');
+    const admin = await signIn('judy@example.com', 'admin');
+
+    const project = (await tenant.post('/api/projects').send({ name: 'Tenant A' }).expect(201)).body.data;
+    const spec = (await tenant.post('/api/specs').send({ specification: createSpecification(), projectId: project.id }).expect(201)).body.data;
+    expect(spec.ownerKeyId).toBe(tenant.owner.ownerKeyId);
+
+    await tenant.get(`/api/specs/${spec.id}`).expect(200);
+    await other.get(`/api/specs/${spec.id}`).expect(403);
+    await other.put(`/api/specs/${spec.id}`).send({ specification: createSpecification() }).expect(403);
+    await other.delete(`/api/specs/${spec.id}`).expect(403);
+    await other.get(`/api/projects/${project.id}`).expect(403);
+
+    // Adding specifications to a project is also left to its owner
+    const attached = await other.post('/api/specs').send({ specification: createSpecification(), projectId: project.id }).expect(403);
+    expect(attached.body.error.code).toBe('FORBIDDEN');
+
+    const ids = async (api, path) => (await api.get(path).expect(200)).body.data;
+    expect((await ids(tenant, '/api/specs?limit=100')).items.map(item => item.id)).toContain(spec.id);
+    expect((await ids(other, '/api/specs?limit=100')).items.map(item => item.id)).not.toContain(spec.id);
+    expect((await ids(other, '/api/projects')).projects.map(entry => entry.id)).not.toContain(project.id);
+
+    const anonymous = await specService.create({ specification: createSpecification() });
+    await tenant.get(`/api/specs/${anonymous.id}`).expect(403);
+    expect((await ids(tenant, '/api/specs?limit=100')).items.map(item => item.id)).not.toContain(anonymous.id);
+    await request(app).get(`/api/specs/${anonymous.id}`).set('Authorization', bearer(admin.token)).expect(200);
+  });
+
+  it('should keep viewers read-only', async () => {
+    const viewer = await signIn('grace@example.com', 'viewer');
+
+    const refused = await request(app)
+      .post('/api/projects')
+      .set('Authorization', bearer(viewer.token))
+      .send({ name: 'Sola lettura' })
+      .expect(403);
+    expect(refused.body.error).toEqual({ code: 'FORBIDDEN', message: 'This action requires the editor role' });
+
+    await request(app).get('/api/projects').set('Authorization', bearer(viewer.token)).expect(200);
+  });
+
+  it('should refuse anonymous callers where a role is required', async () => {
+    const anonymous = await request(app)
+      .post('/api/generate-spec')
+      .send({ description: 'Prenotazione sale riunioni con calendario condiviso' })
+      .expect(401);
+    expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+    expect(anonymous.body.error.code).toBe('AUTH_REQUIRED');
+
+    await request(app).post('/api/projects').send({ name: 'Anonimo' }).expect(401);
+  });
+});
@@ -0,0 +1,267 @@
+const { SqliteSpecRepository, MIGRATIONS } = require('../../repositories/sqliteSpecRepository');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('SqliteSpecRepository', () => {
+  let repository;
+
+  const spec = (id, updatedAt = '2024-01-13T10:00:00.000Z') => ({
+    id,
+    name: 'Test Feature',
+    description: 'Descrizione di prova',
+    template: null,
+    complexity: 'medium',
+    language: 'it',
+    model: 'test-model',
+    provider: 'mock',
+    tokensUsed: 100,
+    createdAt: updatedAt,
+    updatedAt
+  });
+
+  const version = (createdAt, overrides = {}) => ({
+    specification: createSpecification(),
+    source: 'generate',
+    note: null,
+    model: 'test-model',
+    provider: 'mock',
+    tokensUsed: 100,
+    validationStatus: 'valid',
+    createdAt,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    repository = new SqliteSpecRepository({ filename: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await repository.close();
+  });
+
+  it('should apply every migration once', () => {
+    expect(repository.db.pragma('user_version', { simple: true })).toBe(MIGRATIONS.length);
+
+    repository.migrate();
+    expect(repository.db.pragma('user_version', { simple: true })).toBe(MIGRATIONS.length);
+  });
+
+  it('should store a specification with its first version', async () => {
+    const created = await repository.create(spec('spec_1'), version('2024-01-13T10:00:00.000Z'));
+
+    expect(created).toMatchObject({ id: 'spec_1', currentVersion: 1, tokensUsed: 100 });
+    expect((await repository.findVersion('spec_1', 1)).specification).toEqual(createSpecification());
+    expect(await repository.findById('missing')).toBeNull();
+  });
+
+  it('should append versions and accumulate token usage', async () => {
+    await repository.create(spec('spec_1'), version('2024-01-13T10:00:00.000Z'));
+
+    const edited = createSpecification();
+    edited.metadata.name = 'Renamed Feature';
+    const updated = await repository.addVersion('spec_1', version('2024-01-13T11:00:00.000Z', {
+      specification: edited,
+      source: 'refine',
+      model: 'other-model',
+      tokensUsed: 50
+    }), { name: 'Renamed Feature' });
+
+    expect(updated).toMatchObject({
+      name: 'Renamed Feature',
+      model: 'other-model',
+      tokensUsed: 150,
+      currentVersion: 2,
+      updatedAt: '2024-01-13T11:00:00.000Z'
+    });
+    expect((await repository.listVersions('spec_1')).map(entry => [entry.version, entry.source])).toEqual([
+      [2, 'refine'],
+      [1, 'generate']
+    ]);
+    expect((await repository.listVersions('spec_1'))[0].specification).toBeUndefined();
+    expect((await repository.findVersion('spec_1', 1)).specification.metadata.name).toBe('Test Feature');
+    expect(await repository.addVersion('missing', version('2024-01-13T11:00:00.000Z'))).toBeNull();
+  });
+
+  it('should keep versions immutable', async () => {
+    await repository.create(spec('spec_1'), version('2024-01-13T10:00:00.000Z'));
+
+    expect(() => repository.db.prepare("UPDATE spec_versions SET source = 'manual'").run())
+      .toThrow('spec versions are immutable');
+  });
+
+  it('should store and revoke share links, deleting them with the spec', async () => {
+    await repository.create(spec('spec_1'), version('2024-01-13T10:00:00.000Z'));
+    await repository.createShare({ token: 'token_1', specId: 'spec_1', createdAt: '2024-01-13T10:00:00.000Z', expiresAt: null });
+
+    const revoked = await repository.revokeShare('token_1', '2024-01-13T11:00:00.000Z');
+    expect(revoked).toEqual({
+      token: 'token_1',
+      specId: 'spec_1',
+      createdAt: '2024-01-13T10:00:00.000Z',
+      expiresAt: null,
+      revokedAt: '2024-01-13T11:00:00.000Z'
+    });
+    expect((await repository.revokeShare('token_1', '2024-01-13T12:00:00.000Z')).revokedAt).toBe('2024-01-13T11:00:00.000Z');
+    expect(await repository.revokeShare('missing', '2024-01-13T12:00:00.000Z')).toBeNull();
+
+    await repository.delete('spec_1');
+    expect(await repository.findShare('token_1')).toBeNull();
+  });
+
+  it('should group specs in projects and keep them when the project is deleted', async () => {
+    await repository.createProject({
+      id: 'proj_1',
+      name: 'E-commerce',
+      description: null,
+      context: { techStack: ['Node.js'], namingConventions: [], dataModels: [] },
+      createdAt: '2024-01-13T09:00:00.000Z',
+      updatedAt: '2024-01-13T09:00:00.000Z'
+    });
+    await repository.create({ ...spec('spec_1'), projectId: 'proj_1' }, version('2024-01-13T10:00:00.000Z'));
+    await repository.create(spec('spec_2'), version('2024-01-13T10:00:00.000Z'));
+
+    expect(await repository.findProject('proj_1')).toMatchObject({ specCount: 1, context: { techStack: ['Node.js'] } });
+    expect((await repository.list({ limit: 10, offset: 0, projectId: 'proj_1' })).items.map(item => item.id)).toEqual(['spec_1']);
+    expect((await repository.list({ limit: 10, offset: 0, projectId: null })).items.map(item => item.id)).toEqual(['spec_2']);
+
+    expect(await repository.deleteProject('proj_1')).toBe(true);
+    expect((await repository.findById('spec_1')).projectId).toBeNull();
+  });
+
+  it('should store API keys by hash and accumulate their monthly usage', async () => {
+    await repository.createApiKey({
+      id: 'key_1',
+      name: 'CI',
+      prefix: 'afb_abcdefgh',
+      keyHash: 'hash_1',
+      rateLimit: 60,
+      monthlyTokenQuota: null,
+      createdAt: '2024-01-13T09:00:00.000Z'
+    });
+
+    expect(await repository.findApiKeyByHash('hash_1')).toMatchObject({ id: 'key_1', rateLimit: 60, monthlyTokenQuota: null, revokedAt: null });
+    expect(await repository.findApiKeyByHash('hash_2')).toBeNull();
+
+    await repository.addApiKeyUsage('key_1', '2024-01', 100);
+    expect(await repository.addApiKeyUsage('key_1', '2024-01', 50)).toEqual({ keyId: 'key_1', period: '2024-01', tokens: 150, requests: 2 });
+    expect(await repository.getApiKeyUsage('key_1', '2024-02')).toEqual({ keyId: 'key_1', period: '2024-02', tokens: 0, requests: 0 });
+
+    const revoked = await repository.revokeApiKey('key_1', '2024-01-14T09:00:00.000Z');
+    expect(revoked.revokedAt).toBe('2024-01-14T09:00:00.000Z');
+    expect((await repository.revokeApiKey('key_1', '2024-01-15T09:00:00.000Z')).revokedAt).toBe('2024-01-14T09:00:00.000Z');
+    expect(await repository.revokeApiKey('key_missing', '2024-01-15T09:00:00.000Z')).toBeNull();
+  });
+
+  it('should find users by email regardless of case and keep their specs when they are deleted', async () => {
+    await repository.createUser({
+      id: 'user_1',
+      email: 'ada@example.com',
+      name: 'Ada',
+      passwordHash: 'scrypt$salt$hash',
+      role: 'admin',
+      createdAt: '2024-01-13T09:00:00.000Z',
+      updatedAt: '2024-01-13T09:00:00.000Z'
+    });
+    await repository.create({ ...spec('spec_1'), ownerId: 'user_1' }, version('2024-01-13T10:00:00.000Z'));
+
+    expect(await repository.findUserByEmail('ADA@example.com')).toMatchObject({ id: 'user_1', passwordHash: 'scrypt$salt$hash' });
+    expect((await repository.findById('spec_1')).ownerId).toBe('user_1');
+
+    expect(await repository.updateUserRole('user_1', { role: 'viewer', updatedAt: '2024-01-14T09:00:00.000Z' })).toMatchObject({ role: 'viewer' });
+    expect(await repository.updateUserRole('user_missing', { role: 'viewer', updatedAt: '2024-01-14T09:00:00.000Z' })).toBeNull();
+
+    repository.db.prepare('DELETE FROM users WHERE id = ?').run('user_1');
+    expect((await repository.findById('spec_1')).ownerId).toBeNull();
+  });
+
+  it('should list only the specs and projects of an owner user or API key', async () => {
+    await repository.createUser({
+      id: 'user_1',
+      email: 'ada@example.com',
+      name: 'Ada',
+      passwordHash: 'scrypt$salt$hash',
+      role: 'editor',
+      createdAt: '2024-01-13T09:00:00.000Z',
+      updatedAt: '2024-01-13T09:00:00.000Z'
+    });
+    await repository.createApiKey({
+      id: 'key_1',
+      name: 'CI',
+      prefix: 'afb_abcdefgh',
+      keyHash: 'hash_1',
+      rateLimit: 60,
+      monthlyTokenQuota: null,
+      createdAt: '2024-01-13T09:00:00.000Z'
+    });
+    await repository.create({ ...spec('spec_owned', '2024-01-13T10:00:00.000Z'), ownerId: 'user_1' }, version('2024-01-13T10:00:00.000Z'));
+    await repository.create({ ...spec('spec_keyed', '2024-01-13T09:30:00.000Z'), ownerKeyId: 'key_1' }, version('2024-01-13T09:30:00.000Z'));
+    await repository.create(spec('spec_anonymous', '2024-01-13T09:00:00.000Z'), version('2024-01-13T09:00:00.000Z'));
+    await repository.createProject({ id: 'proj_owned', ownerId: 'user_1', name: 'Owned', context: {}, createdAt: '2024-01-13T09:00:00.000Z', updatedAt: '2024-01-13T09:00:00.000Z' });
+    await repository.createProject({ id: 'proj_keyed', ownerKeyId: 'key_1', name: 'Keyed', context: {}, createdAt: '2024-01-13T09:00:00.000Z', updatedAt: '2024-01-13T09:00:00.000Z' });
+
+    const ids = async visibleTo => (await repository.list({ limit: 10, offset: 0, visibleTo })).items.map(item => item.id);
+    expect(await ids(undefined)).toEqual(['spec_owned', 'spec_keyed', 'spec_anonymous']);
+    expect(await ids({ ownerId: 'user_1', ownerKeyId: null })).toEqual(['spec_owned']);
+    expect(await ids({ ownerId: null, ownerKeyId: 'key_1' })).toEqual(['spec_keyed']);
+    expect(await ids({ ownerId: 'user_2', ownerKeyId: null })).toEqual([]);
+    expect((await repository.list({ limit: 10, offset: 0, visibleTo: { ownerId: null, ownerKeyId: null } })).total).toBe(0);
+    expect((await repository.findById('spec_keyed')).ownerKeyId).toBe('key_1');
+
+    expect(await repository.listProjects({ visibleTo: { ownerId: 'user_1', ownerKeyId: null } })).toEqual([expect.objectContaining({ id: 'proj_owned' })]);
+    expect(await repository.listProjects({ visibleTo: { ownerId: null, ownerKeyId: 'key_1' } })).toEqual([expect.objectContaining({ id: 'proj_keyed', ownerKeyId: 'key_1' })]);
+    expect(await repository.listProjects()).toHaveLength(2);
+  });
+
+  it('should aggregate the usage ledger by group over a time range', async () => {
+    const usage = (id, createdAt, overrides = {}) => ({
+      id,
+      requestId: `req_${id}`,
+      operation: 'generate',
+      outcome: 'success',
+      provider: 'openai',
+      model: 'gpt-4o',
+      promptTokens: 1000,
+      completionTokens: 500,
+      totalTokens: 1500,
+      cost: 0.0075,
+      latencyMs: 100,
+      apiKeyId: 'key_1',
+      createdAt,
+      ...overrides
+    });
+
+    await repository.addUsageRecord(usage('usage_1', '2024-01-13T09:00:00.000Z'));
+    await repository.addUsageRecord(usage('usage_2', '2024-01-13T18:00:00.000Z', { latencyMs: 300, apiKeyId: null }));
+    await repository.addUsageRecord(usage('usage_3', '2024-01-14T09:00:00.000Z', {
+      outcome: 'error', model: null, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null, latencyMs: 50
+    }));
+    await repository.addUsageRecord(usage('usage_4', '2024-01-15T09:00:00.000Z'));
+
+    const range = { from: '2024-01-13T00:00:00.000Z', to: '2024-01-15T00:00:00.000Z' };
+
+    const byDay = await repository.aggregateUsage({ ...range, groupBy: 'day' });
+    expect(byDay.map(group => [group.key, group.requests, group.totalTokens, group.cost, group.averageLatencyMs])).toEqual([
+      ['2024-01-13', 2, 3000, 0.015, 200],
+      ['2024-01-14', 1, 0, null, 50]
+    ]);
+    expect(byDay[1].outcomes).toEqual({ success: 0, fallback: 0, error: 1, cancelled: 0 });
+
+    const [total] = await repository.aggregateUsage({ ...range, groupBy: null, filters: { apiKeyId: 'key_1' } });
+    expect(total).toMatchObject({ key: null, requests: 2, promptTokens: 1000, completionTokens: 500, cost: 0.0075 });
+
+    const [empty] = await repository.aggregateUsage({ from: '2023-01-01T00:00:00.000Z', to: '2023-02-01T00:00:00.000Z', groupBy: null });
+    expect(empty).toMatchObject({ requests: 0, totalTokens: 0, cost: null, averageLatencyMs: null });
+  });
+
+  it('should list by last update and delete with the history', async () => {
+    await repository.create(spec('spec_old', '2024-01-13T09:00:00.000Z'), version('2024-01-13T09:00:00.000Z'));
+    await repository.create(spec('spec_new', '2024-01-13T10:00:00.000Z'), version('2024-01-13T10:00:00.000Z'));
+
+    const page = await repository.list({ limit: 1, offset: 0 });
+    expect(page.total).toBe(2);
+    expect(page.items.map(item => item.id)).toEqual(['spec_new']);
+
+    expect(await repository.delete('spec_new')).toBe(true);
+    expect(await repository.delete('spec_new')).toBe(false);
+    expect(await repository.findVersion('spec_new', 1)).toBeNull();
+  });
+});
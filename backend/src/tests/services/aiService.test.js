@@ -0,0 +1,249 @@
+const { getEventListeners } = require('events');
+const { aiService, AIService } = require('../../services/aiService');
+const { MockProvider } = require('../../services/providers/mockProvider');
+const { AIResponseValidator } = require('../../validators/aiResponseValidator');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('AIService', () => {
+  describe('repairResponse', () => {
+    const context = { systemPrompt: 'system', userPrompt: 'user', requestId: 'test-repair' };
+    let createCompletion;
+
+    const completionFor = response => ({
+      content: JSON.stringify(response),
+      usage: { promptTokens: 60, completionTokens: 40, totalTokens: 100 },
+      model: 'test-model'
+    });
+
+    beforeEach(() => {
+      createCompletion = jest.spyOn(aiService.provider, 'createCompletion');
+    });
+
+    afterEach(() => {
+      createCompletion.mockRestore();
+    });
+
+    it('should fix local problems without calling the model', async () => {
+      const response = createSpecification();
+      response.requirements.functional[0].id = 'FR1';
+
+      const { data, repair, tokensUsed } = await aiService.repairResponse(response, context);
+
+      expect(data.requirements.functional[0].id).toBe('FR001');
+      expect(repair).toMatchObject({ aiRounds: 0, resolved: true, remainingErrors: 0 });
+      expect(repair.localFixes).toContainEqual(expect.objectContaining({ type: 'id_renumbered', to: 'FR001' }));
+      expect(tokensUsed).toBe(0);
+      expect(createCompletion).not.toHaveBeenCalled();
+    });
+
+    it('should send remaining errors back to the model', async () => {
+      const response = createSpecification();
+      delete response.requirements.nonFunctional;
+      createCompletion.mockResolvedValue(completionFor(createSpecification()));
+
+      const { data, repair, tokensUsed, usage } = await aiService.repairResponse(response, context);
+
+      expect(data.requirements.nonFunctional).toHaveLength(1);
+      expect(repair).toMatchObject({ aiRounds: 1, resolved: true, remainingErrors: 0 });
+      expect(tokensUsed).toBe(100);
+      expect(usage).toEqual({ promptTokens: 60, completionTokens: 40, totalTokens: 100 });
+
+      const { messages } = createCompletion.mock.calls[0][0];
+      expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+      expect(messages[3].content).toContain('requirements.nonFunctional');
+    });
+
+    it('should stop after the configured number of rounds and keep the best candidate', async () => {
+      const response = createSpecification();
+      response.deployment.monitoring = [];
+      createCompletion.mockResolvedValue(completionFor({ metadata: {} }));
+
+      const { data, repair } = await aiService.repairResponse(response, context);
+
+      expect(createCompletion).toHaveBeenCalledTimes(2);
+      expect(repair).toMatchObject({ aiRounds: 2, resolved: false, remainingErrors: 1 });
+      expect(data.metadata.name).toBe('Test Feature');
+    });
+
+    it('should keep the original response when a repair call fails', async () => {
+      const response = createSpecification();
+      response.deployment.monitoring = [];
+      createCompletion.mockRejectedValue(new Error('rate_limit_exceeded'));
+
+      const { data, repair } = await aiService.repairResponse(response, context);
+
+      expect(repair).toMatchObject({ aiRounds: 1, resolved: false });
+      expect(data.deployment.monitoring).toEqual([]);
+    });
+
+    it('should propagate aborts', async () => {
+      const response = createSpecification();
+      response.deployment.monitoring = [];
+      const controller = new AbortController();
+      controller.abort();
+      createCompletion.mockRejectedValue(new Error('Request was aborted'));
+
+      await expect(
+        aiService.repairResponse(response, { ...context, signal: controller.signal })
+      ).rejects.toThrow('Request was aborted');
+    });
+  });
+
+  describe('failover', () => {
+    const input = { description: 'Gestione ordini online', complexity: 'medium' };
+    let chainCount = 0;
+
+    // Fresh breakers per test: the circuit breaker manager is shared
+    const createChain = () => {
+      chainCount++;
+      const primary = new MockProvider({ id: `primary-${chainCount}`, model: 'primary-model' });
+      const secondary = new MockProvider({ id: `secondary-${chainCount}`, model: 'secondary-model' });
+      return { primary, secondary, service: new AIService({ providers: [primary, secondary] }) };
+    };
+
+    it('should move to the next provider when a call fails', async () => {
+      const { primary, secondary, service } = createChain();
+      jest.spyOn(primary, 'createCompletion').mockRejectedValue(new Error('model overloaded'));
+      const secondaryCall = jest.spyOn(secondary, 'createCompletion');
+
+      const response = await service.generateSpecification(input, 'test-failover');
+
+      expect(secondaryCall).toHaveBeenCalledTimes(1);
+      expect(response._metadata.model).toBe('secondary-model');
+      expect(response._metadata.failover).toEqual([
+        { provider: 'mock', model: 'primary-model', reason: 'request_failed', code: null }
+      ]);
+    });
+
+    it('should skip providers whose circuit breaker is open', async () => {
+      const { primary, service } = createChain();
+      const primaryCall = jest.spyOn(primary, 'createCompletion');
+      primary.circuitBreaker.openCircuit();
+
+      const response = await service.generateSpecification(input, 'test-open');
+
+      expect(primaryCall).not.toHaveBeenCalled();
+      expect(response._metadata.failover).toEqual([
+        { provider: 'mock', model: 'primary-model', reason: 'circuit_open', code: 'CIRCUIT_OPEN' }
+      ]);
+    });
+
+    it('should return the fallback with every skipped provider when the chain is exhausted', async () => {
+      const { primary, secondary, service } = createChain();
+      jest.spyOn(primary, 'createCompletion').mockRejectedValue(new Error('model overloaded'));
+      jest.spyOn(secondary, 'createCompletion').mockResolvedValue({ content: 'not json', usage: {}, model: 'x' });
+
+      const response = await service.generateSpecification(input, 'test-exhausted');
+
+      expect(response._metadata.fallback).toBe(true);
+      expect(response._metadata.failover.map(skipped => skipped.reason)).toEqual(['request_failed', 'invalid_response']);
+    });
+
+    it('should announce the failover while streaming', async () => {
+      const { primary, service } = createChain();
+      jest.spyOn(primary, 'streamCompletion').mockImplementation(() => {
+        throw new Error('connection reset');
+      });
+      const onEvent = jest.fn();
+
+      const response = await service.generateSpecificationStream(input, 'test-stream', { onEvent });
+
+      expect(onEvent).toHaveBeenCalledWith('stage', { stage: 'failover', provider: 'mock', reason: 'request_failed' });
+      expect(response._metadata).toMatchObject({ model: 'secondary-model', streamed: true });
+    });
+
+    it('should report the health of every provider in the chain', async () => {
+      const { primary, service } = createChain();
+      primary.circuitBreaker.openCircuit();
+
+      const health = await service.getHealthStatus();
+
+      expect(health).toMatchObject({ status: 'degraded', available: true, model: 'primary-model' });
+      expect(health.providers.map(provider => [provider.model, provider.status])).toEqual([
+        ['primary-model', 'degraded'],
+        ['secondary-model', 'healthy']
+      ]);
+    });
+  });
+
+  describe('chained generation', () => {
+    const input = { description: 'Piattaforma di gestione ordini', complexity: 'complex' };
+    const provider = new MockProvider({ id: 'chained', model: 'chained-model' });
+    const service = new AIService({ providers: [provider] });
+    let createCompletion;
+
+    beforeEach(() => {
+      createCompletion = jest.spyOn(provider, 'createCompletion');
+    });
+
+    afterEach(() => {
+      createCompletion.mockRestore();
+    });
+
+    it('should generate complex features one stage at a time', async () => {
+      const response = await service.generateSpecification(input, 'test-chained');
+
+      expect(createCompletion).toHaveBeenCalledTimes(5);
+      expect(AIResponseValidator.validateSections(response, 'test-chained').valid).toBe(true);
+
+      const { stages } = response._metadata;
+      expect(stages.map(stage => stage.name)).toEqual(['requirements', 'architecture', 'implementation', 'testing', 'deployment']);
+      expect(stages.every(stage => stage.tokensUsed > 0 && stage.processingTime >= 0)).toBe(true);
+      expect(response._metadata.tokensUsed).toBe(stages.reduce((total, stage) => total + stage.tokensUsed, 0));
+    });
+
+    it('should ground later stages in the generated requirements', async () => {
+      await service.generateSpecification(input, 'test-chained-context');
+
+      const firstPrompt = createCompletion.mock.calls[0][0].messages[1].content;
+      const architecturePrompt = createCompletion.mock.calls[1][0].messages[1].content;
+
+      expect(firstPrompt).toContain('**Generation Stage:** metadata, requirements');
+      expect(firstPrompt).not.toContain('**Sections Already Generated:**');
+      expect(architecturePrompt).toContain('**Sections Already Generated:**');
+      expect(architecturePrompt).toContain('"id": "FR001"');
+      expect(architecturePrompt).toContain('relatedRequirements may only use their IDs');
+    });
+
+    it('should keep a single call for other complexities', async () => {
+      const response = await service.generateSpecification({ ...input, complexity: 'medium' }, 'test-single');
+
+      expect(createCompletion).toHaveBeenCalledTimes(1);
+      expect(response._metadata.stages).toBeUndefined();
+    });
+
+    it('should emit each section as its stage completes while streaming', async () => {
+      const onEvent = jest.fn();
+
+      await service.generateSpecificationStream(input, 'test-chained-stream', { onEvent });
+
+      const steps = onEvent.mock.calls.filter(([event, data]) => event === 'stage' && data.stage === 'chained_step');
+      const sections = onEvent.mock.calls.filter(([event]) => event === 'section').map(([, data]) => data.name);
+
+      expect(steps).toHaveLength(5);
+      expect(steps[1][1]).toEqual({ stage: 'chained_step', step: 'architecture', index: 2, total: 5 });
+      expect(sections).toEqual(['metadata', 'requirements', 'architecture', 'implementation', 'testing', 'deployment']);
+    });
+  });
+
+  describe('sleep', () => {
+    it('should remove its abort listener once the delay has passed', async () => {
+      const controller = new AbortController();
+
+      await aiService.sleep(1, controller.signal);
+      await aiService.sleep(1, controller.signal);
+
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+
+    it('should reject on abort', async () => {
+      const controller = new AbortController();
+      const sleeping = aiService.sleep(10000, controller.signal);
+
+      controller.abort();
+
+      await expect(sleeping).rejects.toThrow('Request was aborted');
+      await expect(aiService.sleep(10000, controller.signal)).rejects.toThrow('Request was aborted');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { FeatureProcessor } = require('../../services/featureProcessor');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('FeatureProcessor', () => {
+  const processor = new FeatureProcessor();
+
+  describe('processAIResponse', () => {
+    it('should validate and enhance a correct response', () => {
+      const { specification, warnings, validation } = processor.processAIResponse(createSpecification(), 'test-001');
+
+      expect(validation.status).toBe('valid');
+      expect(validation.errors).toEqual([]);
+      expect(warnings).toEqual([]);
+
+      expect(specification.requirements.dependencyGraph).toEqual({
+        FR001: { dependencies: [], dependents: [] }
+      });
+      expect(specification.requirements.statistics.functionalCount).toBe(1);
+      expect(specification.architecture.relationshipsMap.TestModel).toEqual({ outgoing: [], incoming: [] });
+      expect(specification.testing.requirementCoverage).toMatchObject({
+        total: 2,
+        covered: 1,
+        uncoveredRequirements: ['NFR001']
+      });
+    });
+
+    it('should strip the AI service metadata from the specification', () => {
+      const response = { ...createSpecification(), _metadata: { model: 'gpt-4', tokensUsed: 10 } };
+
+      const { specification } = processor.processAIResponse(response, 'test-002');
+
+      expect(specification._metadata).toBeUndefined();
+    });
+
+    it('should return a partial result when a section fails the schema', () => {
+      const response = createSpecification();
+      response.deployment.monitoring = [];
+      response.testing.testCases[0].type = 'manual';
+
+      const { specification, validation } = processor.processAIResponse(response, 'test-003');
+
+      expect(validation.status).toBe('partial');
+      expect(validation.invalidSections).toEqual(['testing', 'deployment']);
+      expect(validation.errors.map(error => error.field)).toEqual([
+        'testing.testCases.0.type',
+        'deployment.monitoring'
+      ]);
+
+      expect(specification.testing).toBeUndefined();
+      expect(specification.deployment).toBeUndefined();
+      expect(specification.requirements.dependencyGraph).toBeDefined();
+      expect(specification.architecture.statistics.endpointsCount).toBe(1);
+    });
+
+    it('should keep the data and report business logic errors', () => {
+      const response = createSpecification();
+      response.metadata.estimatedHours = 200;
+
+      const { specification, validation } = processor.processAIResponse(response, 'test-004');
+
+      expect(validation.status).toBe('partial');
+      expect(validation.invalidSections).toEqual([]);
+      expect(validation.errors).toEqual([{
+        section: null,
+        field: null,
+        message: 'Medium complexity should be 16-40 hours, got 200',
+        type: 'business_logic'
+      }]);
+      expect(specification.metadata.estimatedHours).toBe(200);
+    });
+
+    it('should surface final check warnings', () => {
+      const response = createSpecification();
+      response.testing.testCases[0].relatedRequirements = [];
+      response.testing.acceptanceCriteria[0].relatedRequirements = [];
+      response.architecture.apiEndpoints[0].relatedRequirements = [];
+
+      const { warnings } = processor.processAIResponse(response, 'test-005');
+
+      expect(warnings).toEqual([
+        'High-priority requirements without tests: FR001',
+        'API endpoints without related requirements: EP001'
+      ]);
+    });
+
+    it('should reject non-object responses', () => {
+      expect(() => processor.processAIResponse(null, 'test-006')).toThrow('AI returned invalid specification');
+    });
+  });
+});
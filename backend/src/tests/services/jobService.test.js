@@ -0,0 +1,185 @@
+const { JobService, JobError } = require('../../services/jobService');
+
+describe('JobService', () => {
+  let service;
+
+  // Executor that resolves only when the test says so, and honors abort
+  const createControlledExecutor = () => {
+    const pending = [];
+    const executor = jest.fn((input, requestId, signal) => new Promise((resolve, reject) => {
+      pending.push({ input, resolve, reject });
+      signal.addEventListener('abort', () => reject(new Error('Request was aborted')));
+    }));
+    return { executor, pending };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  afterEach(() => {
+    service?.destroy();
+  });
+
+  it('should run a job and store its result', async () => {
+    service = new JobService({ executor: async input => ({ feature: { name: input.description } }) });
+
+    const { job, created } = service.enqueue({ description: 'Login' });
+    expect(created).toBe(true);
+    expect(job.status).toBe('running');
+
+    await flush();
+
+    const stored = service.get(job.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.result).toEqual({ feature: { name: 'Login' } });
+    expect(stored.completedAt).not.toBeNull();
+  });
+
+  it('should respect the concurrency limit', async () => {
+    const { executor, pending } = createControlledExecutor();
+    service = new JobService({ executor, concurrency: 1 });
+
+    const first = service.enqueue({ description: 'one' }).job;
+    const second = service.enqueue({ description: 'two' }).job;
+
+    expect(executor).toHaveBeenCalledTimes(1);
+    expect(service.get(second.id)).toMatchObject({ status: 'queued', queuePosition: 1 });
+
+    pending[0].resolve({ feature: {} });
+    await flush();
+
+    expect(service.get(first.id).status).toBe('completed');
+    expect(service.get(second.id).status).toBe('running');
+    expect(executor).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reuse the job for a repeated idempotency key', () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor });
+
+    const first = service.enqueue({ description: 'Login' }, { idempotencyKey: 'abc' });
+    const retry = service.enqueue({ description: 'Login' }, { idempotencyKey: 'abc' });
+
+    expect(retry.created).toBe(false);
+    expect(retry.job.id).toBe(first.job.id);
+    expect(executor).toHaveBeenCalledTimes(1);
+  });
+
+  it('should scope idempotency keys to the caller and refuse a reused key with another body', () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor });
+    const apiKey = { id: 'key_1' };
+
+    const first = service.enqueue({ description: 'Login' }, { idempotencyKey: 'abc', apiKey });
+    const otherKey = service.enqueue({ description: 'Login' }, { idempotencyKey: 'abc', apiKey: { id: 'key_2' } });
+    const user = service.enqueue({ description: 'Login' }, { idempotencyKey: 'abc', ownerId: 'user_1' });
+
+    expect(otherKey.created).toBe(true);
+    expect(user.created).toBe(true);
+    expect(new Set([first.job.id, otherKey.job.id, user.job.id]).size).toBe(3);
+
+    expect(() => service.enqueue({ description: 'Checkout' }, { idempotencyKey: 'abc', apiKey }))
+      .toThrow(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_REUSED', statusCode: 422 }));
+  });
+
+  it('should show and cancel a job only for its caller and admins', () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor });
+
+    const { job } = service.enqueue({ description: 'Login' }, { ownerId: 'user_1' });
+
+    expect(service.get(job.id, { ownerId: 'user_2' })).toBeNull();
+    expect(service.get(job.id, { apiKey: { id: 'key_1' } })).toBeNull();
+    expect(service.get(job.id, { ownerId: 'user_1' })).toMatchObject({ id: job.id });
+    expect(service.get(job.id, { ownerId: 'user_2', admin: true })).toMatchObject({ id: job.id });
+
+    expect(() => service.cancel(job.id, { ownerId: 'user_2' })).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+    expect(service.cancel(job.id, { ownerId: 'user_1' }).status).toBe('cancelled');
+  });
+
+  it('should cancel a running job and abort its executor', async () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor });
+
+    const { job } = service.enqueue({ description: 'Login' });
+    const signal = executor.mock.calls[0][2];
+
+    expect(service.cancel(job.id).status).toBe('cancelled');
+    expect(signal.aborted).toBe(true);
+
+    await flush();
+
+    // The rejected executor must not overwrite the cancelled status
+    expect(service.get(job.id).status).toBe('cancelled');
+    expect(service.getStats()).toMatchObject({ cancelled: 1, failed: 0, running: 0 });
+  });
+
+  it('should cancel a queued job without running it', () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor, concurrency: 1 });
+
+    service.enqueue({ description: 'one' });
+    const { job } = service.enqueue({ description: 'two' });
+
+    service.cancel(job.id);
+
+    expect(service.getStats().queued).toBe(0);
+    expect(executor).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject cancelling unknown or finished jobs', async () => {
+    service = new JobService({ executor: async () => ({}) });
+
+    expect(() => service.cancel('job_missing')).toThrow(JobError);
+
+    const { job } = service.enqueue({ description: 'Login' });
+    await flush();
+
+    try {
+      service.cancel(job.id);
+      throw new Error('Expected cancel to fail');
+    } catch (error) {
+      expect(error.code).toBe('JOB_NOT_CANCELLABLE');
+      expect(error.statusCode).toBe(409);
+    }
+  });
+
+  it('should mark failed jobs without leaking internal error messages', async () => {
+    service = new JobService({ executor: async () => { throw new Error('socket hang up'); } });
+
+    const { job } = service.enqueue({ description: 'Login' });
+    await flush();
+
+    expect(service.get(job.id)).toMatchObject({
+      status: 'failed',
+      error: { code: 'GENERATION_FAILED', message: 'Feature generation failed' }
+    });
+  });
+
+  it('should reject new jobs when the queue is full', () => {
+    const { executor } = createControlledExecutor();
+    service = new JobService({ executor, concurrency: 1, maxQueued: 1 });
+
+    service.enqueue({ description: 'running' });
+    service.enqueue({ description: 'queued' });
+
+    expect(() => service.enqueue({ description: 'overflow' })).toThrow('Job queue is full');
+  });
+
+  it('should drop finished jobs after the retention period', async () => {
+    service = new JobService({ executor: async () => ({}), retentionMs: 1000 });
+
+    const { job } = service.enqueue({ description: 'Login' }, { idempotencyKey: 'key' });
+    await flush();
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 5000;
+    try {
+      service.performCleanup();
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(service.get(job.id)).toBeNull();
+    expect(service.idempotencyKeys.size).toBe(0);
+  });
+});
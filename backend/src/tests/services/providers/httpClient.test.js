@@ -0,0 +1,60 @@
+const http = require('http');
+const { getEventListeners } = require('events');
+const { postJson, streamLines } = require('../../../services/providers/httpClient');
+
+describe('httpClient', () => {
+  let server;
+  let baseURL;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+      } else if (req.url === '/stream') {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.end('{"n":1}\n\n{"n":2}\n');
+      } else {
+        res.writeHead(503);
+        res.end('overloaded');
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it('should parse the response and release the caller signal', async () => {
+    const controller = new AbortController();
+
+    const body = await postJson('test', `${baseURL}/json`, { body: {}, signal: controller.signal, timeout: 5000 });
+
+    expect(body).toEqual({ ok: true });
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+
+  it('should stream the lines of the body and release the caller signal', async () => {
+    const controller = new AbortController();
+    const lines = [];
+
+    for await (const line of streamLines('test', `${baseURL}/stream`, { body: {}, signal: controller.signal, timeout: 5000 })) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual(['{"n":1}', '{"n":2}']);
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+
+  it('should map error statuses and release the caller signal', async () => {
+    const controller = new AbortController();
+
+    await expect(postJson('test', `${baseURL}/busy`, { body: {}, signal: controller.signal }))
+      .rejects.toMatchObject({ status: 503, code: 'service_unavailable' });
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,55 @@
+const { MockProvider } = require('../../../services/providers/mockProvider');
+const { createProvider } = require('../../../services/providers');
+const { AIResponseValidator } = require('../../../validators/aiResponseValidator');
+
+describe('MockProvider', () => {
+  const messages = [
+    { role: 'system', content: 'system prompt' },
+    { role: 'user', content: '**Description:** Gestione ordini online\n\n**Expected Complexity:** simple\n\n' }
+  ];
+
+  it('should return a deterministic valid specification for the description', async () => {
+    const provider = new MockProvider();
+
+    const first = await provider.createCompletion({ messages, responseFormat: 'json' });
+    const second = await provider.createCompletion({ messages, responseFormat: 'json' });
+    const specification = JSON.parse(first.content);
+
+    expect(first).toEqual(second);
+    expect(specification.metadata).toMatchObject({ name: 'Gestione ordini online', complexity: 'simple' });
+    expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+    expect(AIResponseValidator.validateSections(specification, 'test').valid).toBe(true);
+  });
+
+  it('should stream the same content in chunks with usage at the end', async () => {
+    const provider = new MockProvider();
+    const { content } = await provider.createCompletion({ messages, responseFormat: 'json' });
+
+    const chunks = [];
+    for await (const chunk of provider.streamCompletion({ messages, responseFormat: 'json' })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks.map(chunk => chunk.delta).join('')).toBe(content);
+    expect(chunks[chunks.length - 1].usage.totalTokens).toBeGreaterThan(0);
+  });
+
+  it('should abort while simulating latency', async () => {
+    const provider = new MockProvider({ latencyMs: 10000 });
+    const controller = new AbortController();
+
+    const completion = provider.createCompletion({ messages, responseFormat: 'json', signal: controller.signal });
+    controller.abort();
+
+    await expect(completion).rejects.toThrow('Request was aborted');
+  });
+
+  it('should be created from the registry with its own circuit breaker', () => {
+    const provider = createProvider('mock');
+
+    expect(provider).toBeInstanceOf(MockProvider);
+    expect(provider.circuitBreaker.name).toBe('ai-mock');
+    expect(() => createProvider('unknown')).toThrow('Unknown AI provider: unknown');
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Jest environment setup
+ * Tests run against the offline mock provider unless a test run opts into
+ * a real one with AI_PROVIDER, and store specifications in memory. Requests
+ * without an API key share the limit by IP of each test file
+ */
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = process.env.AI_PROVIDER || 'mock';
+process.env.SPEC_STORAGE = process.env.SPEC_STORAGE || 'memory';
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '1000';
@@ -0,0 +1,122 @@
+const { analyzeConflicts } = require('../../utils/conflictAnalyzer');
+const { createSpecification } = require('../fixtures/specification');
+
+const configurationEntry = {
+  key: 'JWT_SECRET',
+  description: 'Secret used to sign tokens',
+  type: 'string',
+  required: true,
+  environment: 'all'
+};
+
+const createSpec = (id, customize = () => {}) => {
+  const specification = createSpecification();
+  customize(specification);
+  return { id, name: `Feature ${id}`, specification };
+};
+
+describe('conflictAnalyzer', () => {
+  it('should report nothing for specifications defining different entities', () => {
+    const checkout = createSpec('spec_b', specification => {
+      specification.architecture.apiEndpoints[0].path = '/api/orders';
+      specification.architecture.dataModels[0].name = 'Order';
+    });
+
+    expect(analyzeConflicts([createSpec('spec_a'), checkout])).toEqual({
+      conflicts: [],
+      summary: { total: 0, errors: 0, warnings: 0, byType: { endpoint: 0, dataModel: 0, configuration: 0 } }
+    });
+  });
+
+  it('should not compare the entities of a single specification', () => {
+    const spec = createSpec('spec_a', specification => {
+      specification.architecture.apiEndpoints.push({ ...specification.architecture.apiEndpoints[0], id: 'EP002', requestBody: { name: 'string' } });
+    });
+
+    expect(analyzeConflicts([spec]).conflicts).toEqual([]);
+  });
+
+  it('should match endpoints on method and path, whatever the parameter names', () => {
+    const users = createSpec('spec_a', specification => {
+      Object.assign(specification.architecture.apiEndpoints[0], { method: 'put', path: '/api/users/:id', requestBody: { email: 'string' } });
+    });
+    const profile = createSpec('spec_b', specification => {
+      Object.assign(specification.architecture.apiEndpoints[0], { method: 'PUT', path: '/api/Users/{userId}/', requestBody: { displayName: 'string' } });
+    });
+
+    const { conflicts, summary } = analyzeConflicts([users, profile]);
+
+    expect(conflicts).toEqual([{
+      type: 'endpoint',
+      key: 'PUT /api/users/:id',
+      severity: 'error',
+      occurrences: [
+        { specId: 'spec_a', specName: 'Feature spec_a', entityId: 'EP001' },
+        { specId: 'spec_b', specName: 'Feature spec_b', entityId: 'EP001' }
+      ],
+      differences: [{
+        path: 'requestBody',
+        values: [{ specId: 'spec_a', value: { email: 'string' } }, { specId: 'spec_b', value: { displayName: 'string' } }]
+      }]
+    }]);
+    expect(summary).toMatchObject({ total: 1, errors: 1, warnings: 0 });
+  });
+
+  it('should report identical endpoints as duplicates', () => {
+    const { conflicts } = analyzeConflicts([createSpec('spec_a'), createSpec('spec_b')]);
+
+    expect(conflicts).toEqual([expect.objectContaining({ type: 'endpoint', key: 'GET /api/test', severity: 'warning', differences: [] })]);
+  });
+
+  it('should report data models whose shared fields disagree', () => {
+    const addField = (field) => specification => specification.architecture.dataModels[0].fields.push(field);
+    const specs = [
+      createSpec('spec_a', addField({ name: 'email', type: 'string', required: true })),
+      createSpec('spec_b', addField({ name: 'email', type: 'String', required: false })),
+      createSpec('spec_c', specification => {
+        specification.architecture.dataModels[0].fields[0].type = 'integer';
+        specification.architecture.dataModels[0].fields.push({ name: 'nickname', type: 'string', required: false });
+      })
+    ];
+    specs.forEach(spec => { spec.specification.architecture.apiEndpoints = []; });
+
+    const { conflicts } = analyzeConflicts(specs);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ type: 'dataModel', key: 'TestModel', severity: 'error' });
+    expect(conflicts[0].occurrences.map(occurrence => occurrence.specId)).toEqual(['spec_a', 'spec_b', 'spec_c']);
+    expect(conflicts[0].differences).toEqual([
+      {
+        path: 'fields.id.type',
+        values: [{ specId: 'spec_a', value: 'UUID' }, { specId: 'spec_b', value: 'UUID' }, { specId: 'spec_c', value: 'integer' }]
+      },
+      {
+        path: 'fields.email.required',
+        values: [{ specId: 'spec_a', value: true }, { specId: 'spec_b', value: false }]
+      }
+    ]);
+  });
+
+  it('should report duplicate configuration keys, as errors when their values disagree', () => {
+    const withConfiguration = (...entries) => specification => {
+      specification.architecture.apiEndpoints = [];
+      specification.implementation.configuration = entries;
+    };
+    const specs = [
+      createSpec('spec_a', withConfiguration(configurationEntry, { ...configurationEntry, key: 'SESSION_TTL', type: 'number', defaultValue: 3600 })),
+      createSpec('spec_b', withConfiguration(configurationEntry, { ...configurationEntry, key: 'SESSION_TTL', type: 'number', defaultValue: 900 }))
+    ];
+
+    const { conflicts, summary } = analyzeConflicts(specs);
+
+    expect(conflicts.map(({ key, severity }) => ({ key, severity }))).toEqual([
+      { key: 'SESSION_TTL', severity: 'error' },
+      { key: 'JWT_SECRET', severity: 'warning' }
+    ]);
+    expect(conflicts[0].differences).toEqual([{
+      path: 'defaultValue',
+      values: [{ specId: 'spec_a', value: 3600 }, { specId: 'spec_b', value: 900 }]
+    }]);
+    expect(summary).toEqual({ total: 2, errors: 1, warnings: 1, byType: { endpoint: 0, dataModel: 0, configuration: 2 } });
+  });
+});
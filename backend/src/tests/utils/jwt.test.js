@@ -0,0 +1,35 @@
+const { signToken, verifyToken } = require('../../utils/jwt');
+
+const SECRET = 'test-secret-with-at-least-32-characters';
+
+describe('jwt', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should sign and verify claims with an expiry', () => {
+    const token = signToken({ sub: 'user_1' }, SECRET, 60);
+    const claims = verifyToken(token, SECRET);
+
+    expect(claims).toMatchObject({ sub: 'user_1' });
+    expect(claims.exp - claims.iat).toBe(60);
+  });
+
+  it('should reject tokens signed with another secret or tampered with', () => {
+    const token = signToken({ sub: 'user_1' }, SECRET, 60);
+    const [header, , signature] = token.split('.');
+    const tampered = `${header}.${Buffer.from(JSON.stringify({ sub: 'admin', exp: 9999999999 })).toString('base64url')}.${signature}`;
+
+    expect(() => verifyToken(token, 'another-secret')).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    expect(() => verifyToken(tampered, SECRET)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    expect(() => verifyToken('not-a-token', SECRET)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+  });
+
+  it('should reject expired tokens', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-13T10:00:00.000Z') });
+    const token = signToken({ sub: 'user_1' }, SECRET, 60);
+
+    jest.setSystemTime(new Date('2024-01-13T10:01:00.000Z'));
+    expect(() => verifyToken(token, SECRET)).toThrow(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+  });
+});
@@ -0,0 +1,73 @@
+const { MetricsService } = require('../../utils/metrics');
+
+describe('MetricsService', () => {
+  let metrics;
+
+  const line = (text, prefix) => text.split('\n').find(entry => entry.startsWith(prefix));
+
+  beforeEach(() => {
+    metrics = new MetricsService();
+  });
+
+  afterEach(() => {
+    metrics.destroy();
+  });
+
+  it('should count requests by route pattern, sharing one entry for unmatched paths', () => {
+    const route = { method: 'GET', baseUrl: '/api', route: { path: '/specs/:id' } };
+    metrics.recordRequest(route, { statusCode: 200 }, 30);
+    metrics.recordRequest(route, { statusCode: 404 }, 70);
+    metrics.recordRequest({ method: 'GET', baseUrl: '' }, { statusCode: 404 }, 5);
+
+    const text = metrics.toPrometheus();
+    expect(text).toContain('afb_http_requests_total{method="GET",route="/api/specs/:id"} 2');
+    expect(text).toContain('afb_http_requests_total{method="GET",route="(unmatched)"} 1');
+    expect(text).toContain('afb_http_responses_total{status="404"} 2');
+    expect(text).toContain('afb_http_request_duration_seconds_bucket{method="GET",le="0.05"} 2');
+    expect(text).toContain('afb_http_request_duration_seconds_bucket{method="GET",le="+Inf"} 3');
+    expect(text).toContain('afb_http_request_duration_seconds_count{method="GET"} 3');
+  });
+
+  it('should keep cumulative AI latency and token histograms by provider', () => {
+    metrics.recordAIRequest(400, 900, true, { provider: 'openai' });
+    metrics.recordAIRequest(3000, 3000, true, { provider: 'openai' });
+    metrics.recordAIRequest(1500, 0, false, { provider: 'openai' });
+
+    const text = metrics.toPrometheus();
+    expect(text).toContain('# TYPE afb_ai_request_duration_seconds histogram');
+    expect(text).toContain('afb_ai_request_duration_seconds_bucket{provider="openai",outcome="success",le="0.5"} 1');
+    expect(text).toContain('afb_ai_request_duration_seconds_bucket{provider="openai",outcome="success",le="5"} 2');
+    expect(text).toContain('afb_ai_request_duration_seconds_sum{provider="openai",outcome="success"} 3.4');
+    expect(text).toContain('afb_ai_request_duration_seconds_count{provider="openai",outcome="error"} 1');
+    expect(text).toContain('afb_ai_request_tokens_bucket{provider="openai",le="1000"} 1');
+    expect(text).toContain('afb_ai_request_tokens_count{provider="openai"} 2');
+    expect(line(text, 'afb_ai_requests_total')).toBe('afb_ai_requests_total 3');
+    expect(line(text, 'afb_ai_errors_total')).toBe('afb_ai_errors_total 1');
+    expect(line(text, 'afb_ai_tokens_total')).toBe('afb_ai_tokens_total 3900');
+  });
+
+  it('should export circuit breaker states when given the manager', () => {
+    const circuitBreakers = {
+      getAggregatedStats: () => ({ closedCircuits: 1, halfOpenCircuits: 0, openCircuits: 1, totalSuccesses: 8, totalFailures: 5 }),
+      getAllStatuses: () => [{ name: 'ai-openai', state: 'OPEN' }, { name: 'ai-"local"', state: 'CLOSED' }]
+    };
+
+    expect(metrics.toPrometheus()).not.toContain('afb_circuit_breakers');
+
+    const text = metrics.toPrometheus({ circuitBreakers });
+    expect(text).toContain('afb_circuit_breakers{state="open"} 1');
+    expect(text).toContain('afb_circuit_breaker_state{name="ai-openai"} 2');
+    expect(text).toContain('afb_circuit_breaker_state{name="ai-\\"local\\""} 0');
+    expect(text).toContain('afb_circuit_breaker_requests_total{result="failure"} 5');
+  });
+
+  it('should clear counters and histograms on reset', () => {
+    metrics.recordAIRequest(400, 900, true, { provider: 'mock' });
+    metrics.recordCacheOperation('get', true);
+    metrics.reset();
+
+    const text = metrics.toPrometheus();
+    expect(text).not.toContain('afb_ai_request_tokens_count');
+    expect(text).toContain('afb_cache_operations_total{operation="get",result="hit"} 0');
+  });
+});
@@ -0,0 +1,123 @@
+const { summarizeChanges, diffSpecifications, preserveIds } = require('../../utils/specDiff');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('specDiff', () => {
+  describe('summarizeChanges', () => {
+    it('should report no changes for identical specifications', () => {
+      const summary = summarizeChanges(createSpecification(), createSpecification());
+
+      expect(summary).toEqual({ added: [], removed: [], modified: [], changedSections: [], totalChanges: 0 });
+    });
+
+    it('should list added, removed and modified entities', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      after.requirements.functional[0].priority = 'medium';
+      after.requirements.functional.push({ ...before.requirements.functional[0], id: 'FR002', title: 'OAuth login' });
+      after.architecture.services = [];
+
+      const summary = summarizeChanges(before, after);
+
+      expect(summary.added).toEqual([{ section: 'requirements.functional', id: 'FR002', label: 'OAuth login' }]);
+      expect(summary.modified).toEqual([{ section: 'requirements.functional', id: 'FR001', label: 'Test Requirement' }]);
+      expect(summary.removed).toEqual([{ section: 'architecture.services', id: 'SV001', label: 'TestService' }]);
+      expect(summary.changedSections).toEqual(['requirements', 'architecture']);
+      expect(summary.totalChanges).toBe(3);
+    });
+  });
+
+  describe('diffSpecifications', () => {
+    it('should report an empty diff for identical specifications', () => {
+      expect(diffSpecifications(createSpecification(), createSpecification())).toEqual({
+        sections: {},
+        summary: { added: 0, removed: 0, modified: 0, changedSections: [] }
+      });
+    });
+
+    it('should key entity changes by ID with field-level details', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      after.requirements.functional[0].priority = 'medium';
+      after.requirements.functional.push({ ...before.requirements.functional[0], id: 'FR002', title: 'OAuth login' });
+      after.testing.testCases = [];
+
+      const { sections, summary } = diffSpecifications(before, after);
+
+      expect(sections.requirements.entities).toEqual([
+        {
+          collection: 'functional',
+          id: 'FR001',
+          label: 'Test Requirement',
+          status: 'modified',
+          changes: [{ path: 'priority', before: 'high', after: 'medium' }]
+        },
+        expect.objectContaining({ collection: 'functional', id: 'FR002', status: 'added', after: after.requirements.functional[1] })
+      ]);
+      expect(sections.testing.entities).toEqual([
+        expect.objectContaining({ collection: 'testCases', id: 'TC001', status: 'removed' })
+      ]);
+      expect(summary).toEqual({ added: 1, removed: 1, modified: 1, changedSections: ['requirements', 'testing'] });
+    });
+
+    it('should diff data model fields by name', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      const model = after.architecture.dataModels[0];
+      model.fields[0].type = 'string';
+      model.fields.push({ name: 'email', type: 'string', required: true, description: 'User email' });
+
+      const [entity] = diffSpecifications(before, after).sections.architecture.entities;
+
+      expect(entity).toMatchObject({ collection: 'dataModels', id: 'DM001', status: 'modified', changes: [] });
+      expect(entity.fields).toEqual([
+        { name: 'id', status: 'modified', changes: [{ path: 'type', before: 'UUID', after: 'string' }] },
+        { name: 'email', status: 'added', changes: [] }
+      ]);
+    });
+
+    it('should report changes outside entity collections by path', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      after.metadata.estimatedHours = 40;
+      after.implementation.security.authentication = 'OAuth 2.0';
+
+      const { sections } = diffSpecifications(before, after);
+
+      expect(sections.metadata).toEqual({
+        entities: [],
+        changes: [{ path: 'estimatedHours', before: 24, after: 40 }]
+      });
+      expect(sections.implementation.changes).toEqual([
+        { path: 'security.authentication', before: 'JWT tokens', after: 'OAuth 2.0' }
+      ]);
+    });
+  });
+
+  describe('preserveIds', () => {
+    it('should restore IDs of renumbered entities and their references', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      after.requirements.functional[0].id = 'FR004';
+      after.architecture.apiEndpoints[0].relatedRequirements = ['FR004'];
+      after.testing.testCases[0].relatedRequirements = ['FR004'];
+      after.architecture.apiEndpoints[0].id = 'EP009';
+
+      const fixes = preserveIds(before, after);
+
+      expect(after.requirements.functional[0].id).toBe('FR001');
+      expect(after.architecture.apiEndpoints[0].id).toBe('EP001');
+      expect(after.architecture.apiEndpoints[0].relatedRequirements).toEqual(['FR001']);
+      expect(after.testing.testCases[0].relatedRequirements).toEqual(['FR001']);
+      expect(fixes).toContainEqual({ type: 'id_restored', path: 'requirements.functional.0.id', from: 'FR004', to: 'FR001' });
+    });
+
+    it('should leave genuinely new entities alone', () => {
+      const before = createSpecification();
+      const after = createSpecification();
+      after.requirements.functional.push({ ...before.requirements.functional[0], id: 'FR002', title: 'New requirement' });
+
+      expect(preserveIds(before, after)).toEqual([]);
+      expect(after.requirements.functional.map(requirement => requirement.id)).toEqual(['FR001', 'FR002']);
+    });
+  });
+});
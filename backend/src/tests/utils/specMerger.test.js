@@ -0,0 +1,106 @@
+const { mergeSpecifications } = require('../../utils/specMerger');
+const { AIResponseValidator } = require('../../validators/aiResponseValidator');
+const { createSpecification } = require('../fixtures/specification');
+
+const source = (id, customize = () => {}) => {
+  const specification = createSpecification();
+  customize(specification);
+  return { id, name: `Feature ${id}`, specification };
+};
+
+describe('specMerger', () => {
+  it('should renumber entities without collisions and follow requirement references', () => {
+    const login = source('spec_a');
+    const profile = source('spec_b', specification => {
+      const [requirement] = specification.requirements.functional;
+      specification.requirements.functional = [
+        { ...requirement, id: 'FR001', title: 'Edit profile', dependencies: ['FR002'] },
+        { ...requirement, id: 'FR002', title: 'View profile' }
+      ];
+      specification.architecture.apiEndpoints[0] = { ...specification.architecture.apiEndpoints[0], path: '/api/profile', relatedRequirements: ['FR002'] };
+      specification.testing.testCases[0].relatedRequirements = ['FR001', 'NFR001'];
+    });
+
+    const { specification, report } = mergeSpecifications([login, profile]);
+
+    expect(specification.requirements.functional.map(({ id, title, dependencies }) => ({ id, title, dependencies }))).toEqual([
+      { id: 'FR001', title: 'Test Requirement', dependencies: [] },
+      { id: 'FR002', title: 'Edit profile', dependencies: ['FR003'] },
+      { id: 'FR003', title: 'View profile', dependencies: [] }
+    ]);
+    expect(specification.architecture.apiEndpoints[1]).toMatchObject({ id: 'EP002', path: '/api/profile', relatedRequirements: ['FR003'] });
+    expect(specification.testing.testCases[1]).toMatchObject({ id: 'TC002', relatedRequirements: ['FR002', 'NFR002'] });
+    expect(report.idMap.spec_b).toMatchObject({ FR001: 'FR002', FR002: 'FR003', NFR001: 'NFR002', EP001: 'EP002' });
+    expect(report.traceability.FR003).toMatchObject({ source: { specId: 'spec_b', id: 'FR002' }, apiEndpoints: ['EP002'] });
+
+    expect(() => AIResponseValidator.validate(specification, 'merger-test')).not.toThrow();
+  });
+
+  it('should keep shared data models, services and endpoints once', () => {
+    const orders = source('spec_b', specification => {
+      const [model] = specification.architecture.dataModels;
+      specification.architecture.dataModels = [
+        { ...model, id: 'DM001', name: 'testmodel', fields: [...model.fields, { name: 'status', type: 'string', required: true, description: 'Order status' }] },
+        { ...model, id: 'DM002', name: 'Order', relationships: [{ type: 'oneToMany', target: 'TESTMODEL', description: 'Owner' }] }
+      ];
+      specification.architecture.services[0].methods.push({ name: 'cancel', description: 'Cancel', parameters: [], returns: 'void' });
+      specification.architecture.apiEndpoints[0].path = '/api/test/';
+    });
+
+    const { specification, report } = mergeSpecifications([source('spec_a'), orders]);
+    const { dataModels, services, apiEndpoints } = specification.architecture;
+
+    expect(dataModels.map(model => model.name)).toEqual(['TestModel', 'Order']);
+    expect(dataModels[0].fields.map(field => field.name)).toEqual(['id', 'status']);
+    expect(dataModels[1].relationships[0].target).toBe('TestModel');
+    expect(services).toHaveLength(1);
+    expect(services[0].methods.map(method => method.name)).toEqual(['testMethod', 'cancel']);
+    expect(apiEndpoints).toHaveLength(1);
+    expect(apiEndpoints[0].relatedRequirements).toEqual(['FR001', 'FR002']);
+    expect(report.deduplicated).toEqual([
+      { collection: 'apiEndpoints', id: 'EP001', label: 'GET /api/test', specIds: ['spec_a', 'spec_b'] },
+      { collection: 'dataModels', id: 'DM001', label: 'TestModel', specIds: ['spec_a', 'spec_b'] },
+      { collection: 'services', id: 'SV001', label: 'TestService', specIds: ['spec_a', 'spec_b'] }
+    ]);
+
+    expect(() => AIResponseValidator.validate(specification, 'merger-test')).not.toThrow();
+  });
+
+  it('should unify dependencies and report version conflicts', () => {
+    const express = { name: 'express', type: 'library', version: '^4.18.0', purpose: 'Web framework', critical: false };
+    const api = source('spec_a', specification => {
+      specification.implementation.dependencies = { runtime: [express], development: [{ ...express, name: 'jest', version: '^29.0.0' }] };
+    });
+    const worker = source('spec_b', specification => {
+      specification.implementation.dependencies = {
+        runtime: [{ ...express, version: '^5.0.0', critical: true }, { ...express, name: 'Jest', version: '^29.0.0' }],
+        development: []
+      };
+    });
+
+    const { specification, report } = mergeSpecifications([api, worker]);
+
+    expect(specification.implementation.dependencies).toEqual({
+      runtime: [{ ...express, critical: true }, { ...express, name: 'Jest', version: '^29.0.0' }],
+      development: []
+    });
+    expect(report.dependencyConflicts).toEqual([{
+      name: 'express',
+      version: '^4.18.0',
+      versions: [{ specId: 'spec_a', version: '^4.18.0' }, { specId: 'spec_b', version: '^5.0.0' }]
+    }]);
+  });
+
+  it('should size the metadata for the whole system', () => {
+    const { specification } = mergeSpecifications([source('spec_a'), source('spec_b')], { name: 'Shop' });
+
+    expect(specification.metadata).toEqual({
+      name: 'Shop',
+      description: 'A test feature for validation',
+      complexity: 'complex',
+      estimatedHours: 48,
+      tags: ['test', 'validation'],
+      version: '1.0.0'
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { StreamingJsonParser } = require('../../utils/streamingJsonParser');
+
+describe('StreamingJsonParser', () => {
+  const document = {
+    metadata: { name: 'Login', tags: ['auth', 'web'] },
+    requirements: { functional: [{ id: 'FR001', title: 'Braces { } and "quotes" in strings' }] },
+    version: 2,
+    draft: false,
+    notes: 'trailing, string'
+  };
+
+  const splitIntoChunks = (text, size) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+      chunks.push(text.slice(i, i + size));
+    }
+    return chunks;
+  };
+
+  it('should emit every top-level section once it is complete', () => {
+    const parser = new StreamingJsonParser();
+    const emitted = parser.push(JSON.stringify(document));
+
+    expect(emitted.map(section => section.key)).toEqual(['metadata', 'requirements', 'version', 'draft', 'notes']);
+    expect(parser.getSections()).toEqual(document);
+    expect(parser.isComplete()).toBe(true);
+  });
+
+  it('should handle arbitrary chunk boundaries', () => {
+    const text = JSON.stringify(document, null, 2);
+
+    [1, 3, 7, 50].forEach(size => {
+      const parser = new StreamingJsonParser();
+      const emitted = splitIntoChunks(text, size).flatMap(chunk => parser.push(chunk));
+
+      expect(emitted).toHaveLength(5);
+      expect(parser.getSections()).toEqual(document);
+      expect(parser.getText()).toBe(text);
+    });
+  });
+
+  it('should not emit a section before its value is closed', () => {
+    const parser = new StreamingJsonParser();
+
+    expect(parser.push('{"metadata": {"name": "Lo')).toEqual([]);
+    expect(parser.push('gin"}, "requirements": {')).toEqual([
+      { key: 'metadata', value: { name: 'Login' } }
+    ]);
+  });
+
+  it('should ignore markdown fences around the object', () => {
+    const parser = new StreamingJsonParser();
+    const emitted = parser.push('```json\n{"metadata": {"name": "Login"}}\n```');
+
+    expect(emitted).toEqual([{ key: 'metadata', value: { name: 'Login' } }]);
+    expect(parser.isComplete()).toBe(true);
+  });
+
+  it('should handle escaped quotes inside strings', () => {
+    const parser = new StreamingJsonParser();
+    const emitted = parser.push('{"note": "say \\"hi\\" {", "next": [1]}');
+
+    expect(emitted).toEqual([
+      { key: 'note', value: 'say "hi" {' },
+      { key: 'next', value: [1] }
+    ]);
+  });
+});
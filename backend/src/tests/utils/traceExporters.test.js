@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Tracer } = require('../../utils/tracing');
+const { OtlpHttpExporter, JsonFileExporter, createTraceExporter } = require('../../utils/traceExporters');
+
+describe('traceExporters', () => {
+  const endedSpan = () => {
+    const tracer = new Tracer();
+    const span = tracer.startSpan('ai.attempt', { kind: 'client', attributes: { 'ai.provider': 'openai', 'ai.attempt': 2, 'spec.valid': false } });
+    span.recordException(new Error('rate limited'));
+    span.end();
+    return span;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should post spans to the collector as OTLP/JSON', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    const exporter = new OtlpHttpExporter({ endpoint: 'http://collector:4318/', serviceName: 'afb', headers: { 'x-api-key': 'secret' } });
+    const span = endedSpan();
+
+    await exporter.export([span]);
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://collector:4318/v1/traces');
+    expect(request.headers).toMatchObject({ 'Content-Type': 'application/json', 'x-api-key': 'secret' });
+
+    const { resourceSpans: [resourceSpan] } = JSON.parse(request.body);
+    expect(resourceSpan.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'afb' } }]);
+
+    const [otlpSpan] = resourceSpan.scopeSpans[0].spans;
+    expect(otlpSpan).toMatchObject({ traceId: span.traceId, spanId: span.spanId, name: 'ai.attempt', kind: 3, status: { code: 2, message: 'rate limited' } });
+    expect(otlpSpan.parentSpanId).toBeUndefined();
+    expect(otlpSpan.attributes).toEqual([
+      { key: 'ai.provider', value: { stringValue: 'openai' } },
+      { key: 'ai.attempt', value: { intValue: '2' } },
+      { key: 'spec.valid', value: { boolValue: false } }
+    ]);
+    expect(BigInt(otlpSpan.endTimeUnixNano) >= BigInt(otlpSpan.startTimeUnixNano)).toBe(true);
+    expect(otlpSpan.events[0].name).toBe('exception');
+  });
+
+  it('should fail the export when the collector rejects it', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+    const exporter = new OtlpHttpExporter({ endpoint: 'http://collector:4318', serviceName: 'afb' });
+
+    await expect(exporter.export([endedSpan()])).rejects.toThrow('OTLP collector responded with HTTP 503');
+  });
+
+  it('should append one JSON span per line to the trace file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    const file = path.join(directory, 'nested', 'traces.jsonl');
+    const exporter = new JsonFileExporter({ file });
+
+    await exporter.export([endedSpan()]);
+    await exporter.export([endedSpan()]);
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ name: 'ai.attempt', kind: 'client', status: { code: 'error' }, attributes: { 'ai.attempt': 2 } });
+    expect(lines[0].durationMs).toEqual(expect.any(Number));
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should pick the exporter of TRACING_EXPORTER', () => {
+    const tracing = { otlpEndpoint: 'http://localhost:4318', serviceName: 'afb', file: '/tmp/traces.jsonl' };
+
+    expect(createTraceExporter({ ...tracing, exporter: 'none' })).toBeNull();
+    expect(createTraceExporter({ ...tracing, exporter: 'otlp' })).toBeInstanceOf(OtlpHttpExporter);
+    expect(createTraceExporter({ ...tracing, exporter: 'file' })).toBeInstanceOf(JsonFileExporter);
+  });
+});
@@ -0,0 +1,90 @@
+const { Tracer, parseTraceparent, formatTraceparent } = require('../../utils/tracing');
+
+describe('tracing', () => {
+  describe('traceparent', () => {
+    it('should parse and format W3C trace context headers', () => {
+      const header = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+      const context = parseTraceparent(header);
+
+      expect(context).toEqual({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331', sampled: true });
+      expect(formatTraceparent(context)).toBe(header);
+      expect(parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00').sampled).toBe(false);
+    });
+
+    it('should reject malformed and all-zero headers', () => {
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent('00-0af7651916cd43dd-b7ad6b7169203331-01')).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-b7ad6b7169203331-01`)).toBeNull();
+    });
+  });
+
+  describe('Tracer', () => {
+    let exporter;
+    let tracer;
+
+    beforeEach(() => {
+      exporter = { export: jest.fn().mockResolvedValue() };
+      tracer = new Tracer({ exporter });
+    });
+
+    it('should nest spans along the async flow and export them on flush', async () => {
+      const root = tracer.startSpan('POST /api/generate-spec', { kind: 'server' });
+
+      await tracer.withSpan(root, () => tracer.trace('ai.provider', { 'ai.provider': 'mock' }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        tracer.trace('ai.parse_response', {}, () => JSON.parse('{}'));
+      }));
+      root.end();
+      await tracer.flush();
+
+      const [spans] = exporter.export.mock.calls[0];
+      const byName = Object.fromEntries(spans.map(span => [span.name, span]));
+
+      expect(spans.map(span => span.name)).toEqual(['ai.parse_response', 'ai.provider', 'POST /api/generate-spec']);
+      expect(new Set(spans.map(span => span.traceId)).size).toBe(1);
+      expect(byName['ai.parse_response'].parentSpanId).toBe(byName['ai.provider'].spanId);
+      expect(byName['ai.provider'].parentSpanId).toBe(root.spanId);
+      expect(byName['ai.provider'].toJSON()).toMatchObject({ kind: 'internal', attributes: { 'ai.provider': 'mock' }, status: { code: 'ok' } });
+      expect(tracer.getActiveSpan()).toBeNull();
+    });
+
+    it('should mark spans failed when the function throws or rejects', async () => {
+      expect(() => tracer.trace('ai.parse_response', {}, () => JSON.parse('{'))).toThrow(SyntaxError);
+      await expect(tracer.trace('ai.attempt', {}, async () => {
+        throw new Error('timeout');
+      })).rejects.toThrow('timeout');
+      await tracer.flush();
+
+      const [spans] = exporter.export.mock.calls[0];
+      expect(spans.map(span => span.status.code)).toEqual(['error', 'error']);
+      expect(spans[1].events[0]).toMatchObject({ name: 'exception', attributes: { 'exception.type': 'Error', 'exception.message': 'timeout' } });
+    });
+
+    it('should follow the sampling decision of the parent and drop unsampled spans', async () => {
+      tracer.sampleRatio = 0;
+      const unsampled = tracer.startSpan('GET /api/specs');
+      unsampled.end();
+
+      const remote = tracer.startSpan('POST /api/jobs', {
+        parent: parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')
+      });
+      remote.end();
+      await tracer.flush();
+
+      expect(exporter.export).toHaveBeenCalledTimes(1);
+      expect(exporter.export.mock.calls[0][0]).toEqual([remote]);
+      expect(remote).toMatchObject({ traceId: '0af7651916cd43dd8448eb211c80319c', parentSpanId: 'b7ad6b7169203331' });
+    });
+
+    it('should log export failures without throwing', async () => {
+      const logger = { warn: jest.fn() };
+      tracer = new Tracer({ exporter: { export: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) }, logger });
+
+      tracer.startSpan('GET /health').end();
+      await tracer.flush();
+
+      expect(logger.warn).toHaveBeenCalledWith('Trace export failed', { spans: 1, error: 'ECONNREFUSED' });
+      expect(tracer.stats).toMatchObject({ exported: 0, failed: 1 });
+    });
+  });
+});
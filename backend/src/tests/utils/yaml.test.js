@@ -0,0 +1,56 @@
+const { toYaml } = require('../../utils/yaml');
+
+describe('toYaml', () => {
+  it('should emit nested mappings and sequences in block style', () => {
+    const yaml = toYaml({
+      openapi: '3.1.0',
+      tags: [{ name: 'resources' }, { name: 'auth' }],
+      paths: { '/api/resources': { get: { responses: { 200: { description: 'Elenco restituito' } } } } },
+      required: ['id', 'name'],
+      skipped: undefined,
+      matrix: [[1, 2], []]
+    });
+
+    expect(yaml).toBe([
+      'openapi: "3.1.0"',
+      'tags:',
+      '  - name: resources',
+      '  - name: auth',
+      'paths:',
+      '  /api/resources:',
+      '    get:',
+      '      responses:',
+      '        "200":',
+      '          description: Elenco restituito',
+      'required:',
+      '  - id',
+      '  - name',
+      'matrix:',
+      '  - - 1',
+      '    - 2',
+      '  - []',
+      ''
+    ].join('\n'));
+  });
+
+  it('should quote strings that would read back as another type', () => {
+    const yaml = toYaml({ values: ['true', 'null', '42', '', 'a: b', '#/components/schemas/Resource', 'riga\nnuova', 'ok'] });
+
+    expect(yaml.split('\n').slice(1, -1)).toEqual([
+      '  - "true"',
+      '  - "null"',
+      '  - "42"',
+      '  - ""',
+      '  - "a: b"',
+      '  - "#/components/schemas/Resource"',
+      '  - "riga\\nnuova"',
+      '  - ok'
+    ]);
+  });
+
+  it('should write scalars, empty collections and null as flow values', () => {
+    expect(toYaml({ enabled: false, limit: 10, items: [], schema: {}, value: null })).toBe(
+      'enabled: false\nlimit: 10\nitems: []\nschema: {}\nvalue: null\n'
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const zlib = require('zlib');
+const { createZip, crc32 } = require('../../utils/zip');
+
+describe('zip', () => {
+  // Reads the entries back through the central directory
+  const readZip = archive => {
+    const end = archive.length - 22;
+    const count = archive.readUInt16LE(end + 10);
+    let offset = archive.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let index = 0; index < count; index++) {
+      const nameLength = archive.readUInt16LE(offset + 28);
+      const name = archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+      const local = archive.readUInt32LE(offset + 42);
+      const size = archive.readUInt32LE(offset + 20);
+      const dataStart = local + 30 + archive.readUInt16LE(local + 26);
+      const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + size));
+
+      entries.push({ name, content: content.toString('utf8'), crc: archive.readUInt32LE(offset + 16), actualCrc: crc32(content) });
+      offset += 46 + nameLength;
+    }
+
+    return entries;
+  };
+
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write deflated entries readable through the central directory', () => {
+    const archive = createZip([
+      { name: 'migrations/up.sql', content: 'CREATE TABLE "Order" ("id" UUID);\n' },
+      { name: 'funzionalità.feature', content: Buffer.from('Funzionalità: Ordini\n') }
+    ], { date: new Date(2024, 4, 17, 10, 30, 12) });
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+
+    const entries = readZip(archive);
+    expect(entries.map(entry => entry.name)).toEqual(['migrations/up.sql', 'funzionalità.feature']);
+    expect(entries[1].content).toBe('Funzionalità: Ordini\n');
+    entries.forEach(entry => expect(entry.crc).toBe(entry.actualCrc));
+  });
+});
@@ -0,0 +1,108 @@
+const { AIResponseRepairer } = require('../../validators/aiResponseRepairer');
+const { AIResponseValidator } = require('../../validators/aiResponseValidator');
+const { createSpecification } = require('../fixtures/specification');
+
+describe('AIResponseRepairer', () => {
+  it('should leave a valid response untouched', () => {
+    const response = createSpecification();
+
+    const { data, fixes } = AIResponseRepairer.repair(response);
+
+    expect(fixes).toEqual([]);
+    expect(data).toEqual(response);
+  });
+
+  it('should not mutate the input', () => {
+    const response = createSpecification();
+    response.requirements.functional[0].id = 'FR1';
+
+    AIResponseRepairer.repair(response);
+
+    expect(response.requirements.functional[0].id).toBe('FR1');
+  });
+
+  it('should renumber malformed IDs and update references', () => {
+    const response = createSpecification();
+    response.requirements.functional[0].id = 'FR1';
+    response.requirements.functional.push({
+      ...response.requirements.functional[0],
+      id: 'login-flow',
+      dependencies: ['FR1']
+    });
+    response.architecture.apiEndpoints[0].relatedRequirements = ['FR1', 'login-flow'];
+    response.testing.testCases[0].id = 'TC-7';
+
+    const { data, fixes } = AIResponseRepairer.repair(response);
+
+    expect(data.requirements.functional.map(r => r.id)).toEqual(['FR001', 'FR002']);
+    expect(data.requirements.functional[1].dependencies).toEqual(['FR001']);
+    expect(data.architecture.apiEndpoints[0].relatedRequirements).toEqual(['FR001', 'FR002']);
+    expect(data.testing.testCases[0].id).toBe('TC007');
+    expect(fixes).toContainEqual({
+      type: 'id_renumbered',
+      path: 'requirements.functional.0.id',
+      from: 'FR1',
+      to: 'FR001'
+    });
+    expect(AIResponseValidator.validateSections(data, 'test').valid).toBe(true);
+  });
+
+  it('should give duplicate IDs a free number without rewriting references', () => {
+    const response = createSpecification();
+    response.requirements.functional.push({ ...response.requirements.functional[0] });
+
+    const { data } = AIResponseRepairer.repair(response);
+
+    expect(data.requirements.functional.map(r => r.id)).toEqual(['FR001', 'FR002']);
+    expect(data.architecture.apiEndpoints[0].relatedRequirements).toEqual(['FR001']);
+  });
+
+  it('should coerce enum values by case and known aliases', () => {
+    const response = createSpecification();
+    response.architecture.apiEndpoints[0].method = 'OPTIONS';
+    response.requirements.functional[0].priority = 'Critical';
+    response.metadata.complexity = 'MEDIUM';
+    response.testing.testCases[0].type = 'end-to-end';
+    response.architecture.dataModels[0].relationships = [{
+      type: 'one-to-many',
+      target: 'TestModel',
+      description: 'Self reference'
+    }];
+
+    const { data, fixes } = AIResponseRepairer.repair(response);
+
+    expect(data.architecture.apiEndpoints[0].method).toBe('GET');
+    expect(data.requirements.functional[0].priority).toBe('high');
+    expect(data.metadata.complexity).toBe('medium');
+    expect(data.testing.testCases[0].type).toBe('e2e');
+    expect(data.architecture.dataModels[0].relationships[0].type).toBe('oneToMany');
+    expect(fixes.every(fix => fix.type === 'enum_coerced')).toBe(true);
+    expect(fixes).toHaveLength(5);
+  });
+
+  it('should leave unknown enum values for validation to report', () => {
+    const response = createSpecification();
+    response.architecture.apiEndpoints[0].method = 'CONNECT';
+
+    const { data, fixes } = AIResponseRepairer.repair(response);
+
+    expect(data.architecture.apiEndpoints[0].method).toBe('CONNECT');
+    expect(fixes).toEqual([]);
+  });
+
+  it('should apply default arrays and metadata defaults', () => {
+    const response = createSpecification();
+    delete response.requirements.functional[0].dependencies;
+    response.architecture.dataModels[0].relationships = null;
+    response.metadata.version = '1.0';
+    response.metadata.tags = 'auth, web';
+
+    const { data, fixes } = AIResponseRepairer.repair(response);
+
+    expect(data.requirements.functional[0].dependencies).toEqual([]);
+    expect(data.architecture.dataModels[0].relationships).toEqual([]);
+    expect(data.metadata.version).toBe('1.0.0');
+    expect(data.metadata.tags).toEqual(['auth', 'web']);
+    expect(AIResponseRepairer.summarize(fixes)).toEqual({ default_applied: 4 });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Conflicts between the specifications of a project
+ * Features generated separately for the same product tend to redefine the same
+ * endpoints, data models and configuration keys; only definitions coming from
+ * two or more specifications are compared
+ */
+
+const ENDPOINT_FIELDS = ['requestBody', 'responseBody', 'authentication'];
+const CONFIGURATION_FIELDS = ['type', 'defaultValue', 'required', 'environment'];
+
+// Differences that make two definitions incompatible; the others are warnings
+const BREAKING_FIELDS = {
+  endpoint: ['requestBody', 'responseBody', 'authentication'],
+  dataModel: ['type'],
+  configuration: ['type', 'defaultValue']
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+/**
+ * Analyze the specifications of a project
+ * @param {Array} specs - `{ id, name, specification }` for each specification
+ * @returns {Object} - `{ conflicts, summary }` where each conflict is
+ *   `{ type, key, severity, occurrences, differences }`: `type` is `endpoint`, `dataModel`
+ *   or `configuration`, each occurrence `{ specId, specName, entityId }` and each difference
+ *   `{ path, values }` with the value of every specification `{ specId, value }`;
+ *   `summary` counts `{ total, errors, warnings, byType }`
+ */
+function analyzeConflicts(specs) {
+  const conflicts = [
+    ...findEndpointConflicts(specs),
+    ...findDataModelConflicts(specs),
+    ...findConfigurationConflicts(specs)
+  ].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+    || a.type.localeCompare(b.type)
+    || a.key.localeCompare(b.key));
+
+  const summary = { total: conflicts.length, errors: 0, warnings: 0, byType: { endpoint: 0, dataModel: 0, configuration: 0 } };
+  conflicts.forEach(conflict => {
+    summary[conflict.severity === 'error' ? 'errors' : 'warnings']++;
+    summary.byType[conflict.type]++;
+  });
+
+  return { conflicts, summary };
+}
+
+/**
+ * Same method and path (parameter names ignored) in several specifications;
+ * a collision with the same contract is still reported as a duplicate
+ */
+function findEndpointConflicts(specs) {
+  const groups = groupAcrossSpecs(specs, ['architecture', 'apiEndpoints'], endpoint => (
+    typeof endpoint.method === 'string' && typeof endpoint.path === 'string'
+      ? `${endpoint.method.trim().toUpperCase()} ${endpoint.path.trim()}`
+      : null
+  ), key => {
+    const [method, path] = key.split(' ');
+    return `${method} ${normalizePath(path)}`;
+  });
+
+  return groups.map(({ key, occurrences }) => {
+    const differences = ENDPOINT_FIELDS
+      .map(field => compareValues(field, occurrences, item => item[field]))
+      .filter(Boolean);
+
+    return buildConflict('endpoint', key, occurrences, differences);
+  });
+}
+
+/**
+ * Models with the same name whose shared fields disagree on type or
+ * requiredness; fields only one specification defines are extensions, not conflicts
+ */
+function findDataModelConflicts(specs) {
+  const groups = groupAcrossSpecs(specs, ['architecture', 'dataModels'], model => (
+    typeof model.name === 'string' ? model.name.trim() : null
+  ));
+
+  return groups.flatMap(({ key, occurrences }) => {
+    const fieldNames = new Set(occurrences.flatMap(({ item }) => getFields(item).map(field => field.name)));
+    const differences = [];
+
+    fieldNames.forEach(name => {
+      const defining = occurrences.filter(({ item }) => getFields(item).some(field => field.name === name));
+      const field = item => getFields(item).find(candidate => candidate.name === name);
+
+      differences.push(
+        compareValues(`fields.${name}.type`, defining, item => field(item).type, normalizeType),
+        compareValues(`fields.${name}.required`, defining, item => field(item).required === true)
+      );
+    });
+
+    const conflicting = differences.filter(Boolean);
+    return conflicting.length > 0 ? [buildConflict('dataModel', key, occurrences, conflicting)] : [];
+  });
+}
+
+/**
+ * The same key in `implementation.configuration` of several specifications
+ */
+function findConfigurationConflicts(specs) {
+  const groups = groupAcrossSpecs(specs, ['implementation', 'configuration'], entry => (
+    typeof entry.key === 'string' ? entry.key.trim() : null
+  ));
+
+  return groups.map(({ key, occurrences }) => {
+    const differences = CONFIGURATION_FIELDS
+      .map(field => compareValues(field, occurrences, item => item[field]))
+      .filter(Boolean);
+
+    return buildConflict('configuration', key, occurrences, differences);
+  });
+}
+
+/**
+ * Group the items of a collection by key, keeping the groups that span
+ * more than one specification; keys are compared case-insensitively unless
+ * `normalize` says otherwise, the first key found labels the group
+ * @returns {Array} - `{ key, occurrences }` with occurrences `{ spec, item }`
+ */
+function groupAcrossSpecs(specs, path, getKey, normalize = key => key.toLowerCase()) {
+  const groups = new Map();
+
+  specs.forEach(spec => {
+    getArray(spec.specification, path).forEach(item => {
+      const key = item && typeof item === 'object' ? getKey(item) : null;
+      if (!key) return;
+
+      const normalized = normalize(key);
+      if (!groups.has(normalized)) {
+        groups.set(normalized, { key, occurrences: [] });
+      }
+      groups.get(normalized).occurrences.push({ spec, item });
+    });
+  });
+
+  return [...groups.values()].filter(({ occurrences }) => new Set(occurrences.map(({ spec }) => spec.id)).size > 1);
+}
+
+/**
+ * @returns {Object|null} - `{ path, values }` when the occurrences disagree
+ */
+function compareValues(path, occurrences, getValue, normalize = value => value) {
+  const values = occurrences.map(({ spec, item }) => ({ specId: spec.id, value: getValue(item) ?? null }));
+  const distinct = new Set(values.map(({ value }) => JSON.stringify(normalize(value))));
+
+  return distinct.size > 1 ? { path, values } : null;
+}
+
+function buildConflict(type, key, occurrences, differences) {
+  const breaking = differences.some(({ path }) => BREAKING_FIELDS[type].includes(path.split('.').pop()));
+
+  return {
+    type,
+    key,
+    severity: breaking ? 'error' : 'warning',
+    occurrences: occurrences.map(({ spec, item }) => ({
+      specId: spec.id,
+      specName: spec.name,
+      entityId: item.id || null
+    })),
+    differences
+  };
+}
+
+/**
+ * `/api/Users/{userId}/` and `/api/users/:id` are the same route
+ */
+function normalizePath(path) {
+  const normalized = path
+    .split('?')[0]
+    .trim()
+    .toLowerCase()
+    .replace(/\/(:[^/]+|\{[^/}]+\}|<[^/>]+>)/g, '/{}')
+    .replace(/\/+$/, '');
+
+  return normalized || '/';
+}
+
+function normalizeType(type) {
+  return typeof type === 'string' ? type.trim().toLowerCase() : type;
+}
+
+function getFields(model) {
+  return (Array.isArray(model.fields) ? model.fields : []).filter(field => field && typeof field.name === 'string');
+}
+
+function getArray(data, path) {
+  const value = path.reduce((current, segment) => (current && typeof current === 'object' ? current[segment] : undefined), data);
+  return Array.isArray(value) ? value : [];
+}
+
+module.exports = {
+  analyzeConflicts,
+  normalizePath
+};
@@ -0,0 +1,82 @@
+/**
+ * Minimal JSON Web Tokens signed with HMAC SHA-256 (HS256)
+ * Enough for the sessions issued and verified by this server; tokens from
+ * other issuers or algorithms are rejected
+ */
+
+const crypto = require('crypto');
+
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims (`iat` and `exp` are added)
+ * @param {string} secret - Signing secret
+ * @param {number} expiresInSeconds - Lifetime of the token
+ * @returns {string} - Compact JWT
+ */
+function signToken(payload, secret, expiresInSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const body = encode({ ...payload, iat: issuedAt, exp: issuedAt + expiresInSeconds });
+
+  return `${HEADER}.${body}.${sign(`${HEADER}.${body}`, secret)}`;
+}
+
+/**
+ * Verify signature and expiry of a token
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Signing secret
+ * @returns {Object} - Claims
+ * @throws {TokenError} - INVALID_TOKEN, TOKEN_EXPIRED
+ */
+function verifyToken(token, secret) {
+  const [header, body, signature, ...rest] = String(token).split('.');
+
+  if (header !== HEADER || !body || !signature || rest.length > 0) {
+    throw new TokenError('Malformed token', 'INVALID_TOKEN');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('Invalid token signature', 'INVALID_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenError('Malformed token', 'INVALID_TOKEN');
+  }
+
+  if (!Number.isInteger(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('Token has expired', 'TOKEN_EXPIRED');
+  }
+
+  return claims;
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Token verification error
+ */
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  TokenError
+};
@@ -1,8 +1,70 @@
 const logger = require('./logger');
 
+// Prefix of every metric exported in Prometheus format
+const METRIC_PREFIX = 'afb';
+
+// Histogram buckets: latencies in seconds, tokens per AI request
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const TOKEN_BUCKETS = [100, 250, 500, 1000, 2000, 4000, 8000, 16000, 32000];
+
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+/**
+ * Cumulative histogram in the Prometheus sense: one series per label set
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * @param {Object} labels - Label values of the series
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+
+    this.series.set(key, series);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {Array<string>} - Sample lines (`_bucket`, `_sum`, `_count`)
+   */
+  toPrometheus(name) {
+    return Array.from(this.series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => sample(`${name}_bucket`, { ...labels, le: bound }, counts[index])),
+      sample(`${name}_bucket`, { ...labels, le: '+Inf' }, count),
+      sample(`${name}_sum`, labels, sum),
+      sample(`${name}_count`, labels, count)
+    ]);
+  }
+}
+
+/**
+ * One sample line of the Prometheus text format
+ */
+function sample(name, labels, value) {
+  const entries = Object.entries(labels);
+  const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const labelText = entries.length > 0
+    ? `{${entries.map(([label, labelValue]) => `${label}="${escape(labelValue)}"`).join(',')}}`
+    : '';
+
+  return `${name}${labelText} ${value}`;
+}
+
 /**
  * Simple metrics collection service with memory leak protection
- * Can be extended with Prometheus or other monitoring solutions
+ * Exported in Prometheus text format on GET /metrics (see toPrometheus)
  */
 class MetricsService {
   constructor() {
@@ -28,6 +90,7 @@ class MetricsService {
         deletes: 0
       }
     };
+    this.histograms = this.createHistograms();
     
     this.startTime = Date.now();
     this.maxEndpoints = 1000; // Prevent unbounded growth
@@ -37,6 +100,7 @@ class MetricsService {
     this.cleanupInterval = setInterval(() => {
       this.performCleanup();
     }, 10 * 60 * 1000); // Every 10 minutes
+    this.cleanupInterval.unref();
     
     // Cleanup on process exit
     process.on('beforeExit', () => {
@@ -44,6 +108,17 @@ class MetricsService {
     });
   }
 
+  /**
+   * Histograms of request and AI latencies and of AI token counts
+   */
+  createHistograms() {
+    return {
+      requestDuration: new Histogram(DURATION_BUCKETS),
+      aiDuration: new Histogram(DURATION_BUCKETS),
+      aiTokens: new Histogram(TOKEN_BUCKETS)
+    };
+  }
+
   /**
    * Perform cleanup to prevent unbounded growth
    */
@@ -88,8 +163,10 @@ class MetricsService {
       this.metrics.requests.errors++;
     }
 
-    // Track by endpoint with size limits
-    const endpoint = `${req.method} ${req.route?.path || req.path}`;
+    this.histograms.requestDuration.observe({ method: req.method }, responseTime / 1000);
+
+    // Track by route pattern with size limits; unmatched paths share one entry
+    const endpoint = `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)'}`;
     if (this.metrics.requests.byEndpoint.size < this.maxEndpoints || 
         this.metrics.requests.byEndpoint.has(endpoint)) {
       const endpointCount = this.metrics.requests.byEndpoint.get(endpoint) || 0;
@@ -113,8 +190,12 @@ class MetricsService {
 
   /**
    * Record AI service metrics
+   * @param {number} responseTime - Duration of the provider call in ms
+   * @param {number} tokensUsed - Tokens reported by the provider
+   * @param {boolean} success - Whether the call succeeded
+   * @param {Object} options - `{ provider }` name of the provider that served the call
    */
-  recordAIRequest(responseTime, tokensUsed = 0, success = true) {
+  recordAIRequest(responseTime, tokensUsed = 0, success = true, { provider = 'unknown' } = {}) {
     this.metrics.ai.requests++;
     this.metrics.ai.totalResponseTime += responseTime;
     this.metrics.ai.avgResponseTime = this.metrics.ai.totalResponseTime / this.metrics.ai.requests;
@@ -127,6 +208,12 @@ class MetricsService {
       this.metrics.ai.errors++;
     }
 
+    const outcome = success ? 'success' : 'error';
+    this.histograms.aiDuration.observe({ provider, outcome }, responseTime / 1000);
+    if (success) {
+      this.histograms.aiTokens.observe({ provider }, tokensUsed);
+    }
+
     logger.debug('AI metrics recorded', {
       responseTime,
       tokensUsed,
@@ -206,6 +293,70 @@ class MetricsService {
     };
   }
 
+  /**
+   * Every metric in the Prometheus text exposition format (version 0.0.4)
+   * @param {Object} sources - Live state read at scrape time
+   * @param {Object} sources.circuitBreakers - `circuitBreakerManager` (aggregated stats and per-breaker status)
+   * @returns {string} - Exposition text
+   */
+  toPrometheus({ circuitBreakers } = {}) {
+    const { requests, ai, cache } = this.metrics;
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = `${METRIC_PREFIX}_${name}`;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      samples.forEach(([labels, value]) => lines.push(sample(fullName, labels, value)));
+    };
+    const histogram = (name, help, data) => {
+      const fullName = `${METRIC_PREFIX}_${name}`;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} histogram`, ...data.toPrometheus(fullName));
+    };
+
+    metric('uptime_seconds', 'gauge', 'Seconds since the metrics started', [[{}, Math.floor((Date.now() - this.startTime) / 1000)]]);
+    metric('process_memory_bytes', 'gauge', 'Memory used by the process',
+      Object.entries(process.memoryUsage()).map(([type, bytes]) => [{ type }, bytes]));
+
+    metric('http_requests_total', 'counter', 'HTTP requests by route',
+      Array.from(requests.byEndpoint.entries()).map(([endpoint, count]) => {
+        const [method, ...route] = endpoint.split(' ');
+        return [{ method, route: route.join(' ') }, count];
+      }));
+    metric('http_responses_total', 'counter', 'HTTP responses by status code',
+      Array.from(requests.byStatusCode.entries()).map(([status, count]) => [{ status }, count]));
+    histogram('http_request_duration_seconds', 'HTTP request latency', this.histograms.requestDuration);
+
+    metric('ai_requests_total', 'counter', 'AI provider calls', [[{}, ai.requests]]);
+    metric('ai_errors_total', 'counter', 'Failed AI provider calls', [[{}, ai.errors]]);
+    metric('ai_tokens_total', 'counter', 'Tokens reported by the AI providers', [[{}, ai.tokens]]);
+    histogram('ai_request_duration_seconds', 'AI provider call latency by provider and outcome', this.histograms.aiDuration);
+    histogram('ai_request_tokens', 'Tokens per successful AI provider call', this.histograms.aiTokens);
+
+    metric('cache_operations_total', 'counter', 'Cache operations across namespaces', [
+      [{ operation: 'get', result: 'hit' }, cache.hits],
+      [{ operation: 'get', result: 'miss' }, cache.misses],
+      [{ operation: 'set' }, cache.sets],
+      [{ operation: 'delete' }, cache.deletes]
+    ]);
+
+    if (circuitBreakers) {
+      const stats = circuitBreakers.getAggregatedStats();
+
+      metric('circuit_breakers', 'gauge', 'Circuit breakers by state', [
+        [{ state: 'closed' }, stats.closedCircuits],
+        [{ state: 'half_open' }, stats.halfOpenCircuits],
+        [{ state: 'open' }, stats.openCircuits]
+      ]);
+      metric('circuit_breaker_state', 'gauge', 'State of each circuit breaker (0 closed, 1 half-open, 2 open)',
+        circuitBreakers.getAllStatuses().map(status => [{ name: status.name }, CIRCUIT_STATES[status.state]]));
+      metric('circuit_breaker_requests_total', 'counter', 'Calls through the circuit breakers by result', [
+        [{ result: 'success' }, stats.totalSuccesses],
+        [{ result: 'failure' }, stats.totalFailures]
+      ]);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
   /**
    * Format uptime in human readable format
    */
@@ -250,6 +401,7 @@ class MetricsService {
         deletes: 0
       }
     };
+    this.histograms = this.createHistograms();
     
     this.startTime = Date.now();
     logger.info('Metrics reset');
@@ -293,7 +445,7 @@ const metricsService = new MetricsService();
 if (process.env.NODE_ENV === 'production') {
   setInterval(() => {
     logger.info('Metrics Summary', metricsService.getSummary());
-  }, 5 * 60 * 1000);
+  }, 5 * 60 * 1000).unref();
 }
 
 module.exports = {
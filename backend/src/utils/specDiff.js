@@ -0,0 +1,276 @@
+/**
+ * Compare two versions of a specification entity by entity
+ * Entities are matched by ID; `key` identifies the same entity when a
+ * model gives it a new ID (e.g. during refinement)
+ */
+
+const { SECTION_NAMES } = require('../validators/aiResponseValidator');
+
+// Entity collections with the field used to label and match them;
+// `nested` lists without IDs are compared item by item using their name
+const ENTITY_COLLECTIONS = [
+  { path: ['requirements', 'functional'], key: item => item.title },
+  { path: ['requirements', 'nonFunctional'], key: item => item.requirement },
+  { path: ['architecture', 'apiEndpoints'], key: item => item.method && item.path && `${item.method} ${item.path}` },
+  { path: ['architecture', 'dataModels'], key: item => item.name, nested: 'fields' },
+  { path: ['architecture', 'services'], key: item => item.name, nested: 'methods' },
+  { path: ['testing', 'testCases'], key: item => item.description },
+  { path: ['testing', 'acceptanceCriteria'], key: item => item.scenario }
+];
+
+// Fields holding requirement IDs that must follow restored IDs
+const REQUIREMENT_REFERENCES = [
+  { path: ['requirements', 'functional'], field: 'dependencies' },
+  { path: ['architecture', 'apiEndpoints'], field: 'relatedRequirements' },
+  { path: ['testing', 'testCases'], field: 'relatedRequirements' },
+  { path: ['testing', 'acceptanceCriteria'], field: 'relatedRequirements' }
+];
+
+/**
+ * Summarize what changed between two specifications
+ * @param {Object} before - Previous specification
+ * @param {Object} after - Updated specification
+ * @returns {Object} - { added, removed, modified, changedSections, totalChanges }
+ *   where each entity change is `{ section, id, label }`
+ */
+function summarizeChanges(before, after) {
+  const summary = { added: [], removed: [], modified: [] };
+
+  ENTITY_COLLECTIONS.forEach(({ path, key }) => {
+    const section = path.join('.');
+    const previous = indexById(getArray(before, path));
+    const current = indexById(getArray(after, path));
+
+    current.forEach((item, id) => {
+      const entry = { section, id, label: key(item) || null };
+
+      if (!previous.has(id)) {
+        summary.added.push(entry);
+      } else if (!isEqual(previous.get(id), item)) {
+        summary.modified.push(entry);
+      }
+    });
+
+    previous.forEach((item, id) => {
+      if (!current.has(id)) {
+        summary.removed.push({ section, id, label: key(item) || null });
+      }
+    });
+  });
+
+  const changedSections = SECTION_NAMES.filter(name => !isEqual(before?.[name], after?.[name]));
+
+  return {
+    ...summary,
+    changedSections,
+    totalChanges: summary.added.length + summary.removed.length + summary.modified.length
+  };
+}
+
+/**
+ * Semantic diff between two specifications, grouped by top-level section
+ * Entities are matched by ID and their changes reported field by field; the
+ * rest of each section is compared value by value (arrays as a whole)
+ * @param {Object} before - Older specification
+ * @param {Object} after - Newer specification
+ * @returns {Object} - `{ sections, summary }` where `sections` only holds changed sections:
+ *   `{ [section]: { entities, changes } }`, each entity being
+ *   `{ collection, id, label, status, changes, before?, after?, [nested]? }` and each change
+ *   `{ path, before, after }`; `summary` counts `{ added, removed, modified, changedSections }`
+ */
+function diffSpecifications(before, after) {
+  const sections = {};
+  const summary = { added: 0, removed: 0, modified: 0, changedSections: [] };
+
+  SECTION_NAMES.forEach(name => {
+    const collections = ENTITY_COLLECTIONS.filter(({ path }) => path[0] === name);
+    const entities = collections.flatMap(collection => diffEntities(before, after, collection));
+
+    const omitCollections = value => (isPlainObject(value)
+      ? Object.fromEntries(Object.entries(value).filter(([key]) => !collections.some(({ path }) => path[1] === key)))
+      : value);
+    const changes = diffValues(omitCollections(before?.[name]), omitCollections(after?.[name]));
+
+    if (entities.length === 0 && changes.length === 0) return;
+
+    sections[name] = { entities, changes };
+    summary.changedSections.push(name);
+    entities.forEach(entity => { summary[entity.status]++; });
+  });
+
+  return { sections, summary };
+}
+
+/**
+ * Added, removed and modified entities of one collection
+ */
+function diffEntities(before, after, { path, key, nested }) {
+  const collection = path[1];
+  const previous = indexById(getArray(before, path));
+  const current = indexById(getArray(after, path));
+  const entities = [];
+
+  current.forEach((item, id) => {
+    const label = key(item) || null;
+
+    if (!previous.has(id)) {
+      entities.push({ collection, id, label, status: 'added', changes: [], after: item });
+      return;
+    }
+
+    const old = previous.get(id);
+    if (isEqual(old, item)) return;
+
+    const entity = { collection, id, label, status: 'modified', changes: diffValues(omit(old, nested), omit(item, nested)) };
+    if (nested) {
+      entity[nested] = diffNamedItems(old[nested], item[nested]);
+    }
+    entities.push(entity);
+  });
+
+  previous.forEach((item, id) => {
+    if (!current.has(id)) {
+      entities.push({ collection, id, label: key(item) || null, status: 'removed', changes: [], before: item });
+    }
+  });
+
+  return entities;
+}
+
+/**
+ * Compare lists of items identified by `name` (model fields, service methods)
+ * @returns {Array} - `{ name, status, changes }` for each changed item
+ */
+function diffNamedItems(before, after) {
+  const index = items => new Map((Array.isArray(items) ? items : [])
+    .filter(item => item && typeof item.name === 'string')
+    .map(item => [item.name, item]));
+  const previous = index(before);
+  const current = index(after);
+  const items = [];
+
+  current.forEach((item, name) => {
+    if (!previous.has(name)) {
+      items.push({ name, status: 'added', changes: [] });
+    } else if (!isEqual(previous.get(name), item)) {
+      items.push({ name, status: 'modified', changes: diffValues(previous.get(name), item) });
+    }
+  });
+
+  previous.forEach((item, name) => {
+    if (!current.has(name)) {
+      items.push({ name, status: 'removed', changes: [] });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Leaf-level differences between two values; objects are walked key by key,
+ * anything else (arrays included) is compared as a whole
+ * @returns {Array} - `{ path, before, after }` with dotted paths relative to the values
+ */
+function diffValues(before, after, path = [], changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      diffValues(before[key], after[key], [...path, key], changes);
+    });
+  } else if (!isEqual(before, after)) {
+    changes.push({ path: path.join('.'), before: before ?? null, after: after ?? null });
+  }
+
+  return changes;
+}
+
+/**
+ * Give back previous IDs to entities the model renumbered
+ * An entity with a new ID takes the ID of a removed entity with the same key
+ * (title, name, method and path...); requirement references follow
+ * @param {Object} before - Previous specification
+ * @param {Object} after - Updated specification (mutated)
+ * @returns {Array} - Fixes `{ type: 'id_restored', path, from, to }`
+ */
+function preserveIds(before, after) {
+  const fixes = [];
+  const requirementIdMap = {};
+
+  ENTITY_COLLECTIONS.forEach(({ path, key }) => {
+    const items = getArray(after, path);
+    if (!items) return;
+
+    const currentIds = new Set(items.map(item => item?.id));
+    const orphans = getArray(before, path)?.filter(item => item?.id && !currentIds.has(item.id)) || [];
+
+    items.forEach((item, index) => {
+      if (!item?.id || orphans.length === 0 || getArray(before, path).some(old => old?.id === item.id)) return;
+
+      const itemKey = normalizeKey(key(item));
+      const match = itemKey && orphans.find(orphan => normalizeKey(key(orphan)) === itemKey);
+      if (!match) return;
+
+      orphans.splice(orphans.indexOf(match), 1);
+      fixes.push({ type: 'id_restored', path: `${path.join('.')}.${index}.id`, from: item.id, to: match.id });
+
+      if (path[0] === 'requirements') {
+        requirementIdMap[item.id] = match.id;
+      }
+      item.id = match.id;
+    });
+  });
+
+  REQUIREMENT_REFERENCES.forEach(({ path, field }) => {
+    (getArray(after, path) || []).forEach((item, index) => {
+      if (!Array.isArray(item?.[field])) return;
+
+      item[field] = item[field].map((reference, refIndex) => {
+        const target = requirementIdMap[reference];
+        if (!target) return reference;
+
+        fixes.push({ type: 'reference_updated', path: `${path.join('.')}.${index}.${field}.${refIndex}`, from: reference, to: target });
+        return target;
+      });
+    });
+  });
+
+  return fixes;
+}
+
+function indexById(items) {
+  const index = new Map();
+  (items || []).forEach(item => {
+    if (item && typeof item.id === 'string') {
+      index.set(item.id, item);
+    }
+  });
+  return index;
+}
+
+function getArray(data, path) {
+  const value = path.reduce((current, segment) => (current && typeof current === 'object' ? current[segment] : undefined), data);
+  return Array.isArray(value) ? value : null;
+}
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function omit(item, field) {
+  if (!field) return item;
+  return Object.fromEntries(Object.entries(item).filter(([key]) => key !== field));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  summarizeChanges,
+  diffSpecifications,
+  preserveIds,
+  ENTITY_COLLECTIONS
+};
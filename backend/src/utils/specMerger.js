@@ -0,0 +1,312 @@
+/**
+ * Combine several feature specifications into one system specification
+ * Entities are renumbered in source order so IDs never collide; data models,
+ * services and endpoints defined by more than one source are kept once, and
+ * the result follows the same schema as a generated specification
+ */
+
+const { normalizePath } = require('./conflictAnalyzer');
+
+// Renumbered collections in merge order (requirements first, so references can
+// follow them); `key` identifies the same entity across sources and `references`
+// holds requirement IDs
+const MERGED_COLLECTIONS = [
+  { path: ['requirements', 'functional'], prefix: 'FR' },
+  { path: ['requirements', 'nonFunctional'], prefix: 'NFR' },
+  {
+    path: ['architecture', 'apiEndpoints'],
+    prefix: 'EP',
+    key: item => `${String(item.method).toUpperCase()} ${normalizePath(String(item.path))}`,
+    combine: combineEndpoints,
+    references: 'relatedRequirements'
+  },
+  { path: ['architecture', 'dataModels'], prefix: 'DM', key: item => String(item.name).trim().toLowerCase(), combine: combineDataModels },
+  { path: ['architecture', 'services'], prefix: 'SV', key: item => String(item.name).trim().toLowerCase(), combine: combineServices },
+  { path: ['testing', 'testCases'], prefix: 'TC', references: 'relatedRequirements' },
+  { path: ['testing', 'acceptanceCriteria'], prefix: 'AC', references: 'relatedRequirements' }
+];
+
+const COMPLEXITY_ORDER = ['simple', 'medium', 'complex'];
+// Upper bound of estimated hours per complexity (see AIResponseValidator business rules)
+const COMPLEXITY_MAX_HOURS = { simple: 16, medium: 40 };
+const MAX_ESTIMATED_HOURS = 1000;
+const MAX_ID_NUMBER = 999;
+
+/**
+ * Merge specifications
+ * @param {Array} sources - `{ id, name, specification }` in the order they are merged
+ * @param {Object} options - `{ name, description }` of the merged specification
+ * @returns {Object} - `{ specification, report }` where `report` is
+ *   `{ idMap, deduplicated, dependencyConflicts, traceability }`: `idMap` maps each source ID to
+ *   `{ [oldId]: newId }`, `deduplicated` lists `{ collection, id, label, specIds }` kept once,
+ *   `dependencyConflicts` lists `{ name, version, versions }` with the kept version and those of
+ *   every source, `traceability` maps each requirement ID to
+ *   `{ source, dependencies, apiEndpoints, testCases, acceptanceCriteria }`
+ * @throws {Error} - When a collection exceeds the 999 IDs the schema allows
+ */
+function mergeSpecifications(sources, { name, description } = {}) {
+  const specs = sources.map(source => ({ ...source, specification: JSON.parse(JSON.stringify(source.specification)) }));
+  const idMap = Object.fromEntries(specs.map(spec => [spec.id, {}]));
+  const origins = {};
+  const deduplicated = [];
+  const merged = {};
+
+  MERGED_COLLECTIONS.forEach(({ path, prefix, key, combine, references }) => {
+    const items = [];
+    const byKey = new Map();
+
+    specs.forEach(spec => {
+      getArray(spec.specification, path).forEach(source => {
+        const item = references ? { ...source, [references]: mapIds(source[references], idMap[spec.id]) } : source;
+        const existing = key && byKey.get(key(item));
+
+        if (existing) {
+          combine(existing.item, item);
+          idMap[spec.id][item.id] = existing.item.id;
+          existing.specIds.add(spec.id);
+          return;
+        }
+
+        if (items.length === MAX_ID_NUMBER) {
+          throw new Error(`Too many entities in ${path.join('.')} to merge`);
+        }
+
+        const id = `${prefix}${String(items.length + 1).padStart(3, '0')}`;
+        idMap[spec.id][item.id] = id;
+        origins[id] = { specId: spec.id, id: item.id };
+
+        const copy = { ...item, id };
+        items.push(copy);
+        if (key) {
+          byKey.set(key(item), { item: copy, specIds: new Set([spec.id]) });
+        }
+      });
+    });
+
+    byKey.forEach(({ item, specIds }) => {
+      if (specIds.size > 1) {
+        deduplicated.push({ collection: path[1], id: item.id, label: item.name || `${item.method} ${item.path}`, specIds: [...specIds] });
+      }
+    });
+
+    setValue(merged, path, items);
+  });
+
+  // Dependencies may point to requirements listed later in the same source
+  merged.requirements.functional.forEach(requirement => {
+    requirement.dependencies = mapIds(requirement.dependencies, idMap[origins[requirement.id].specId]);
+  });
+  canonicalizeRelationships(getArray(merged, ['architecture', 'dataModels']));
+
+  const { dependencies, conflicts: dependencyConflicts } = mergeDependencies(specs);
+
+  const specification = {
+    metadata: mergeMetadata(specs, { name, description }),
+    requirements: merged.requirements,
+    architecture: merged.architecture,
+    implementation: {
+      dependencies,
+      configuration: uniqueBy(specs.flatMap(spec => spec.specification.implementation?.configuration || []), entry => entry.key),
+      security: mergeSecurity(specs.map(spec => spec.specification.implementation?.security || {}))
+    },
+    testing: {
+      strategy: mergeStrategy(specs.map(spec => spec.specification.testing?.strategy || {})),
+      testCases: merged.testing.testCases,
+      acceptanceCriteria: merged.testing.acceptanceCriteria
+    },
+    deployment: mergeDeployment(specs.map(spec => spec.specification.deployment || {}))
+  };
+
+  return {
+    specification,
+    report: {
+      idMap,
+      deduplicated,
+      dependencyConflicts,
+      traceability: buildTraceability(specification, origins)
+    }
+  };
+}
+
+/**
+ * Requirement -> source, dependencies and the entities that cover it
+ */
+function buildTraceability(specification, origins) {
+  const requirements = [...specification.requirements.functional, ...specification.requirements.nonFunctional];
+  const coveredBy = items => id => items.filter(item => item.relatedRequirements.includes(id)).map(item => item.id);
+  const endpoints = coveredBy(specification.architecture.apiEndpoints);
+  const testCases = coveredBy(specification.testing.testCases);
+  const acceptanceCriteria = coveredBy(specification.testing.acceptanceCriteria);
+
+  return Object.fromEntries(requirements.map(requirement => [requirement.id, {
+    source: origins[requirement.id],
+    dependencies: requirement.dependencies || [],
+    apiEndpoints: endpoints(requirement.id),
+    testCases: testCases(requirement.id),
+    acceptanceCriteria: acceptanceCriteria(requirement.id)
+  }]));
+}
+
+function combineEndpoints(target, item) {
+  target.relatedRequirements = unique([...target.relatedRequirements, ...item.relatedRequirements]);
+}
+
+/**
+ * Same model in several sources: fields, relationships, indexes and
+ * constraints are united, the first definition of a field wins
+ */
+function combineDataModels(target, item) {
+  target.fields = uniqueBy([...target.fields, ...(item.fields || [])], field => field.name);
+  target.relationships = uniqueBy([...(target.relationships || []), ...(item.relationships || [])], rel => `${rel.type} ${String(rel.target).toLowerCase()}`);
+  target.indexes = unique([...(target.indexes || []), ...(item.indexes || [])]);
+  target.constraints = unique([...(target.constraints || []), ...(item.constraints || [])]);
+}
+
+function combineServices(target, item) {
+  target.methods = uniqueBy([...(target.methods || []), ...(item.methods || [])], method => method.name);
+}
+
+/**
+ * Point relationships at the spelling of the model name that was kept
+ */
+function canonicalizeRelationships(models) {
+  const names = new Map(models.map(model => [String(model.name).toLowerCase(), model.name]));
+
+  models.forEach(model => {
+    model.relationships = (model.relationships || []).map(rel => ({
+      ...rel,
+      target: names.get(String(rel.target).toLowerCase()) || rel.target
+    }));
+  });
+}
+
+/**
+ * One entry per package: the first version found is kept and differing
+ * versions are reported; a package needed at runtime anywhere is a runtime dependency
+ */
+function mergeDependencies(specs) {
+  const packages = new Map();
+
+  ['runtime', 'development'].forEach(scope => {
+    specs.forEach(spec => {
+      (spec.specification.implementation?.dependencies?.[scope] || []).forEach(dependency => {
+        const key = String(dependency.name).toLowerCase();
+
+        if (!packages.has(key)) {
+          packages.set(key, { scope, dependency: { ...dependency }, versions: [] });
+        }
+
+        const entry = packages.get(key);
+        entry.dependency.critical = entry.dependency.critical || dependency.critical;
+        entry.versions.push({ specId: spec.id, version: dependency.version ?? null });
+      });
+    });
+  });
+
+  const dependencies = { runtime: [], development: [] };
+  const conflicts = [];
+
+  packages.forEach(({ scope, dependency, versions }) => {
+    dependencies[scope].push(dependency);
+
+    if (new Set(versions.map(({ version }) => version)).size > 1) {
+      conflicts.push({ name: dependency.name, version: dependency.version ?? null, versions });
+    }
+  });
+
+  return { dependencies, conflicts };
+}
+
+function mergeMetadata(specs, { name, description }) {
+  const metadata = specs.map(spec => spec.specification.metadata || {});
+  const hours = Math.min(Math.max(metadata.reduce((total, item) => total + (item.estimatedHours || 0), 0), 1), MAX_ESTIMATED_HOURS);
+
+  // The summed estimate can move the system into a higher complexity than any source
+  const byHours = COMPLEXITY_ORDER.find(level => hours <= (COMPLEXITY_MAX_HOURS[level] ?? Infinity));
+  const complexity = Math.max(COMPLEXITY_ORDER.indexOf(byHours), ...metadata.map(item => COMPLEXITY_ORDER.indexOf(item.complexity)));
+
+  return {
+    name: name || joinDistinct(specs.map((spec, index) => metadata[index].name || spec.name), ' + '),
+    description: description || joinDistinct(metadata.map(item => item.description), ' '),
+    complexity: COMPLEXITY_ORDER[complexity],
+    estimatedHours: hours,
+    tags: unique(metadata.flatMap(item => item.tags || [])),
+    version: '1.0.0'
+  };
+}
+
+function mergeSecurity(securities) {
+  const edgeCases = securities.map(security => security.edgeCaseHandling || {});
+
+  return {
+    authentication: joinDistinct(securities.map(security => security.authentication)),
+    authorization: joinDistinct(securities.map(security => security.authorization)),
+    dataProtection: unique(securities.flatMap(security => security.dataProtection || [])),
+    vulnerabilities: unique(securities.flatMap(security => security.vulnerabilities || [])),
+    edgeCaseHandling: mergeTexts(edgeCases, ['inputValidation', 'errorRecovery', 'dataConsistency', 'concurrencyControl'])
+  };
+}
+
+function mergeStrategy(strategies) {
+  return {
+    ...mergeTexts(strategies, ['unitTests', 'integrationTests', 'e2eTests']),
+    coverage: Math.max(...strategies.map(strategy => strategy.coverage || 0))
+  };
+}
+
+function mergeDeployment(deployments) {
+  return {
+    environment: mergeTexts(deployments.map(deployment => deployment.environment || {}), ['development', 'staging', 'production']),
+    infrastructure: uniqueBy(deployments.flatMap(deployment => deployment.infrastructure || []), item => String(item.component).toLowerCase()),
+    monitoring: uniqueBy(deployments.flatMap(deployment => deployment.monitoring || []), item => String(item.metric).toLowerCase())
+  };
+}
+
+/**
+ * Renumbered IDs of a source (unknown IDs are kept as they are)
+ */
+function mapIds(ids, sourceMap) {
+  return unique((ids || []).map(id => sourceMap[id] || id));
+}
+
+/**
+ * Text fields of several objects joined key by key, each distinct text once
+ */
+function mergeTexts(objects, keys) {
+  return Object.fromEntries(keys.map(key => [key, joinDistinct(objects.map(object => object[key]))]));
+}
+
+function joinDistinct(values, separator = '; ') {
+  return unique(values.filter(value => typeof value === 'string' && value.trim())).join(separator);
+}
+
+function unique(values) {
+  return uniqueBy(values, value => JSON.stringify(value));
+}
+
+function uniqueBy(items, getKey) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = getKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function getArray(data, path) {
+  const value = path.reduce((current, segment) => (current && typeof current === 'object' ? current[segment] : undefined), data);
+  return Array.isArray(value) ? value : [];
+}
+
+function setValue(data, path, value) {
+  const parent = path.slice(0, -1).reduce((current, segment) => {
+    current[segment] = current[segment] || {};
+    return current[segment];
+  }, data);
+  parent[path[path.length - 1]] = value;
+}
+
+module.exports = {
+  mergeSpecifications
+};
@@ -0,0 +1,155 @@
+/**
+ * Incremental parser for streamed JSON objects
+ * Emits each top-level property as soon as its value is complete,
+ * so partially generated specifications can be shown section by section
+ */
+class StreamingJsonParser {
+  constructor() {
+    this.buffer = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.isKeyString = false;
+    this.stringStart = -1;
+    this.currentKey = null;
+    this.valueStart = -1;
+    this.completed = false;
+    this.sections = {};
+  }
+
+  /**
+   * Append a chunk of streamed text and return newly completed sections
+   * @param {string} chunk - Text delta received from the AI provider
+   * @returns {Array<{key: string, value: *}>} - Sections completed by this chunk
+   */
+  push(chunk) {
+    if (!chunk || this.completed) {
+      this.buffer += chunk || '';
+      return [];
+    }
+
+    this.buffer += chunk;
+    const emitted = [];
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.isKeyString) {
+            this.currentKey = this.parseSafely(this.buffer.slice(this.stringStart, this.position + 1));
+            this.isKeyString = false;
+          }
+        }
+        continue;
+      }
+
+      // Ignore anything (e.g. markdown fences) before the root object
+      if (this.depth === 0 && char !== '{') {
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.position;
+          this.isKeyString = this.depth === 1 && this.valueStart === -1;
+          break;
+
+        case ':':
+          if (this.depth === 1 && this.valueStart === -1) {
+            this.valueStart = this.position + 1;
+          }
+          break;
+
+        case '{':
+        case '[':
+          this.depth++;
+          break;
+
+        case '}':
+        case ']':
+          this.depth--;
+          if (this.depth === 1 && this.valueStart !== -1) {
+            this.emitSection(this.position + 1, emitted);
+          } else if (this.depth === 0) {
+            if (this.valueStart !== -1) {
+              this.emitSection(this.position, emitted);
+            }
+            this.completed = true;
+            this.position++;
+            return emitted;
+          }
+          break;
+
+        case ',':
+          if (this.depth === 1 && this.valueStart !== -1) {
+            this.emitSection(this.position, emitted);
+          }
+          break;
+      }
+    }
+
+    return emitted;
+  }
+
+  /**
+   * Parse the value of the current top-level key and record it
+   * @param {number} end - Exclusive end index of the value in the buffer
+   * @param {Array} emitted - Accumulator for completed sections
+   */
+  emitSection(end, emitted) {
+    const key = this.currentKey;
+    const value = this.parseSafely(this.buffer.slice(this.valueStart, end).trim());
+
+    this.valueStart = -1;
+    this.currentKey = null;
+
+    if (typeof key === 'string' && value !== undefined) {
+      this.sections[key] = value;
+      emitted.push({ key, value });
+    }
+  }
+
+  /**
+   * JSON.parse that returns undefined instead of throwing
+   */
+  parseSafely(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Get the full text received so far
+   */
+  getText() {
+    return this.buffer;
+  }
+
+  /**
+   * Get all sections parsed so far
+   */
+  getSections() {
+    return { ...this.sections };
+  }
+
+  /**
+   * Whether the root object has been closed
+   */
+  isComplete() {
+    return this.completed;
+  }
+}
+
+module.exports = {
+  StreamingJsonParser
+};
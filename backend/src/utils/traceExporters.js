@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// OTLP span kinds and status codes (opentelemetry-proto trace.proto)
+const OTLP_SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const OTLP_STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const EXPORT_TIMEOUT_MS = 10000;
+
+/**
+ * OTLP attribute list `[{ key, value: { stringValue | intValue | doubleValue | boolValue } }]`
+ */
+const toOtlpAttributes = attributes => Object.entries(attributes).map(([key, value]) => {
+  if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+  if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+  if (typeof value === 'number') return { key, value: { doubleValue: value } };
+  return { key, value: { stringValue: String(value) } };
+});
+
+// Nanoseconds since the epoch, as the decimal string OTLP/JSON expects for 64-bit integers
+const toUnixNano = ms => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+/**
+ * Export spans to an OpenTelemetry collector over OTLP/HTTP with JSON encoding
+ * (POST <endpoint>/v1/traces)
+ */
+class OtlpHttpExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Collector base URL, e.g. http://localhost:4318
+   * @param {string} options.serviceName - `service.name` resource attribute
+   * @param {Object} options.headers - Extra request headers (e.g. collector authentication)
+   */
+  constructor({ endpoint, serviceName, headers = {} }) {
+    this.url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+    this.serviceName = serviceName;
+    this.headers = headers;
+  }
+
+  /**
+   * OTLP/JSON `ExportTraceServiceRequest` for a batch of spans
+   */
+  toPayload(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'ai-feature-builder' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+            name: span.name,
+            kind: OTLP_SPAN_KINDS[span.kind],
+            startTimeUnixNano: toUnixNano(span.startTime),
+            endTimeUnixNano: toUnixNano(span.endTime),
+            attributes: toOtlpAttributes(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: toUnixNano(event.time),
+              attributes: toOtlpAttributes(event.attributes)
+            })),
+            status: {
+              code: OTLP_STATUS_CODES[span.status.code],
+              ...(span.status.message && { message: span.status.message })
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  async export(spans) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(this.toPayload(spans)),
+      signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP collector responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Append spans to a file, one JSON object per line (see Span#toJSON)
+ */
+class JsonFileExporter {
+  /**
+   * @param {Object} options - `{ file }` path of the file, created with its directory when missing
+   */
+  constructor({ file }) {
+    this.file = file;
+    this.ready = null;
+  }
+
+  async export(spans) {
+    this.ready = this.ready || fs.mkdir(path.dirname(this.file), { recursive: true });
+    await this.ready;
+
+    await fs.appendFile(this.file, spans.map(span => `${JSON.stringify(span)}\n`).join(''));
+  }
+}
+
+/**
+ * Exporter selected by the tracing configuration
+ * @param {Object} tracing - config.tracing
+ * @returns {Object|null} - Exporter, null when TRACING_EXPORTER is none
+ */
+const createTraceExporter = (tracing) => {
+  switch (tracing.exporter) {
+    case 'otlp':
+      return new OtlpHttpExporter({ endpoint: tracing.otlpEndpoint, serviceName: tracing.serviceName, headers: tracing.otlpHeaders });
+    case 'file':
+      return new JsonFileExporter({ file: tracing.file });
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  OtlpHttpExporter,
+  JsonFileExporter,
+  createTraceExporter
+};
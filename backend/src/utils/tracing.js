@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const config = require('../config');
+const logger = require('./logger');
+const { createTraceExporter } = require('./traceExporters');
+
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// Ended spans waiting for the exporter; the oldest are dropped beyond this
+const MAX_PENDING_SPANS = 2048;
+const EXPORT_BATCH_SIZE = 512;
+
+const randomId = bytes => crypto.randomBytes(bytes).toString('hex');
+
+// Wall-clock time in milliseconds with sub-millisecond precision
+const now = () => performance.timeOrigin + performance.now();
+
+/**
+ * Parse a W3C `traceparent` header
+ * @param {string} header - Header value
+ * @returns {Object|null} - `{ traceId, spanId, sampled }`, null when missing or malformed
+ */
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+};
+
+/**
+ * Format a span context as a W3C `traceparent` header
+ * @param {Object} context - `{ traceId, spanId, sampled }`
+ * @returns {string} - Header value
+ */
+const formatTraceparent = ({ traceId, spanId, sampled }) => `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+
+/**
+ * A timed operation of a trace, modelled on OpenTelemetry spans
+ */
+class Span {
+  /**
+   * @param {Object} options - Span options
+   * @param {string} options.name - Operation name
+   * @param {string} options.kind - internal | server | client
+   * @param {Object} options.parent - Context `{ traceId, spanId, sampled }` of the parent, none for a root span
+   * @param {boolean} options.sampled - Export decision of a root span
+   * @param {Object} options.attributes - Initial attributes
+   * @param {Function} options.onEnd - Called with the span once it ends
+   */
+  constructor({ name, kind = 'internal', parent = null, sampled = true, attributes = {}, onEnd = () => {} }) {
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = parent ? parent.sampled : sampled;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset', message: null };
+    this.startTime = now();
+    this.endTime = null;
+    this.onEnd = onEnd;
+
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * Context propagated to child spans and downstream services
+   */
+  get context() {
+    return { traceId: this.traceId, spanId: this.spanId, sampled: this.sampled };
+  }
+
+  get traceparent() {
+    return formatTraceparent(this.context);
+  }
+
+  get duration() {
+    return this.endTime === null ? null : this.endTime - this.startTime;
+  }
+
+  /**
+   * Set an attribute; null and undefined values are skipped
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * Record an error as an `exception` event and mark the span as failed
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message
+    });
+    return this.setStatus('error', error.message);
+  }
+
+  /**
+   * End the span; later calls are ignored
+   */
+  end() {
+    if (this.endTime !== null) return;
+
+    this.endTime = now();
+    if (this.status.code === 'unset') {
+      this.status.code = 'ok';
+    }
+    this.onEnd(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(this.startTime).toISOString(),
+      durationMs: Math.round(this.duration * 1000) / 1000,
+      attributes: this.attributes,
+      events: this.events.map(event => ({ ...event, time: new Date(event.time).toISOString() })),
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Tracer of the request pipeline
+ * The active span follows the async flow (AsyncLocalStorage), so nested stages
+ * become child spans without passing spans around. Every span gets IDs and
+ * propagates its context; only sampled spans are exported, in batches
+ */
+class Tracer {
+  /**
+   * @param {Object} options - Tracer options
+   * @param {Object} options.exporter - `{ export(spans), shutdown() }`, spans are discarded without one
+   * @param {number} options.sampleRatio - Share of new traces that are exported (0-1)
+   * @param {number} options.flushIntervalMs - Delay between exports
+   * @param {Object} options.logger - Logger for export failures
+   */
+  constructor({ exporter = null, sampleRatio = 1, flushIntervalMs = 5000, logger = null } = {}) {
+    this.exporter = exporter;
+    this.sampleRatio = sampleRatio;
+    this.flushIntervalMs = flushIntervalMs;
+    this.logger = logger;
+    this.storage = new AsyncLocalStorage();
+    this.pending = [];
+    this.flushTimer = null;
+    this.stats = { exported: 0, dropped: 0, failed: 0 };
+  }
+
+  /**
+   * Span of the current async flow
+   * @returns {Span|null}
+   */
+  getActiveSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Start a span without activating it
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options
+   * @param {Object} options.attributes - Initial attributes
+   * @param {string} options.kind - internal | server | client
+   * @param {Object} options.parent - Parent context (defaults to the active span; null starts a new trace)
+   * @returns {Span}
+   */
+  startSpan(name, { attributes = {}, kind = 'internal', parent } = {}) {
+    const parentContext = parent === undefined ? this.getActiveSpan()?.context : parent;
+
+    return new Span({
+      name,
+      kind,
+      attributes,
+      parent: parentContext || null,
+      sampled: Math.random() < this.sampleRatio,
+      onEnd: span => this.onEnd(span)
+    });
+  }
+
+  /**
+   * Run a function with a span as the active one
+   */
+  withSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * Run a function inside a new child span of the active one
+   * The span ends when the function returns or its promise settles, failed
+   * when it throws or rejects
+   * @param {string} name - Operation name
+   * @param {Object} attributes - Initial attributes
+   * @param {Function} fn - Called with the span, sync or async
+   * @returns {*} - Result of the function
+   */
+  trace(name, attributes, fn) {
+    const span = this.startSpan(name, { attributes });
+    const fail = (error) => {
+      span.recordException(error);
+      span.end();
+      throw error;
+    };
+
+    let result;
+    try {
+      result = this.withSpan(span, () => fn(span));
+    } catch (error) {
+      fail(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(value => {
+        span.end();
+        return value;
+      }, fail);
+    }
+
+    span.end();
+    return result;
+  }
+
+  /**
+   * Queue an ended span for export
+   */
+  onEnd(span) {
+    if (!span.sampled || !this.exporter) return;
+
+    this.pending.push(span);
+    if (this.pending.length > MAX_PENDING_SPANS) {
+      this.pending.shift();
+      this.stats.dropped++;
+    }
+
+    if (this.pending.length >= EXPORT_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Export the pending spans; export failures are logged and the spans dropped
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.pending.length > 0) {
+      const batch = this.pending.splice(0, EXPORT_BATCH_SIZE);
+
+      try {
+        await this.exporter.export(batch);
+        this.stats.exported += batch.length;
+      } catch (error) {
+        this.stats.failed += batch.length;
+        this.logger?.warn('Trace export failed', { spans: batch.length, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Export what is left and release the exporter
+   */
+  async shutdown() {
+    if (!this.exporter) return;
+
+    await this.flush();
+    await this.exporter.shutdown?.();
+  }
+}
+
+const tracer = new Tracer({
+  exporter: createTraceExporter(config.tracing),
+  sampleRatio: config.tracing.sampleRatio,
+  flushIntervalMs: config.tracing.flushIntervalMs,
+  logger
+});
+
+module.exports = {
+  tracer,
+  Span,
+  Tracer,
+  parseTraceparent,
+  formatTraceparent
+};
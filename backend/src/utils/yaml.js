@@ -0,0 +1,64 @@
+/**
+ * Minimal YAML emitter for JSON-compatible values
+ * Block style throughout; strings are left plain only when they cannot be
+ * read back as another type, otherwise they are double-quoted (JSON string
+ * syntax is valid YAML)
+ */
+
+const PLAIN_STRING = /^[A-Za-z_/][\w .,/()-]*$/;
+const RESERVED_WORDS = /^(true|false|yes|no|on|off|null|~)$/i;
+
+/**
+ * Serialize a value as a YAML document
+ * @param {*} value - JSON-compatible value (undefined properties are skipped)
+ * @returns {string} - YAML text ending with a newline
+ */
+function toYaml(value) {
+  return `${isCollection(value) ? renderBlock(value, 0) : renderScalar(value)}\n`;
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function renderBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (!isCollection(item)) {
+        return `${pad}- ${renderScalar(item)}`;
+      }
+      // The first line of the nested block moves up next to the dash
+      return `${pad}- ${renderBlock(item, indent + 2).slice(indent + 2)}`;
+    }).join('\n');
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => (isCollection(item)
+      ? `${pad}${renderString(key)}:\n${renderBlock(item, indent + 2)}`
+      : `${pad}${renderString(key)}: ${renderScalar(item)}`))
+    .join('\n');
+}
+
+function renderScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value === 'string') return renderString(value);
+  return String(value);
+}
+
+function renderString(value) {
+  const plain = PLAIN_STRING.test(value)
+    && !RESERVED_WORDS.test(value)
+    && !value.endsWith(' ')
+    && !value.includes(' #');
+
+  return plain ? value : JSON.stringify(value);
+}
+
+module.exports = {
+  toYaml
+};
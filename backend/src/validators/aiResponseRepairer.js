@@ -0,0 +1,333 @@
+/**
+ * Deterministic fixes for common AI response mistakes
+ * Applied before validation so cheap, predictable problems (ID formats,
+ * enum spelling, missing optional arrays) don't cost an extra AI round trip
+ */
+
+// Entity collections with their ID prefix (see aiResponseValidator schemas)
+const ID_COLLECTIONS = [
+  { path: ['requirements', 'functional'], prefix: 'FR' },
+  { path: ['requirements', 'nonFunctional'], prefix: 'NFR' },
+  { path: ['architecture', 'apiEndpoints'], prefix: 'EP' },
+  { path: ['architecture', 'dataModels'], prefix: 'DM' },
+  { path: ['architecture', 'services'], prefix: 'SV' },
+  { path: ['testing', 'testCases'], prefix: 'TC' },
+  { path: ['testing', 'acceptanceCriteria'], prefix: 'AC' }
+];
+
+// Fields holding requirement IDs that must follow renumbering
+const REQUIREMENT_REFERENCES = [
+  { path: ['requirements', 'functional'], field: 'dependencies' },
+  { path: ['architecture', 'apiEndpoints'], field: 'relatedRequirements' },
+  { path: ['testing', 'testCases'], field: 'relatedRequirements' },
+  { path: ['testing', 'acceptanceCriteria'], field: 'relatedRequirements' }
+];
+
+// Optional arrays the schema defaults to [] (null is not accepted)
+const DEFAULT_ARRAYS = [
+  { path: ['requirements', 'functional'], fields: ['dependencies'] },
+  { path: ['architecture', 'apiEndpoints'], fields: ['relatedRequirements'] },
+  { path: ['architecture', 'dataModels'], fields: ['relationships', 'indexes', 'constraints'] },
+  { path: ['architecture', 'services'], fields: ['methods'] },
+  { path: ['testing', 'testCases'], fields: ['relatedRequirements'] },
+  { path: ['testing', 'acceptanceCriteria'], fields: ['relatedRequirements'] }
+];
+
+const PRIORITY = {
+  values: ['high', 'medium', 'low'],
+  aliases: { critical: 'high', urgent: 'high', must: 'high', normal: 'medium', should: 'medium', minor: 'low', could: 'low' }
+};
+
+// Enum fields per collection, with accepted values and known aliases
+const ENUM_FIELDS = [
+  {
+    path: ['metadata'],
+    single: true,
+    fields: {
+      complexity: { values: ['simple', 'medium', 'complex'], aliases: { low: 'simple', easy: 'simple', moderate: 'medium', high: 'complex', hard: 'complex' } }
+    }
+  },
+  { path: ['requirements', 'functional'], fields: { priority: PRIORITY } },
+  {
+    path: ['requirements', 'nonFunctional'],
+    fields: {
+      priority: PRIORITY,
+      category: {
+        values: ['performance', 'security', 'usability', 'reliability', 'scalability', 'maintainability'],
+        aliases: { availability: 'reliability', accessibility: 'usability', ux: 'usability' }
+      }
+    }
+  },
+  {
+    path: ['architecture', 'apiEndpoints'],
+    fields: {
+      method: {
+        values: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+        aliases: { OPTIONS: 'GET', HEAD: 'GET' },
+        upperCase: true
+      }
+    }
+  },
+  {
+    path: ['architecture', 'services'],
+    fields: {
+      type: { values: ['internal', 'external', 'database', 'cache', 'queue'], aliases: { service: 'internal', db: 'database', 'message queue': 'queue', third_party: 'external' } }
+    }
+  },
+  {
+    path: ['testing', 'testCases'],
+    fields: {
+      priority: PRIORITY,
+      type: { values: ['unit', 'integration', 'e2e', 'performance', 'security', 'edge_case'], aliases: { 'end-to-end': 'e2e', end_to_end: 'e2e', 'edge case': 'edge_case', load: 'performance' } },
+      category: { values: ['happy_path', 'edge_case', 'error_handling', 'boundary_test', 'security_test'], aliases: { 'happy path': 'happy_path', error: 'error_handling', boundary: 'boundary_test', security: 'security_test' } }
+    }
+  },
+  { path: ['testing', 'acceptanceCriteria'], fields: { priority: PRIORITY } }
+];
+
+const RELATIONSHIP_TYPES = {
+  values: ['oneToOne', 'oneToMany', 'manyToMany'],
+  aliases: { one_to_one: 'oneToOne', one_to_many: 'oneToMany', many_to_many: 'manyToMany', many_to_one: 'oneToMany', manytoone: 'oneToMany' }
+};
+
+class AIResponseRepairer {
+  /**
+   * Apply all deterministic fixers to a parsed AI response
+   * @param {Object} response - Parsed AI response (not mutated)
+   * @returns {Object} - { data, fixes } where fixes lists `{ type, path, from, to }`
+   */
+  static repair(response) {
+    if (!response || typeof response !== 'object') {
+      return { data: response, fixes: [] };
+    }
+
+    const data = JSON.parse(JSON.stringify(response));
+    const fixes = [];
+
+    this.applyDefaultArrays(data, fixes);
+    this.coerceEnums(data, fixes);
+    this.renumberIds(data, fixes);
+    this.applyMetadataDefaults(data, fixes);
+
+    return { data, fixes };
+  }
+
+  /**
+   * Normalize entity IDs (e.g. `FR1` -> `FR001`) and update references
+   */
+  static renumberIds(data, fixes) {
+    const pattern = prefix => new RegExp(`^${prefix}\\d{3}$`);
+    const requirementIdMap = {};
+
+    ID_COLLECTIONS.forEach(({ path, prefix }) => {
+      const items = getArray(data, path);
+      if (!items) return;
+
+      const valid = pattern(prefix);
+      const used = new Set();
+      const pending = [];
+
+      // Keep well-formed unique IDs, queue the rest
+      items.forEach((item, index) => {
+        if (!isObject(item)) return;
+
+        if (typeof item.id === 'string' && valid.test(item.id) && !used.has(item.id)) {
+          used.add(item.id);
+        } else {
+          pending.push(index);
+        }
+      });
+
+      pending.forEach(index => {
+        const item = items[index];
+        const original = item.id;
+        let next = formatId(prefix, extractNumber(original, prefix));
+
+        if (!next || used.has(next)) {
+          next = nextFreeId(prefix, used);
+        }
+
+        used.add(next);
+        item.id = next;
+        fixes.push({ type: 'id_renumbered', path: `${path.join('.')}.${index}.id`, from: original, to: next });
+
+        // Duplicates of a kept ID leave references pointing at the original
+        if ((prefix === 'FR' || prefix === 'NFR') && typeof original === 'string' &&
+            !valid.test(original) && !(original in requirementIdMap)) {
+          requirementIdMap[original] = next;
+        }
+      });
+    });
+
+    // Rewrite references to renamed or misformatted requirement IDs
+    REQUIREMENT_REFERENCES.forEach(({ path, field }) => {
+      (getArray(data, path) || []).forEach((item, index) => {
+        if (!isObject(item) || !Array.isArray(item[field])) return;
+
+        item[field] = item[field].map((reference, refIndex) => {
+          const target = requirementIdMap[reference] || normalizeRequirementReference(reference);
+          if (target && target !== reference) {
+            fixes.push({
+              type: 'reference_updated',
+              path: `${path.join('.')}.${index}.${field}.${refIndex}`,
+              from: reference,
+              to: target
+            });
+            return target;
+          }
+          return reference;
+        });
+      });
+    });
+  }
+
+  /**
+   * Map enum values to the closest accepted value (case, aliases)
+   */
+  static coerceEnums(data, fixes) {
+    ENUM_FIELDS.forEach(({ path, single, fields }) => {
+      const items = single ? [getValue(data, path)] : getArray(data, path) || [];
+
+      items.forEach((item, index) => {
+        if (!isObject(item)) return;
+
+        Object.entries(fields).forEach(([field, definition]) => {
+          const fieldPath = single ? `${path.join('.')}.${field}` : `${path.join('.')}.${index}.${field}`;
+          coerceField(item, field, definition, fieldPath, fixes);
+        });
+      });
+    });
+
+    (getArray(data, ['architecture', 'dataModels']) || []).forEach((model, modelIndex) => {
+      if (!isObject(model) || !Array.isArray(model.relationships)) return;
+
+      model.relationships.forEach((relationship, relIndex) => {
+        if (!isObject(relationship)) return;
+        coerceField(
+          relationship,
+          'type',
+          RELATIONSHIP_TYPES,
+          `architecture.dataModels.${modelIndex}.relationships.${relIndex}.type`,
+          fixes
+        );
+      });
+    });
+  }
+
+  /**
+   * Replace missing or null optional arrays with []
+   */
+  static applyDefaultArrays(data, fixes) {
+    DEFAULT_ARRAYS.forEach(({ path, fields }) => {
+      (getArray(data, path) || []).forEach((item, index) => {
+        if (!isObject(item)) return;
+
+        fields.forEach(field => {
+          if (item[field] === undefined || item[field] === null) {
+            item[field] = [];
+            fixes.push({ type: 'default_applied', path: `${path.join('.')}.${index}.${field}`, from: null, to: [] });
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Fill metadata fields with safe defaults
+   */
+  static applyMetadataDefaults(data, fixes) {
+    const metadata = data.metadata;
+    if (!isObject(metadata)) return;
+
+    if (typeof metadata.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(metadata.version)) {
+      const from = metadata.version ?? null;
+      metadata.version = '1.0.0';
+      fixes.push({ type: 'default_applied', path: 'metadata.version', from, to: '1.0.0' });
+    }
+
+    if (typeof metadata.tags === 'string') {
+      const from = metadata.tags;
+      metadata.tags = from.split(',').map(tag => tag.trim()).filter(Boolean);
+      fixes.push({ type: 'default_applied', path: 'metadata.tags', from, to: metadata.tags });
+    }
+  }
+
+  /**
+   * Summarize applied fixes for response metadata
+   * @param {Array} fixes - Fixes returned by repair()
+   * @returns {Object} - Count per fix type
+   */
+  static summarize(fixes) {
+    return fixes.reduce((summary, fix) => {
+      summary[fix.type] = (summary[fix.type] || 0) + 1;
+      return summary;
+    }, {});
+  }
+}
+
+/**
+ * Coerce a single enum field in place
+ */
+function coerceField(item, field, definition, fieldPath, fixes) {
+  const value = item[field];
+  if (typeof value !== 'string' || definition.values.includes(value)) return;
+
+  const normalized = value.trim();
+  const lookup = definition.upperCase ? normalized.toUpperCase() : normalized.toLowerCase();
+
+  const match = definition.values.find(candidate =>
+    (definition.upperCase ? candidate : candidate.toLowerCase()) === lookup
+  ) || definition.aliases[lookup] || definition.aliases[lookup.replace(/[\s-]+/g, '_')];
+
+  if (match) {
+    item[field] = match;
+    fixes.push({ type: 'enum_coerced', path: fieldPath, from: value, to: match });
+  }
+}
+
+/**
+ * Normalize a misformatted requirement reference (`fr-1` -> `FR001`)
+ */
+function normalizeRequirementReference(reference) {
+  if (typeof reference !== 'string') return null;
+
+  const match = reference.trim().match(/^(NFR|FR)[\s_-]*(\d{1,3})$/i);
+  return match ? formatId(match[1].toUpperCase(), parseInt(match[2], 10)) : null;
+}
+
+function extractNumber(id, prefix) {
+  if (typeof id !== 'string' && typeof id !== 'number') return null;
+
+  const match = String(id).trim().match(new RegExp(`^(?:${prefix})?[\\s_-]*(\\d{1,3})$`, 'i'));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function formatId(prefix, number) {
+  if (!number || number < 1 || number > 999) return null;
+  return `${prefix}${String(number).padStart(3, '0')}`;
+}
+
+function nextFreeId(prefix, used) {
+  for (let number = 1; number <= 999; number++) {
+    const candidate = formatId(prefix, number);
+    if (!used.has(candidate)) return candidate;
+  }
+  return null;
+}
+
+function getValue(data, path) {
+  return path.reduce((current, key) => (isObject(current) ? current[key] : undefined), data);
+}
+
+function getArray(data, path) {
+  const value = getValue(data, path);
+  return Array.isArray(value) ? value : null;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  AIResponseRepairer
+};
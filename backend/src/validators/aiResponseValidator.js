@@ -133,8 +133,8 @@ const acceptanceCriteriaSchema = Joi.object({
   relatedRequirements: Joi.array().items(Joi.string().pattern(/^(FR|NFR)\d{3}$/)).default([])
 });
 
-// Main AI response validation schema
-const aiResponseSchema = Joi.object({
+// Top-level section schemas (also used to validate single regenerated sections)
+const sectionSchemas = {
   metadata: Joi.object({
     name: Joi.string().required(),
     description: Joi.string().required(),
@@ -142,18 +142,18 @@ const aiResponseSchema = Joi.object({
     estimatedHours: Joi.number().integer().min(1).max(1000).required(),
     tags: Joi.array().items(Joi.string()).min(1).required(),
     version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required()
-  }).required(),
+  }),
 
   requirements: Joi.object({
     functional: Joi.array().items(functionalRequirementSchema).min(1).required(),
     nonFunctional: Joi.array().items(nonFunctionalRequirementSchema).min(1).required()
-  }).required(),
+  }),
 
   architecture: Joi.object({
     apiEndpoints: Joi.array().items(apiEndpointSchema).min(1).required(),
     dataModels: Joi.array().items(dataModelSchema).min(1).required(),
     services: Joi.array().items(serviceSchema).min(1).required()
-  }).required(),
+  }),
 
   implementation: Joi.object({
     dependencies: Joi.object({
@@ -180,7 +180,7 @@ const aiResponseSchema = Joi.object({
         concurrencyControl: Joi.string().required()
       }).required()
     }).required()
-  }).required(),
+  }),
 
   testing: Joi.object({
     strategy: Joi.object({
@@ -191,7 +191,7 @@ const aiResponseSchema = Joi.object({
     }).required(),
     testCases: Joi.array().items(testCaseSchema).min(1).required(),
     acceptanceCriteria: Joi.array().items(acceptanceCriteriaSchema).min(1).required()
-  }).required(),
+  }),
 
   deployment: Joi.object({
     environment: Joi.object({
@@ -211,7 +211,17 @@ const aiResponseSchema = Joi.object({
       threshold: Joi.string().required(),
       action: Joi.string().required()
     })).min(1).required()
-  }).required(),
+  })
+};
+
+const SECTION_NAMES = Object.keys(sectionSchemas);
+
+// Sections that can be regenerated on their own (metadata describes the whole feature)
+const REGENERABLE_SECTIONS = SECTION_NAMES.filter(name => name !== 'metadata');
+
+// Main AI response validation schema
+const aiResponseSchema = Joi.object({
+  ...Object.fromEntries(SECTION_NAMES.map(name => [name, sectionSchemas[name].required()])),
 
   // Allow metadata from AI service but don't validate it
   _metadata: Joi.object().optional()
@@ -301,6 +311,100 @@ class AIResponseValidator {
     }
   }
 
+  /**
+   * Validate one top-level section against its sub-schema
+   * @param {string} section - Section name (one of SECTION_NAMES)
+   * @param {*} value - Section content
+   * @returns {Object} - { valid, data, errors } with unknown keys stripped from data
+   */
+  static validateSection(section, value) {
+    const { error, value: data } = sectionSchemas[section].required().validate(value, {
+      abortEarly: false,
+      allowUnknown: false,
+      stripUnknown: true
+    });
+
+    if (!error) {
+      return { valid: true, data, errors: [] };
+    }
+
+    return {
+      valid: false,
+      data: null,
+      errors: error.details.map(detail => ({
+        section,
+        field: [section, ...detail.path].join('.'),
+        message: detail.message,
+        type: detail.type
+      }))
+    };
+  }
+
+  /**
+   * Validate each top-level section independently
+   * Never throws on invalid content: sections that pass the schema are kept,
+   * the others are reported so callers can return a partial result
+   * @param {Object} response - AI response to validate
+   * @param {string} requestId - Request ID for logging
+   * @returns {Object} - { valid, data, errors, invalidSections, validationTime }
+   */
+  static validateSections(response, requestId) {
+    const startTime = Date.now();
+
+    if (!response || typeof response !== 'object') {
+      throw new AIValidationError('Response must be a valid object', 'INVALID_TYPE');
+    }
+
+    const data = {};
+    const errors = [];
+    const invalidSections = [];
+
+    SECTION_NAMES.forEach(section => {
+      const result = this.validateSection(section, response[section]);
+
+      if (!result.valid) {
+        invalidSections.push(section);
+        errors.push(...result.errors);
+        return;
+      }
+
+      data[section] = result.data;
+    });
+
+    // Cross-section rules need every section; failures do not drop data
+    if (invalidSections.length === 0) {
+      try {
+        this.validateBusinessLogic(data, requestId);
+      } catch (error) {
+        if (!(error instanceof AIValidationError)) {
+          throw error;
+        }
+        (error.details || []).forEach(message => {
+          errors.push({ section: null, field: null, message, type: 'business_logic' });
+        });
+      }
+    }
+
+    const validationTime = Date.now() - startTime;
+
+    if (errors.length > 0) {
+      logger.warn(`[${requestId}] AI response partially valid`, {
+        validationTime,
+        invalidSections,
+        errorCount: errors.length,
+        errors: errors.slice(0, 10)
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      data,
+      errors,
+      invalidSections,
+      validationTime
+    };
+  }
+
   /**
    * Validate business logic rules
    * @param {Object} response - Validated response
@@ -439,5 +543,8 @@ class AIValidationError extends Error {
 module.exports = {
   AIResponseValidator,
   AIValidationError,
-  aiResponseSchema
+  aiResponseSchema,
+  sectionSchemas,
+  SECTION_NAMES,
+  REGENERABLE_SECTIONS
 };
\ No newline at end of file
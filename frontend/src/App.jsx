@@ -1,16 +1,44 @@
 import { useState } from 'react'
 import FeatureGeneratorMinimal from './components/FeatureGeneratorMinimal'
+import SharedSpecView from './components/SharedSpecView'
+import ProjectConflictReport from './components/ProjectConflictReport'
 import LoadingOverlay from './components/LoadingOverlay'
+import ProjectSwitcher from './components/ui/ProjectSwitcher'
+import AccountMenu from './components/ui/AccountMenu'
+import { AuthProvider, useAuth } from './context/AuthContext'
 import { LoadingProvider, useLoading } from './context/LoadingContext'
+import { ProjectProvider, useProject } from './context/ProjectContext'
+
+// Link di condivisione in sola lettura: /shared/:token
+const sharedToken = window.location.pathname.match(/^\/shared\/([\w-]+)\/?$/)?.[1]
 
 function AppContent() {
   const { isLoading, loadingMessage } = useLoading()
+  const { currentProject } = useProject()
+  const { isAuthenticated } = useAuth()
+  const [showConflicts, setShowConflicts] = useState(false)
 
   return (
     <>
       <div className="min-h-screen bg-white">
         {/* Main content - Google style centered layout */}
         <main className="px-4 sm:px-6 py-16">
+          {/* Account e progetto corrente (non nelle pagine condivise in sola lettura) */}
+          {!sharedToken && (
+            <div className="flex justify-end items-center gap-2 -mt-10 mb-4">
+              {currentProject && (
+                <button
+                  onClick={() => setShowConflicts(prev => !prev)}
+                  className="text-sm text-gray-600 rounded-full px-3 py-1 hover:bg-gray-100"
+                >
+                  🔍 Conflitti
+                </button>
+              )}
+              {isAuthenticated && <ProjectSwitcher />}
+              <AccountMenu />
+            </div>
+          )}
+
           {/* Header section - centered like Google - FULL WIDTH */}
           <div className="w-full text-center mb-12">
             <h1 className="text-4xl sm:text-5xl font-normal text-gray-900 mb-2">
@@ -30,7 +58,10 @@ function AppContent() {
               margin: '0 auto'
             }}
           >
-            <FeatureGeneratorMinimal />
+            {!sharedToken && showConflicts && currentProject && (
+              <ProjectConflictReport project={currentProject} onClose={() => setShowConflicts(false)} />
+            )}
+            {sharedToken ? <SharedSpecView token={sharedToken} /> : <FeatureGeneratorMinimal />}
           </div>
         </main>
 
@@ -51,7 +82,11 @@ function AppContent() {
 function App() {
   return (
     <LoadingProvider>
-      <AppContent />
+      <AuthProvider>
+        <ProjectProvider>
+          <AppContent />
+        </ProjectProvider>
+      </AuthProvider>
     </LoadingProvider>
   )
 }
@@ -1,10 +1,38 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
+import { featureApiService } from '../services/featureApi'
+
+const OPENAPI_FORMATS = ['yaml', 'json']
 
 /**
  * Componente per esportare la specifica in diversi formati
+ * README, task e codice React sono generati nel browser; il documento
+ * OpenAPI 3.1 arriva dal backend per le specifiche salvate, le altre (non salvate,
+ * risultati di fallback, link condivisi) ricevono uno schema ridotto generato nel browser
  */
 export default function FeatureExport({ data }) {
   const [activeTab, setActiveTab] = useState('readme')
+  const [openApiFormat, setOpenApiFormat] = useState('yaml')
+  const [openApi, setOpenApi] = useState({ content: '', filename: null, error: null, loading: false })
+
+  const specId = data?.data?.specId
+  const specVersion = data?.data?.specVersion
+
+  useEffect(() => {
+    if (activeTab !== 'openapi' || !specId) return
+    const controller = new AbortController()
+
+    setOpenApi(prev => ({ ...prev, error: null, loading: true }))
+    featureApiService.exportSpec(specId, 'openapi', { format: openApiFormat, signal: controller.signal })
+      .then(({ content, filename }) => setOpenApi({ content, filename, error: null, loading: false }))
+      .catch(err => !controller.signal.aborted && setOpenApi({
+        content: '',
+        filename: null,
+        error: err.message || 'Impossibile generare il documento OpenAPI',
+        loading: false
+      }))
+
+    return () => controller.abort()
+  }, [activeTab, specId, specVersion, openApiFormat])
 
   if (!data?.data?.feature) return null
 
@@ -245,7 +273,7 @@ const styles = {
 `
   }
 
-  // Genera API Schema (OpenAPI)
+  // Schema API ridotto, per le specifiche senza specId
   const generateApiSchema = () => {
     const schema = {
       openapi: '3.0.0',
@@ -296,13 +324,24 @@ const styles = {
     return JSON.stringify(schema, null, 2)
   }
 
+  // Documento OpenAPI 3.1 generato dal backend (GET /api/specs/:id/export/openapi)
+  const getOpenApiContent = () => {
+    if (!specId) return generateApiSchema()
+    if (openApi.loading) return '# ⏳ Generazione del documento OpenAPI...'
+    if (openApi.error) return `# ⚠️ ${openApi.error}`
+    return openApi.content
+  }
+
   const tabs = [
     { id: 'readme', label: '📄 README.md', content: generateReadme() },
     { id: 'tasks', label: '📋 Task List', content: JSON.stringify(generateTaskList(), null, 2) },
     { id: 'react', label: '⚛️ React Code', content: generateReactCode() },
-    { id: 'api', label: '🔌 API Schema', content: generateApiSchema() }
+    { id: 'openapi', label: specId ? '🔌 OpenAPI 3.1' : '🔌 API Schema', content: getOpenApiContent() }
   ]
 
+  // Il documento del backend si scarica solo quando è pronto, non il messaggio di attesa o di errore
+  const openApiPending = activeTab === 'openapi' && specId && (openApi.loading || openApi.error || !openApi.content)
+
   const downloadFile = (content, filename, type = 'text/plain') => {
     const blob = new Blob([content], { type })
     const url = URL.createObjectURL(blob)
@@ -359,10 +398,30 @@ const styles = {
 
       {/* Content */}
       <div className="p-6">
+        {activeTab === 'openapi' && specId && (
+          <div className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+            <span>Formato</span>
+            {OPENAPI_FORMATS.map(format => (
+              <button
+                key={format}
+                onClick={() => setOpenApiFormat(format)}
+                className={`px-3 py-1 rounded-full border text-xs font-medium uppercase transition-colors ${
+                  openApiFormat === format
+                    ? 'border-blue-500 bg-blue-50 text-blue-600'
+                    : 'border-gray-300 text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {format}
+              </button>
+            ))}
+          </div>
+        )}
+
         <div className="flex flex-col sm:flex-row gap-3 mb-4">
           <button
             onClick={() => copyToClipboard(activeContent)}
-            className="flex-1 px-6 py-2 bg-blue-600 text-white text-sm font-medium rounded-full hover:bg-blue-700 transition-colors"
+            disabled={Boolean(openApiPending)}
+            className="flex-1 px-6 py-2 bg-blue-600 text-white text-sm font-medium rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             📋 Copia
           </button>
@@ -372,12 +431,14 @@ const styles = {
                 readme: '.md',
                 tasks: '.json',
                 react: '.jsx',
-                api: '.json'
+                openapi: specId ? `.${openApiFormat}` : '.json'
               }
-              const filename = `${feature.metadata.name.toLowerCase().replace(/\s+/g, '-')}${extensions[activeTab] || '.txt'}`
+              const filename = (activeTab === 'openapi' && specId && openApi.filename)
+                || `${feature.metadata.name.toLowerCase().replace(/\s+/g, '-')}${extensions[activeTab] || '.txt'}`
               downloadFile(activeContent, filename)
             }}
-            className="flex-1 px-6 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-full hover:bg-gray-200 transition-colors"
+            disabled={Boolean(openApiPending)}
+            className="flex-1 px-6 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-full hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
             💾 Download
           </button>
@@ -4,14 +4,21 @@ import useFeatureGeneration from '../hooks/useFeatureGeneration'
 import { useRotatingExamples } from '../hooks/useRotatingExamples'
 import { useInputAnalysis } from '../hooks/useInputAnalysis'
 import { validateDescription } from '../utils/validation'
-import { API_CONFIG } from '../config/api'
-import { useLoading } from '../context/LoadingContext'
+import { promptSignIn } from '../utils/session'
+import { useProject } from '../context/ProjectContext'
+import { API_CONFIG, ERROR_CODES } from '../config/api'
 
 // UI Components
 import ExampleSuggestions from './ui/ExampleSuggestions'
 import SmartPromptBuilder from './ui/SmartPromptBuilder'
 import ProgressFeedback from './ui/ProgressFeedback'
 import TabView, { Tab } from './ui/TabView'
+import ValidationReport from './ui/ValidationReport'
+import GenerationStages from './ui/GenerationStages'
+import RefinementChat from './ui/RefinementChat'
+import RegenerateSectionButton, { SECTION_NAMES } from './ui/RegenerateSectionButton'
+import DiffViewer from './ui/DiffViewer'
+import SharePanel from './ui/SharePanel'
 import FeatureOverview from './FeatureOverview'
 import RequirementsList from './RequirementsList'
 import FeatureExport from './FeatureExport'
@@ -24,20 +31,34 @@ export default function FeatureGeneratorMinimal() {
   const [description, setDescription] = useState('')
   const [showResult, setShowResult] = useState(false)
   const [showPromptBuilder, setShowPromptBuilder] = useState(false)
-  const { showLoading, hideLoading } = useLoading()
 
   // Hooks personalizzati
   const { currentExample } = useRotatingExamples(4000) // Cambia ogni 4 secondi
   const analysis = useInputAnalysis(description)
+  const { currentProject, reloadProjects } = useProject()
 
   const {
     loading,
     data,
     error,
+    progress,
+    progressPercentage,
+    partialData,
     generateFeature,
-    reset
+    cancel,
+    reset,
+    updateData
   } = useFeatureGeneration()
 
+  // Durante lo streaming i tab mostrano le sezioni già ricevute
+  const resultData = data || (partialData ? { data: { feature: partialData } } : null)
+
+  // Azione "rigenera" per le sezioni mostrate in un tab (solo a generazione completata)
+  const regenerateAction = (sections) => (data && !loading
+    ? <RegenerateSectionButton data={data} sections={sections} onRegenerated={updateData} />
+    : null)
+  const isStreaming = loading && !data
+
   const validation = validateDescription(description)
   const isValid = validation.isValid // Torniamo alla validazione originale
   const charCount = description.length
@@ -67,25 +88,33 @@ export default function FeatureGeneratorMinimal() {
     
     if (!isValid) return
 
+    // Mostra subito l'area risultati: le sezioni arrivano in streaming
+    setShowResult(true)
+
     try {
-      // Mostra loading full screen
-      showLoading('🤖 AI sta generando la tua specifica...')
-      
-      await generateFeature({
+      const result = await generateFeature({
         description: validation.sanitized,
         language: 'it',
         complexity: 'medium',
-        includeTests: false
+        includeTests: false,
+        ...(currentProject ? { projectId: currentProject.id } : {})
       })
-      
-      setShowResult(true)
+
+      // Generazione annullata
+      if (!result) setShowResult(false)
+
+      // Aggiorna il numero di specifiche del progetto
+      if (result && currentProject) reloadProjects()
     } catch (err) {
       // Error handled by hook
-    } finally {
-      // Nascondi loading
-      hideLoading()
+      setShowResult(false)
     }
-  }, [description, isValid, validation, generateFeature, showLoading, hideLoading])
+  }, [isValid, validation, generateFeature, currentProject, reloadProjects])
+
+  const handleCancel = useCallback(() => {
+    cancel()
+    setShowResult(false)
+  }, [cancel])
 
   const handleReset = useCallback(() => {
     reset()
@@ -233,6 +262,15 @@ export default function FeatureGeneratorMinimal() {
                 <p className="text-sm text-red-600">
                   ❌ {error.message || 'Si è verificato un errore'}
                 </p>
+                {error.code === ERROR_CODES.AUTH_REQUIRED && (
+                  <button
+                    type="button"
+                    onClick={() => promptSignIn()}
+                    className="mt-2 text-sm text-blue-600 hover:underline"
+                  >
+                    Accedi o crea un account
+                  </button>
+                )}
               </div>
             )}
           </form>
@@ -240,72 +278,147 @@ export default function FeatureGeneratorMinimal() {
       )}
 
       {/* Result Section - TabView migliorata */}
-      {showResult && data && (
+      {showResult && (data || loading) && (
         <div className="w-full space-y-8">
-          {/* Success message - minimal */}
-          <div className="text-center py-8">
-            <div className="text-6xl mb-4">✅</div>
-            <h2 className="text-2xl font-normal text-gray-900 mb-2">
-              Specifica Generata!
-            </h2>
-            <p className="text-lg text-gray-600">
-              {data.data?.feature?.metadata?.name}
-            </p>
-          </div>
+          {isStreaming ? (
+            <div className="py-8">
+              <div className="text-center">
+                <div className="text-6xl mb-4">🤖</div>
+                <h2 className="text-2xl font-normal text-gray-900 mb-2">
+                  Generazione in corso...
+                </h2>
+                {partialData?.metadata?.name && (
+                  <p className="text-lg text-gray-600">
+                    {partialData.metadata.name}
+                  </p>
+                )}
+              </div>
+
+              <ProgressFeedback
+                generation={{
+                  message: progress,
+                  percentage: progressPercentage,
+                  sections: partialData || {}
+                }}
+              />
+
+              <div className="text-center mt-4">
+                <button
+                  onClick={handleCancel}
+                  className="px-6 py-2 text-sm bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200 transition-colors"
+                >
+                  ✖️ Annulla
+                </button>
+              </div>
+            </div>
+          ) : (
+            /* Success message - minimal */
+            <div className="text-center py-8">
+              <div className="text-6xl mb-4">✅</div>
+              <h2 className="text-2xl font-normal text-gray-900 mb-2">
+                Specifica Generata!
+              </h2>
+              <p className="text-lg text-gray-600">
+                {data.data?.feature?.metadata?.name}
+              </p>
+
+              <ValidationReport
+                validation={data.data?.validation}
+                warnings={data.data?.warnings}
+                repair={data.data?.metadata?.repair}
+                className="max-w-2xl mx-auto mt-6"
+              />
+
+              <GenerationStages
+                stages={data.data?.metadata?.stages}
+                className="max-w-2xl mx-auto mt-4"
+              />
+            </div>
+          )}
 
           {/* TabView per risultati user-friendly */}
-          <TabView defaultTab={0}>
-            <Tab label="📋 Panoramica">
-              <FeatureOverview data={data} />
-            </Tab>
-            <Tab label="🎯 Requisiti">
-              <RequirementsList data={data} />
-            </Tab>
-            <Tab label="🚀 Esporta">
-              <FeatureExport data={data} />
-            </Tab>
-            <Tab label="🔗 Integra">
-              <ProjectIntegration data={data} />
-            </Tab>
-            <Tab label="🔧 JSON">
-              <div className="bg-gray-50 rounded-2xl overflow-hidden">
-                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
-                  <h3 className="text-lg font-medium text-gray-900">
-                    Specifica Completa (JSON)
-                  </h3>
-                  <button
-                    onClick={handleCopy}
-                    className="px-4 py-2 bg-blue-600 text-white text-sm rounded-full hover:bg-blue-700 transition-colors"
-                  >
-                    Copia JSON
-                  </button>
-                </div>
-                <div className="p-6 max-h-96 overflow-y-auto">
-                  <pre className="text-sm text-gray-800 whitespace-pre-wrap break-words font-mono">
-                    {JSON.stringify(data, null, 2)}
-                  </pre>
+          {resultData && (
+            <TabView defaultTab={0}>
+              <Tab label="📋 Panoramica" actions={regenerateAction(['architecture', 'testing'])}>
+                <FeatureOverview data={resultData} />
+              </Tab>
+              <Tab label="🎯 Requisiti" actions={regenerateAction(['requirements'])}>
+                <RequirementsList data={resultData} />
+              </Tab>
+              <Tab label="🚀 Esporta">
+                {data ? <FeatureExport data={data} /> : <PendingSection />}
+              </Tab>
+              <Tab label="🔗 Integra">
+                {data ? <ProjectIntegration data={data} /> : <PendingSection />}
+              </Tab>
+              <Tab label="🔧 JSON" actions={regenerateAction(Object.keys(SECTION_NAMES))}>
+                <div className="bg-gray-50 rounded-2xl overflow-hidden">
+                  <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <h3 className="text-lg font-medium text-gray-900">
+                      Specifica Completa (JSON)
+                    </h3>
+                    <button
+                      onClick={handleCopy}
+                      className="px-4 py-2 bg-blue-600 text-white text-sm rounded-full hover:bg-blue-700 transition-colors"
+                    >
+                      Copia JSON
+                    </button>
+                  </div>
+                  <div className="p-6 max-h-96 overflow-y-auto">
+                    <pre className="text-sm text-gray-800 whitespace-pre-wrap break-words font-mono">
+                      {JSON.stringify(resultData, null, 2)}
+                    </pre>
+                  </div>
                 </div>
-              </div>
-            </Tab>
-          </TabView>
+              </Tab>
+              {data?.data?.specId && (
+                <Tab label="🔀 Modifiche">
+                  <DiffViewer specId={data.data.specId} version={data.data.specVersion || 1} />
+                </Tab>
+              )}
+              {data?.data?.specId && (
+                <Tab label="📤 Condividi">
+                  <SharePanel specId={data.data.specId} />
+                </Tab>
+              )}
+            </TabView>
+          )}
+
+          {/* Modifica conversazionale della specifica */}
+          {data && !loading && (
+            <RefinementChat data={data} onRefined={updateData} className="mt-8" />
+          )}
 
           {/* Action buttons - Google style MIGLIORATI */}
-          <div className="text-center space-x-4 pt-8">
-            <button
-              onClick={handleReset}
-              className="px-8 py-3 bg-gray-100 text-gray-700 font-medium rounded-full hover:bg-gray-200 transition-all shadow-sm hover:shadow-md transform hover:scale-105"
-            >
-              🔄 Nuova Feature
-            </button>
-            <button
-              onClick={handleCopy}
-              className="px-8 py-3 bg-blue-600 text-white font-medium rounded-full hover:bg-blue-700 transition-all shadow-sm hover:shadow-md transform hover:scale-105"
-            >
-              📋 Copia JSON
-            </button>
-          </div>
+          {data && (
+            <div className="text-center space-x-4 pt-8">
+              <button
+                onClick={handleReset}
+                className="px-8 py-3 bg-gray-100 text-gray-700 font-medium rounded-full hover:bg-gray-200 transition-all shadow-sm hover:shadow-md transform hover:scale-105"
+              >
+                🔄 Nuova Feature
+              </button>
+              <button
+                onClick={handleCopy}
+                className="px-8 py-3 bg-blue-600 text-white font-medium rounded-full hover:bg-blue-700 transition-all shadow-sm hover:shadow-md transform hover:scale-105"
+              >
+                📋 Copia JSON
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
   )
 }
+
+/**
+ * Placeholder per i tab disponibili solo a generazione completata
+ */
+function PendingSection() {
+  return (
+    <div className="text-center py-12 text-gray-500">
+      ⏳ Disponibile al termine della generazione
+    </div>
+  )
+}
@@ -55,6 +55,29 @@ export default function FeatureOverview({ data }) {
         </div>
       </div>
 
+      {/* Copertura calcolata dal backend (assente nelle specifiche parziali) */}
+      {feature.testing?.requirementCoverage && (
+        <div className="bg-white rounded-xl p-4 border border-gray-200">
+          <div className="flex items-center justify-between text-sm mb-2">
+            <span className="text-gray-700 font-medium">Copertura requisiti da test</span>
+            <span className="text-gray-900 font-semibold">
+              {feature.testing.requirementCoverage.coveragePercentage}%
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-green-500 h-2 rounded-full"
+              style={{ width: `${feature.testing.requirementCoverage.coveragePercentage}%` }}
+            />
+          </div>
+          {feature.testing.requirementCoverage.uncoveredRequirements?.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Senza test: {feature.testing.requirementCoverage.uncoveredRequirements.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Quick Overview Cards */}
       <div className="grid md:grid-cols-2 gap-6">
         {/* Requirements Preview */}
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react'
+import featureApiService from '../services/featureApi'
+
+const TYPE_LABELS = {
+  endpoint: 'Endpoint',
+  dataModel: 'Modello dati',
+  configuration: 'Configurazione'
+}
+
+const SEVERITY_STYLES = {
+  error: { badge: '⛔ incompatibile', className: 'border-red-200 bg-red-50 text-red-800' },
+  warning: { badge: '⚠️ duplicato', className: 'border-amber-200 bg-amber-50 text-amber-800' }
+}
+
+/**
+ * Valore di un campo in forma compatta
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '—'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+function ConflictItem({ conflict, specNames }) {
+  const style = SEVERITY_STYLES[conflict.severity]
+
+  return (
+    <li className={`border rounded-xl p-3 ${style.className}`}>
+      <div className="flex items-center justify-between gap-4 text-sm">
+        <span className="font-mono font-medium break-all">{conflict.key}</span>
+        <span className="text-xs whitespace-nowrap">
+          {TYPE_LABELS[conflict.type] || conflict.type} {style.badge}
+        </span>
+      </div>
+
+      <p className="mt-1 text-xs">
+        Definito in: {conflict.occurrences.map(occurrence => occurrence.specName).join(', ')}
+      </p>
+
+      {conflict.differences.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs font-mono">
+          {conflict.differences.map(difference => (
+            <li key={difference.path} className="break-words">
+              <span className="text-gray-500">{difference.path}:</span>
+              <ul className="ml-4">
+                {difference.values.map(({ specId, value }) => (
+                  <li key={specId}>
+                    {specNames[specId] || specId} → {formatValue(value)}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Report dei conflitti tra le specifiche del progetto corrente
+ * Segnala endpoint con stesso metodo e path, modelli dati omonimi con campi
+ * incompatibili e chiavi di configurazione definite da più specifiche
+ */
+export default function ProjectConflictReport({ project, onClose }) {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [attempt, setAttempt] = useState(0)
+
+  useEffect(() => {
+    const controller = new AbortController()
+
+    setLoading(true)
+    setError(null)
+    featureApiService.getProjectConflicts(project.id, { signal: controller.signal })
+      .then(response => setReport(response.data))
+      .catch(err => !controller.signal.aborted && setError(err.message || 'Impossibile analizzare il progetto'))
+      .finally(() => !controller.signal.aborted && setLoading(false))
+
+    return () => controller.abort()
+  }, [project.id, attempt])
+
+  const specNames = Object.fromEntries((report?.specs || []).map(spec => [spec.id, spec.name]))
+
+  return (
+    <section className="w-full mb-12 space-y-4 rounded-2xl border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-xl font-normal text-gray-900">🔍 Conflitti in {project.name}</h2>
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={() => setAttempt(prev => prev + 1)}
+            disabled={loading}
+            className="px-4 py-1 text-sm text-blue-600 rounded-full hover:bg-blue-50 disabled:opacity-50"
+          >
+            🔄 Analizza di nuovo
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-1 text-sm text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            Chiudi
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">⚠️ {error}</p>}
+      {loading && <p className="text-sm text-gray-500">⏳ Analisi delle specifiche del progetto...</p>}
+
+      {!loading && report && (
+        <>
+          <p className="text-sm text-gray-600">
+            {report.specs.length} specifiche analizzate ·{' '}
+            <span className="text-red-700">{report.summary.errors} incompatibili</span> ·{' '}
+            <span className="text-amber-700">{report.summary.warnings} duplicati</span>
+          </p>
+
+          {report.specs.length < 2 && (
+            <p className="text-center py-8 text-gray-500">
+              Servono almeno due specifiche nel progetto per cercare conflitti.
+            </p>
+          )}
+
+          {report.specs.length > 1 && report.conflicts.length === 0 && (
+            <p className="text-center py-8 text-gray-500">✅ Nessun conflitto tra le specifiche del progetto.</p>
+          )}
+
+          {report.conflicts.length > 0 && (
+            <ul className="space-y-2">
+              {report.conflicts.map(conflict => (
+                <ConflictItem key={`${conflict.type}-${conflict.key}`} conflict={conflict} specNames={specNames} />
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
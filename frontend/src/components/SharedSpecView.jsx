@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react'
+import featureApiService from '../services/featureApi'
+import TabView, { Tab } from './ui/TabView'
+import FeatureOverview from './FeatureOverview'
+import RequirementsList from './RequirementsList'
+import FeatureExport from './FeatureExport'
+
+const ERROR_MESSAGES = {
+  SHARE_NOT_FOUND: 'Questo link non esiste.',
+  SHARE_REVOKED: 'Questo link è stato revocato da chi lo ha condiviso.',
+  SHARE_EXPIRED: 'Questo link è scaduto: chiedi un nuovo link a chi lo ha condiviso.'
+}
+
+/**
+ * Pagina pubblica in sola lettura di una specifica condivisa (/shared/:token)
+ * Mostra gli stessi tab dei risultati, senza chat né rigenerazione
+ */
+export default function SharedSpecView({ token }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+
+    featureApiService.getSharedSpec(token, { signal: controller.signal })
+      .then(setData)
+      .catch(err => {
+        if (controller.signal.aborted) return
+        setError(ERROR_MESSAGES[err.code] || err.message || 'Impossibile caricare la specifica')
+      })
+
+    return () => controller.abort()
+  }, [token])
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-6xl mb-4">🔒</div>
+        <p className="text-lg text-gray-600">{error}</p>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        ⏳ Caricamento della specifica...
+      </div>
+    )
+  }
+
+  const { metadata, share } = data.data
+
+  return (
+    <div className="w-full space-y-8">
+      <div className="text-center">
+        <span className="inline-block px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+          👁️ Sola lettura · versione {metadata.version}
+          {share.expiresAt && ` · link valido fino al ${new Date(share.expiresAt).toLocaleString('it-IT')}`}
+        </span>
+      </div>
+
+      <TabView defaultTab={0}>
+        <Tab label="📋 Panoramica">
+          <FeatureOverview data={data} />
+        </Tab>
+        <Tab label="🎯 Requisiti">
+          <RequirementsList data={data} />
+        </Tab>
+        <Tab label="🚀 Esporta">
+          <FeatureExport data={data} />
+        </Tab>
+      </TabView>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react'
+import { useAuth } from '../../context/AuthContext'
+
+const EMPTY_FORM = { email: '', name: '', password: '' }
+
+/**
+ * Accesso e registrazione nell'intestazione; da collegati mostra l'utente e "Esci"
+ * La finestra si apre anche da sola quando il backend chiede una sessione (401)
+ */
+export default function AccountMenu() {
+  const { user, isAuthenticated, signInOpen, setSignInOpen, login, register, logout } = useAuth()
+  const [mode, setMode] = useState('login')
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [pending, setPending] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  const handleChange = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }))
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setPending(true)
+    setFormError(null)
+
+    try {
+      if (mode === 'register') {
+        await register({ email: form.email.trim(), name: form.name.trim(), password: form.password })
+      } else {
+        await login({ email: form.email.trim(), password: form.password })
+      }
+      setForm(EMPTY_FORM)
+    } catch (err) {
+      setFormError(err.details?.[0]?.message || err.message || 'Accesso non riuscito')
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const switchMode = () => {
+    setMode(prev => (prev === 'login' ? 'register' : 'login'))
+    setFormError(null)
+  }
+
+  if (isAuthenticated) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        <span title={user?.email}>👤 {user?.name || user?.email}</span>
+        <button onClick={logout} className="rounded-full px-3 py-1 hover:bg-gray-100">
+          Esci
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="relative text-left">
+      <button
+        onClick={() => setSignInOpen(!signInOpen)}
+        className="text-sm bg-blue-600 text-white rounded-full px-3 py-1 hover:bg-blue-700"
+      >
+        Accedi
+      </button>
+
+      {signInOpen && (
+        <form
+          onSubmit={handleSubmit}
+          className="absolute right-0 z-10 mt-2 w-72 space-y-2 rounded-2xl border border-gray-200 bg-white p-4 shadow-lg"
+        >
+          <input
+            type="email"
+            value={form.email}
+            onChange={handleChange('email')}
+            placeholder="Email"
+            autoComplete="email"
+            required
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+          />
+          {mode === 'register' && (
+            <input
+              value={form.name}
+              onChange={handleChange('name')}
+              placeholder="Nome"
+              autoComplete="name"
+              required
+              minLength={2}
+              className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+            />
+          )}
+          <input
+            type="password"
+            value={form.password}
+            onChange={handleChange('password')}
+            placeholder="Password"
+            autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            required
+            minLength={mode === 'register' ? 8 : undefined}
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+          />
+
+          {formError && <p className="text-xs text-red-600">⚠️ {formError}</p>}
+
+          <div className="flex items-center justify-between gap-2">
+            <button
+              type="button"
+              onClick={switchMode}
+              className="text-xs text-blue-600 hover:underline"
+            >
+              {mode === 'login' ? 'Crea un account' : 'Hai già un account?'}
+            </button>
+            <button
+              type="submit"
+              disabled={pending}
+              className="px-4 py-1 text-sm bg-blue-600 text-white rounded-full hover:bg-blue-700 disabled:opacity-50"
+            >
+              {pending ? 'Attendi...' : mode === 'login' ? 'Accedi' : 'Registrati'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react'
+import featureApiService from '../../services/featureApi'
+import TabView, { Tab } from './TabView'
+
+const SECTION_LABELS = {
+  metadata: 'Metadati',
+  requirements: 'Requisiti',
+  architecture: 'Architettura',
+  implementation: 'Implementazione',
+  testing: 'Test',
+  deployment: 'Deployment'
+}
+
+const COLLECTION_LABELS = {
+  functional: 'Requisito funzionale',
+  nonFunctional: 'Requisito non funzionale',
+  apiEndpoints: 'Endpoint',
+  dataModels: 'Modello dati',
+  services: 'Servizio',
+  testCases: 'Caso di test',
+  acceptanceCriteria: 'Criterio di accettazione'
+}
+
+const NESTED_LABELS = {
+  fields: 'Campi',
+  methods: 'Metodi'
+}
+
+const STATUS_STYLES = {
+  added: { badge: '+ aggiunto', className: 'border-green-200 bg-green-50 text-green-800' },
+  removed: { badge: '− rimosso', className: 'border-red-200 bg-red-50 text-red-800' },
+  modified: { badge: '~ modificato', className: 'border-amber-200 bg-amber-50 text-amber-800' }
+}
+
+const SOURCE_LABELS = {
+  generate: 'generazione',
+  manual: 'modifica manuale',
+  refine: 'chat',
+  'regenerate-section': 'rigenerazione',
+  merge: 'unione'
+}
+
+/**
+ * Valore di un campo in forma compatta
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '—'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+function ChangeList({ changes }) {
+  if (!changes?.length) return null
+
+  return (
+    <ul className="mt-2 space-y-1 text-xs font-mono">
+      {changes.map(change => (
+        <li key={change.path} className="break-words">
+          <span className="text-gray-500">{change.path || 'valore'}:</span>{' '}
+          <span className="line-through text-red-700">{formatValue(change.before)}</span>
+          {' → '}
+          <span className="text-green-700">{formatValue(change.after)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function EntityChange({ entity }) {
+  const style = STATUS_STYLES[entity.status]
+  const nested = Object.keys(NESTED_LABELS).filter(key => entity[key]?.length > 0)
+
+  return (
+    <li className={`border rounded-xl p-3 ${style.className}`}>
+      <div className="flex items-center justify-between gap-4 text-sm">
+        <span>
+          <span className="font-mono font-medium">{entity.id}</span>
+          {entity.label && <span> · {entity.label}</span>}
+        </span>
+        <span className="text-xs whitespace-nowrap">
+          {COLLECTION_LABELS[entity.collection] || entity.collection} {style.badge}
+        </span>
+      </div>
+
+      <ChangeList changes={entity.changes} />
+
+      {nested.map(key => (
+        <div key={key} className="mt-2 text-xs">
+          <span className="font-medium">{NESTED_LABELS[key]}:</span>
+          <ul className="ml-4 list-disc">
+            {entity[key].map(item => (
+              <li key={item.name}>
+                <span className="font-mono">{item.name}</span> {STATUS_STYLES[item.status].badge}
+                <ChangeList changes={item.changes} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </li>
+  )
+}
+
+/**
+ * Differenze tra due versioni salvate di una specifica, una sezione per tab
+ * Le entità sono confrontate per ID: aggiunte in verde, rimosse in rosso,
+ * modificate in giallo con il dettaglio dei campi cambiati
+ */
+function DiffViewer({ specId, version, className = '' }) {
+  const [versions, setVersions] = useState([])
+  const [range, setRange] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Nuova versione (chat, rigenerazione): confronta di nuovo le ultime due
+  useEffect(() => {
+    if (!specId) return
+    let cancelled = false
+
+    featureApiService.getSpecVersions(specId)
+      .then(response => {
+        if (cancelled) return
+        const list = response.data?.versions || []
+        setVersions(list)
+        setRange(list.length > 1 ? { from: list[1].version, to: list[0].version } : null)
+      })
+      .catch(err => !cancelled && setError(err.message || 'Impossibile caricare le versioni'))
+
+    return () => { cancelled = true }
+  }, [specId, version])
+
+  useEffect(() => {
+    if (!range) return
+    const controller = new AbortController()
+
+    setLoading(true)
+    setError(null)
+    featureApiService.getSpecDiff(specId, range, { signal: controller.signal })
+      .then(response => setDiff(response.data))
+      .catch(err => !controller.signal.aborted && setError(err.message || 'Impossibile calcolare le differenze'))
+      .finally(() => !controller.signal.aborted && setLoading(false))
+
+    return () => controller.abort()
+  }, [specId, range])
+
+  if (versions.length < 2) {
+    return (
+      <div className={`text-center py-12 text-gray-500 ${className}`}>
+        {error || 'Nessuna versione precedente: le modifiche dalla chat e le rigenerazioni creano nuove versioni.'}
+      </div>
+    )
+  }
+
+  const versionSelect = (key) => (
+    <select
+      value={range?.[key] ?? ''}
+      onChange={(event) => setRange(prev => ({ ...prev, [key]: Number(event.target.value) }))}
+      className="text-sm border border-gray-300 rounded-full px-3 py-1"
+    >
+      {versions.map(entry => (
+        <option key={entry.version} value={entry.version}>
+          v{entry.version} · {SOURCE_LABELS[entry.source] || entry.source}
+        </option>
+      ))}
+    </select>
+  )
+
+  const sections = Object.entries(diff?.sections || {})
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <span>Confronta</span>
+        {versionSelect('from')}
+        <span>con</span>
+        {versionSelect('to')}
+        {diff && (
+          <span className="ml-auto text-xs text-gray-500">
+            <span className="text-green-700">+{diff.summary.added}</span>{' '}
+            <span className="text-red-700">−{diff.summary.removed}</span>{' '}
+            <span className="text-amber-700">~{diff.summary.modified}</span>
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">⚠️ {error}</p>}
+      {loading && <p className="text-sm text-gray-500">⏳ Calcolo delle differenze...</p>}
+
+      {!loading && diff && sections.length === 0 && (
+        <p className="text-center py-8 text-gray-500">Le due versioni sono identiche.</p>
+      )}
+
+      {!loading && sections.length > 0 && (
+        <TabView key={`${range.from}-${range.to}`} defaultTab={0}>
+          {sections.map(([name, section]) => (
+            <Tab key={name} label={`${SECTION_LABELS[name] || name} (${section.entities.length + section.changes.length})`}>
+              <ul className="space-y-2">
+                {section.entities.map(entity => (
+                  <EntityChange key={`${entity.collection}-${entity.id}`} entity={entity} />
+                ))}
+              </ul>
+
+              {section.changes.length > 0 && (
+                <div className="mt-4 border rounded-xl p-3 border-gray-200 bg-gray-50">
+                  <span className="text-sm font-medium text-gray-700">Altri campi</span>
+                  <ChangeList changes={section.changes} />
+                </div>
+              )}
+            </Tab>
+          ))}
+        </TabView>
+      )}
+    </div>
+  )
+}
+
+export default DiffViewer
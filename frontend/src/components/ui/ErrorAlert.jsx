@@ -1,4 +1,5 @@
 import { memo } from 'react'
+import { promptSignIn } from '../../utils/session'
 
 /**
  * Componente Error Alert riutilizzabile
@@ -23,6 +24,7 @@ const ErrorAlert = memo(function ErrorAlert({
     if (error.code === 'VALIDATION_ERROR') return 'Errore di Validazione'
     if (error.code === 'NETWORK_ERROR') return 'Errore di Connessione'
     if (error.code === 'REQUEST_TIMEOUT') return 'Timeout'
+    if (error.code === 'AUTH_REQUIRED') return 'Accesso richiesto'
     return title
   }
 
@@ -54,8 +56,16 @@ const ErrorAlert = memo(function ErrorAlert({
           )}
           
           {/* Actions */}
-          {(onRetry || onDismiss) && (
+          {(onRetry || onDismiss || error.code === 'AUTH_REQUIRED') && (
             <div className="mt-3 flex space-x-2">
+              {error.code === 'AUTH_REQUIRED' && (
+                <button
+                  onClick={() => promptSignIn()}
+                  className="text-sm bg-red-100 text-red-800 px-3 py-1.5 rounded-md hover:bg-red-200 transition-colors"
+                >
+                  Accedi
+                </button>
+              )}
               {onRetry && (
                 <button
                   onClick={onRetry}
@@ -0,0 +1,35 @@
+import { memo } from 'react'
+
+const STAGE_LABELS = {
+  requirements: 'Requisiti',
+  architecture: 'Architettura',
+  implementation: 'Implementazione',
+  testing: 'Test',
+  deployment: 'Deployment'
+}
+
+/**
+ * Tempi e token di ogni fase della generazione a fasi (feature complesse)
+ * Non mostra nulla per le generazioni in una sola chiamata
+ */
+const GenerationStages = memo(function GenerationStages({ stages, className = '' }) {
+  if (!stages?.length) return null
+
+  return (
+    <div className={`border rounded-2xl p-4 bg-gray-50 border-gray-200 text-gray-700 text-left ${className}`}>
+      <h3 className="text-sm font-medium">🧩 Generazione a fasi</h3>
+      <ul className="mt-2 space-y-1 text-sm">
+        {stages.map((stage, index) => (
+          <li key={stage.name} className="flex justify-between gap-4">
+            <span>{index + 1}. {STAGE_LABELS[stage.name] || stage.name}</span>
+            <span className="font-mono text-xs text-gray-500">
+              {(stage.processingTime / 1000).toFixed(1)}s · {stage.tokensUsed} token
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+})
+
+export default GenerationStages
@@ -1,7 +1,25 @@
 import { getQualityColors, getQualityEmoji } from '../../utils/styleUtils'
 import { FEATURE_EMOJIS } from '../../config/promptCategories'
+import { SPEC_SECTIONS } from '../../config/api'
+
+const SECTION_LABELS = {
+  metadata: 'Panoramica',
+  requirements: 'Requisiti',
+  architecture: 'Architettura',
+  implementation: 'Implementazione',
+  testing: 'Testing',
+  deployment: 'Deployment'
+}
+
+/**
+ * Feedback progressivo: qualità della descrizione oppure, se `generation`
+ * è presente, avanzamento reale della generazione in streaming
+ */
+export default function ProgressFeedback({ analysis, generation }) {
+  if (generation) {
+    return <GenerationProgress {...generation} />
+  }
 
-export default function ProgressFeedback({ analysis }) {
   const { completeness, feedback, quality, suggestions, missingElements, detectedFeatures } = analysis
 
   const qualityColors = getQualityColors(quality)
@@ -97,4 +115,50 @@ export default function ProgressFeedback({ analysis }) {
       )}
     </div>
   )
-}
\ No newline at end of file
+}
+
+/**
+ * Avanzamento reale della generazione: fase corrente e sezioni ricevute
+ */
+function GenerationProgress({ message, percentage = 0, sections = {} }) {
+  return (
+    <div className="mt-4 space-y-3" role="status" aria-live="polite">
+      <div className="flex items-center gap-3">
+        <div className="flex-1 bg-gray-200 rounded-full h-2 overflow-hidden">
+          <div
+            className="h-full rounded-full transition-all duration-500 bg-blue-500"
+            style={{ width: `${percentage}%` }}
+          />
+        </div>
+        <span className="text-sm font-medium text-gray-600 min-w-0">
+          {percentage}%
+        </span>
+      </div>
+
+      {message && (
+        <div className="text-sm font-medium text-blue-600">
+          {message}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1">
+        {SPEC_SECTIONS.map(name => {
+          const received = sections[name] !== undefined
+          return (
+            <span
+              key={name}
+              className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs border ${
+                received
+                  ? 'bg-green-50 text-green-700 border-green-200'
+                  : 'bg-gray-50 text-gray-400 border-gray-200'
+              }`}
+            >
+              <span aria-hidden="true">{received ? '✓' : '…'}</span>
+              {SECTION_LABELS[name]}
+            </span>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
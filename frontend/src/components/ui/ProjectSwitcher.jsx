@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { useProject } from '../../context/ProjectContext'
+
+const NEW_PROJECT = '__new__'
+
+const splitList = (text, separator) => text
+  .split(separator)
+  .map(item => item.trim())
+  .filter(Boolean)
+
+/**
+ * Modelli dati esistenti, uno per riga: `User: id UUID, email string`
+ */
+function parseDataModels(text) {
+  return splitList(text, '\n').map(line => {
+    const [name, fields = ''] = line.split(':')
+    return {
+      name: name.trim(),
+      fields: splitList(fields, ',').map(field => {
+        const [fieldName, type = 'string'] = field.split(/\s+/)
+        return { name: fieldName, type }
+      })
+    }
+  })
+}
+
+/**
+ * Selettore del progetto corrente nell'intestazione, con creazione rapida
+ * Le nuove specifiche vengono generate con il contesto del progetto selezionato
+ */
+export default function ProjectSwitcher() {
+  const { projects, currentProject, selectProject, createProject, error } = useProject()
+  const [creating, setCreating] = useState(false)
+  const [form, setForm] = useState({ name: '', techStack: '', namingConventions: '', dataModels: '' })
+  const [pending, setPending] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  const handleSelect = (event) => {
+    if (event.target.value === NEW_PROJECT) {
+      setCreating(true)
+      return
+    }
+    selectProject(event.target.value)
+  }
+
+  const handleChange = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }))
+
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    setPending(true)
+    setFormError(null)
+
+    try {
+      await createProject({
+        name: form.name.trim(),
+        context: {
+          techStack: splitList(form.techStack, ','),
+          namingConventions: splitList(form.namingConventions, '\n'),
+          dataModels: parseDataModels(form.dataModels)
+        }
+      })
+      setCreating(false)
+      setForm({ name: '', techStack: '', namingConventions: '', dataModels: '' })
+    } catch (err) {
+      setFormError(err.details?.[0]?.message || err.message || 'Impossibile creare il progetto')
+    } finally {
+      setPending(false)
+    }
+  }
+
+  return (
+    <div className="relative text-left">
+      <select
+        value={currentProject?.id || ''}
+        onChange={handleSelect}
+        title={error || 'Progetto corrente'}
+        className="text-sm border border-gray-300 rounded-full px-3 py-1 bg-white"
+      >
+        <option value="">📁 Nessun progetto</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>
+            📁 {project.name} ({project.specCount})
+          </option>
+        ))}
+        <option value={NEW_PROJECT}>➕ Nuovo progetto...</option>
+      </select>
+
+      {creating && (
+        <form
+          onSubmit={handleCreate}
+          className="absolute right-0 z-10 mt-2 w-80 space-y-2 rounded-2xl border border-gray-200 bg-white p-4 shadow-lg"
+        >
+          <input
+            value={form.name}
+            onChange={handleChange('name')}
+            placeholder="Nome del progetto"
+            required
+            minLength={2}
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <input
+            value={form.techStack}
+            onChange={handleChange('techStack')}
+            placeholder="Stack (es. Node.js, PostgreSQL, React)"
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <textarea
+            value={form.namingConventions}
+            onChange={handleChange('namingConventions')}
+            placeholder="Convenzioni di naming, una per riga"
+            rows={2}
+            className="w-full text-sm border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <textarea
+            value={form.dataModels}
+            onChange={handleChange('dataModels')}
+            placeholder={'Modelli esistenti, uno per riga\nUser: id UUID, email string'}
+            rows={3}
+            className="w-full text-sm font-mono border border-gray-300 rounded-lg px-3 py-2"
+          />
+
+          {formError && <p className="text-xs text-red-600">⚠️ {formError}</p>}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setCreating(false)}
+              className="px-4 py-1 text-sm text-gray-600 rounded-full hover:bg-gray-100"
+            >
+              Annulla
+            </button>
+            <button
+              type="submit"
+              disabled={pending}
+              className="px-4 py-1 text-sm bg-blue-600 text-white rounded-full hover:bg-blue-700 disabled:opacity-50"
+            >
+              {pending ? 'Creo...' : 'Crea progetto'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from 'react'
+import featureApiService from '../../services/featureApi'
+
+const SECTION_LABELS = {
+  'requirements.functional': 'requisiti funzionali',
+  'requirements.nonFunctional': 'requisiti non funzionali',
+  'architecture.apiEndpoints': 'endpoint',
+  'architecture.dataModels': 'modelli dati',
+  'architecture.services': 'servizi',
+  'testing.testCases': 'casi di test',
+  'testing.acceptanceCriteria': 'criteri di accettazione'
+}
+
+/**
+ * Descrizione leggibile del `changeSummary` restituito dal backend
+ */
+function describeChanges(changeSummary) {
+  if (!changeSummary || changeSummary.totalChanges === 0) {
+    return 'Nessuna modifica rilevata nella specifica.'
+  }
+
+  const groups = [
+    ['Aggiunti', changeSummary.added],
+    ['Rimossi', changeSummary.removed],
+    ['Modificati', changeSummary.modified]
+  ]
+
+  const lines = groups
+    .filter(([, items]) => items?.length > 0)
+    .map(([label, items]) => `${label}: ${items
+      .map(item => `${item.id || item.label} (${SECTION_LABELS[item.section] || item.section})`)
+      .join(', ')}`)
+
+  if (lines.length === 0 && changeSummary.changedSections?.length > 0) {
+    lines.push(`Sezioni aggiornate: ${changeSummary.changedSections.join(', ')}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Chat per modificare la specifica generata con istruzioni in linguaggio naturale
+ * Ogni istruzione viene applicata alla versione corrente; in caso di errore la
+ * specifica resta invariata
+ */
+function RefinementChat({ data, onRefined, className = '' }) {
+  const [instruction, setInstruction] = useState('')
+  const [messages, setMessages] = useState([])
+  const [pending, setPending] = useState(false)
+  const [error, setError] = useState(null)
+  const abortControllerRef = useRef(null)
+
+  // Annulla la richiesta in corso se il componente viene smontato
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  const specification = data?.data?.feature
+  const specId = data?.data?.specId
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const text = instruction.trim()
+    if (!text || pending || !specification) return
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+
+    setMessages(prev => [...prev, { role: 'user', content: text }])
+    setInstruction('')
+    setError(null)
+    setPending(true)
+
+    try {
+      const result = await featureApiService.refineSpec(specification, text, { specId, signal: controller.signal })
+      if (controller.signal.aborted) return
+
+      onRefined?.(result)
+      const content = [
+        describeChanges(result.data?.changeSummary),
+        result.data?.specVersion && `Salvata come versione ${result.data.specVersion}.`
+      ].filter(Boolean).join('\n')
+      setMessages(prev => [...prev, { role: 'assistant', content }])
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setError(err.message || 'Impossibile applicare la modifica')
+    } finally {
+      if (!controller.signal.aborted) {
+        setPending(false)
+      }
+    }
+  }
+
+  if (!specification) return null
+
+  return (
+    <div className={`bg-gray-50 rounded-2xl p-6 text-left ${className}`}>
+      <h3 className="text-lg font-medium text-gray-900">💬 Modifica la specifica</h3>
+      <p className="text-sm text-gray-600 mt-1">
+        Descrivi cosa cambiare, ad esempio &quot;aggiungi il login con OAuth&quot;.
+      </p>
+
+      {messages.length > 0 && (
+        <ul className="mt-4 space-y-2 max-h-64 overflow-y-auto">
+          {messages.map((message, index) => (
+            <li
+              key={index}
+              className={`text-sm rounded-2xl px-4 py-2 whitespace-pre-line ${
+                message.role === 'user'
+                  ? 'bg-blue-600 text-white ml-12'
+                  : 'bg-white border border-gray-200 text-gray-800 mr-12'
+              }`}
+            >
+              {message.content}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600">
+          ⚠️ {error}. La specifica non è stata modificata.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-4 flex gap-3">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(event) => setInstruction(event.target.value)}
+          placeholder="Es. aggiungi il login con OAuth"
+          disabled={pending}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={pending || instruction.trim().length < 3}
+          className="px-6 py-2 bg-blue-600 text-white text-sm rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {pending ? 'Applico...' : 'Applica'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default RefinementChat
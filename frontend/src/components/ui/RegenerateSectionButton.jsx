@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react'
+import featureApiService from '../../services/featureApi'
+
+export const SECTION_NAMES = {
+  requirements: 'Requisiti',
+  architecture: 'Architettura',
+  implementation: 'Implementazione',
+  testing: 'Test',
+  deployment: 'Deployment'
+}
+
+/**
+ * Azione "rigenera sezione" mostrata nell'intestazione dei tab dei risultati
+ * Con più sezioni mostra una select; in caso di errore la specifica resta invariata
+ */
+function RegenerateSectionButton({ data, sections, onRegenerated }) {
+  const [section, setSection] = useState(sections[0])
+  const [pending, setPending] = useState(false)
+  const [error, setError] = useState(null)
+  const abortControllerRef = useRef(null)
+
+  // Annulla la richiesta in corso se il componente viene smontato
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  const specification = data?.data?.feature
+  if (!specification) return null
+
+  const handleClick = async () => {
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+
+    setError(null)
+    setPending(true)
+
+    try {
+      const result = await featureApiService.regenerateSection(specification, section, {
+        specId: data.data.specId,
+        signal: controller.signal
+      })
+      if (controller.signal.aborted) return
+
+      onRegenerated?.(result)
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setError(err.message || 'Impossibile rigenerare la sezione')
+    } finally {
+      if (!controller.signal.aborted) {
+        setPending(false)
+      }
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && (
+        <span className="text-xs text-red-600" title={error}>⚠️ Rigenerazione non riuscita</span>
+      )}
+
+      {sections.length > 1 && (
+        <select
+          value={section}
+          onChange={(event) => setSection(event.target.value)}
+          disabled={pending}
+          className="text-sm border border-gray-300 rounded-full px-3 py-1"
+        >
+          {sections.map(name => (
+            <option key={name} value={name}>{SECTION_NAMES[name] || name}</option>
+          ))}
+        </select>
+      )}
+
+      <button
+        onClick={handleClick}
+        disabled={pending}
+        className="px-4 py-1 text-sm text-blue-600 border border-blue-200 rounded-full hover:bg-blue-50 transition-colors disabled:opacity-50"
+      >
+        {pending
+          ? '⏳ Rigenero...'
+          : `🔁 Rigenera ${sections.length > 1 ? 'sezione' : (SECTION_NAMES[section] || section).toLowerCase()}`}
+      </button>
+    </div>
+  )
+}
+
+export default RegenerateSectionButton
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useState } from 'react'
+import featureApiService from '../../services/featureApi'
+
+const EXPIRY_OPTIONS = [
+  { label: 'Nessuna scadenza', hours: null },
+  { label: '24 ore', hours: 24 },
+  { label: '7 giorni', hours: 24 * 7 },
+  { label: '30 giorni', hours: 24 * 30 }
+]
+
+const STATUS_LABELS = {
+  active: 'Attivo',
+  expired: 'Scaduto',
+  revoked: 'Revocato'
+}
+
+/**
+ * URL pubblico di un link di condivisione
+ */
+export const getShareUrl = (token) => `${window.location.origin}/shared/${token}`
+
+/**
+ * Link in sola lettura alla specifica salvata, da inviare a PM e designer
+ * I link mostrano sempre la versione corrente e possono essere revocati
+ */
+function SharePanel({ specId, className = '' }) {
+  const [shares, setShares] = useState([])
+  const [expiryIndex, setExpiryIndex] = useState(0)
+  const [pending, setPending] = useState(false)
+  const [copied, setCopied] = useState(null)
+  const [error, setError] = useState(null)
+
+  const loadShares = useCallback(async () => {
+    try {
+      const response = await featureApiService.listSpecShares(specId)
+      setShares(response.data?.shares || [])
+    } catch (err) {
+      setError(err.message || 'Impossibile caricare i link')
+    }
+  }, [specId])
+
+  useEffect(() => {
+    loadShares()
+  }, [loadShares])
+
+  const handleCreate = async () => {
+    setPending(true)
+    setError(null)
+
+    try {
+      const response = await featureApiService.shareSpec(specId, {
+        expiresInHours: EXPIRY_OPTIONS[expiryIndex].hours
+      })
+      setShares(prev => [response.data, ...prev])
+    } catch (err) {
+      setError(err.message || 'Impossibile creare il link')
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const handleRevoke = async (token) => {
+    setError(null)
+
+    try {
+      const response = await featureApiService.revokeSpecShare(specId, token)
+      setShares(prev => prev.map(share => (share.token === token ? response.data : share)))
+    } catch (err) {
+      setError(err.message || 'Impossibile revocare il link')
+    }
+  }
+
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(token))
+      setCopied(token)
+    } catch (err) {
+      setError('Impossibile copiare il link')
+    }
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={expiryIndex}
+          onChange={(event) => setExpiryIndex(Number(event.target.value))}
+          disabled={pending}
+          className="text-sm border border-gray-300 rounded-full px-3 py-1"
+        >
+          {EXPIRY_OPTIONS.map((option, index) => (
+            <option key={option.label} value={index}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleCreate}
+          disabled={pending}
+          className="px-4 py-1 text-sm bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {pending ? '⏳ Creo il link...' : '🔗 Crea link in sola lettura'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">⚠️ {error}</p>}
+
+      {shares.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Nessun link creato: chi riceve il link vede la specifica senza poterla modificare.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {shares.map(share => (
+            <li key={share.token} className="border rounded-xl p-3 border-gray-200 text-sm">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className={`font-mono text-xs break-all ${share.status === 'active' ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                  {getShareUrl(share.token)}
+                </span>
+                {share.status === 'active' && (
+                  <span className="flex gap-2">
+                    <button onClick={() => handleCopy(share.token)} className="text-blue-600 hover:underline">
+                      {copied === share.token ? '✅ Copiato' : 'Copia'}
+                    </button>
+                    <button onClick={() => handleRevoke(share.token)} className="text-red-600 hover:underline">
+                      Revoca
+                    </button>
+                  </span>
+                )}
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                {STATUS_LABELS[share.status] || share.status}
+                {share.expiresAt
+                  ? ` · scade il ${new Date(share.expiresAt).toLocaleString('it-IT')}`
+                  : ' · senza scadenza'}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SharePanel
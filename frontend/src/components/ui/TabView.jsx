@@ -1,14 +1,15 @@
-import { useState } from 'react'
+import { Children, useState } from 'react'
 
 export default function TabView({ children, defaultTab = 0 }) {
   const [activeTab, setActiveTab] = useState(defaultTab)
 
-  const tabs = Array.isArray(children) ? children : [children]
+  // I tab condizionali (`{cond && <Tab />}`) vengono ignorati
+  const tabs = Children.toArray(children)
 
   return (
     <div className="w-full">
       {/* Tab Headers */}
-      <div className="flex border-b border-gray-200 mb-6">
+      <div className="flex items-center border-b border-gray-200 mb-6">
         {tabs.map((tab, index) => (
           <button
             key={index}
@@ -22,6 +23,11 @@ export default function TabView({ children, defaultTab = 0 }) {
             {tab.props.label}
           </button>
         ))}
+
+        {/* Azioni del tab attivo (es. rigenera sezione) */}
+        {tabs[activeTab]?.props.actions && (
+          <div className="ml-auto pl-4">{tabs[activeTab].props.actions}</div>
+        )}
       </div>
 
       {/* Tab Content */}
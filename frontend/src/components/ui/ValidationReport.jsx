@@ -0,0 +1,95 @@
+import { memo, useState } from 'react'
+
+// Errori mostrati prima di "mostra tutti"
+const MAX_VISIBLE_ERRORS = 5
+
+const STATUS_INFO = {
+  partial: {
+    title: '⚠️ Specifica parziale',
+    description: 'Alcune sezioni non hanno superato la validazione e sono state escluse.',
+    className: 'bg-yellow-50 border-yellow-200 text-yellow-800'
+  },
+  fallback: {
+    title: '🛟 Specifica di base',
+    description: 'Il servizio AI non era disponibile: è stato usato un modello generico da completare.',
+    className: 'bg-orange-50 border-orange-200 text-orange-800'
+  }
+}
+
+/**
+ * Riepilogo della validazione backend: stato parziale/fallback, correzioni, errori e avvisi
+ * Non mostra nulla per una specifica valida senza avvisi né correzioni
+ */
+const ValidationReport = memo(function ValidationReport({ validation, warnings = [], repair = null, className = '' }) {
+  const [showAll, setShowAll] = useState(false)
+
+  const statusInfo = STATUS_INFO[validation?.status]
+  const localFixes = repair?.localFixes?.length || 0
+  const aiRounds = repair?.aiRounds || 0
+  const hasRepairs = localFixes > 0 || aiRounds > 0
+
+  if (!statusInfo && warnings.length === 0 && !hasRepairs) return null
+
+  const errors = validation?.errors || []
+  const visibleErrors = showAll ? errors : errors.slice(0, MAX_VISIBLE_ERRORS)
+
+  return (
+    <div className={`space-y-3 text-left ${className}`}>
+      {statusInfo && (
+        <div className={`border rounded-2xl p-4 ${statusInfo.className}`}>
+          <h3 className="text-sm font-medium">{statusInfo.title}</h3>
+          <p className="text-sm mt-1">{statusInfo.description}</p>
+
+          {validation.invalidSections?.length > 0 && (
+            <p className="text-sm mt-2">
+              <span className="font-medium">Sezioni escluse:</span> {validation.invalidSections.join(', ')}
+            </p>
+          )}
+
+          {errors.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs font-mono">
+              {visibleErrors.map((error, index) => (
+                <li key={index}>
+                  {error.field ? `${error.field}: ` : ''}{error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {errors.length > MAX_VISIBLE_ERRORS && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="mt-2 text-xs underline"
+            >
+              {showAll ? 'Mostra meno' : `Mostra tutti (${errors.length})`}
+            </button>
+          )}
+        </div>
+      )}
+
+      {hasRepairs && (
+        <div className="border rounded-2xl p-4 bg-gray-50 border-gray-200 text-gray-700">
+          <h3 className="text-sm font-medium">🔧 Correzioni automatiche</h3>
+          <p className="text-sm mt-1">
+            {localFixes > 0 && `${localFixes} correzioni locali (ID, valori, campi mancanti)`}
+            {localFixes > 0 && aiRounds > 0 && ' · '}
+            {aiRounds > 0 && `${aiRounds} ${aiRounds === 1 ? 'richiesta' : 'richieste'} di correzione al modello AI`}
+          </p>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="border rounded-2xl p-4 bg-blue-50 border-blue-200 text-blue-800">
+          <h3 className="text-sm font-medium">💡 Avvisi di coerenza</h3>
+          <ul className="mt-2 space-y-1 text-sm list-disc list-inside">
+            {warnings.map((warning, index) => (
+              <li key={index}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default ValidationReport
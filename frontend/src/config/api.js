@@ -6,10 +6,20 @@
 // Endpoint API standardizzati (basati su api-specification.md)
 export const API_ENDPOINTS = {
   GENERATE_FEATURE: '/api/generate-spec', // Endpoint completo
+  GENERATE_FEATURE_STREAM: '/api/generate-spec/stream', // Variante SSE
+  JOBS: '/api/jobs', // Generazione asincrona con polling
+  SPECS: '/api/specs', // Specifiche salvate con storico delle versioni
+  SHARED: '/api/shared', // Link pubblici in sola lettura
+  PROJECTS: '/api/projects', // Progetti con contesto condiviso tra le specifiche
+  REFINE_SPEC: '/api/specs/refine', // Modifica conversazionale di una specifica
+  REGENERATE_SECTION: '/api/specs/regenerate-section', // Rigenera una sola sezione
+  AUTH_LOGIN: '/api/auth/login', // Restituisce il token di sessione (JWT)
+  AUTH_REGISTER: '/api/auth/register',
+  AUTH_ME: '/api/auth/me', // Utente della sessione corrente
   HEALTH_CHECK: '/ai-health',
   TEMPLATES: '/templates',
   CACHE_STATS: '/cache-stats',
-  USAGE_STATS: '/usage-stats'
+  USAGE_STATS: '/api/usage' // Consumo di token, costi e latenze per giorno, chiave, progetto o modello
 }
 
 // Configurazioni API
@@ -23,6 +33,33 @@ export const API_CONFIG = {
   MIN_DESCRIPTION_LENGTH: 10
 }
 
+// Fasi reali della generazione in streaming (eventi `stage` del backend)
+export const GENERATION_STAGES = {
+  started: { message: 'Richiesta ricevuta...', percentage: 5 },
+  prompt_built: { message: 'Prompt costruito, invio al modello AI...', percentage: 15 },
+  failover: { message: 'Modello AI non disponibile, passaggio al successivo...', percentage: 15 },
+  chained_step: { message: 'Generazione a fasi, una sezione alla volta...', percentage: 25 },
+  tokens_received: { message: 'Ricezione della specifica in corso...', percentage: 25 },
+  json_parsed: { message: 'Analisi della risposta completata...', percentage: 90 },
+  repairing: { message: 'Correzione automatica della specifica...', percentage: 95 },
+  validated: { message: 'Specifica validata!', percentage: 100 }
+}
+
+// Stato dei job di generazione asincrona
+export const JOB_STATUS_MESSAGES = {
+  queued: 'In coda, in attesa di uno slot libero...',
+  running: 'Generazione in corso sul server...',
+  completed: 'Specifica generata!',
+  failed: 'Generazione non riuscita',
+  cancelled: 'Generazione annullata'
+}
+
+// Intervallo di polling dei job (ms)
+export const JOB_POLL_INTERVAL = 1500
+
+// Sezioni principali della specifica, nell'ordine in cui arrivano dallo stream
+export const SPEC_SECTIONS = ['metadata', 'requirements', 'architecture', 'implementation', 'testing', 'deployment']
+
 // Tipi di errore standardizzati
 export const ERROR_CODES = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -30,6 +67,7 @@ export const ERROR_CODES = {
   TIMEOUT_ERROR: 'REQUEST_TIMEOUT',
   SERVER_ERROR: 'SERVER_ERROR',
   RATE_LIMIT: 'RATE_LIMIT_EXCEEDED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
   AI_SERVICE_ERROR: 'AI_SERVICE_ERROR',
   CACHE_ERROR: 'CACHE_ERROR'
 }
@@ -41,6 +79,7 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.TIMEOUT_ERROR]: 'La richiesta sta richiedendo troppo tempo. Riprova con una descrizione più semplice.',
   [ERROR_CODES.SERVER_ERROR]: 'Errore interno del server. Riprova più tardi.',
   [ERROR_CODES.RATE_LIMIT]: 'Troppe richieste. Attendi un momento prima di riprovare.',
+  [ERROR_CODES.AUTH_REQUIRED]: 'Accedi per continuare: specifiche, progetti e generazioni richiedono un account.',
   [ERROR_CODES.AI_SERVICE_ERROR]: 'Servizio AI temporaneamente non disponibile.',
   [ERROR_CODES.CACHE_ERROR]: 'Errore nella gestione della cache'
 }
@@ -67,5 +106,9 @@ export const VALIDATION_RULES = {
   includeTests: {
     type: 'boolean',
     default: false
+  },
+  projectId: {
+    pattern: /^[\w-]+$/,
+    required: false
   }
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react'
+import featureApiService from '../services/featureApi'
+import { SIGN_IN_EVENT, clearSession, readSession, saveSession } from '../utils/session'
+
+const AuthContext = createContext()
+
+export const useAuth = () => {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider')
+  }
+  return context
+}
+
+/**
+ * Utente collegato: le richieste al backend portano il token della sua sessione
+ * Specifiche e progetti sono visibili solo al loro proprietario
+ */
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(readSession)
+  const [signInOpen, setSignInOpen] = useState(false)
+
+  // Le risposte 401 (anche alle letture) e gli inviti ad accedere aprono la finestra di accesso
+  useEffect(() => {
+    const handleSignIn = (event) => {
+      if (event.detail?.expired) setSession(null)
+      setSignInOpen(true)
+    }
+    window.addEventListener(SIGN_IN_EVENT, handleSignIn)
+    return () => window.removeEventListener(SIGN_IN_EVENT, handleSignIn)
+  }, [])
+
+  const login = useCallback(async (credentials) => {
+    const response = await featureApiService.login(credentials)
+    saveSession(response.data)
+    setSession(response.data)
+    setSignInOpen(false)
+    return response.data.user
+  }, [])
+
+  // Il backend non apre la sessione alla registrazione: segue il login
+  const register = useCallback(async ({ email, name, password }) => {
+    await featureApiService.register({ email, name, password })
+    return login({ email, password })
+  }, [login])
+
+  const logout = useCallback(() => {
+    clearSession()
+    setSession(null)
+  }, [])
+
+  const value = {
+    user: session?.user || null,
+    isAuthenticated: Boolean(session),
+    signInOpen,
+    setSignInOpen,
+    login,
+    register,
+    logout
+  }
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
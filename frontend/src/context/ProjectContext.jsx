@@ -0,0 +1,94 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react'
+import featureApiService from '../services/featureApi'
+import { useAuth } from './AuthContext'
+
+const ProjectContext = createContext()
+
+// Progetto selezionato, ricordato tra una visita e l'altra
+const STORAGE_KEY = 'ai-feature-builder:projectId'
+
+export const useProject = () => {
+  const context = useContext(ProjectContext)
+  if (!context) {
+    throw new Error('useProject must be used within a ProjectProvider')
+  }
+  return context
+}
+
+const readStoredProjectId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Progetto corrente: le generazioni fatte al suo interno ricevono il suo contesto
+ * (stack, convenzioni, modelli dati esistenti) e vengono salvate nel progetto
+ */
+export const ProjectProvider = ({ children }) => {
+  const { user } = useAuth()
+  const [projects, setProjects] = useState([])
+  const [currentProjectId, setCurrentProjectId] = useState(readStoredProjectId)
+  const [error, setError] = useState(null)
+
+  const selectProject = useCallback((projectId) => {
+    setCurrentProjectId(projectId || null)
+    try {
+      if (projectId) {
+        localStorage.setItem(STORAGE_KEY, projectId)
+      } else {
+        localStorage.removeItem(STORAGE_KEY)
+      }
+    } catch {
+      // Persistenza non disponibile (modalità privata): la selezione vale per la sessione
+    }
+  }, [])
+
+  const loadProjects = useCallback(async () => {
+    try {
+      const response = await featureApiService.listProjects()
+      const list = response.data?.projects || []
+      setProjects(list)
+      setError(null)
+
+      // Il progetto ricordato potrebbe essere stato eliminato
+      setCurrentProjectId(current => (list.some(project => project.id === current) ? current : null))
+    } catch (err) {
+      setError(err.message || 'Impossibile caricare i progetti')
+    }
+  }, [])
+
+  // I progetti appartengono all'utente collegato: si ricaricano a ogni accesso o uscita
+  const userId = user?.id
+  useEffect(() => {
+    if (userId) {
+      loadProjects()
+    } else {
+      setProjects([])
+    }
+  }, [userId, loadProjects])
+
+  const createProject = useCallback(async (project) => {
+    const response = await featureApiService.createProject(project)
+    await loadProjects()
+    selectProject(response.data.id)
+    return response.data
+  }, [loadProjects, selectProject])
+
+  const value = {
+    projects,
+    currentProject: projects.find(project => project.id === currentProjectId) || null,
+    error,
+    selectProject,
+    createProject,
+    reloadProjects: loadProjects
+  }
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  )
+}
@@ -6,7 +6,11 @@ import featureApiService from '../../services/featureApi'
 // Mock del servizio API
 vi.mock('../../services/featureApi', () => ({
   default: {
-    generateFeature: vi.fn()
+    generateFeature: vi.fn(),
+    generateFeatureStream: vi.fn(),
+    createJob: vi.fn(),
+    getJob: vi.fn(),
+    cancelJob: vi.fn()
   }
 }))
 
@@ -160,6 +164,9 @@ describe('useFeatureGeneration', () => {
     featureApiService.generateFeature.mockImplementation(
       () => new Promise(resolve => setTimeout(resolve, 5000))
     )
+    featureApiService.generateFeatureStream.mockImplementation(
+      () => new Promise(resolve => setTimeout(resolve, 5000))
+    )
 
     const { result } = renderHook(() => useFeatureGeneration())
 
@@ -177,6 +184,44 @@ describe('useFeatureGeneration', () => {
 
     expect(result.current.loading).toBe(false)
     expect(result.current.progress).toBe(null)
+    expect(featureApiService.generateFeatureStream).toHaveBeenCalledWith(
+      expect.any(Object),
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    )
+    expect(featureApiService.generateFeatureStream.mock.calls[0][1].signal.aborted).toBe(true)
+  })
+
+  it('should cancel the server-side job in job transport', async () => {
+    featureApiService.createJob.mockResolvedValue({ id: 'job_123', status: 'queued' })
+    featureApiService.getJob.mockResolvedValue({ id: 'job_123', status: 'running' })
+    featureApiService.cancelJob.mockResolvedValue({ id: 'job_123', status: 'cancelled' })
+
+    const { result } = renderHook(() => useFeatureGeneration({ transport: 'job' }))
+
+    await act(async () => {
+      result.current.generateFeature({
+        description: 'Test description for job cancellation'
+      })
+    })
+
+    expect(featureApiService.createJob).toHaveBeenCalledWith(
+      expect.any(Object),
+      expect.objectContaining({ idempotencyKey: expect.any(String) })
+    )
+    expect(result.current.jobId).toBe('job_123')
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      'featureGenerator:activeJob',
+      expect.stringContaining('job_123')
+    )
+
+    await act(async () => {
+      result.current.cancel()
+    })
+
+    expect(featureApiService.cancelJob).toHaveBeenCalledWith('job_123')
+    expect(result.current.loading).toBe(false)
+    expect(result.current.error).toBe(null)
+    expect(localStorage.removeItem).toHaveBeenCalledWith('featureGenerator:activeJob')
   })
 
   it('should reset state correctly', () => {
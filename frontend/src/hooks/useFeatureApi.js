@@ -310,11 +310,11 @@ export function useUsageStats() {
     lastFetch: null
   })
 
-  const fetchStats = useCallback(async () => {
+  const fetchStats = useCallback(async (params = {}) => {
     try {
       setState(prev => ({ ...prev, loading: true, error: null }))
       
-      const result = await featureApiService.getUsageStats()
+      const result = await featureApiService.getUsageStats(params)
       
       setState({
         loading: false,
@@ -1,7 +1,7 @@
 import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
 import { useAsyncOperation } from './core/useAsyncOperation'
 import featureApiService from '../services/featureApi'
-import { ERROR_CODES, API_CONFIG } from '../config/api'
+import { ERROR_CODES, API_CONFIG, GENERATION_STAGES, SPEC_SECTIONS, JOB_STATUS_MESSAGES, JOB_POLL_INTERVAL } from '../config/api'
 import { generateCacheKey, validateStorageData } from '../utils/validation'
 
 /**
@@ -19,6 +19,7 @@ import { generateCacheKey, validateStorageData } from '../utils/validation'
  * @param {boolean} options.enablePersistence - Abilita localStorage
  * @param {number} options.cacheTimeout - Timeout cache (ms)
  * @param {string} options.storageKey - Chiave localStorage
+ * @param {string} options.transport - 'stream' (SSE, default), 'job' (job asincrono con polling) o 'request'
  * @returns {Object} Stato e metodi
  */
 export function useFeatureGeneration(options = {}) {
@@ -32,17 +33,26 @@ export function useFeatureGeneration(options = {}) {
     enableCache = false,
     enablePersistence = false,
     cacheTimeout = API_CONFIG.CACHE_TTL,
-    storageKey = 'featureGenerator'
+    storageKey = 'featureGenerator',
+    transport = 'stream'
   } = options
 
+  // Job attivo salvato per riprendere il polling dopo un reload
+  const activeJobKey = `${storageKey}:activeJob`
+
   // Stato progress e retry
   const [progressState, setProgressState] = useState({
     progress: null,
     retryCount: 0,
     duration: null,
-    startTime: null
+    startTime: null,
+    stage: null,
+    stagePercentage: null
   })
 
+  // Sezioni ricevute in streaming prima del completamento
+  const [partialData, setPartialData] = useState(null)
+
   // Stato cache
   const [cacheState, setCacheState] = useState({
     fromCache: false,
@@ -54,6 +64,11 @@ export function useFeatureGeneration(options = {}) {
   const retryTimeoutRef = useRef(null)
   const cacheRef = useRef(new Map())
   const isMountedRef = useRef(true)
+  const streamAbortRef = useRef(null)
+  const partialDataRef = useRef(null)
+  const jobRef = useRef(null)
+  const jobKeyRef = useRef(null)
+  const [jobId, setJobId] = useState(null)
 
   /**
    * Pulisce risorse progress e retry
@@ -289,14 +304,153 @@ export function useFeatureGeneration(options = {}) {
     error: null
   });
 
+  /**
+   * Gestisce eventi `stage` e `section` dello streaming
+   */
+  const handleStreamEvent = useCallback((event, payload, startTime) => {
+    if (!isMountedRef.current) return
+
+    if (event === 'stage') {
+      const stageInfo = GENERATION_STAGES[payload.stage]
+      if (!stageInfo) return
+
+      // Il provider successivo rigenera tutte le sezioni
+      if (payload.stage === 'failover') {
+        partialDataRef.current = null
+        setPartialData(null)
+      }
+
+      safeSetProgress(prev => ({
+        ...prev,
+        progress: stageInfo.message,
+        stage: payload.stage,
+        stagePercentage: Math.max(prev.stagePercentage || 0, stageInfo.percentage),
+        duration: Date.now() - startTime,
+        startTime
+      }))
+
+      if (onProgress) {
+        onProgress(stageInfo.message, payload.stage, stageInfo.percentage, Date.now() - startTime)
+      }
+    }
+
+    if (event === 'section' && payload?.name) {
+      const sections = { ...(partialDataRef.current || {}), [payload.name]: payload.data }
+      const received = SPEC_SECTIONS.filter(name => sections[name] !== undefined).length
+
+      // Le sezioni ricevute fanno avanzare il progresso tra tokens_received e json_parsed
+      const { tokens_received: from, json_parsed: to } = GENERATION_STAGES
+      const sectionPercentage = Math.round(
+        from.percentage + (to.percentage - from.percentage) * (received / SPEC_SECTIONS.length)
+      )
+
+      partialDataRef.current = sections
+      setPartialData(sections)
+      safeSetProgress(prev => ({
+        ...prev,
+        stagePercentage: Math.max(prev.stagePercentage || 0, sectionPercentage)
+      }))
+    }
+  }, [onProgress, safeSetProgress])
+
+  /**
+   * Esegue la generazione come job asincrono sul server e ne segue lo stato
+   * Il job sopravvive a retry e reload: la chiave di idempotenza evita duplicati
+   * e l'ID salvato in localStorage permette di riprendere il polling
+   */
+  const runGenerationJob = useCallback(async (requestData, startTime, resumeJobId = null) => {
+    const controller = new AbortController()
+    jobRef.current = { id: resumeJobId, controller }
+
+    let job
+    if (resumeJobId) {
+      job = await featureApiService.getJob(resumeJobId, { signal: controller.signal })
+    } else {
+      // Stessa richiesta dopo un errore di rete: riusa la chiave, il server restituisce lo stesso job
+      const cacheKey = generateCacheKey(requestData)
+      if (jobKeyRef.current?.cacheKey !== cacheKey) {
+        jobKeyRef.current = { cacheKey, key: generateIdempotencyKey() }
+      }
+      job = await featureApiService.createJob(requestData, { idempotencyKey: jobKeyRef.current.key })
+
+      // Annullato mentre la creazione era in volo: il job va fermato sul server
+      if (controller.signal.aborted) {
+        featureApiService.cancelJob(job.id).catch(() => {})
+        throw { code: 'ERR_CANCELED', message: JOB_STATUS_MESSAGES.cancelled }
+      }
+    }
+
+    jobRef.current.id = job.id
+    if (isMountedRef.current) setJobId(job.id)
+    saveActiveJob(activeJobKey, job.id)
+
+    for (;;) {
+      if (isMountedRef.current) {
+        safeSetProgress(prev => ({
+          ...prev,
+          progress: JOB_STATUS_MESSAGES[job.status] || prev.progress,
+          stage: job.status,
+          duration: Date.now() - startTime,
+          startTime
+        }))
+      }
+
+      if (job.status === 'completed') {
+        return { success: true, data: job.result }
+      }
+
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw job.status === 'cancelled'
+          ? { code: 'ERR_CANCELED', message: JOB_STATUS_MESSAGES.cancelled }
+          : {
+              message: job.error?.message || JOB_STATUS_MESSAGES.failed,
+              code: job.error?.code || ERROR_CODES.SERVER_ERROR,
+              status: 500,
+              details: null,
+              requestId: job.requestId,
+              timestamp: new Date().toISOString()
+            }
+      }
+
+      await waitFor(JOB_POLL_INTERVAL, controller.signal)
+      job = await featureApiService.getJob(job.id, { signal: controller.signal })
+    }
+  }, [activeJobKey, safeSetProgress])
+
   // Funzione diretta ottimizzata
-  const generateFeatureDirect = useCallback(async (requestData) => {
+  const generateFeatureDirect = useCallback(async (requestData, { resumeJobId = null } = {}) => {
     setDirectState({ loading: true, data: null, error: null });
+    partialDataRef.current = null;
+    setPartialData(null);
+
+    const mode = transport === 'stream' && !supportsStreaming() ? 'request' : transport;
+    const startTime = Date.now();
+    safeSetProgress(prev => ({
+      ...prev,
+      progress: null,
+      stage: null,
+      stagePercentage: null,
+      duration: null,
+      startTime
+    }));
     
     try {
-      const result = await featureApiService.generateFeature(requestData);
+      let result;
+      if (mode === 'job') {
+        result = await runGenerationJob(requestData, startTime, resumeJobId);
+      } else if (mode === 'stream') {
+        streamAbortRef.current = new AbortController();
+        result = await featureApiService.generateFeatureStream(requestData, {
+          signal: streamAbortRef.current.signal,
+          onEvent: (event, payload) => handleStreamEvent(event, payload, startTime)
+        });
+      } else {
+        result = await featureApiService.generateFeature(requestData);
+      }
       
       setDirectState({ loading: false, data: result, error: null });
+      partialDataRef.current = null;
+      setPartialData(null);
       
       if (onSuccess) {
         onSuccess(result, 0, false);
@@ -304,6 +458,12 @@ export function useFeatureGeneration(options = {}) {
       
       return result;
     } catch (error) {
+      // Annullamento volontario: nessun errore da mostrare
+      if (error?.code === 'ERR_CANCELED') {
+        setDirectState({ loading: false, data: null, error: null });
+        return null;
+      }
+
       setDirectState({ loading: false, data: null, error });
       
       if (onError) {
@@ -311,8 +471,42 @@ export function useFeatureGeneration(options = {}) {
       }
       
       throw error;
+    } finally {
+      streamAbortRef.current = null;
+
+      // Un job concluso (non interrotto dall'unmount) non va più ripreso
+      if (mode === 'job' && isMountedRef.current) {
+        if (jobRef.current?.id) jobKeyRef.current = null;
+        jobRef.current = null;
+        setJobId(null);
+        localStorage.removeItem(activeJobKey);
+      }
     }
-  }, [onSuccess, onError]);
+  }, [onSuccess, onError, transport, handleStreamEvent, safeSetProgress, runGenerationJob, activeJobKey]);
+
+  /**
+   * Annulla la generazione in corso: chiude lo stream oppure cancella il job sul server
+   * (in entrambi i casi il backend interrompe la chiamata AI)
+   */
+  const cancelDirect = useCallback(() => {
+    if (streamAbortRef.current) {
+      streamAbortRef.current.abort()
+      streamAbortRef.current = null
+    }
+    if (jobRef.current) {
+      const { id, controller } = jobRef.current
+      controller.abort()
+      if (id) {
+        featureApiService.cancelJob(id).catch(error => {
+          console.warn('Errore annullamento job:', error)
+        })
+      }
+    }
+    partialDataRef.current = null
+    setPartialData(null)
+    safeSetProgress(prev => ({ ...prev, progress: null, stage: null, stagePercentage: null }))
+    setDirectState(prev => ({ ...prev, loading: false }))
+  }, [safeSetProgress])
 
   // Versione semplificata per debug
   const generateFeatureSimple = useCallback(async (requestData) => {
@@ -443,7 +637,7 @@ export function useFeatureGeneration(options = {}) {
   const derivedState = useMemo(() => ({
     // Progress info
     hasProgress: !!progressState.progress,
-    progressPercentage: calculateProgressPercentage(progressState.duration),
+    progressPercentage: progressState.stagePercentage ?? calculateProgressPercentage(progressState.duration),
     
     // Retry info
     canRetry: !loading && error && shouldRetry(error),
@@ -485,6 +679,19 @@ export function useFeatureGeneration(options = {}) {
     }
   }, [enablePersistence, loadFromStorage, safeSetCache])
 
+  // Riprende il polling di un job avviato prima di un reload
+  useEffect(() => {
+    if (transport !== 'job') return
+
+    const resumeJobId = loadActiveJob(activeJobKey)
+    if (resumeJobId) {
+      generateFeatureDirect(null, { resumeJobId }).catch(() => {
+        // Errore già esposto tramite lo stato del hook
+      })
+    }
+    // Solo al mount: eventuali job successivi sono gestiti da generateFeature
+  }, [])
+
   // Cleanup su unmount
   useEffect(() => {
     isMountedRef.current = true
@@ -492,6 +699,13 @@ export function useFeatureGeneration(options = {}) {
     return () => {
       isMountedRef.current = false
       cleanupProgress()
+      if (streamAbortRef.current) {
+        streamAbortRef.current.abort()
+      }
+      // Interrompe solo il polling: il job continua sul server e verrà ripreso
+      if (jobRef.current) {
+        jobRef.current.controller.abort()
+      }
     }
   }, [cleanupProgress])
 
@@ -506,6 +720,9 @@ export function useFeatureGeneration(options = {}) {
     progress: progressState.progress,
     retryCount: progressState.retryCount,
     duration: progressState.duration,
+    stage: progressState.stage,
+    partialData,
+    jobId,
     
     // Stati derivati
     isLoading: directState.loading,
@@ -516,9 +733,16 @@ export function useFeatureGeneration(options = {}) {
     
     // Metodi
     generateFeature: generateFeatureDirect,
-    reset: () => setDirectState({ loading: false, data: null, error: null }),
-    cancel: () => setDirectState(prev => ({ ...prev, loading: false })),
+    reset: () => {
+      cancelDirect()
+      setDirectState({ loading: false, data: null, error: null })
+    },
+    cancel: cancelDirect,
     retry: generateFeatureDirect,
+    // Sostituisce il risultato corrente (es. dopo una modifica conversazionale)
+    updateData: (newData) => {
+      setDirectState(prev => ({ ...prev, data: newData, error: null }))
+    },
     clearCache
   }
 }
@@ -539,6 +763,70 @@ function shouldRetry(error) {
   return retryableCodes.includes(error.code)
 }
 
+/**
+ * Verifica il supporto browser per lo streaming via fetch
+ */
+function supportsStreaming() {
+  return typeof fetch === 'function' &&
+    typeof ReadableStream !== 'undefined' &&
+    typeof TextDecoder !== 'undefined'
+}
+
+/**
+ * Attende ms millisecondi, interrompibile tramite AbortSignal
+ */
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject({ code: 'ERR_CANCELED', message: 'Richiesta annullata' })
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    if (signal?.aborted) return onAbort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Genera una chiave di idempotenza per la creazione dei job
+ */
+function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `job_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
+}
+
+/**
+ * Salva l'ID del job attivo in localStorage
+ */
+function saveActiveJob(key, jobId) {
+  try {
+    localStorage.setItem(key, JSON.stringify({ jobId, timestamp: Date.now() }))
+  } catch (error) {
+    console.warn('Errore salvataggio job attivo:', error)
+  }
+}
+
+/**
+ * Legge l'ID del job attivo da localStorage (se ancora valido)
+ */
+function loadActiveJob(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || 'null')
+    if (!stored || typeof stored.jobId !== 'string' || !/^job_[\w-]+$/.test(stored.jobId)) {
+      return null
+    }
+    return stored.jobId
+  } catch {
+    return null
+  }
+}
+
 /**
  * Calcola percentuale progresso stimata
  */
@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { createTraceContext } from '../utils/traceparent'
 
 // Create axios instance with default config
 const api = axios.create({
@@ -12,8 +13,10 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add request timestamp for tracking
-    config.metadata = { startTime: Date.now() }
+    // Add request timestamp and a W3C trace context, continued by the backend spans
+    const trace = createTraceContext()
+    config.headers.traceparent = trace.traceparent
+    config.metadata = { startTime: Date.now(), traceId: trace.traceId }
     
     // Log request in development
     if (import.meta.env.DEV) {
@@ -60,6 +63,7 @@ api.interceptors.response.use(
       url: error.config?.url,
       status: error.response?.status,
       duration: duration ? `${duration}ms` : 'unknown',
+      traceId: error.config?.metadata?.traceId,
       message: error.message,
       data: error.response?.data
     })
@@ -109,7 +113,7 @@ function transformApiError(error) {
   // HTTP status based messages
   const statusMessages = {
     400: 'Richiesta non valida. Controlla i dati inseriti.',
-    401: 'Non autorizzato. Ricarica la pagina e riprova.',
+    401: 'Accesso richiesto. Accedi con il tuo account e riprova.',
     403: 'Accesso negato.',
     404: 'Risorsa non trovata.',
     408: 'Richiesta scaduta. Riprova più tardi.',
@@ -1,6 +1,9 @@
 import axios from 'axios'
 import { API_ENDPOINTS, API_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../config/api'
 import { validateFeatureRequest } from '../utils/validation'
+import { createSSEParser } from '../utils/sse'
+import { createTraceContext } from '../utils/traceparent'
+import { getSessionToken, promptSignIn } from '../utils/session'
 
 /**
  * Modulo API sicuro e standardizzato per la generazione di feature
@@ -18,13 +21,37 @@ const featureApi = axios.create({
   }
 })
 
+// Token della sessione dell'utente collegato (vedi utils/session)
+const authHeaders = () => {
+  const token = getSessionToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// Sessione assente o non più valida: il backend risponde 401 anche alle letture
+const SESSION_ERRORS = ['AUTH_REQUIRED', 'INVALID_TOKEN', 'TOKEN_EXPIRED']
+
+/**
+ * Apre la finestra di accesso quando la richiesta richiede una sessione
+ * Se un token era stato inviato, è scaduto o revocato e va dimenticato
+ */
+function promptSignInOn(error) {
+  if (error.code === ERROR_CODES.AUTH_REQUIRED) {
+    promptSignIn({ expired: Boolean(getSessionToken()) })
+  }
+  return error
+}
+
 // Request interceptor per logging e tracking
 featureApi.interceptors.request.use(
   (config) => {
-    // Aggiungi timestamp per tracking performance
+    // Aggiungi timestamp per tracking performance e contesto di traccia per il backend
+    const trace = createTraceContext()
+    config.headers.traceparent = trace.traceparent
+    Object.assign(config.headers, authHeaders())
     config.metadata = { 
       startTime: Date.now(),
-      requestId: generateRequestId()
+      requestId: generateRequestId(),
+      traceId: trace.traceId
     }
     
     // Log in development (solo errori)
@@ -75,11 +102,12 @@ featureApi.interceptors.response.use(
       status: error.response?.status,
       duration: duration ? `${duration}ms` : 'unknown',
       requestId,
+      traceId: error.config?.metadata?.traceId,
       message: error.message,
       responseData: error.response?.data
     })
     
-    return Promise.reject(transformError(error, requestId))
+    return Promise.reject(promptSignInOn(transformError(error, requestId)))
   }
 )
 
@@ -129,9 +157,20 @@ function transformError(error, requestId = null) {
   }
 
   // Errori HTTP con response
-  const { status, data } = error.response
+  const { status } = error.response
+  const data = parseErrorBody(error.response.data)
   
   // Errori strutturati dal backend
+  if (status === 401 && SESSION_ERRORS.includes(data?.error?.code)) {
+    return {
+      ...baseError,
+      message: ERROR_MESSAGES[ERROR_CODES.AUTH_REQUIRED],
+      code: ERROR_CODES.AUTH_REQUIRED,
+      status,
+      requestId: data.error.requestId || requestId
+    }
+  }
+
   if (data?.error) {
     return {
       message: data.error.message || baseError.message,
@@ -147,7 +186,7 @@ function transformError(error, requestId = null) {
   const getErrorByStatus = (status) => {
     switch (status) {
       case 400: return { code: ERROR_CODES.VALIDATION_ERROR, message: 'Richiesta non valida. Controlla i dati inseriti.' }
-      case 401: return { code: ERROR_CODES.SERVER_ERROR, message: 'Non autorizzato. Ricarica la pagina e riprova.' }
+      case 401: return { code: ERROR_CODES.AUTH_REQUIRED, message: ERROR_MESSAGES[ERROR_CODES.AUTH_REQUIRED] }
       case 403: return { code: ERROR_CODES.SERVER_ERROR, message: 'Accesso negato al servizio.' }
       case 404: return { code: ERROR_CODES.SERVER_ERROR, message: 'Endpoint non trovato. Il servizio potrebbe essere in manutenzione.' }
       case 408: return { code: ERROR_CODES.TIMEOUT_ERROR, message: ERROR_MESSAGES[ERROR_CODES.TIMEOUT_ERROR] }
@@ -171,6 +210,41 @@ function transformError(error, requestId = null) {
   }
 }
 
+/**
+ * Le richieste con responseType 'text' (export) ricevono anche gli errori
+ * come stringa: interpreta il JSON del backend quando possibile
+ */
+function parseErrorBody(data) {
+  if (typeof data !== 'string') return data
+
+  try {
+    return JSON.parse(data)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Restituisce errori già trasformati dall'interceptor così come sono
+ */
+function normalizeError(error) {
+  return error.code && error.message && error.timestamp ? error : transformError(error)
+}
+
+/**
+ * Errore standard per input non valido (prima di chiamare il server)
+ */
+function createValidationError(errors) {
+  return {
+    message: ERROR_MESSAGES[ERROR_CODES.VALIDATION_ERROR],
+    code: ERROR_CODES.VALIDATION_ERROR,
+    status: 400,
+    details: errors,
+    requestId: null,
+    timestamp: new Date().toISOString()
+  }
+}
+
 /**
  * Classe principale per l'API delle feature - Versione sicura
  */
@@ -226,6 +300,505 @@ class FeatureApiService {
     }
   }
   
+  /**
+   * Genera una specifica ricevendo fasi e sezioni in streaming (SSE)
+   * @param {Object} requestData - Dati della richiesta
+   * @param {Object} options - Opzioni streaming
+   * @param {Function} options.onEvent - Callback (event, data) per eventi `stage` e `section`
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} Payload finale, identico a generateFeature
+   */
+  async generateFeatureStream(requestData, { onEvent = () => {}, signal } = {}) {
+    const validation = validateFeatureRequest(requestData)
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors)
+    }
+
+    const requestId = generateRequestId()
+    let response
+
+    try {
+      response = await fetch(`${API_CONFIG.BASE_URL}${API_ENDPOINTS.GENERATE_FEATURE_STREAM}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'X-Requested-With': 'XMLHttpRequest',
+          'traceparent': createTraceContext().traceparent,
+          ...authHeaders()
+        },
+        body: JSON.stringify(validation.sanitized),
+        signal
+      })
+    } catch (error) {
+      throw transformError({ code: error.name === 'AbortError' ? 'ERR_CANCELED' : 'ERR_NETWORK' }, requestId)
+    }
+
+    // Errori di validazione/rate limit arrivano come JSON prima dello stream
+    if (!response.ok) {
+      const data = await response.json().catch(() => null)
+      throw promptSignInOn(transformError({ response: { status: response.status, data } }, requestId))
+    }
+
+    let result = null
+    let streamError = null
+
+    const push = createSSEParser((event, data) => {
+      if (event === 'complete') {
+        result = data
+      } else if (event === 'error') {
+        streamError = transformError({ response: { status: 502, data } }, requestId)
+      } else {
+        onEvent(event, data)
+      }
+    })
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        push(decoder.decode(value, { stream: true }))
+      }
+    } catch (error) {
+      throw transformError({ code: error.name === 'AbortError' ? 'ERR_CANCELED' : 'ERR_NETWORK' }, requestId)
+    }
+
+    if (streamError) throw streamError
+
+    if (!result || !result.success) {
+      throw {
+        message: 'Risposta API non valida',
+        code: ERROR_CODES.SERVER_ERROR,
+        status: response.status,
+        details: 'Lo stream si è interrotto prima del completamento',
+        requestId,
+        timestamp: new Date().toISOString()
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Accoda una generazione asincrona (job) sul backend
+   * @param {Object} requestData - Dati della richiesta
+   * @param {Object} options - Opzioni
+   * @param {string} options.idempotencyKey - Chiave per evitare job duplicati sui retry
+   * @returns {Promise<Object>} Job creato (id, status, queuePosition)
+   */
+  async createJob(requestData, { idempotencyKey } = {}) {
+    const validation = validateFeatureRequest(requestData)
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors)
+    }
+
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.JOBS, validation.sanitized, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      })
+      return response.data.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Legge lo stato di un job (e il risultato quando completato)
+   * @param {string} jobId - ID del job
+   * @param {Object} options - Opzioni
+   * @param {AbortSignal} options.signal - Signal per annullare il polling
+   */
+  async getJob(jobId, { signal } = {}) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.JOBS}/${encodeURIComponent(jobId)}`, { signal })
+      return response.data.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Annulla un job in coda o in esecuzione
+   * @param {string} jobId - ID del job
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await featureApi.delete(`${API_ENDPOINTS.JOBS}/${encodeURIComponent(jobId)}`)
+      return response.data.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Applica un'istruzione in linguaggio naturale a una specifica esistente
+   * @param {Object} specification - Specifica corrente (`data.feature`)
+   * @param {string} instruction - Modifica richiesta (es. "aggiungi il login con OAuth")
+   * @param {Object} options - Opzioni
+   * @param {string} options.specId - ID della specifica salvata: la modifica diventa una nuova versione
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} Risposta con la specifica aggiornata e `changeSummary`
+   */
+  async refineSpec(specification, instruction, { specId, signal } = {}) {
+    const text = typeof instruction === 'string' ? instruction.trim() : ''
+    if (!specification || text.length < 3 || text.length > API_CONFIG.MAX_DESCRIPTION_LENGTH) {
+      throw createValidationError([
+        !specification
+          ? 'Nessuna specifica da modificare'
+          : `L'istruzione deve contenere tra 3 e ${API_CONFIG.MAX_DESCRIPTION_LENGTH} caratteri`
+      ])
+    }
+
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.REFINE_SPEC, {
+        specification,
+        instruction: text,
+        ...(specId ? { specId } : {})
+      }, { signal })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Rigenera una sola sezione della specifica usando le altre come contesto
+   * @param {Object} specification - Specifica corrente (`data.feature`)
+   * @param {string} section - requirements | architecture | implementation | testing | deployment
+   * @param {Object} options - Opzioni
+   * @param {string} options.instruction - Indicazione facoltativa su cosa migliorare
+   * @param {string} options.specId - ID della specifica salvata: il risultato diventa una nuova versione
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} Risposta con la specifica aggiornata e `changeSummary`
+   */
+  async regenerateSection(specification, section, { instruction, specId, signal } = {}) {
+    if (!specification || !section) {
+      throw createValidationError(['Specifica e sezione sono obbligatorie'])
+    }
+
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.REGENERATE_SECTION, {
+        specification,
+        section,
+        ...(instruction ? { instruction } : {}),
+        ...(specId ? { specId } : {})
+      }, { signal })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elenca le specifiche salvate, dalla più recente
+   * @param {Object} params - { limit, offset }
+   * @returns {Promise<Object>} Risposta con `{ items, total, limit, offset }`
+   */
+  async listSpecs(params = {}) {
+    try {
+      const response = await featureApi.get(API_ENDPOINTS.SPECS, { params })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Carica una specifica salvata con la sua versione corrente
+   * @param {string} specId - ID della specifica
+   */
+  async getSpec(specId) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}`)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Salva una modifica manuale come nuova versione
+   * @param {string} specId - ID della specifica
+   * @param {Object} specification - Specifica modificata
+   * @param {string} note - Nota facoltativa sulla modifica
+   */
+  async updateSpec(specId, specification, note) {
+    try {
+      const response = await featureApi.put(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}`, {
+        specification,
+        ...(note ? { note } : {})
+      })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elimina una specifica con tutto il suo storico
+   * @param {string} specId - ID della specifica
+   */
+  async deleteSpec(specId) {
+    try {
+      const response = await featureApi.delete(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}`)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elenca le versioni di una specifica, dalla più recente
+   * @param {string} specId - ID della specifica
+   * @param {number} version - Se indicata, carica quella versione con il suo contenuto
+   */
+  async getSpecVersions(specId, version) {
+    const path = `${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/versions`
+
+    try {
+      const response = await featureApi.get(version ? `${path}/${version}` : path)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Differenze tra due versioni di una specifica, per ID di entità (FR001, EP002, ...)
+   * @param {string} specId - ID della specifica
+   * @param {Object} versions - { from, to }; di default la versione corrente e la precedente
+   * @param {Object} options - Opzioni
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} Risposta con `{ from, to, sections, summary }`
+   */
+  async getSpecDiff(specId, { from, to } = {}, { signal } = {}) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/diff`, {
+        params: { from, to },
+        signal
+      })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Esporta una specifica salvata con uno degli exporter del backend
+   * @param {string} specId - ID della specifica
+   * @param {string} exporter - Nome dell'exporter (es. 'openapi')
+   * @param {Object} options - Opzioni
+   * @param {string} options.format - Formato (es. 'yaml', 'json'); di default il primo dell'exporter
+   * @param {number} options.version - Versione da esportare; di default la corrente
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} `{ content, contentType, filename }`
+   */
+  async exportSpec(specId, exporter, { format, version, signal } = {}) {
+    try {
+      const response = await featureApi.get(
+        `${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/export/${encodeURIComponent(exporter)}`,
+        { params: { format, version }, responseType: 'text', signal }
+      )
+      const disposition = response.headers['content-disposition'] || ''
+
+      return {
+        content: response.data,
+        contentType: response.headers['content-type'],
+        filename: /filename="([^"]+)"/.exec(disposition)?.[1] || null
+      }
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Unisce più specifiche salvate in una nuova specifica di sistema
+   * @param {Array<string>} specIds - ID delle specifiche, nell'ordine di unione (da 2 a 20)
+   * @param {Object} options - `{ name, description, projectId }` della specifica risultante
+   * @returns {Promise<Object>} Risposta con la specifica salvata e il report in `merge`
+   */
+  async mergeSpecs(specIds, options = {}) {
+    try {
+      const response = await featureApi.post(`${API_ENDPOINTS.SPECS}/merge`, { specIds, ...options })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Crea un link pubblico in sola lettura alla specifica
+   * @param {string} specId - ID della specifica
+   * @param {Object} options - Opzioni
+   * @param {number} options.expiresInHours - Scadenza in ore (nessuna se omessa)
+   * @returns {Promise<Object>} Risposta con `{ token, expiresAt, status }`
+   */
+  async shareSpec(specId, { expiresInHours } = {}) {
+    try {
+      const response = await featureApi.post(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/share`, {
+        ...(expiresInHours ? { expiresInHours } : {})
+      })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elenca i link di condivisione di una specifica (attivi, scaduti e revocati)
+   * @param {string} specId - ID della specifica
+   */
+  async listSpecShares(specId) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/shares`)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Revoca un link di condivisione
+   * @param {string} specId - ID della specifica
+   * @param {string} token - Token del link
+   */
+  async revokeSpecShare(specId, token) {
+    try {
+      const response = await featureApi.delete(
+        `${API_ENDPOINTS.SPECS}/${encodeURIComponent(specId)}/shares/${encodeURIComponent(token)}`
+      )
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Carica una specifica condivisa (pagina pubblica in sola lettura)
+   * @param {string} token - Token del link
+   * @param {Object} options - Opzioni
+   * @param {AbortSignal} options.signal - Signal per annullare la richiesta
+   * @returns {Promise<Object>} Risposta con `{ feature, metadata, share }`
+   */
+  async getSharedSpec(token, { signal } = {}) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.SHARED}/${encodeURIComponent(token)}`, { signal })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elenca i progetti, con il numero di specifiche di ciascuno
+   * @returns {Promise<Object>} Risposta con `{ projects }`
+   */
+  async listProjects() {
+    try {
+      const response = await featureApi.get(API_ENDPOINTS.PROJECTS)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Crea un progetto
+   * @param {Object} project - `{ name, description, context: { techStack, namingConventions, dataModels } }`
+   */
+  async createProject(project) {
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.PROJECTS, project)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Sostituisce nome, descrizione e contesto di un progetto
+   * @param {string} projectId - ID del progetto
+   * @param {Object} project - `{ name, description, context }`
+   */
+  async updateProject(projectId, project) {
+    try {
+      const response = await featureApi.put(`${API_ENDPOINTS.PROJECTS}/${encodeURIComponent(projectId)}`, project)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Elimina un progetto (le sue specifiche restano salvate)
+   * @param {string} projectId - ID del progetto
+   */
+  async deleteProject(projectId) {
+    try {
+      const response = await featureApi.delete(`${API_ENDPOINTS.PROJECTS}/${encodeURIComponent(projectId)}`)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Conflitti tra le specifiche di un progetto: endpoint, modelli dati e chiavi di configurazione
+   * @param {string} projectId - ID del progetto
+   * @param {Object} options - `{ signal }` per annullare la richiesta
+   */
+  async getProjectConflicts(projectId, { signal } = {}) {
+    try {
+      const response = await featureApi.get(`${API_ENDPOINTS.PROJECTS}/${encodeURIComponent(projectId)}/conflicts`, { signal })
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Crea un account (il ruolo è quello predefinito del backend)
+   * @param {Object} account - `{ email, name, password }`
+   * @returns {Promise<Object>} Risposta con l'utente creato
+   */
+  async register(account) {
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.AUTH_REGISTER, account)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Apre una sessione
+   * @param {Object} credentials - `{ email, password }`
+   * @returns {Promise<Object>} Risposta con `{ token, expiresAt, user }`
+   */
+  async login(credentials) {
+    try {
+      const response = await featureApi.post(API_ENDPOINTS.AUTH_LOGIN, credentials)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
+  /**
+   * Utente della sessione corrente
+   */
+  async getCurrentUser() {
+    try {
+      const response = await featureApi.get(API_ENDPOINTS.AUTH_ME)
+      return response.data
+    } catch (error) {
+      throw normalizeError(error)
+    }
+  }
+
   /**
    * Verifica lo stato del servizio AI
    */
@@ -251,11 +824,12 @@ class FeatureApiService {
   }
   
   /**
-   * Ottiene le statistiche di utilizzo
+   * Ottiene le statistiche di utilizzo dell'AI
+   * @param {Object} params - { from, to, groupBy: 'day' | 'key' | 'project' | 'model', projectId, model }
    */
-  async getUsageStats() {
+  async getUsageStats(params = {}) {
     try {
-      const response = await featureApi.get(API_ENDPOINTS.USAGE_STATS)
+      const response = await featureApi.get(API_ENDPOINTS.USAGE_STATS, { params })
       return response.data
     } catch (error) {
       throw transformError(error)
@@ -275,6 +849,32 @@ export { transformError, generateRequestId }
 
 // Export per compatibilità con il modulo esistente
 export const generateFeature = (data) => featureApiService.generateFeature(data)
+export const generateFeatureStream = (data, options) => featureApiService.generateFeatureStream(data, options)
+export const createJob = (data, options) => featureApiService.createJob(data, options)
+export const getJob = (jobId, options) => featureApiService.getJob(jobId, options)
+export const cancelJob = (jobId) => featureApiService.cancelJob(jobId)
+export const refineSpec = (specification, instruction, options) => featureApiService.refineSpec(specification, instruction, options)
+export const regenerateSection = (specification, section, options) => featureApiService.regenerateSection(specification, section, options)
+export const listSpecs = (params) => featureApiService.listSpecs(params)
+export const getSpec = (specId) => featureApiService.getSpec(specId)
+export const updateSpec = (specId, specification, note) => featureApiService.updateSpec(specId, specification, note)
+export const deleteSpec = (specId) => featureApiService.deleteSpec(specId)
+export const getSpecVersions = (specId, version) => featureApiService.getSpecVersions(specId, version)
+export const getSpecDiff = (specId, versions, options) => featureApiService.getSpecDiff(specId, versions, options)
+export const exportSpec = (specId, exporter, options) => featureApiService.exportSpec(specId, exporter, options)
+export const mergeSpecs = (specIds, options) => featureApiService.mergeSpecs(specIds, options)
+export const shareSpec = (specId, options) => featureApiService.shareSpec(specId, options)
+export const listSpecShares = (specId) => featureApiService.listSpecShares(specId)
+export const revokeSpecShare = (specId, token) => featureApiService.revokeSpecShare(specId, token)
+export const getSharedSpec = (token, options) => featureApiService.getSharedSpec(token, options)
+export const listProjects = () => featureApiService.listProjects()
+export const createProject = (project) => featureApiService.createProject(project)
+export const updateProject = (projectId, project) => featureApiService.updateProject(projectId, project)
+export const deleteProject = (projectId) => featureApiService.deleteProject(projectId)
+export const getProjectConflicts = (projectId, options) => featureApiService.getProjectConflicts(projectId, options)
+export const register = (account) => featureApiService.register(account)
+export const login = (credentials) => featureApiService.login(credentials)
+export const getCurrentUser = () => featureApiService.getCurrentUser()
 export const checkAiHealth = () => featureApiService.checkHealth()
 export const getTemplates = (params) => featureApiService.getTemplates(params)
-export const getUsageStats = () => featureApiService.getUsageStats()
\ No newline at end of file
+export const getUsageStats = (params) => featureApiService.getUsageStats(params)
\ No newline at end of file
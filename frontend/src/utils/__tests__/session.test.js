@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { SIGN_IN_EVENT, clearSession, getSessionToken, promptSignIn, readSession, saveSession } from '../session'
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString()
+
+describe('session', () => {
+  afterEach(() => {
+    clearSession()
+  })
+
+  it('should return the token of a saved session until it expires', () => {
+    saveSession({ token: 'abc', expiresAt: inOneHour(), user: { id: 'u1' } })
+
+    expect(getSessionToken()).toBe('abc')
+    expect(readSession().user.id).toBe('u1')
+
+    saveSession({ token: 'old', expiresAt: new Date(Date.now() - 1000).toISOString() })
+
+    expect(getSessionToken()).toBeNull()
+  })
+
+  it('should forget an expired session when prompting to sign in', () => {
+    const listener = vi.fn()
+    window.addEventListener(SIGN_IN_EVENT, listener)
+    saveSession({ token: 'abc', expiresAt: inOneHour() })
+
+    promptSignIn()
+    expect(getSessionToken()).toBe('abc')
+
+    promptSignIn({ expired: true })
+    expect(getSessionToken()).toBeNull()
+
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(listener.mock.calls[1][0].detail).toEqual({ expired: true })
+    window.removeEventListener(SIGN_IN_EVENT, listener)
+  })
+})
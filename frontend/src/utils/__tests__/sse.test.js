@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createSSEParser } from '../sse'
+
+describe('createSSEParser', () => {
+  it('should dispatch named events with JSON data', () => {
+    const onEvent = vi.fn()
+    const push = createSSEParser(onEvent)
+
+    push('event: stage\ndata: {"stage":"prompt_built"}\n\n')
+
+    expect(onEvent).toHaveBeenCalledWith('stage', { stage: 'prompt_built' })
+  })
+
+  it('should buffer events split across chunks', () => {
+    const onEvent = vi.fn()
+    const push = createSSEParser(onEvent)
+
+    push('event: sec')
+    push('tion\ndata: {"name":"metadata",')
+    expect(onEvent).not.toHaveBeenCalled()
+
+    push('"data":{"name":"Login"}}\n\nevent: stage\ndata: {"stage":"validated"}\n\n')
+
+    expect(onEvent).toHaveBeenNthCalledWith(1, 'section', { name: 'metadata', data: { name: 'Login' } })
+    expect(onEvent).toHaveBeenNthCalledWith(2, 'stage', { stage: 'validated' })
+  })
+
+  it('should ignore heartbeat comments', () => {
+    const onEvent = vi.fn()
+    const push = createSSEParser(onEvent)
+
+    push(': ping\n\n')
+
+    expect(onEvent).not.toHaveBeenCalled()
+  })
+
+  it('should default to the message event and keep non-JSON data', () => {
+    const onEvent = vi.fn()
+    const push = createSSEParser(onEvent)
+
+    push('data: hello\r\n\r\n')
+
+    expect(onEvent).toHaveBeenCalledWith('message', 'hello')
+  })
+})
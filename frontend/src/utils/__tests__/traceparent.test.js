@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { createTraceContext, getTraceId } from '../traceparent'
+
+describe('createTraceContext', () => {
+  it('should create a sampled W3C traceparent with random IDs', () => {
+    const context = createTraceContext()
+
+    expect(context.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/)
+    expect(context.traceparent).toBe(`00-${context.traceId}-${context.spanId}-01`)
+    expect(createTraceContext().traceId).not.toBe(context.traceId)
+  })
+
+  it('should mark unsampled traces', () => {
+    expect(createTraceContext({ sampled: false }).traceparent).toMatch(/-00$/)
+  })
+})
+
+describe('getTraceId', () => {
+  it('should read the trace ID of a traceresponse header', () => {
+    expect(getTraceId('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toBe('0af7651916cd43dd8448eb211c80319c')
+  })
+
+  it('should ignore missing or malformed headers', () => {
+    expect(getTraceId(undefined)).toBeNull()
+    expect(getTraceId('01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toBeNull()
+    expect(getTraceId('00-xyz-b7ad6b7169203331-01')).toBeNull()
+  })
+})
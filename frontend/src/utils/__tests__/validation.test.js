@@ -144,6 +144,17 @@ describe('validation utils', () => {
       expect(result.errors).toContain('Lingua non supportata. Valori ammessi: it, en')
     })
 
+    it('should pass a valid project ID through and reject malformed ones', () => {
+      const description = 'Valid feature description for project testing'
+
+      expect(validateFeatureRequest({ description, projectId: 'proj_3f2a-11' }).sanitized.projectId).toBe('proj_3f2a-11')
+      expect(validateFeatureRequest({ description }).sanitized).not.toHaveProperty('projectId')
+
+      const result = validateFeatureRequest({ description, projectId: '../specs' })
+      expect(result.isValid).toBe(false)
+      expect(result.errors).toContain('Progetto non valido')
+    })
+
     it('should reject invalid complexity', () => {
       const request = {
         description: 'Valid feature description for complexity testing',
@@ -0,0 +1,63 @@
+/**
+ * Sessione dell'utente collegato: `{ token, expiresAt, user }` di POST /api/auth/login
+ * Il token è l'unica credenziale del frontend: nessuna chiave viene compilata nel bundle
+ */
+
+// Sessione ricordata tra una visita e l'altra, fino alla sua scadenza
+const STORAGE_KEY = 'ai-feature-builder:session'
+
+// Evento globale che apre la finestra di accesso (ascoltato da AuthContext)
+export const SIGN_IN_EVENT = 'ai-feature-builder:sign-in'
+
+// Ripiego quando localStorage non è disponibile (modalità privata)
+let memorySession = null
+
+const isValid = (session) =>
+  Boolean(session?.token) && (!session.expiresAt || Date.parse(session.expiresAt) > Date.now())
+
+/**
+ * @returns {Object|null} Sessione salvata e non scaduta
+ */
+export function readSession() {
+  let session = memorySession
+  try {
+    session = JSON.parse(localStorage.getItem(STORAGE_KEY)) || memorySession
+  } catch {
+    // Storage non leggibile: resta la copia in memoria
+  }
+  return isValid(session) ? session : null
+}
+
+export function saveSession(session) {
+  memorySession = session
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session))
+  } catch {
+    // La sessione dura fino al ricaricamento della pagina
+  }
+}
+
+export function clearSession() {
+  memorySession = null
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch {
+    // Niente da rimuovere
+  }
+}
+
+/**
+ * @returns {string|null} Token da inviare come "Authorization: Bearer"
+ */
+export function getSessionToken() {
+  return readSession()?.token || null
+}
+
+/**
+ * Chiede all'app di mostrare la finestra di accesso
+ * @param {Object} options - `{ expired }`: la sessione salvata non è più valida e va rimossa
+ */
+export function promptSignIn({ expired = false } = {}) {
+  if (expired) clearSession()
+  window.dispatchEvent(new CustomEvent(SIGN_IN_EVENT, { detail: { expired } }))
+}
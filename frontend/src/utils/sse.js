@@ -0,0 +1,59 @@
+/**
+ * Utility per il parsing di stream Server-Sent Events
+ * Usato per ricevere la generazione in streaming tramite fetch (POST)
+ */
+
+/**
+ * Crea un parser SSE incrementale
+ * @param {Function} onEvent - Callback invocata con (event, data)
+ * @returns {Function} push(text) - Accoda testo ricevuto dallo stream
+ */
+export function createSSEParser(onEvent) {
+  let buffer = ''
+
+  return function push(text) {
+    buffer += text.replace(/\r\n/g, '\n')
+
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      dispatchEvent(rawEvent, onEvent)
+      boundary = buffer.indexOf('\n\n')
+    }
+  }
+}
+
+/**
+ * Interpreta un singolo blocco evento SSE
+ */
+function dispatchEvent(rawEvent, onEvent) {
+  let event = 'message'
+  const dataLines = []
+
+  rawEvent.split('\n').forEach(line => {
+    // Le righe che iniziano con ":" sono commenti (heartbeat)
+    if (!line || line.startsWith(':')) return
+
+    const separator = line.indexOf(':')
+    const field = separator === -1 ? line : line.slice(0, separator)
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '')
+
+    if (field === 'event') event = value
+    if (field === 'data') dataLines.push(value)
+  })
+
+  if (dataLines.length === 0) return
+
+  const rawData = dataLines.join('\n')
+  let data = rawData
+  try {
+    data = JSON.parse(rawData)
+  } catch {
+    // Payload non JSON: passa la stringa così com'è
+  }
+
+  onEvent(event, data)
+}
+
+export default createSSEParser
@@ -0,0 +1,37 @@
+/**
+ * Propagazione W3C Trace Context verso il backend
+ * Ogni richiesta apre una nuova traccia: il backend continua la traccia
+ * dell'header `traceparent` e ne restituisce il contesto in `traceresponse`
+ */
+
+function randomHex(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes))
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Crea il contesto di una nuova traccia
+ * @param {Object} options - Opzioni
+ * @param {boolean} options.sampled - Chiede al backend di esportare la traccia
+ * @returns {Object} { traceId, spanId, traceparent }
+ */
+export function createTraceContext({ sampled = true } = {}) {
+  const traceId = randomHex(16)
+  const spanId = randomHex(8)
+
+  return {
+    traceId,
+    spanId,
+    traceparent: `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`
+  }
+}
+
+/**
+ * Estrae il trace ID da un header `traceparent` o `traceresponse`
+ * @param {string} header - Valore dell'header
+ * @returns {string|null} Trace ID, null se l'header manca o non è valido
+ */
+export function getTraceId(header) {
+  const match = /^00-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/.exec(String(header || '').trim().toLowerCase())
+  return match ? match[1] : null
+}
@@ -125,6 +125,15 @@ export function validateFeatureRequest(requestData) {
     sanitized.includeTests = VALIDATION_RULES.includeTests.default
   }
 
+  // Valida progetto (facoltativo)
+  if (requestData.projectId) {
+    if (typeof requestData.projectId !== 'string' || !VALIDATION_RULES.projectId.pattern.test(requestData.projectId)) {
+      errors.push('Progetto non valido')
+    } else {
+      sanitized.projectId = requestData.projectId
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,